@@ -1,8 +1,11 @@
 // api/auth/generate-payload.js
 // Phase 2: Generate payload for ton_proof authentication
 // This endpoint generates a unique payload that the client signs
+// Pass purpose=key_export or purpose=withdrawal_address for a step-up proof; login proofs have no
+// purpose and the two aren't interchangeable. Payloads are MACed with TON_PROOF_SECRET, so proofs
+// over payloads this endpoint didn't issue are rejected (see checkProofPayload in lib/ton-proof.js)
 
-const crypto = require("crypto");
+const { PROOF_PURPOSES, issueProofPayload } = require("../lib/ton-proof");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -13,6 +16,7 @@ module.exports = async (req, res) => {
 
   try {
     const telegramUserId = req.query.telegram_user_id || req.body?.telegram_user_id;
+    const purpose = req.query.purpose || req.body?.purpose || null;
 
     if (!telegramUserId) {
       return res.status(400).json({
@@ -21,25 +25,27 @@ module.exports = async (req, res) => {
       });
     }
 
-    // Generate a unique nonce for this proof request
-    const nonce = crypto.randomBytes(32).toString('base64');
-    const timestamp = new Date().toISOString();
-
-    // Create payload that will be signed
-    const payload = {
-      telegram_user_id: String(telegramUserId),
-      timestamp: timestamp,
-      nonce: nonce
-    };
+    if (purpose && !PROOF_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        error: "invalid_purpose",
+        message: `purpose must be one of: ${PROOF_PURPOSES.join(", ")}`
+      });
+    }
 
-    // In a production system, you might want to store this nonce temporarily
-    // to verify it matches when the proof is submitted (prevent replay attacks)
-    // For now, we'll rely on timestamp verification
+    // Unique nonce and issue time, MACed so the payload can't be made up or altered
+    // (step-up payloads are also single-use: each nonce starts one export or confirms one address)
+    const payload = issueProofPayload(telegramUserId, purpose);
+    if (!payload) {
+      return res.status(503).json({
+        error: "proof_not_configured",
+        message: "Set TON_PROOF_SECRET to enable TON proofs"
+      });
+    }
 
     return res.status(200).json({
       success: true,
       payload: payload,
-      timestamp: timestamp
+      timestamp: payload.timestamp
     });
 
   } catch (err) {
@@ -3,10 +3,9 @@
 // Verifies TON wallet signature binding TON address to Telegram user ID
 
 const { createClient } = require("@supabase/supabase-js");
-const { Address } = require("@ton/core");
-const { signVerify } = require("@ton/crypto");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const { getAppDomain, verifyTonProof, checkProofPayload } = require("../lib/ton-proof");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -62,9 +61,7 @@ module.exports = async (req, res) => {
     }
 
     // Get app domain from origin or environment variable
-    const appDomain = process.env.APP_DOMAIN || 
-                     req.headers.origin || 
-                     (req.headers.referer ? new URL(req.headers.referer).hostname : 'localhost');
+    const appDomain = getAppDomain(req);
     
     console.log("[ton-proof] Verifying proof:", {
       ton_address,
@@ -73,73 +70,30 @@ module.exports = async (req, res) => {
       timestamp
     });
 
-    // Verify timestamp is recent (within 10 minutes to prevent replay attacks)
-    const proofTimestamp = new Date(timestamp);
-    const now = new Date();
-    const timeDiff = Math.abs(now - proofTimestamp);
-    const maxAge = 10 * 60 * 1000; // 10 minutes in milliseconds
-
-    if (timeDiff > maxAge) {
-      return res.status(400).json({
-        error: "timestamp_expired",
-        message: "Proof timestamp is too old (max 10 minutes)"
-      });
-    }
-
-    // Verify signature (skip for MVP if flag is set)
-    if (!skipSignatureVerification && signature && public_key) {
-      try {
-        // Construct the message for verification (ton-proof-item-v2 format)
-        // Format: "ton-proof-item-v2/" + Address + AppDomain + Timestamp + Payload
-        const address = Address.parse(ton_address);
-        const addressBytes = address.toRawString(); // Returns address in workchain:hex format
-        
-        const messageParts = [
-          Buffer.from("ton-proof-item-v2/", "utf-8"),
-          Buffer.from(addressBytes, "utf-8"),
-          Buffer.from(appDomain, "utf-8"),
-          Buffer.from(timestamp.toString(), "utf-8"),
-          Buffer.from(JSON.stringify(payload), "utf-8")
-        ];
-        
-        const message = Buffer.concat(messageParts);
-        
-        // Hash the message using SHA-256
-        const messageHash = crypto.createHash("sha256").update(message).digest();
-        
-        // Verify signature
-        const publicKeyBuffer = Buffer.from(public_key, "base64");
-        const signatureBuffer = Buffer.from(signature, "base64");
-        
-        const isValid = await signVerify(messageHash, signatureBuffer, publicKeyBuffer);
-        
-        if (!isValid) {
-          return res.status(401).json({
-            error: "invalid_signature",
-            message: "Signature verification failed"
-          });
-        }
-      } catch (verifyError) {
-        console.error("[ton-proof] Signature verification error:", verifyError);
-        return res.status(401).json({
-          error: "signature_verification_error",
-          message: "Failed to verify signature: " + verifyError.message
-        });
-      }
-    } else if (!skipSignatureVerification) {
-      return res.status(400).json({
-        error: "signature_required",
-        message: "Signature verification required but signature or public_key missing"
-      });
+    // Verify timestamp, signature (skip for MVP if flag is set) and that the payload is a login
+    // payload for this telegram_user_id
+    let proofCheck;
+    if (!skipSignatureVerification) {
+      proofCheck = await verifyTonProof(
+        { ton_address, timestamp, payload, signature, public_key },
+        { appDomain, userId: telegram_user_id }
+      );
     } else {
       console.log("[ton-proof] Signature verification skipped (MVP mode)");
+      const timeDiff = Math.abs(new Date() - new Date(timestamp));
+      proofCheck = timeDiff > 10 * 60 * 1000
+        ? { valid: false, error: "timestamp_expired", message: "Proof timestamp is too old (max 10 minutes)" }
+        : checkProofPayload(payload, { userId: telegram_user_id });
     }
 
-    // Verify that the payload contains the expected telegram_user_id
-    if (payload.telegram_user_id !== String(telegram_user_id)) {
-      return res.status(401).json({
-        error: "user_id_mismatch",
-        message: "Telegram user ID in payload does not match"
+    if (!proofCheck.valid) {
+      if (proofCheck.error === "signature_verification_error") {
+        console.error("[ton-proof] Signature verification error:", proofCheck.message);
+      }
+      const status = { timestamp_expired: 400, payload_expired: 400, proof_not_configured: 503 }[proofCheck.error] || 401;
+      return res.status(status).json({
+        error: proofCheck.error,
+        message: proofCheck.message
       });
     }
 
@@ -165,7 +119,8 @@ module.exports = async (req, res) => {
       {
         user_id: telegram_user_id,
         ton_address: ton_address,
-        type: 'ton_proof_auth'
+        type: 'ton_proof_auth',
+        signature_verified: !skipSignatureVerification
       },
       jwtSecret,
       {
@@ -182,6 +137,7 @@ module.exports = async (req, res) => {
         user_id: String(telegram_user_id),
         session_token: sessionToken,
         ton_address: ton_address,
+        signature_verified: !skipSignatureVerification, // MVP sessions can't be used for step-up actions
         expires_at: expiresAt.toISOString(),
         user_agent: req.headers["user-agent"] || null,
         ip_address: req.headers["x-forwarded-for"] || req.connection?.remoteAddress || null
@@ -61,8 +61,11 @@ module.exports = async (req, res) => {
       .eq("user_id", String(telegramId))
       .single();
 
-    // Get on-chain USDC balance
-    let usdcBalance = 0;
+    // Spendable USDC comes from the ledger; user_balances only changes through the ledger RPCs
+    const usdcBalance = cachedBalance ? Number(cachedBalance.usdc_available || 0) : 0;
+
+    // On-chain USDC in the custodial wallet, shown for reference only
+    let usdcOnChain = null;
     try {
       const POLYGON_RPC = process.env.POLYGON_RPC || "https://polygon-rpc.com";
       const USDC_ADDRESS = "0x2791bca1f2de4661ed88a30c99a7a9449aa84174";
@@ -72,32 +75,17 @@ module.exports = async (req, res) => {
       const usdc = new Contract(USDC_ADDRESS, erc20Abi, provider);
 
       const rawBalance = await usdc.balanceOf(wallet.polygon_address);
-      usdcBalance = Number(formatUnits(rawBalance, 6));
-      
-      // Update cached balance if on-chain balance is different
-      if (cachedBalance && cachedBalance.usdc_available !== usdcBalance) {
-        await supabase
-          .from("user_balances")
-          .upsert({
-            user_id: String(telegramId),
-            usdc_available: usdcBalance,
-            usdc_locked: cachedBalance.usdc_locked || 0,
-            sol_balance: cachedBalance.sol_balance || 0,
-          }, {
-            onConflict: 'user_id'
-          });
-      }
+      usdcOnChain = Number(formatUnits(rawBalance, 6));
     } catch (e) {
       console.error("On-chain balance error:", e);
-      // Fallback to cached balance if on-chain check fails
-      if (cachedBalance) {
-        usdcBalance = Number(cachedBalance.usdc_available || 0);
-      }
     }
 
     // Get SOL balance (from cache for now, can add on-chain check later)
     const solBalance = cachedBalance ? Number(cachedBalance.sol_balance || 0) : 0;
 
+    // USDC held for resting orders and pending withdrawals
+    const lockedBalance = cachedBalance ? Number(cachedBalance.usdc_locked || 0) : 0;
+
     // Get positions value from DB
     const { data: positions } = await supabase
       .from("positions")
@@ -109,6 +97,8 @@ module.exports = async (req, res) => {
     return res.status(200).json({
       success: true,
       usdc: usdcBalance,
+      usdcOnChain: usdcOnChain,
+      locked: lockedBalance,
       sol: solBalance,
       positions: positionsValue,
       total: usdcBalance + positionsValue,
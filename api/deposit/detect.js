@@ -5,7 +5,7 @@
 
 const { createClient } = require("@supabase/supabase-js");
 const { handleApiError, validateTONAddress, ERROR_CODES } = require("../lib/errors");
-const { logError, logTransaction, logSecurityEvent } = require("../lib/logger");
+const { logError, logWarn, logTransaction, logSecurityEvent } = require("../lib/logger");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -143,67 +143,23 @@ module.exports = async (req, res) => {
           const conversionRate = 2.5; // TODO: Get real conversion rate
           const amountUSDC = deposit.amount_ton * conversionRate;
           
-          // Epic 6.2: Create ledger entry for deposit
-          const { createLedgerEntry, updateLedgerEntryStatus } = require("../lib/ledger");
-          let ledgerEntryId;
-          try {
-            ledgerEntryId = await createLedgerEntry({
-              user_id: wallet.user_id,
-              entry_type: 'deposit',
-              amount: amountUSDC,
-              currency: 'USDC',
-              direction: 'credit',
-              status: 'bridging',
-              metadata: {
-                ton_amount: deposit.amount_ton,
-                conversion_rate: conversionRate,
-                ton_tx_hash: deposit.ton_tx_hash
-              },
-              deposit_id: deposit.id,
-              source_tx_hash: deposit.ton_tx_hash
-            });
-
-            // Log transaction
-            logTransaction('deposit_detected', {
-              user_id: wallet.user_id,
-              deposit_id: deposit.id,
-              ton_tx_hash: deposit.ton_tx_hash,
-              amount_ton: deposit.amount_ton,
-              amount_usdc: amountUSDC,
+          // Epic 6.3: Credit the balance and write the ledger entry in one transaction
+          const { applyBalanceChange } = require("../lib/ledger");
+          const { entryId: ledgerEntryId } = await applyBalanceChange({
+            user_id: wallet.user_id,
+            entry_type: 'deposit',
+            amount: amountUSDC,
+            currency: 'USDC',
+            direction: 'credit',
+            status: 'completed',
+            metadata: {
+              ton_amount: deposit.amount_ton,
               conversion_rate: conversionRate,
-              ledger_entry_id: ledgerEntryId
-            });
-          } catch (ledgerError) {
-            logError(ledgerError, {
-              operation: 'ledger_entry_creation',
-              user_id: wallet.user_id,
-              deposit_id: deposit.id
-            });
-            // Continue even if ledger fails
-          }
-          
-          // Update user balance
-          const { error: balanceError } = await supabase.rpc('increment_balance', {
-            p_user_id: wallet.user_id,
-            p_amount: amountUSDC
+              ton_tx_hash: deposit.ton_tx_hash
+            },
+            deposit_id: deposit.id
           });
 
-          // If RPC doesn't exist, use update
-          if (balanceError) {
-            const { data: currentBalance } = await supabase
-              .from("user_balances")
-              .select("usdc_available")
-              .eq("user_id", wallet.user_id)
-              .single();
-
-            await supabase
-              .from("user_balances")
-              .update({
-                usdc_available: (currentBalance?.usdc_available || 0) + amountUSDC
-              })
-              .eq("user_id", wallet.user_id);
-          }
-
           // Update deposit status
           await supabase
             .from("ton_deposits")
@@ -212,32 +168,28 @@ module.exports = async (req, res) => {
               amount_usdc: amountUSDC,
               completed_at: new Date().toISOString()
             })
-            .eq("id", deposit.id);
+            .eq("id", deposit.id)
+            .eq("status", 'bridging');
 
-          // Epic 6.2: Update ledger entry to completed
-          if (ledgerEntryId) {
-            try {
-              await updateLedgerEntryStatus(ledgerEntryId, 'completed', null, null);
-              
-              // Log completion
-              logTransaction('deposit_completed', {
-                user_id: wallet.user_id,
-                deposit_id: deposit.id,
-                ledger_entry_id: ledgerEntryId,
-                amount_usdc: amountUSDC
-              });
-            } catch (ledgerError) {
-              logError(ledgerError, {
-                operation: 'ledger_entry_update',
-                user_id: wallet.user_id,
-                deposit_id: deposit.id,
-                ledger_entry_id: ledgerEntryId
-              });
-            }
-          }
+          // Log completion
+          logTransaction('deposit_completed', {
+            user_id: wallet.user_id,
+            deposit_id: deposit.id,
+            ton_tx_hash: deposit.ton_tx_hash,
+            amount_ton: deposit.amount_ton,
+            amount_usdc: amountUSDC,
+            conversion_rate: conversionRate,
+            ledger_entry_id: ledgerEntryId
+          });
 
         } catch (bridgeError) {
-          logError(bridgeError, {
+          // Already credited (ledger_entries_deposit_credit_idx): leave the deposit as it is
+          if (bridgeError.code === 'duplicate_entry') {
+            logWarn('Deposit already credited', { deposit_id: deposit.id, user_id: wallet.user_id });
+            return;
+          }
+
+          logError('Deposit bridge failed', bridgeError, {
             operation: 'bridge_simulation',
             deposit_id: deposit.id,
             user_id: wallet.user_id,
@@ -250,7 +202,8 @@ module.exports = async (req, res) => {
               status: 'failed',
               error_message: bridgeError.message
             })
-            .eq("id", deposit.id);
+            .eq("id", deposit.id)
+            .eq("status", 'bridging');
         }
       }, 5000); // Simulate 5 second bridge delay
     }
@@ -1,15 +1,21 @@
 // api/ledger/history.js
 // Epic 6.2: Transaction History / Activity Ledger
 // Returns user's transaction history with filtering and pagination
+// format=csv or format=html returns an account statement for a date range instead
 
 const { createClient } = require("@supabase/supabase-js");
 const { validateSession } = require("../middleware/validate-session");
 const { handleApiError, ERROR_CODES } = require("../lib/errors");
+const { buildLedgerQuery } = require("../lib/ledger");
+const { parseStatementPeriod, buildStatement, statementToCsv, statementToHtml } = require("../lib/statements");
+
+const STATEMENT_FORMATS = ['csv', 'html'];
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Disposition");
 
   if (req.method === "OPTIONS") return res.status(200).end();
 
@@ -56,6 +62,38 @@ module.exports = async (req, res) => {
 
     const userId = sessionValidation.userId;
 
+    // Statements always cover every entry type so the running balance adds up
+    const format = (req.query?.format || 'json').toLowerCase();
+    if (format !== 'json') {
+      if (!STATEMENT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: "invalid_format",
+          message: "format must be json, csv or html"
+        });
+      }
+
+      const period = parseStatementPeriod(req.query || {});
+      if (period.error) {
+        return res.status(400).json({
+          error: "invalid_period",
+          message: period.error
+        });
+      }
+
+      const statement = await buildStatement(supabase, userId, period);
+      const filename = `polygram-statement-${period.startDate.substring(0, 10)}-to-${period.endDate.substring(0, 10)}`;
+
+      if (format === 'csv') {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+        return res.status(200).send(statementToCsv(statement));
+      }
+
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.setHeader("Content-Disposition", `inline; filename="${filename}.html"`);
+      return res.status(200).send(statementToHtml(statement));
+    }
+
     // Query parameters
     const entryType = req.query?.type; // Filter by type: 'deposit', 'withdrawal', 'trade', etc.
     const status = req.query?.status; // Filter by status: 'completed', 'pending', 'failed'
@@ -64,31 +102,13 @@ module.exports = async (req, res) => {
     const startDate = req.query?.start_date;
     const endDate = req.query?.end_date;
 
+    const filters = { type: entryType, status, startDate, endDate };
+
     // Build query
-    let query = supabase
-      .from("ledger_entries")
-      .select("*")
-      .eq("user_id", userId)
+    const query = buildLedgerQuery(supabase, userId, filters)
       .order("created_at", { ascending: false })
       .range(offset, offset + limit - 1);
 
-    // Apply filters
-    if (entryType) {
-      query = query.eq("entry_type", entryType);
-    }
-
-    if (status) {
-      query = query.eq("status", status);
-    }
-
-    if (startDate) {
-      query = query.gte("created_at", startDate);
-    }
-
-    if (endDate) {
-      query = query.lte("created_at", endDate);
-    }
-
     const { data: entries, error } = await query;
 
     if (error) {
@@ -96,18 +116,7 @@ module.exports = async (req, res) => {
     }
 
     // Get total count for pagination
-    let countQuery = supabase
-      .from("ledger_entries")
-      .select("*", { count: 'exact', head: true })
-      .eq("user_id", userId);
-
-    if (entryType) {
-      countQuery = countQuery.eq("entry_type", entryType);
-    }
-
-    if (status) {
-      countQuery = countQuery.eq("status", status);
-    }
+    const countQuery = buildLedgerQuery(supabase, userId, filters, { count: 'exact', head: true });
 
     const { count, error: countError } = await countQuery;
 
@@ -129,7 +138,9 @@ module.exports = async (req, res) => {
         bridge: entry.bridge_tx_hash
       },
       metadata: entry.metadata || {},
-      error: entry.error_message || null
+      error: entry.error_message || null,
+      chain_index: entry.chain_index ?? null,
+      entry_hash: entry.entry_hash || null
     }));
 
     return res.status(200).json({
@@ -0,0 +1,112 @@
+// api/ledger/verify.js
+// Epic 6.6: Ledger Hash Chain Verification
+// Walks a user's ledger hash chain and status history and reports the first broken link
+// Users verify their own ledger; ops can verify any user with LEDGER_AUDIT_API_KEY
+
+const { createClient } = require("@supabase/supabase-js");
+const { validateSession } = require("../middleware/validate-session");
+const { handleApiError } = require("../lib/errors");
+const { verifyLedgerChain } = require("../lib/ledger");
+const { logSecurityEvent } = require("../lib/logger");
+const { apiKeyMatches } = require("../lib/security");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization,X-API-Key");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      error: "method_not_allowed",
+      message: `Method ${req.method} not allowed`
+    });
+  }
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    return res.status(500).json({
+      error: "database_not_configured",
+      message: "Supabase not configured"
+    });
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+  try {
+    let userId;
+    const auditKey = process.env.LEDGER_AUDIT_API_KEY;
+
+    if (req.headers['x-api-key'] !== undefined) {
+      // Ops audit of any user's ledger, only with a configured key
+      if (!auditKey) {
+        return res.status(503).json({
+          error: "audit_disabled",
+          message: "Set LEDGER_AUDIT_API_KEY to enable ledger audits"
+        });
+      }
+      if (!apiKeyMatches(req.headers['x-api-key'], auditKey)) {
+        return res.status(401).json({ error: "unauthorized", message: "Invalid API key" });
+      }
+
+      userId = req.query?.user_id;
+      if (!userId) {
+        return res.status(400).json({
+          error: "missing_user_id",
+          message: "user_id is required"
+        });
+      }
+    } else {
+      // Phase 2: Require valid session
+      const authHeader = req.headers.authorization;
+      const sessionToken = authHeader?.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : req.query?.session_token;
+
+      if (!sessionToken) {
+        return res.status(401).json({
+          error: "authentication_required",
+          message: "Session token required"
+        });
+      }
+
+      const sessionValidation = await validateSession(sessionToken);
+      if (!sessionValidation.isValid) {
+        return res.status(401).json({
+          error: "invalid_session",
+          message: sessionValidation.error || "Invalid or expired session"
+        });
+      }
+
+      userId = sessionValidation.userId;
+    }
+
+    const result = await verifyLedgerChain(supabase, userId);
+
+    if (!result.valid) {
+      logSecurityEvent('ledger_chain_broken', {
+        user_id: userId,
+        ...result.broken_link,
+        entries_checked: result.entries_checked,
+        changes_checked: result.changes_checked,
+        unchained_entries: result.unchained_entries
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      user_id: userId,
+      ...result,
+      verified_at: new Date().toISOString()
+    });
+
+  } catch (err) {
+    return handleApiError(err, req, res, {
+      operation: 'ledger_verify',
+      endpoint: '/api/ledger/verify'
+    });
+  }
+};
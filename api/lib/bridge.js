@@ -0,0 +1,116 @@
+// api/lib/bridge.js
+// Epic 5.1: Clients for the services a withdrawal moves through
+// The bridge takes Polygon USDC from the treasury and delivers TON to the TON treasury wallet;
+// the TON payout service sends TON from that wallet to the user. Both dedupe on `reference`
+// (the withdrawal's request_id), so a request retried after a lost response can't pay twice.
+// Endpoints are configurable via BRIDGE_API_URL and TON_PAYOUT_API_URL so local stand-ins can be used for tests
+
+/**
+ * Check the bridge and payout services are configured
+ * @returns {string[]} Missing environment variables
+ */
+function getMissingConfig() {
+  return ['BRIDGE_API_URL', 'TON_PAYOUT_API_URL', 'TON_TREASURY_ADDRESS']
+    .filter(name => !process.env[name]);
+}
+
+/**
+ * Send a request to a withdrawal service
+ * Network errors, 429 and 5xx responses are marked retryable; anything else is a rejection.
+ * @returns {Promise<any>} Parsed JSON response
+ */
+async function serviceRequest(service, baseUrl, apiKey, method, requestPath, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  let resp;
+  try {
+    resp = await fetch(`${baseUrl.replace(/\/+$/, "")}${requestPath}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+  } catch (fetchError) {
+    const err = new Error(`${service} unreachable: ${fetchError.message}`);
+    err.code = `${service}_request_failed`;
+    err.retryable = true;
+    throw err;
+  }
+
+  const text = await resp.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (e) {
+    data = { raw: text };
+  }
+
+  if (!resp.ok) {
+    const err = new Error(data.error || data.message || `${service} returned ${resp.status}`);
+    err.code = `${service}_request_failed`;
+    err.status = resp.status;
+    err.retryable = resp.status === 429 || resp.status >= 500;
+    err.response = data;
+    throw err;
+  }
+
+  return data;
+}
+
+function bridgeRequest(method, requestPath, body) {
+  return serviceRequest('bridge', process.env.BRIDGE_API_URL, process.env.BRIDGE_API_KEY, method, requestPath, body);
+}
+
+function tonPayoutRequest(method, requestPath, body) {
+  return serviceRequest('ton_payout', process.env.TON_PAYOUT_API_URL, process.env.TON_PAYOUT_API_KEY, method, requestPath, body);
+}
+
+/**
+ * Start (or look up) the bridge transfer for a withdrawal
+ * @param {Object} params
+ * @param {string} params.reference - Withdrawal request_id
+ * @param {number} params.amountUsdc - USDC to bridge
+ * @returns {Promise<{id: string, status: string, source_tx_hash: string|null}>}
+ */
+async function createBridgeTransfer({ reference, amountUsdc }) {
+  return bridgeRequest('POST', '/transfers', {
+    reference,
+    amount_usdc: amountUsdc,
+    destination_address: process.env.TON_TREASURY_ADDRESS
+  });
+}
+
+/**
+ * Get a bridge transfer
+ * @param {string} transferId - Bridge provider's transfer ID
+ * @returns {Promise<{id: string, status: 'pending'|'completed'|'failed', source_tx_hash: string|null,
+ *   destination_tx_hash: string|null, amount_ton: number|null, error: string|null}>}
+ */
+async function getBridgeTransfer(transferId) {
+  return bridgeRequest('GET', `/transfers/${encodeURIComponent(transferId)}`);
+}
+
+/**
+ * Send (or look up) the TON payout for a withdrawal
+ * @param {Object} params
+ * @param {string} params.reference - Withdrawal request_id
+ * @param {string} params.destination - User's TON address
+ * @param {number} params.amountTon - TON to send
+ * @returns {Promise<{id: string, status: 'pending'|'confirmed'|'failed', tx_hash: string|null, error: string|null}>}
+ */
+async function sendTonPayout({ reference, destination, amountTon }) {
+  return tonPayoutRequest('POST', '/payouts', {
+    reference,
+    destination_address: destination,
+    amount_ton: amountTon
+  });
+}
+
+module.exports = {
+  getMissingConfig,
+  createBridgeTransfer,
+  getBridgeTransfer,
+  sendTonPayout
+};
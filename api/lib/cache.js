@@ -0,0 +1,37 @@
+// api/lib/cache.js
+// Small in-memory response cache with a TTL, shared by /api/markets and /api/orderbook
+// Lives per serverless instance, so it only smooths out bursts of identical requests
+
+/**
+ * Create a cache that forgets entries after ttlMs and keeps at most maxEntries (oldest dropped first)
+ * @param {Object} options
+ * @param {number} options.ttlMs - How long an entry is served
+ * @param {number} options.maxEntries - Entries kept before the oldest is evicted
+ * @returns {{get: Function, set: Function}}
+ */
+function createTtlCache({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  function get(key) {
+    const cached = entries.get(key);
+    if (cached && Date.now() - cached.timestamp < ttlMs) {
+      return cached.data;
+    }
+    entries.delete(key);
+    return null;
+  }
+
+  function set(key, data) {
+    entries.delete(key); // Re-setting a key makes it the newest
+    entries.set(key, { data, timestamp: Date.now() });
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return { get, set };
+}
+
+module.exports = {
+  createTtlCache
+};
@@ -0,0 +1,753 @@
+// api/lib/clob.js
+// Polymarket CLOB client: builds, signs (EIP-712) and submits orders
+// The endpoint is configurable via CLOB_API_URL so a local mock can stand in for tests
+
+const crypto = require("crypto");
+const { BigNumber } = require("ethers");
+const { parseUnits } = require("ethers/lib/utils");
+
+const DEFAULT_CLOB_API_URL = "https://clob.polymarket.com";
+const GAMMA_API = "https://gamma-api.polymarket.com";
+const DEFAULT_DATA_API_URL = "https://data-api.polymarket.com";
+const POLYGON_CHAIN_ID = 137;
+
+// CTF Exchange contracts on Polygon (neg-risk markets settle through a separate exchange)
+const EXCHANGE_ADDRESSES = {
+  standard: "0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E",
+  negRisk: "0xC5d563A36AE78145C45a50134d48A1215220f80a"
+};
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// USDC and outcome tokens both use 6 decimals
+const TOKEN_DECIMALS = 6;
+
+const ORDER_SIDES = {
+  BUY: 0,
+  SELL: 1
+};
+
+// Signature type 0 = EOA (custodial key signs directly)
+const SIGNATURE_TYPE_EOA = 0;
+
+const ORDER_EIP712_TYPES = {
+  Order: [
+    { name: "salt", type: "uint256" },
+    { name: "maker", type: "address" },
+    { name: "signer", type: "address" },
+    { name: "taker", type: "address" },
+    { name: "tokenId", type: "uint256" },
+    { name: "makerAmount", type: "uint256" },
+    { name: "takerAmount", type: "uint256" },
+    { name: "expiration", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "feeRateBps", type: "uint256" },
+    { name: "side", type: "uint8" },
+    { name: "signatureType", type: "uint8" }
+  ]
+};
+
+// L1 (wallet signature) authentication, used once to create or derive a wallet's API key
+const CLOB_AUTH_DOMAIN = {
+  name: "ClobAuthDomain",
+  version: "1",
+  chainId: POLYGON_CHAIN_ID
+};
+
+const CLOB_AUTH_EIP712_TYPES = {
+  ClobAuth: [
+    { name: "address", type: "address" },
+    { name: "timestamp", type: "string" },
+    { name: "nonce", type: "uint256" },
+    { name: "message", type: "string" }
+  ]
+};
+
+const CLOB_AUTH_MESSAGE = "This message attests that I control the given wallet";
+
+function getClobApiUrl() {
+  return (process.env.CLOB_API_URL || DEFAULT_CLOB_API_URL).replace(/\/+$/, "");
+}
+
+/**
+ * EIP-712 domain for the CTF Exchange
+ * @param {boolean} negRisk - Whether the market settles through the neg-risk exchange
+ */
+function getExchangeDomain(negRisk = false) {
+  return {
+    name: "Polymarket CTF Exchange",
+    version: "1",
+    chainId: POLYGON_CHAIN_ID,
+    verifyingContract: negRisk ? EXCHANGE_ADDRESSES.negRisk : EXCHANGE_ADDRESSES.standard
+  };
+}
+
+/**
+ * Convert a decimal amount (USDC or shares) to 6-decimal base units
+ */
+function toBaseUnits(value) {
+  // Via a decimal string, truncated to 6 places: Math.floor(0.29 * 1e6) would give 289999
+  const [whole, fraction = ''] = Number(value).toFixed(12).split('.');
+  return parseUnits(`${whole}.${fraction.slice(0, TOKEN_DECIMALS)}`, TOKEN_DECIMALS).toString();
+}
+
+/**
+ * Convert 6-decimal base units back to a decimal amount
+ */
+function fromBaseUnits(value) {
+  return Number(value) / 10 ** TOKEN_DECIMALS;
+}
+
+/**
+ * Truncate 6-decimal base units to fewer decimals (e.g. 2 for share sizes, 4 for USDC amounts)
+ */
+function truncateBaseUnits(units, decimals) {
+  const step = BigNumber.from(10).pow(TOKEN_DECIMALS - decimals);
+  return units.div(step).mul(step);
+}
+
+/**
+ * Build and sign a CLOB order
+ * BUY orders give USDC (maker) for shares (taker); SELL orders give shares for USDC.
+ * @param {Object} params
+ * @param {Wallet} params.signer - ethers Wallet holding the custodial key
+ * @param {string} params.tokenId - CLOB token ID of the outcome
+ * @param {string} params.side - 'BUY' or 'SELL'
+ * @param {number} params.price - Limit price (0-1)
+ * @param {number} params.size - Number of shares
+ * @param {number} params.expiration - Unix seconds, 0 for no expiry
+ * @param {boolean} params.negRisk - Neg-risk market flag
+ * @returns {Promise<Object>} Signed order in CLOB wire format
+ */
+async function buildSignedOrder({
+  signer,
+  tokenId,
+  side,
+  price,
+  size,
+  expiration = 0,
+  nonce = 0,
+  feeRateBps = 0,
+  negRisk = false
+}) {
+  const upperSide = String(side).toUpperCase();
+  if (!(upperSide in ORDER_SIDES)) {
+    throw new Error(`Invalid order side: ${side}`);
+  }
+
+  const numericPrice = Number(price);
+  if (!(numericPrice > 0 && numericPrice < 1)) {
+    throw new Error(`Invalid order price: ${price}`);
+  }
+
+  // In integer base units: floats put 0.29 x 100 at 28.9999 and the order below the tick
+  const shares = truncateBaseUnits(BigNumber.from(toBaseUnits(size)), 2);
+  if (!shares.gt(0)) {
+    throw new Error('Order size too small');
+  }
+
+  const usdc = truncateBaseUnits(shares.mul(toBaseUnits(numericPrice)).div(BigNumber.from(10).pow(TOKEN_DECIMALS)), 4);
+
+  const makerAmount = (upperSide === 'BUY' ? usdc : shares).toString();
+  const takerAmount = (upperSide === 'BUY' ? shares : usdc).toString();
+
+  const order = {
+    salt: String(crypto.randomBytes(6).readUIntBE(0, 6)),
+    maker: signer.address,
+    signer: signer.address,
+    taker: ZERO_ADDRESS,
+    tokenId: String(tokenId),
+    makerAmount,
+    takerAmount,
+    expiration: String(expiration),
+    nonce: String(nonce),
+    feeRateBps: String(feeRateBps),
+    side: ORDER_SIDES[upperSide],
+    signatureType: SIGNATURE_TYPE_EOA
+  };
+
+  const signature = await signer._signTypedData(getExchangeDomain(negRisk), ORDER_EIP712_TYPES, order);
+
+  return {
+    ...order,
+    salt: Number(order.salt),
+    side: upperSide,
+    signature
+  };
+}
+
+/**
+ * Build L2 (API key) authentication headers for a CLOB request
+ * Signature = HMAC-SHA256(base64url secret, timestamp + method + path + body)
+ */
+function buildL2Headers(creds, address, method, requestPath, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  let message = `${timestamp}${method}${requestPath}`;
+  if (body !== undefined) {
+    message += body;
+  }
+
+  const secret = Buffer.from(creds.secret.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  const signature = crypto.createHmac('sha256', secret)
+    .update(message)
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+  return {
+    POLY_ADDRESS: address,
+    POLY_SIGNATURE: signature,
+    POLY_TIMESTAMP: String(timestamp),
+    POLY_API_KEY: creds.key,
+    POLY_PASSPHRASE: creds.passphrase
+  };
+}
+
+/**
+ * Build L1 (wallet signature) authentication headers
+ * @param {Wallet} signer - ethers Wallet holding the custodial key
+ * @param {number} nonce - Key nonce (the same nonce always derives the same API key)
+ */
+async function buildL1Headers(signer, nonce = 0) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = await signer._signTypedData(CLOB_AUTH_DOMAIN, CLOB_AUTH_EIP712_TYPES, {
+    address: signer.address,
+    timestamp,
+    nonce,
+    message: CLOB_AUTH_MESSAGE
+  });
+
+  return {
+    POLY_ADDRESS: signer.address,
+    POLY_SIGNATURE: signature,
+    POLY_TIMESTAMP: timestamp,
+    POLY_NONCE: String(nonce)
+  };
+}
+
+/**
+ * Get the wallet's CLOB API credentials: derive the existing key, or create one if there is none
+ * @param {Wallet} signer - ethers Wallet holding the custodial key
+ * @param {number} nonce - Key nonce
+ * @returns {Promise<{key: string, secret: string, passphrase: string}>}
+ */
+async function createOrDeriveApiKey(signer, nonce = 0) {
+  const request = async (method, requestPath) => {
+    const resp = await fetch(`${getClobApiUrl()}${requestPath}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(await buildL1Headers(signer, nonce)) }
+    });
+    const data = await resp.json().catch(() => ({}));
+    return { ok: resp.ok && data.apiKey, status: resp.status, data };
+  };
+
+  let result = await request('GET', '/auth/derive-api-key');
+  if (!result.ok) {
+    result = await request('POST', '/auth/api-key');
+  }
+
+  if (!result.ok) {
+    const err = new Error(result.data.error || `CLOB API key request returned ${result.status}`);
+    err.code = 'clob_auth_failed';
+    err.status = result.status;
+    throw err;
+  }
+
+  return {
+    key: result.data.apiKey,
+    secret: result.data.secret,
+    passphrase: result.data.passphrase
+  };
+}
+
+/**
+ * Send a request to the CLOB API
+ * @returns {Promise<any>} Parsed JSON response
+ */
+async function clobRequest(method, requestPath, { body, creds, address } = {}) {
+  const serializedBody = body !== undefined ? JSON.stringify(body) : undefined;
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (creds && address) {
+    Object.assign(headers, buildL2Headers(creds, address, method, requestPath, serializedBody));
+  }
+
+  const resp = await fetch(`${getClobApiUrl()}${requestPath}`, {
+    method,
+    headers,
+    body: serializedBody
+  });
+
+  const text = await resp.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch (e) {
+    data = { raw: text };
+  }
+
+  if (!resp.ok) {
+    const err = new Error(data.error || data.errorMsg || `CLOB API returned ${resp.status}`);
+    err.code = 'clob_request_failed';
+    err.status = resp.status;
+    err.response = data;
+    throw err;
+  }
+
+  return data;
+}
+
+/**
+ * Get the current price for an outcome token
+ * @param {string} tokenId - CLOB token ID
+ * @param {string} side - 'BUY' or 'SELL'
+ * @returns {Promise<number>}
+ */
+async function getPrice(tokenId, side = 'BUY') {
+  const data = await clobRequest('GET', `/price?token_id=${encodeURIComponent(tokenId)}&side=${side.toUpperCase()}`);
+  const price = parseFloat(data.price);
+  if (isNaN(price) || price <= 0 || price >= 1) {
+    throw new Error(`No valid price available for token ${tokenId}`);
+  }
+  return price;
+}
+
+/**
+ * Get the minimum price increment of an outcome token (0.1, 0.01, 0.001 or 0.0001)
+ * The CLOB rejects orders priced off this grid.
+ * @param {string} tokenId - CLOB token ID
+ * @returns {Promise<number>}
+ */
+async function getTickSize(tokenId) {
+  const data = await clobRequest('GET', `/tick-size?token_id=${encodeURIComponent(tokenId)}`);
+  const tickSize = parseFloat(data.minimum_tick_size);
+  if (isNaN(tickSize) || tickSize <= 0 || tickSize >= 1) {
+    throw new Error(`No valid tick size available for token ${tokenId}`);
+  }
+  return tickSize;
+}
+
+/**
+ * Round a price onto a token's tick grid
+ * @param {number} price
+ * @param {number} tickSize - From getTickSize
+ * @param {string} direction - 'down' or 'up'
+ * @returns {number}
+ */
+function roundToTick(price, tickSize, direction) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(tickSize) - 1e-9));
+  // The epsilon keeps prices already on the grid (0.57 / 0.01 = 56.99999...) where they are
+  const ticks = direction === 'up'
+    ? Math.ceil(price / tickSize - 1e-9)
+    : Math.floor(price / tickSize + 1e-9);
+  return Number((ticks * tickSize).toFixed(decimals));
+}
+
+/**
+ * Get the order book for an outcome token
+ * Levels are sorted best first: bids high to low, asks low to high.
+ * @returns {Promise<{tokenId: string, bids: Array<{price: number, size: number}>, asks: Array<{price: number, size: number}>}>}
+ */
+async function getOrderBook(tokenId) {
+  const data = await clobRequest('GET', `/book?token_id=${encodeURIComponent(tokenId)}`);
+
+  const parseLevels = (levels) => (levels || [])
+    .map(level => ({ price: parseFloat(level.price), size: parseFloat(level.size) }))
+    .filter(level => level.price > 0 && level.size > 0);
+
+  return {
+    tokenId: String(tokenId),
+    bids: parseLevels(data.bids).sort((a, b) => b.price - a.price),
+    asks: parseLevels(data.asks).sort((a, b) => a.price - b.price)
+  };
+}
+
+/**
+ * Get the most recent public trades for a market from the Polymarket data API
+ * The endpoint is configurable via DATA_API_URL so tests can point it at a mock.
+ * @param {string} conditionId - Market condition ID
+ * @param {number} limit - Number of trades to return
+ * @returns {Promise<Array<{tokenId: string, outcome: string|null, outcomeIndex: number|null, side: string, price: number, size: number, timestamp: number, transactionHash: string|null}>>}
+ */
+async function getRecentTrades(conditionId, limit = 20) {
+  const baseUrl = (process.env.DATA_API_URL || DEFAULT_DATA_API_URL).replace(/\/$/, '');
+  const resp = await fetch(`${baseUrl}/trades?market=${encodeURIComponent(conditionId)}&limit=${limit}&takerOnly=true`);
+  if (!resp.ok) {
+    throw new Error(`Data API returned ${resp.status} for market ${conditionId}`);
+  }
+
+  const data = await resp.json();
+  return (Array.isArray(data) ? data : [])
+    .map(trade => ({
+      tokenId: String(trade.asset),
+      outcome: trade.outcome || null,
+      outcomeIndex: trade.outcomeIndex !== undefined ? Number(trade.outcomeIndex) : null,
+      side: String(trade.side || '').toUpperCase(),
+      price: parseFloat(trade.price),
+      size: parseFloat(trade.size),
+      // The data API reports seconds
+      timestamp: Number(trade.timestamp) * 1000,
+      transactionHash: trade.transactionHash || null
+    }))
+    .filter(trade => trade.price > 0 && trade.size > 0)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+}
+
+/**
+ * Group book levels into price buckets and add running depth
+ * @param {Array<{price: number, size: number}>} levels - Sorted best price first
+ * @param {Object} options
+ * @param {number} options.tick - Bucket width (default 0.01)
+ * @param {number} options.maxLevels - Maximum buckets to return
+ * @param {boolean} options.isBid - Bids round down into their bucket, asks round up
+ * @returns {Array<{price: number, size: number, notional: number, cumulative_size: number, cumulative_notional: number}>}
+ */
+function aggregateLevels(levels, { tick = 0.01, maxLevels = 10, isBid = false } = {}) {
+  const buckets = [];
+  let cumulativeSize = 0;
+  let cumulativeNotional = 0;
+
+  for (const level of levels) {
+    const steps = level.price / tick;
+    // Nudge by a small epsilon so 0.55 / 0.01 doesn't land in the 0.54 bucket
+    const price = Number(((isBid ? Math.floor(steps + 1e-9) : Math.ceil(steps - 1e-9)) * tick).toFixed(4));
+    let bucket = buckets[buckets.length - 1];
+
+    if (!bucket || bucket.price !== price) {
+      if (buckets.length >= maxLevels) break;
+      bucket = { price, size: 0, notional: 0, cumulative_size: 0, cumulative_notional: 0 };
+      buckets.push(bucket);
+    }
+
+    bucket.size += level.size;
+    bucket.notional += level.size * level.price;
+    cumulativeSize += level.size;
+    cumulativeNotional += level.size * level.price;
+    bucket.cumulative_size = cumulativeSize;
+    bucket.cumulative_notional = cumulativeNotional;
+  }
+
+  return buckets;
+}
+
+/**
+ * Walk an order book to price a market order
+ * Buys spend `amount` USDC against the asks; sells give up `shares` into the bids.
+ * @param {Object} book - Output of getOrderBook
+ * @param {string} side - 'BUY' or 'SELL'
+ * @param {Object} size
+ * @param {number} size.amount - USDC to spend (BUY)
+ * @param {number} size.shares - Shares to sell (SELL)
+ * @returns {{shares: number, amount: number, averagePrice: number|null, bestPrice: number|null, worstPrice: number|null, priceImpact: number, priceImpactBps: number, fullyFilled: boolean, levelsUsed: number}}
+ */
+function quoteFromBook(book, side, { amount = 0, shares = 0 } = {}) {
+  const isBuy = String(side).toUpperCase() === 'BUY';
+  const levels = isBuy ? book.asks : book.bids;
+
+  let remaining = isBuy ? Number(amount) : Number(shares);
+  let filledShares = 0;
+  let filledAmount = 0;
+  let worstPrice = null;
+  let levelsUsed = 0;
+
+  for (const level of levels) {
+    if (remaining <= 1e-9) break;
+
+    const levelShares = isBuy ? Math.min(level.size, remaining / level.price) : Math.min(level.size, remaining);
+    filledShares += levelShares;
+    filledAmount += levelShares * level.price;
+    remaining -= isBuy ? levelShares * level.price : levelShares;
+    worstPrice = level.price;
+    levelsUsed++;
+  }
+
+  const bestPrice = levels.length > 0 ? levels[0].price : null;
+  const averagePrice = filledShares > 0 ? filledAmount / filledShares : null;
+
+  // Impact is how much worse the average is than the top of the book
+  let priceImpact = 0;
+  if (bestPrice && averagePrice) {
+    priceImpact = isBuy ? (averagePrice - bestPrice) / bestPrice : (bestPrice - averagePrice) / bestPrice;
+  }
+
+  return {
+    shares: filledShares,
+    amount: filledAmount,
+    averagePrice,
+    bestPrice,
+    worstPrice,
+    priceImpact,
+    priceImpactBps: Math.round(priceImpact * 10000),
+    fullyFilled: remaining <= 1e-9,
+    levelsUsed
+  };
+}
+
+/**
+ * Submit a signed order to the CLOB
+ * @param {Object} signedOrder - Output of buildSignedOrder
+ * @param {Object} options
+ * @param {string} options.orderType - 'FOK', 'GTC' or 'GTD'
+ * @param {Object} options.creds - L2 API credentials ({ key, secret, passphrase })
+ * @returns {Promise<Object>} CLOB order response
+ */
+async function postOrder(signedOrder, { orderType = 'FOK', creds = null } = {}) {
+  try {
+    return await clobRequest('POST', '/order', {
+      body: {
+        order: signedOrder,
+        owner: creds?.key || signedOrder.maker,
+        orderType
+      },
+      creds,
+      address: signedOrder.signer
+    });
+  } catch (err) {
+    // Rejected orders (e.g. killed FOK) come back as 400 with an errorMsg - treat as a normal response
+    if (err.status === 400 && err.response?.errorMsg) {
+      return { success: false, ...err.response };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Look up an order on the CLOB
+ * @param {string} orderId - CLOB order ID
+ * @param {Object} options
+ * @param {Object} options.creds - L2 API credentials
+ * @param {string} options.address - Signer address
+ * @returns {Promise<Object>} Order state ({ status, original_size, size_matched, price, ... })
+ */
+async function getOrder(orderId, { creds = null, address } = {}) {
+  return clobRequest('GET', `/data/order/${encodeURIComponent(orderId)}`, { creds, address });
+}
+
+/**
+ * Cancel a resting order on the CLOB
+ * @returns {Promise<{canceled: string[], not_canceled: Object}>}
+ */
+async function cancelOrder(orderId, { creds = null, address } = {}) {
+  const data = await clobRequest('DELETE', '/order', {
+    body: { orderID: orderId },
+    creds,
+    address
+  });
+  return {
+    canceled: data.canceled || [],
+    not_canceled: data.not_canceled || {}
+  };
+}
+
+/**
+ * Normalize a CLOB order response into fill details
+ * For BUY orders the maker gives USDC and takes shares; SELL is the reverse.
+ * @returns {{orderId: string, status: string, filledSize: number, fillPrice: number|null, filledAmount: number, transactionHashes: string[]}}
+ */
+function parseOrderFill(response, signedOrder) {
+  const side = signedOrder.side;
+  const status = response.status || (response.success ? 'matched' : 'unmatched');
+
+  let makingAmount = parseFloat(response.makingAmount);
+  let takingAmount = parseFloat(response.takingAmount);
+
+  // A matched FOK order without explicit amounts filled in full
+  if ((isNaN(makingAmount) || isNaN(takingAmount)) && status === 'matched') {
+    makingAmount = fromBaseUnits(signedOrder.makerAmount);
+    takingAmount = fromBaseUnits(signedOrder.takerAmount);
+  }
+
+  makingAmount = isNaN(makingAmount) ? 0 : makingAmount;
+  takingAmount = isNaN(takingAmount) ? 0 : takingAmount;
+
+  const filledSize = side === 'BUY' ? takingAmount : makingAmount;
+  const filledAmount = side === 'BUY' ? makingAmount : takingAmount;
+
+  return {
+    orderId: response.orderID || response.orderId || null,
+    status,
+    filledSize,
+    filledAmount,
+    fillPrice: filledSize > 0 ? filledAmount / filledSize : null,
+    transactionHashes: response.transactionsHashes || response.transactionHashes || []
+  };
+}
+
+/**
+ * Parse a JSON array column that may be stored as an array or a JSON string (as Gamma returns it)
+ */
+function parseJsonArray(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      return [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Fetch a single market from the Gamma API by numeric ID or condition ID
+ * @returns {Promise<Object|null>} Raw Gamma market
+ */
+async function fetchGammaMarket(marketId) {
+  const isConditionId = String(marketId).startsWith('0x');
+  const url = isConditionId
+    ? `${GAMMA_API}/markets?condition_ids=${encodeURIComponent(marketId)}&limit=1`
+    : `${GAMMA_API}/markets/${encodeURIComponent(marketId)}`;
+
+  const resp = await fetch(url);
+  if (!resp.ok) {
+    throw new Error(`Gamma API returned ${resp.status} for market ${marketId}`);
+  }
+
+  const data = await resp.json();
+  return (Array.isArray(data) ? data[0] : data) || null;
+}
+
+/**
+ * Column a market ID refers to: condition IDs start with 0x, anything else is a Gamma market ID
+ * IDs come from clients, so they are only ever matched with .eq / .in (never spliced into .or filters)
+ */
+function marketIdColumn(marketId) {
+  return String(marketId).startsWith('0x') ? 'condition_id' : 'id';
+}
+
+/**
+ * Load market rows for a mix of Gamma market IDs and condition IDs
+ * @param {Object} supabase - Supabase client
+ * @param {string} columns - Columns to select (must include id and condition_id)
+ * @param {string[]} marketIds
+ * @returns {Promise<Object[]>} Matching market rows
+ */
+async function getMarketsByIds(supabase, columns, marketIds) {
+  const byColumn = { id: [], condition_id: [] };
+  for (const marketId of marketIds) {
+    byColumn[marketIdColumn(marketId)].push(String(marketId));
+  }
+
+  const rows = [];
+  for (const [column, ids] of Object.entries(byColumn)) {
+    if (ids.length === 0) continue;
+    const { data, error } = await supabase.from("markets").select(columns).in(column, ids);
+    if (error) {
+      throw error;
+    }
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+/**
+ * Resolve the CLOB token IDs for a market
+ * Reads the synced markets table first, then falls back to the Gamma API
+ * @returns {Promise<{tokenIds: string[], negRisk: boolean, conditionId: string|null, outcomes: string[]}>}
+ */
+async function getMarketTokens(supabase, marketId) {
+  if (supabase) {
+    const { data: market } = await supabase
+      .from("markets")
+      .select("clob_token_ids, neg_risk, condition_id, outcomes")
+      .eq(marketIdColumn(marketId), String(marketId))
+      .limit(1)
+      .maybeSingle();
+
+    const tokenIds = parseJsonArray(market?.clob_token_ids);
+    if (tokenIds.length > 0) {
+      return {
+        tokenIds: tokenIds.map(String),
+        negRisk: market.neg_risk === true,
+        conditionId: market.condition_id || null,
+        outcomes: parseJsonArray(market.outcomes).map(String)
+      };
+    }
+  }
+
+  const market = await fetchGammaMarket(marketId);
+
+  return {
+    tokenIds: parseJsonArray(market?.clobTokenIds).map(String),
+    negRisk: market?.negRisk === true,
+    conditionId: market?.conditionId || null,
+    outcomes: parseJsonArray(market?.outcomes).map(String)
+  };
+}
+
+/**
+ * Work out which outcome an order is for
+ * An explicit outcome_index wins; otherwise `side` is matched against the market's outcome
+ * names (case-insensitive). Binary markets also accept 'yes'/'no' for outcomes 0/1, whatever they're named.
+ * @param {Object} params
+ * @param {number|string} params.outcomeIndex - Requested outcome index (optional)
+ * @param {string} params.side - Outcome name (optional)
+ * @param {string[]} params.outcomes - Outcome names from getMarketTokens
+ * @param {number} params.tokenCount - Number of CLOB tokens in the market
+ * @returns {number} Outcome index, or -1 if it can't be resolved
+ */
+function resolveOutcomeIndex({ outcomeIndex, side, outcomes = [], tokenCount }) {
+  if (outcomeIndex !== undefined && outcomeIndex !== null && outcomeIndex !== '') {
+    const index = Number(outcomeIndex);
+    return Number.isInteger(index) && index >= 0 && index < tokenCount ? index : -1;
+  }
+
+  if (!side) return -1;
+  const wanted = String(side).trim().toLowerCase();
+
+  const named = outcomes.findIndex(outcome => String(outcome).trim().toLowerCase() === wanted);
+  if (named !== -1 && named < tokenCount) return named;
+
+  if (tokenCount === 2) {
+    if (wanted === 'yes') return 0;
+    if (wanted === 'no') return 1;
+  }
+  return -1;
+}
+
+/**
+ * Display name of an outcome, falling back to Yes/No for unnamed binary markets
+ */
+function getOutcomeLabel(outcomes, outcomeIndex) {
+  if (outcomes && outcomes[outcomeIndex]) return String(outcomes[outcomeIndex]);
+  if (outcomeIndex === 0) return 'Yes';
+  if (outcomeIndex === 1) return 'No';
+  return `Outcome ${outcomeIndex}`;
+}
+
+module.exports = {
+  EXCHANGE_ADDRESSES,
+  ORDER_EIP712_TYPES,
+  CLOB_AUTH_DOMAIN,
+  CLOB_AUTH_EIP712_TYPES,
+  CLOB_AUTH_MESSAGE,
+  getClobApiUrl,
+  getExchangeDomain,
+  toBaseUnits,
+  fromBaseUnits,
+  buildSignedOrder,
+  buildL1Headers,
+  buildL2Headers,
+  createOrDeriveApiKey,
+  clobRequest,
+  getPrice,
+  getTickSize,
+  roundToTick,
+  getOrderBook,
+  getRecentTrades,
+  aggregateLevels,
+  quoteFromBook,
+  postOrder,
+  getOrder,
+  cancelOrder,
+  parseOrderFill,
+  parseJsonArray,
+  fetchGammaMarket,
+  marketIdColumn,
+  getMarketsByIds,
+  getMarketTokens,
+  resolveOutcomeIndex,
+  getOutcomeLabel
+};
@@ -0,0 +1,150 @@
+// api/lib/custody.js
+// Custodial key access for server-side trading and key export
+// Loads a user's Polygon key (derived from the HD master seed, or from Vault or encrypted storage) so
+// orders can be signed on their behalf
+
+const { Wallet } = require("@ethersproject/wallet");
+const { Keypair } = require("@solana/web3.js");
+const { base58 } = require("ethers/lib/utils");
+const { getVaultSecret } = require("./vault");
+const { encryptSecret, decryptSecret } = require("./encryption");
+const { createOrDeriveApiKey } = require("./clob");
+const { logSecurityEvent } = require("./logger");
+const { deriveCustodyKey } = require("./hd-wallet");
+
+/**
+ * Load the custodial Polygon wallet for a user
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @returns {Promise<{signer: Wallet, address: string, clobCreds: Object|null, clobRegistered: boolean}>}
+ */
+async function loadPolygonWallet(supabase, userId) {
+  const { data: wallet, error } = await supabase
+    .from("custody_wallets")
+    .select("polygon_address, polygon_secret_enc, polygon_vault_secret_id, clob_api_key_enc, clob_api_secret_enc, clob_api_passphrase_enc, clob_registered, hd_index")
+    .eq("user_id", userId)
+    .single();
+
+  if (error || !wallet || !wallet.polygon_address) {
+    const err = new Error('Trading wallet not found');
+    err.code = 'wallet_not_found';
+    throw err;
+  }
+
+  let privateKey;
+  if (wallet.hd_index !== null && wallet.hd_index !== undefined) {
+    privateKey = (await deriveCustodyKey('polygon', wallet.hd_index, wallet.polygon_address)).privateKey;
+  } else if (wallet.polygon_vault_secret_id) {
+    privateKey = await getVaultSecret(wallet.polygon_vault_secret_id);
+  } else if (wallet.polygon_secret_enc) {
+    privateKey = decryptSecret(wallet.polygon_secret_enc, { userId, column: 'polygon_secret_enc' });
+  } else {
+    const err = new Error('Private key not found for Polygon wallet');
+    err.code = 'key_not_found';
+    throw err;
+  }
+
+  const signer = new Wallet(privateKey);
+
+  // CLOB L2 API credentials (only present once the wallet is registered with the CLOB)
+  let clobCreds = null;
+  if (wallet.clob_api_key_enc && wallet.clob_api_secret_enc && wallet.clob_api_passphrase_enc) {
+    clobCreds = {
+      key: decryptSecret(wallet.clob_api_key_enc, { userId, column: 'clob_api_key_enc' }),
+      secret: decryptSecret(wallet.clob_api_secret_enc, { userId, column: 'clob_api_secret_enc' }),
+      passphrase: decryptSecret(wallet.clob_api_passphrase_enc, { userId, column: 'clob_api_passphrase_enc' })
+    };
+  }
+
+  return {
+    signer,
+    address: signer.address,
+    clobCreds,
+    clobRegistered: Boolean(wallet.clob_registered && clobCreds)
+  };
+}
+
+/**
+ * One-time CLOB registration: derive (or create) the wallet's L2 API key with an L1 signature
+ * and store it encrypted, marking the wallet clob_registered
+ * Already-registered wallets are returned as they are; deriving again yields the same key.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @returns {Promise<{address: string, alreadyRegistered: boolean}>}
+ */
+async function registerClobApiKey(supabase, userId) {
+  const custody = await loadPolygonWallet(supabase, userId);
+  if (custody.clobRegistered) {
+    return { address: custody.address, alreadyRegistered: true };
+  }
+
+  const creds = await createOrDeriveApiKey(custody.signer);
+
+  const { error } = await supabase
+    .from("custody_wallets")
+    .update({
+      clob_api_key_enc: encryptSecret(creds.key, { userId, column: 'clob_api_key_enc' }),
+      clob_api_secret_enc: encryptSecret(creds.secret, { userId, column: 'clob_api_secret_enc' }),
+      clob_api_passphrase_enc: encryptSecret(creds.passphrase, { userId, column: 'clob_api_passphrase_enc' }),
+      clob_registered: true
+    })
+    .eq("user_id", userId);
+
+  if (error) {
+    throw error;
+  }
+
+  logSecurityEvent('clob_api_key_registered', { user_id: userId, address: custody.address });
+
+  return { address: custody.address, alreadyRegistered: false };
+}
+
+/**
+ * Load a user's custodial private key in the form wallets import it, for key export
+ * Polygon: 0x-prefixed hex (MetaMask). Solana: base58 64-byte secret key (Phantom / Solflare).
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @param {string} network - 'polygon' or 'solana'
+ * @returns {Promise<{address: string, privateKey: string}>}
+ */
+async function loadExportableKey(supabase, userId, network) {
+  const { data: wallet, error } = await supabase
+    .from("custody_wallets")
+    .select("polygon_address, polygon_secret_enc, polygon_vault_secret_id, solana_address, solana_secret_enc, solana_vault_secret_id, hd_index")
+    .eq("user_id", userId)
+    .single();
+
+  const address = wallet && (network === 'solana' ? wallet.solana_address : wallet.polygon_address);
+  if (error || !address) {
+    const err = new Error('Wallet not found');
+    err.code = 'wallet_not_found';
+    throw err;
+  }
+
+  const hasHdIndex = wallet.hd_index !== null && wallet.hd_index !== undefined;
+  const vaultSecretId = network === 'solana' ? wallet.solana_vault_secret_id : wallet.polygon_vault_secret_id;
+  const secretColumn = network === 'solana' ? 'solana_secret_enc' : 'polygon_secret_enc';
+  const secretEnc = wallet[secretColumn];
+
+  let key;
+  if (hasHdIndex) {
+    key = await deriveCustodyKey(network, wallet.hd_index, address);
+  } else if (vaultSecretId || secretEnc) {
+    const secret = vaultSecretId ? await getVaultSecret(vaultSecretId) : decryptSecret(secretEnc, { userId, column: secretColumn });
+    key = network === 'solana' ? Keypair.fromSecretKey(Buffer.from(secret, 'base64')) : new Wallet(secret);
+  } else {
+    const err = new Error(`Private key not found for ${network} wallet`);
+    err.code = 'key_not_found';
+    throw err;
+  }
+
+  return network === 'solana'
+    ? { address: key.publicKey.toBase58(), privateKey: base58.encode(key.secretKey) }
+    : { address: key.address, privateKey: key.privateKey };
+}
+
+module.exports = {
+  loadPolygonWallet,
+  loadExportableKey,
+  registerClobApiKey
+};
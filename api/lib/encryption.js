@@ -0,0 +1,365 @@
+// api/lib/encryption.js
+// Envelope encryption for secrets stored in our own tables (custody keys, CLOB credentials, TON sessions)
+//
+// Every record gets its own random 256-bit data key. The data key encrypts the secret with AES-256-GCM
+// and is itself wrapped (AES-256-GCM) by a key-encryption key (KEK), so both layers are authenticated
+// and a tampered ciphertext fails to decrypt instead of returning garbage. Both layers also authenticate
+// the value's place - `<column>:<user_id>` as additional data - so a ciphertext copied into another
+// user's row or another column fails to decrypt too.
+//
+// KEKs come from ENCRYPTION_KEYS=kid1:hex,kid2:hex (the last one is current and used for new records).
+// ENCRYPTION_KEY on its own is the KEK with key ID 'default'.
+//
+// Stored formats (base64 fields, 16-byte tags):
+//   v4:<kid>:<wrap_iv>:<wrapped_data_key>:<wrap_tag>:<iv>:<ciphertext>:<tag>   (bound to column and user)
+//   v3:<kid>:<wrap_iv>:<wrapped_data_key>:<wrap_tag>:<iv>:<ciphertext>:<tag>   (no additional data)
+//   v2:<wrap_iv>:<wrapped_data_key>:<wrap_tag>:<iv>:<ciphertext>:<tag>        (no key ID - 'default' KEK)
+//   <iv hex>:<ciphertext hex>                                                  (legacy AES-256-CBC under 'default')
+// Older formats still decrypt; the rotation job (POST /api/reencrypt-keys) rewrites them as v4 under the
+// current KEK.
+//
+// Key exports handed to users are encrypted to the user's passphrase instead (scrypt + AES-256-GCM), so
+// they can be opened without any of our keys.
+
+const crypto = require("crypto");
+
+const ENCRYPTION_VERSION = 'v4';
+const DEFAULT_KEY_ID = 'default';
+
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const TAG_BYTES = 16;
+
+const KEY_ID_REGEX = /^[A-Za-z0-9_-]{1,32}$/;
+
+function keyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function parseKeyHex(keyId, hex) {
+  const name = keyId === DEFAULT_KEY_ID ? 'ENCRYPTION_KEY' : `ENCRYPTION_KEYS entry '${keyId}'`;
+  if (hex.length !== 64) {
+    throw keyError('ENCRYPTION_KEY_INVALID_LENGTH', `${name} must be exactly 64 hex characters (32 bytes). Generate with: openssl rand -hex 32`);
+  }
+  if (!/^[0-9a-fA-F]+$/.test(hex)) {
+    throw keyError('ENCRYPTION_KEY_INVALID_FORMAT', `${name} must contain only hexadecimal characters (0-9, a-f). Generate with: openssl rand -hex 32`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Key-encryption keys from the environment
+ * CRITICAL: Must be set in production or wallets cannot be decrypted!
+ * Keep every key that still protects a record until a rotation run reports none left under it.
+ * @returns {{keys: Map<string, Buffer>, currentKeyId: string}}
+ */
+function getKeyring() {
+  const keys = new Map();
+  let currentKeyId = null;
+
+  const legacyKey = process.env.ENCRYPTION_KEY || process.env.WALLET_ENCRYPTION_KEY;
+  if (legacyKey) {
+    keys.set(DEFAULT_KEY_ID, parseKeyHex(DEFAULT_KEY_ID, legacyKey));
+    currentKeyId = DEFAULT_KEY_ID;
+  }
+
+  const entries = (process.env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const keyId = separator > 0 ? entry.substring(0, separator) : '';
+    if (!KEY_ID_REGEX.test(keyId)) {
+      throw keyError('ENCRYPTION_KEY_INVALID_FORMAT', 'ENCRYPTION_KEYS must look like kid1:<64 hex>,kid2:<64 hex> (key IDs: letters, digits, - and _)');
+    }
+    keys.set(keyId, parseKeyHex(keyId, entry.substring(separator + 1)));
+    currentKeyId = keyId;
+  }
+
+  if (!currentKeyId) {
+    throw keyError('ENCRYPTION_KEY_MISSING', 'ENCRYPTION_KEY (or ENCRYPTION_KEYS) environment variable is required. Set it in Vercel environment variables.');
+  }
+
+  return { keys, currentKeyId };
+}
+
+function getKek(keyring, keyId) {
+  const kek = keyring.keys.get(keyId);
+  if (!kek) {
+    throw decryptionError(`Encryption key '${keyId}' is not configured`);
+  }
+  return kek;
+}
+
+function gcmEncrypt(key, plaintext, aad = null) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv, { authTagLength: TAG_BYTES });
+  if (aad) cipher.setAAD(aad);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, ciphertext, tag: cipher.getAuthTag() };
+}
+
+function gcmDecrypt(key, iv, ciphertext, tag, aad = null) {
+  // Node accepts truncated tags, which would make forgeries far cheaper
+  if (tag.length !== TAG_BYTES) {
+    throw decryptionError('Encrypted value has an invalid authentication tag');
+  }
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv, { authTagLength: TAG_BYTES });
+  if (aad) decipher.setAAD(aad);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Additional data binding a value to where it is stored
+ * @param {Object} context
+ * @param {string} context.userId - Owner of the row
+ * @param {string} context.column - Column the value lives in (e.g. 'polygon_secret_enc')
+ * @returns {Buffer}
+ */
+function contextAad(context) {
+  const { userId, column } = context || {};
+  if (userId === undefined || userId === null || userId === '' || !column) {
+    throw keyError('ENCRYPTION_CONTEXT_MISSING', 'Encrypted values need the { userId, column } they are stored under');
+  }
+  return Buffer.from(`${column}:${userId}`, 'utf8');
+}
+
+function decryptionError(message) {
+  const err = new Error(message);
+  err.code = 'decryption_failed';
+  return err;
+}
+
+function serialize(keyId, wrapped, sealed) {
+  return [
+    ENCRYPTION_VERSION,
+    keyId,
+    wrapped.iv, wrapped.ciphertext, wrapped.tag,
+    sealed.iv, sealed.ciphertext, sealed.tag
+  ].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+}
+
+/**
+ * Split a stored value into its parts
+ * @returns {Object} { format: 'envelope'|'legacy', keyId, ... }
+ */
+function parseStored(stored) {
+  if (typeof stored !== 'string' || !stored) {
+    throw decryptionError('Nothing to decrypt');
+  }
+
+  const parts = stored.split(':');
+  const toBuffers = fields => fields.map(field => Buffer.from(field, 'base64'));
+
+  if ((parts[0] === 'v4' || parts[0] === 'v3') && parts.length === 8) {
+    const [wrapIv, wrappedKey, wrapTag, iv, ciphertext, tag] = toBuffers(parts.slice(2));
+    return { format: 'envelope', version: parts[0], keyId: parts[1], wrapIv, wrappedKey, wrapTag, iv, ciphertext, tag };
+  }
+  if (parts[0] === 'v2' && parts.length === 7) {
+    const [wrapIv, wrappedKey, wrapTag, iv, ciphertext, tag] = toBuffers(parts.slice(1));
+    return { format: 'envelope', version: 'v2', keyId: DEFAULT_KEY_ID, wrapIv, wrappedKey, wrapTag, iv, ciphertext, tag };
+  }
+  if (parts.length === 2 && /^[0-9a-fA-F]{32}$/.test(parts[0])) {
+    return { format: 'legacy', keyId: DEFAULT_KEY_ID, ivHex: parts[0], encryptedHex: parts[1] };
+  }
+
+  throw decryptionError('Unrecognised encrypted value format');
+}
+
+function unwrapDataKey(keyring, parsed, aad) {
+  try {
+    return gcmDecrypt(getKek(keyring, parsed.keyId), parsed.wrapIv, parsed.wrappedKey, parsed.wrapTag, aad);
+  } catch (err) {
+    if (err.code === 'decryption_failed') throw err;
+    throw decryptionError(`Encrypted value failed authentication (wrong key '${parsed.keyId}', another row or column, or tampered data)`);
+  }
+}
+
+// v2 and v3 envelopes predate the additional data
+function envelopeAad(parsed, context) {
+  return parsed.version === ENCRYPTION_VERSION ? contextAad(context) : null;
+}
+
+/**
+ * Encrypt a secret under a fresh data key, wrapped by the current KEK
+ * @param {string} plaintext - UTF-8 secret
+ * @param {Object} context - { userId, column } the value will be stored under
+ * @returns {string} v4 envelope
+ */
+function encryptSecret(plaintext, context) {
+  const keyring = getKeyring();
+  const aad = contextAad(context);
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+
+  try {
+    const wrapped = gcmEncrypt(keyring.keys.get(keyring.currentKeyId), dataKey, aad);
+    const sealed = gcmEncrypt(dataKey, Buffer.from(String(plaintext), 'utf8'), aad);
+    return serialize(keyring.currentKeyId, wrapped, sealed);
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Decrypt a stored secret (any supported format)
+ * @param {string} stored - Value from an *_enc column
+ * @param {Object} context - { userId, column } it was read from
+ * @returns {string} Plaintext
+ */
+function decryptSecret(stored, context) {
+  const keyring = getKeyring();
+  const parsed = parseStored(stored);
+
+  if (parsed.format === 'legacy') {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-cbc', getKek(keyring, parsed.keyId), Buffer.from(parsed.ivHex, 'hex'));
+      let decrypted = decipher.update(parsed.encryptedHex, 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+      return decrypted;
+    } catch (err) {
+      if (err.code === 'decryption_failed') throw err;
+      throw decryptionError('Legacy encrypted value could not be decrypted (wrong ENCRYPTION_KEY?)');
+    }
+  }
+
+  const aad = envelopeAad(parsed, context);
+  const dataKey = unwrapDataKey(keyring, parsed, aad);
+  try {
+    return gcmDecrypt(dataKey, parsed.iv, parsed.ciphertext, parsed.tag, aad).toString('utf8');
+  } catch (err) {
+    if (err.code === 'decryption_failed') throw err;
+    throw decryptionError('Encrypted value failed authentication (tampered data)');
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Re-wrap a stored secret under the current KEK
+ * v4 envelopes only have their data key re-wrapped (the secret itself is never decrypted);
+ * older formats are decrypted and sealed in a new envelope bound to their place.
+ * @param {string} stored
+ * @param {Object} context - { userId, column } it is stored under
+ * @returns {string} v4 envelope under the current key
+ */
+function rewrapSecret(stored, context) {
+  const keyring = getKeyring();
+  const parsed = parseStored(stored);
+
+  if (parsed.format === 'legacy' || parsed.version !== ENCRYPTION_VERSION) {
+    return encryptSecret(decryptSecret(stored, context), context);
+  }
+
+  const aad = contextAad(context);
+  const dataKey = unwrapDataKey(keyring, parsed, aad);
+  try {
+    const wrapped = gcmEncrypt(keyring.keys.get(keyring.currentKeyId), dataKey, aad);
+    return serialize(keyring.currentKeyId, wrapped, {
+      iv: parsed.iv,
+      ciphertext: parsed.ciphertext,
+      tag: parsed.tag
+    });
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Key ID a stored value is protected by, or null if it isn't one of our formats
+ */
+function getKeyId(stored) {
+  try {
+    return parseStored(stored).keyId;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Whether a stored value is one of our encrypted formats (as opposed to plaintext)
+ */
+function isEncrypted(stored) {
+  return getKeyId(stored) !== null;
+}
+
+/**
+ * Whether a stored value should be rewritten: older format or not under the current KEK
+ */
+function needsReencryption(stored) {
+  if (typeof stored !== 'string' || !stored) return false;
+  return !stored.startsWith(`${ENCRYPTION_VERSION}:${getKeyring().currentKeyId}:`);
+}
+
+const PASSPHRASE_EXPORT_VERSION = 'polygram-export-v1';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+function derivePassphraseKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(String(passphrase).normalize('NFKC'), salt, KEY_BYTES, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Encrypt a secret to a user-supplied passphrase
+ * @param {string} plaintext - Secret to export
+ * @param {string} passphrase - Chosen by the user; never stored
+ * @param {string} label - Authenticated but not encrypted (e.g. 'polygon:0xabc...'), so it can't be swapped
+ * @returns {Object} { version, kdf, kdf_params: { N, r, p, salt }, cipher, label, iv, ciphertext, tag } (base64 fields)
+ */
+function encryptWithPassphrase(plaintext, passphrase, label = '') {
+  const salt = crypto.randomBytes(16);
+  const key = derivePassphraseKey(passphrase, salt, SCRYPT_PARAMS);
+  const iv = crypto.randomBytes(IV_BYTES);
+
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(label, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return {
+    version: PASSPHRASE_EXPORT_VERSION,
+    kdf: 'scrypt',
+    kdf_params: { ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    cipher: CIPHER,
+    label,
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64')
+  };
+}
+
+/**
+ * Open an export made by encryptWithPassphrase
+ * @param {Object} exported - Output of encryptWithPassphrase
+ * @param {string} passphrase
+ * @returns {string}
+ */
+function decryptWithPassphrase(exported, passphrase) {
+  if (!exported || exported.version !== PASSPHRASE_EXPORT_VERSION || exported.kdf !== 'scrypt') {
+    throw decryptionError('Unsupported export format');
+  }
+
+  try {
+    const { N, r, p, salt } = exported.kdf_params;
+    const key = derivePassphraseKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(exported.iv, 'base64'), { authTagLength: TAG_BYTES });
+    decipher.setAAD(Buffer.from(exported.label || '', 'utf8'));
+    decipher.setAuthTag(Buffer.from(exported.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(exported.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  } catch (err) {
+    throw decryptionError('Wrong passphrase or corrupted export');
+  }
+}
+
+module.exports = {
+  ENCRYPTION_VERSION,
+  DEFAULT_KEY_ID,
+  getKeyring,
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  getKeyId,
+  isEncrypted,
+  needsReencryption,
+  encryptWithPassphrase,
+  decryptWithPassphrase
+};
@@ -0,0 +1,300 @@
+// api/lib/gains.js
+// Realized gains for tax reporting: rebuilds share lots from the ledger and pairs every sell and
+// market payout with the lots it closes (FIFO or average cost)
+
+const { buildLedgerQuery, fetchAllPages } = require("./ledger");
+const { csvCell } = require("./statements");
+const { SHARE_EPSILON } = require("./positions");
+
+const GAIN_METHODS = ['fifo', 'average'];
+
+const LONG_TERM_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Load a user's share acquisitions and disposals as one list of events
+ * - Buys: trade debits, sized from their order row (resting orders fill after the entry is written).
+ * - Sells: trade credits with action 'sell', one per fill.
+ * - Payouts: every settled position, including losing ones that paid nothing.
+ * @returns {Promise<{events: Object[], fallbackPrices: Map<string, number>}>}
+ */
+async function loadGainEvents(supabase, userId) {
+  const entries = await fetchAllPages(() => buildLedgerQuery(supabase, userId, { type: 'trade' })
+    .in("status", ["pending", "completed"])
+    .order("created_at", { ascending: true }));
+
+  const orders = await fetchAllPages(() => supabase
+    .from("orders")
+    .select("ledger_entry_id, filled_size, filled_amount_usdc")
+    .eq("user_id", userId)
+    .eq("side", "buy")
+    .not("ledger_entry_id", "is", null)
+    .order("created_at", { ascending: true }));
+
+  const payouts = await fetchAllPages(() => supabase
+    .from("payouts")
+    .select("*")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: true }));
+
+  const { data: positions, error: positionsError } = await supabase
+    .from("positions")
+    .select("clob_token_id, avg_price")
+    .eq("user_id", userId);
+
+  if (positionsError) {
+    throw positionsError;
+  }
+
+  const ordersByEntry = new Map(orders.map(order => [order.ledger_entry_id, order]));
+
+  const events = [];
+
+  for (const entry of entries) {
+    const metadata = entry.metadata || {};
+    if (!metadata.token_id) continue;
+
+    if (entry.direction === 'debit') {
+      const order = ordersByEntry.get(entry.id);
+      const shares = order ? parseFloat(order.filled_size) || 0 : parseFloat(metadata.shares) || 0;
+      const cost = order
+        ? parseFloat(order.filled_amount_usdc) || 0
+        : shares * (parseFloat(metadata.price) || 0);
+      if (shares <= SHARE_EPSILON) continue;
+
+      events.push({
+        kind: 'buy',
+        time: entry.created_at,
+        token_id: String(metadata.token_id),
+        market_id: metadata.market_id || null,
+        outcome: metadata.outcome || metadata.side || null,
+        shares: shares,
+        cost: cost,
+        ref: entry.id
+      });
+    } else if (metadata.action === 'sell') {
+      events.push({
+        kind: 'sell',
+        time: entry.created_at,
+        token_id: String(metadata.token_id),
+        market_id: metadata.market_id || null,
+        outcome: metadata.side || null,
+        shares: parseFloat(metadata.shares) || 0,
+        proceeds: parseFloat(entry.amount) || 0,
+        ref: entry.id
+      });
+    }
+  }
+
+  for (const payout of payouts) {
+    if (!payout.token_id) continue;
+    events.push({
+      kind: 'payout',
+      time: payout.created_at,
+      token_id: String(payout.token_id),
+      market_id: payout.market_id,
+      outcome: null,
+      shares: parseFloat(payout.shares) || 0,
+      proceeds: parseFloat(payout.amount) || 0,
+      ref: payout.id
+    });
+  }
+
+  const fallbackPrices = new Map(
+    (positions || []).map(position => [String(position.clob_token_id), parseFloat(position.avg_price) || 0])
+  );
+
+  return { events, fallbackPrices };
+}
+
+/**
+ * Match disposals to lots and report the ones realized in a given year
+ * @param {Object[]} events - Output of loadGainEvents (any order)
+ * @param {Object} options
+ * @param {string} options.method - 'fifo' or 'average'
+ * @param {number} options.year - Tax year (UTC); null reports every year
+ * @param {Map<string, number>} options.fallbackPrices - Cost per share for shares with no known lot
+ *   (bought before the ledger tracked fills); defaults to 0
+ * @returns {Object} { method, year, summary, disposals }
+ */
+function computeRealizedGains(events, { method = 'fifo', year = null, fallbackPrices = new Map() } = {}) {
+  const order = { buy: 0, sell: 1, payout: 2 };
+  const sorted = [...events].sort((a, b) =>
+    (Date.parse(a.time) - Date.parse(b.time)) || (order[a.kind] - order[b.kind]));
+
+  const lotsByToken = new Map();
+  const disposals = [];
+
+  for (const event of sorted) {
+    if (!lotsByToken.has(event.token_id)) lotsByToken.set(event.token_id, []);
+    const lots = lotsByToken.get(event.token_id);
+
+    if (event.kind === 'buy') {
+      lots.push({ acquired_at: event.time, shares: event.shares, cost: event.cost, ref: event.ref });
+      continue;
+    }
+
+    if (event.shares <= SHARE_EPSILON) continue;
+
+    const matched = method === 'average'
+      ? takeAverage(lots, event.shares)
+      : takeFifo(lots, event.shares);
+
+    // Shares we have no lot for (acquired before fills were tracked)
+    const matchedShares = matched.reduce((sum, lot) => sum + lot.shares, 0);
+    const unmatched = event.shares - matchedShares;
+    if (unmatched > SHARE_EPSILON) {
+      matched.push({
+        acquired_at: null,
+        shares: unmatched,
+        cost_basis: unmatched * (fallbackPrices.get(event.token_id) || 0),
+        ref: null
+      });
+    }
+
+    const disposedAt = Date.parse(event.time);
+    const costBasis = matched.reduce((sum, lot) => sum + lot.cost_basis, 0);
+
+    disposals.push({
+      date: event.time,
+      type: event.kind,
+      market_id: event.market_id,
+      token_id: event.token_id,
+      outcome: event.outcome,
+      shares: round(event.shares),
+      proceeds: round(event.proceeds),
+      cost_basis: round(costBasis),
+      gain: round(event.proceeds - costBasis),
+      ref: event.ref,
+      lots: matched.map(lot => {
+        const proceeds = event.proceeds * (lot.shares / event.shares);
+        const holdingDays = lot.acquired_at ? Math.floor((disposedAt - Date.parse(lot.acquired_at)) / DAY_MS) : null;
+        return {
+          acquired_at: lot.acquired_at,
+          shares: round(lot.shares),
+          cost_basis: round(lot.cost_basis),
+          proceeds: round(proceeds),
+          gain: round(proceeds - lot.cost_basis),
+          holding_days: holdingDays,
+          term: holdingDays === null ? 'unknown' : (holdingDays > LONG_TERM_DAYS ? 'long' : 'short'),
+          ledger_entry_id: lot.ref
+        };
+      })
+    });
+  }
+
+  const inYear = year === null
+    ? disposals
+    : disposals.filter(d => new Date(d.date).getUTCFullYear() === year);
+
+  const summary = { disposals: inYear.length, proceeds: 0, cost_basis: 0, gain: 0, short_term_gain: 0, long_term_gain: 0, unknown_term_gain: 0 };
+  for (const disposal of inYear) {
+    summary.proceeds += disposal.proceeds;
+    summary.cost_basis += disposal.cost_basis;
+    summary.gain += disposal.gain;
+    for (const lot of disposal.lots) {
+      summary[`${lot.term}_term_gain`] += lot.gain;
+    }
+  }
+  for (const key of Object.keys(summary)) {
+    if (key !== 'disposals') summary[key] = round(summary[key]);
+  }
+
+  return { method, year, summary, disposals: inYear };
+}
+
+// Oldest lots first
+function takeFifo(lots, shares) {
+  const matched = [];
+  let remaining = shares;
+
+  while (remaining > SHARE_EPSILON && lots.length > 0) {
+    const lot = lots[0];
+    const taken = Math.min(lot.shares, remaining);
+    const cost = lot.cost * (taken / lot.shares);
+
+    matched.push({ acquired_at: lot.acquired_at, shares: taken, cost_basis: cost, ref: lot.ref });
+
+    lot.shares -= taken;
+    lot.cost -= cost;
+    remaining -= taken;
+    if (lot.shares <= SHARE_EPSILON) lots.shift();
+  }
+
+  return matched;
+}
+
+// Every open lot gives up the same fraction, each at the pool's average cost
+function takeAverage(lots, shares) {
+  const held = lots.reduce((sum, lot) => sum + lot.shares, 0);
+  if (held <= SHARE_EPSILON) return [];
+
+  const totalCost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+  const avgCost = totalCost / held;
+  const fraction = Math.min(1, shares / held);
+
+  const matched = lots.map(lot => {
+    const taken = lot.shares * fraction;
+    const matchedLot = { acquired_at: lot.acquired_at, shares: taken, cost_basis: taken * avgCost, ref: lot.ref };
+    lot.shares -= taken;
+    lot.cost -= lot.cost * fraction;
+    return matchedLot;
+  });
+
+  for (let i = lots.length - 1; i >= 0; i--) {
+    if (lots[i].shares <= SHARE_EPSILON) lots.splice(i, 1);
+  }
+
+  return matched;
+}
+
+/**
+ * One CSV row per disposal and lot it closed
+ */
+function gainsToCsv(report) {
+  const rows = [[
+    'Date Disposed', 'Type', 'Market ID', 'Outcome', 'Token ID', 'Shares',
+    'Date Acquired', 'Cost Basis (USDC)', 'Proceeds (USDC)', 'Gain (USDC)', 'Term', 'Holding Days', 'Method'
+  ]];
+
+  for (const disposal of report.disposals) {
+    for (const lot of disposal.lots) {
+      rows.push([
+        disposal.date,
+        disposal.type,
+        disposal.market_id,
+        disposal.outcome,
+        disposal.token_id,
+        lot.shares,
+        lot.acquired_at,
+        lot.cost_basis.toFixed(6),
+        lot.proceeds.toFixed(6),
+        lot.gain.toFixed(6),
+        lot.term,
+        lot.holding_days,
+        report.method
+      ]);
+    }
+  }
+
+  rows.push([
+    'Total', '', '', '', '', '', '',
+    report.summary.cost_basis.toFixed(6),
+    report.summary.proceeds.toFixed(6),
+    report.summary.gain.toFixed(6),
+    '', '', report.method
+  ]);
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  GAIN_METHODS,
+  loadGainEvents,
+  computeRealizedGains,
+  gainsToCsv
+};
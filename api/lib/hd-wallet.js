@@ -0,0 +1,185 @@
+// api/lib/hd-wallet.js
+// HD custody wallets: every user's Polygon and Solana keys are derived from one BIP-39 master seed
+// (kept in Supabase Vault) and the user's custody_wallets.hd_index, so backing up the seed backs up
+// every wallet created in this mode. Enabled with USE_HD_WALLETS=true.
+//
+// Each user gets their own hardened account, so an exported key (see api/wallet/export-key.js)
+// can't be combined with a parent public key to recover the keys of other users:
+//   Polygon: m/44'/60'/<index>'/0/0   (BIP-44 account per user, secp256k1; restores as Ledger Live accounts)
+//   Solana:  m/44'/501'/<index>'/0'   (SLIP-0010, ed25519 - hardened only; restores in Phantom)
+
+const crypto = require("crypto");
+const { Wallet } = require("@ethersproject/wallet");
+const { Keypair } = require("@solana/web3.js");
+const { HDNode, isValidMnemonic, mnemonicToSeed } = require("ethers/lib/utils");
+const { getVaultSecret } = require("./vault");
+
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * Whether new custody wallets should be derived from the master seed (USE_HD_WALLETS=true)
+ * Existing wallets are always read from wherever their key lives, whatever this returns.
+ * @returns {boolean}
+ */
+function isHdEnabled() {
+  return process.env.USE_HD_WALLETS === 'true';
+}
+
+function hdError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function polygonPath(index) {
+  return `m/44'/60'/${index}'/0/0`;
+}
+
+function solanaPath(index) {
+  return `m/44'/501'/${index}'/0'`;
+}
+
+function assertIndex(index) {
+  if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+    throw hdError('hd_index_invalid', `Invalid HD wallet index: ${index}`);
+  }
+}
+
+/**
+ * Build the derivation root for a mnemonic (does the slow PBKDF2 step once)
+ * @param {string} mnemonic - BIP-39 mnemonic
+ * @returns {{polygon: HDNode, seed: Buffer}}
+ */
+function hdRootFromMnemonic(mnemonic) {
+  const phrase = String(mnemonic || '').trim().split(/\s+/).join(' ');
+  if (!isValidMnemonic(phrase)) {
+    throw hdError('hd_seed_invalid', 'HD master seed is not a valid BIP-39 mnemonic');
+  }
+
+  return {
+    polygon: HDNode.fromMnemonic(phrase),
+    seed: Buffer.from(mnemonicToSeed(phrase).substring(2), 'hex')
+  };
+}
+
+/**
+ * Load the master seed from Vault (HD_MASTER_SEED_SECRET_ID) and build its derivation root
+ * @returns {Promise<{polygon: HDNode, seed: Buffer}>}
+ */
+async function getHdRoot() {
+  const secretId = process.env.HD_MASTER_SEED_SECRET_ID;
+  if (!secretId) {
+    throw hdError('hd_seed_not_configured', 'HD_MASTER_SEED_SECRET_ID is not set');
+  }
+
+  return hdRootFromMnemonic(await getVaultSecret(secretId));
+}
+
+/**
+ * SLIP-0010 ed25519 derivation (every level is hardened)
+ * @param {Buffer} seed - BIP-39 seed
+ * @param {string} path - e.g. "m/44'/501'/0'/0'"
+ * @returns {Buffer} 32-byte private key
+ */
+function deriveEd25519Key(seed, path) {
+  let digest = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+  let key = digest.subarray(0, 32);
+  let chainCode = digest.subarray(32);
+
+  for (const segment of path.split('/').slice(1)) {
+    if (!segment.endsWith("'")) {
+      throw hdError('hd_path_invalid', 'ed25519 derivation only supports hardened indexes');
+    }
+    const index = Buffer.alloc(4);
+    index.writeUInt32BE(parseInt(segment, 10) + HARDENED_OFFSET);
+
+    digest = crypto.createHmac('sha512', chainCode)
+      .update(Buffer.concat([Buffer.alloc(1, 0), key, index]))
+      .digest();
+    key = digest.subarray(0, 32);
+    chainCode = digest.subarray(32);
+  }
+
+  return Buffer.from(key);
+}
+
+/**
+ * @param {{polygon: HDNode}} root - Output of getHdRoot / hdRootFromMnemonic
+ * @param {number} index - custody_wallets.hd_index
+ * @returns {Wallet}
+ */
+function derivePolygonWallet(root, index) {
+  assertIndex(index);
+  return new Wallet(root.polygon.derivePath(polygonPath(index)).privateKey);
+}
+
+/**
+ * @param {{seed: Buffer}} root - Output of getHdRoot / hdRootFromMnemonic
+ * @param {number} index - custody_wallets.hd_index
+ * @returns {Keypair}
+ */
+function deriveSolanaKeypair(root, index) {
+  assertIndex(index);
+  return Keypair.fromSeed(deriveEd25519Key(root.seed, solanaPath(index)));
+}
+
+/**
+ * Compare a custody_wallets row against the addresses its hd_index derives to
+ * @param {Object} root - Output of getHdRoot / hdRootFromMnemonic
+ * @param {{user_id: string, hd_index: number, polygon_address: string, solana_address: string}} row
+ * @returns {Array<{user_id, hd_index, network, expected, stored}>} Empty when both addresses match
+ */
+function compareHdWallet(root, row) {
+  const expected = {
+    polygon: derivePolygonWallet(root, row.hd_index).address.toLowerCase(),
+    solana: deriveSolanaKeypair(root, row.hd_index).publicKey.toBase58()
+  };
+  const stored = {
+    polygon: row.polygon_address ? row.polygon_address.toLowerCase() : null,
+    solana: row.solana_address || null
+  };
+
+  return ['polygon', 'solana']
+    .filter(network => expected[network] !== stored[network])
+    .map(network => ({
+      user_id: row.user_id,
+      hd_index: row.hd_index,
+      network,
+      expected: expected[network],
+      stored: stored[network]
+    }));
+}
+
+/**
+ * Derive a user's custodial key and make sure it is the one on record
+ * A different seed in Vault would otherwise sign with keys that hold nothing.
+ * @param {string} network - 'polygon' or 'solana'
+ * @param {number} index - custody_wallets.hd_index
+ * @param {string} expectedAddress - The stored address for that network
+ * @returns {Promise<Wallet|Keypair>}
+ */
+async function deriveCustodyKey(network, index, expectedAddress) {
+  const root = await getHdRoot();
+  const key = network === 'solana' ? deriveSolanaKeypair(root, index) : derivePolygonWallet(root, index);
+  const address = network === 'solana' ? key.publicKey.toBase58() : key.address.toLowerCase();
+  const expected = network === 'solana' ? expectedAddress : String(expectedAddress || '').toLowerCase();
+
+  if (address !== expected) {
+    throw hdError('hd_address_mismatch', `Derived ${network} address does not match wallet ${index}`);
+  }
+
+  return key;
+}
+
+module.exports = {
+  isHdEnabled,
+  polygonPath,
+  solanaPath,
+  hdRootFromMnemonic,
+  getHdRoot,
+  deriveEd25519Key,
+  derivePolygonWallet,
+  deriveSolanaKeypair,
+  compareHdWallet,
+  deriveCustodyKey
+};
@@ -3,98 +3,480 @@
 // Utility functions for creating and updating ledger entries
 
 const { createClient } = require("@supabase/supabase-js");
+const crypto = require("crypto");
+
+const PAGE_SIZE = 1000;
 
 /**
- * Create a ledger entry for any transaction type
- * @param {Object} params - Ledger entry parameters
- * @returns {Promise<string>} Ledger entry ID
+ * Move money: check funds, update usdc_available and write the ledger row in one transaction
+ * Runs apply_balance_change (supabase-atomic-balance.sql). There is no read-then-write fallback -
+ * if the function is missing the call fails rather than risk an overdraft.
+ * @param {Object} params - user_id, entry_type, amount, currency, direction ('credit' or 'debit'),
+ *   status (default 'completed'), metadata, deposit_id, withdrawal_id, trade_id
+ * @returns {Promise<{entryId: string, balanceBefore: number, balanceAfter: number}>}
+ * @throws {Error} err.code 'insufficient_balance' when a debit exceeds usdc_available,
+ *   'duplicate_entry' when the deposit was already credited
  */
-async function createLedgerEntry(params) {
+async function applyBalanceChange(params) {
   const {
     user_id,
     entry_type,
     amount,
     currency = 'USDC',
     direction, // 'credit' or 'debit'
-    status = 'pending',
+    status = 'completed',
     metadata = {},
     deposit_id = null,
     withdrawal_id = null,
     trade_id = null
   } = params;
 
-  const SUPABASE_URL = process.env.SUPABASE_URL;
-  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-  
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-    throw new Error('Supabase not configured');
+  const supabase = getServiceClient();
+
+  const { data, error } = await supabase.rpc('apply_balance_change', {
+    p_user_id: user_id,
+    p_entry_type: entry_type,
+    p_amount: amount,
+    p_direction: direction,
+    p_status: status,
+    p_metadata: metadata,
+    p_currency: currency,
+    p_deposit_id: deposit_id,
+    p_withdrawal_id: withdrawal_id,
+    p_trade_id: trade_id
+  });
+
+  if (error) {
+    throw toBalanceError(error);
   }
 
-  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+  return {
+    entryId: data.entry_id,
+    balanceBefore: parseFloat(data.balance_before),
+    balanceAfter: parseFloat(data.balance_after)
+  };
+}
 
-  try {
-    // Use the database function for consistency
-    const { data, error } = await supabase.rpc('create_ledger_entry', {
-      p_user_id: user_id,
-      p_entry_type: entry_type,
-      p_amount: amount,
-      p_currency: currency,
-      p_direction: direction,
-      p_status: status,
-      p_metadata: metadata,
-      p_deposit_id: deposit_id,
-      p_withdrawal_id: withdrawal_id,
-      p_trade_id: trade_id
+/**
+ * Epic 6.4: Hold funds for a pending trade, resting order or withdrawal
+ * Moves the amount from usdc_available into usdc_locked and writes a pending debit whose
+ * locked_amount tracks what is still held. Finish it with consumeReservedFunds / releaseReservedFunds.
+ * @param {Object} params - Same fields as applyBalanceChange (direction and status are fixed)
+ * @returns {Promise<{entryId: string, balanceBefore: number, balanceAfter: number}>}
+ * @throws {Error} err.code 'insufficient_balance' when the amount exceeds usdc_available
+ */
+async function reserveFunds(params) {
+  const {
+    user_id,
+    entry_type,
+    amount,
+    currency = 'USDC',
+    metadata = {},
+    withdrawal_id = null,
+    trade_id = null
+  } = params;
+
+  const supabase = getServiceClient();
+
+  const { data, error } = await supabase.rpc('reserve_funds', {
+    p_user_id: user_id,
+    p_entry_type: entry_type,
+    p_amount: amount,
+    p_metadata: metadata,
+    p_currency: currency,
+    p_withdrawal_id: withdrawal_id,
+    p_trade_id: trade_id
+  });
+
+  if (error) {
+    throw toBalanceError(error);
+  }
+
+  return {
+    entryId: data.entry_id,
+    balanceBefore: parseFloat(data.balance_before),
+    balanceAfter: parseFloat(data.balance_after)
+  };
+}
+
+/**
+ * Spend reserved funds: they leave usdc_locked for good
+ * The reservation's ledger entry is completed once nothing is left locked.
+ * @param {string} entryId - Reservation ledger entry ID
+ * @param {Object} options
+ * @param {number} options.amount - Amount spent (default: everything still locked)
+ * @param {string} options.txHash - Transaction hash to record on completion (optional)
+ * @returns {Promise<{consumed: number, lockedRemaining: number}>}
+ */
+async function consumeReservedFunds(entryId, { amount = null, txHash = null } = {}) {
+  const supabase = getServiceClient();
+
+  const { data, error } = await supabase.rpc('consume_reserved_funds', {
+    p_entry_id: entryId,
+    p_amount: amount
+  });
+
+  if (error) {
+    throw toBalanceError(error);
+  }
+
+  const result = {
+    consumed: parseFloat(data.consumed) || 0,
+    lockedRemaining: parseFloat(data.locked_remaining) || 0
+  };
+
+  if (result.consumed > 0 && result.lockedRemaining <= 0) {
+    await updateLedgerEntryStatus(entryId, 'completed', txHash);
+  }
+
+  return result;
+}
+
+/**
+ * Return reserved funds to usdc_available
+ * An untouched reservation that is returned whole gets the given status ('cancelled' or 'failed');
+ * the unused remainder of a partly spent one is written as its own credit and the original
+ * debit is completed.
+ * @param {string} entryId - Reservation ledger entry ID
+ * @param {Object} options
+ * @param {number} options.amount - Amount to return (default: everything still locked)
+ * @param {string} options.status - Status for a reservation returned whole
+ * @param {string} options.errorMessage - Why it was returned (optional)
+ * @param {Object} options.metadata - Metadata for the remainder's credit entry
+ * @returns {Promise<{released: number, creditEntryId: string|null, lockedRemaining: number}>}
+ */
+async function releaseReservedFunds(entryId, { amount = null, status = 'cancelled', errorMessage = null, metadata = {} } = {}) {
+  const supabase = getServiceClient();
+
+  const { data, error } = await supabase.rpc('release_reserved_funds', {
+    p_entry_id: entryId,
+    p_amount: amount,
+    p_metadata: metadata
+  });
+
+  if (error) {
+    throw toBalanceError(error);
+  }
+
+  const result = {
+    released: parseFloat(data.released) || 0,
+    creditEntryId: data.credit_entry_id || null,
+    lockedRemaining: parseFloat(data.locked_remaining) || 0
+  };
+
+  if (result.released > 0 && result.lockedRemaining <= 0) {
+    if (result.creditEntryId) {
+      await updateLedgerEntryStatus(entryId, 'completed');
+    } else {
+      await updateLedgerEntryStatus(entryId, status, null, errorMessage);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build the ledger_entries query for one user's history
+ * Shared by /api/ledger/history and /api/ledger/verify so both read the same rows.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @param {Object} filters
+ * @param {string} filters.type - entry_type (optional)
+ * @param {string} filters.status - status (optional)
+ * @param {string} filters.startDate - Earliest created_at (optional)
+ * @param {string} filters.endDate - Latest created_at (optional)
+ * @param {Object} options - Passed to select() (e.g. { count: 'exact', head: true })
+ */
+function buildLedgerQuery(supabase, userId, { type = null, status = null, startDate = null, endDate = null } = {}, options = undefined) {
+  let query = supabase
+    .from("ledger_entries")
+    .select("*", options)
+    .eq("user_id", userId);
+
+  if (type) {
+    query = query.eq("entry_type", type);
+  }
+
+  if (status) {
+    query = query.eq("status", status);
+  }
+
+  if (startDate) {
+    query = query.gte("created_at", startDate);
+  }
+
+  if (endDate) {
+    query = query.lte("created_at", endDate);
+  }
+
+  return query;
+}
+
+/**
+ * Read every row of a query page by page (PostgREST caps a single response)
+ * Used by statements, gains and reconciliation, which all need a user's whole history.
+ * @param {Function} buildQuery - Returns a fresh, ordered query (called once per page)
+ * @returns {Promise<Array>} All rows
+ */
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      throw error;
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Epic 6.6: Canonical form of a ledger entry for the hash chain
+ * Must match ledger_entry_canonical() in supabase-ledger-hash-chain.sql.
+ */
+function canonicalLedgerEntry(entry) {
+  const amount = (value) => value === null || value === undefined ? '' : Number(value).toFixed(6);
+  return [
+    'v1',
+    String(entry.chain_index),
+    entry.id,
+    entry.user_id,
+    entry.entry_type,
+    entry.direction,
+    amount(entry.amount),
+    entry.currency || '',
+    amount(entry.balance_before),
+    amount(entry.balance_after),
+    entry.deposit_id || '',
+    entry.withdrawal_id || '',
+    String(Date.parse(entry.created_at)),
+    entry.prev_hash || ''
+  ].join('|');
+}
+
+function hashLedgerEntry(entry) {
+  return crypto.createHash('sha256').update(canonicalLedgerEntry(entry), 'utf8').digest('hex');
+}
+
+// Fields that change as a transaction progresses, kept in ledger_entry_changes
+function trackedLedgerFields(row) {
+  const amount = (value) => value === null || value === undefined ? '' : Number(value).toFixed(6);
+  return [
+    row.status || '',
+    row.trade_id || '',
+    amount(row.locked_amount),
+    row.source_tx_hash || '',
+    row.destination_tx_hash || '',
+    row.bridge_tx_hash || ''
+  ];
+}
+
+/**
+ * Canonical form of a ledger_entry_changes row for the change chain
+ * Must match ledger_change_canonical() in supabase-ledger-hash-chain.sql.
+ */
+function canonicalLedgerChange(change) {
+  return [
+    'v1',
+    String(change.change_index),
+    change.entry_id,
+    change.user_id,
+    change.old_status || '',
+    ...trackedLedgerFields(change),
+    String(Date.parse(change.changed_at)),
+    change.prev_hash || ''
+  ].join('|');
+}
+
+function hashLedgerChange(change) {
+  return crypto.createHash('sha256').update(canonicalLedgerChange(change), 'utf8').digest('hex');
+}
+
+/**
+ * Walk a user's change history and collect the latest change per entry
+ * @returns {Promise<Object>} { checked, headHash, latest: Map(entry_id -> change), brokenLink }
+ */
+async function walkLedgerChanges(supabase, userId) {
+  const latest = new Map();
+  let expectedIndex = 1;
+  let prevHash = '';
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: changes, error } = await supabase
+      .from("ledger_entry_changes")
+      .select("*")
+      .eq("user_id", userId)
+      .order("change_index", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const change of changes || []) {
+      const index = Number(change.change_index);
+      let reason = null;
+
+      if (index !== expectedIndex) {
+        reason = 'missing_change';
+      } else if ((change.prev_hash || '') !== prevHash) {
+        reason = 'change_prev_hash_mismatch';
+      } else if (hashLedgerChange(change) !== change.change_hash) {
+        reason = 'change_hash_mismatch';
+      }
+
+      if (reason) {
+        return {
+          checked: expectedIndex - 1,
+          headHash: prevHash || null,
+          latest,
+          brokenLink: {
+            reason,
+            change_index: index,
+            expected_change_index: expectedIndex,
+            entry_id: change.entry_id,
+            changed_at: change.changed_at
+          }
+        };
+      }
+
+      latest.set(change.entry_id, change);
+      expectedIndex++;
+      prevHash = change.change_hash;
+    }
+
+    if (!changes || changes.length < PAGE_SIZE) break;
+  }
+
+  return { checked: expectedIndex - 1, headHash: prevHash || null, latest, brokenLink: null };
+}
+
+/**
+ * Walk a user's ledger hash chain from the first entry and report the first broken link
+ * A link is broken when an entry's contents no longer match its hash, when it doesn't point at
+ * the previous entry's hash, or when an entry is missing from the sequence. The change history
+ * is walked the same way first, and each entry's status, trade_id, locked_amount and tx hashes
+ * must match its latest change.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { valid, entries_checked, changes_checked, unchained_entries, head_hash,
+ *   change_head_hash, broken_link }
+ */
+async function verifyLedgerChain(supabase, userId) {
+  const history = await walkLedgerChanges(supabase, userId);
+  const result = (fields) => ({
+    changes_checked: history.checked,
+    change_head_hash: history.headHash,
+    ...fields
+  });
+
+  if (history.brokenLink) {
+    return result({
+      valid: false,
+      entries_checked: 0,
+      unchained_entries: await countUnchainedEntries(supabase, userId),
+      head_hash: null,
+      broken_link: history.brokenLink
     });
+  }
+
+  let expectedIndex = 1;
+  let prevHash = '';
+  let checked = 0;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data: entries, error } = await buildLedgerQuery(supabase, userId)
+      .not("chain_index", "is", null)
+      .order("chain_index", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
 
     if (error) {
-      // If RPC fails, try direct insert
-      console.warn('[ledger] RPC function not available, using direct insert');
-      
-      // Get current balance
-      const { data: balance } = await supabase
-        .from("user_balances")
-        .select("usdc_available")
-        .eq("user_id", user_id)
-        .single();
-
-      const balanceBefore = balance?.usdc_available || 0;
-      const balanceAfter = direction === 'credit' 
-        ? balanceBefore + amount 
-        : balanceBefore - amount;
-
-      const { data: entry, error: insertError } = await supabase
-        .from("ledger_entries")
-        .insert({
-          user_id,
-          entry_type,
-          amount,
-          currency,
-          direction,
-          status,
-          metadata,
-          deposit_id,
-          withdrawal_id,
-          trade_id,
-          balance_before: balanceBefore,
-          balance_after: balanceAfter
-        })
-        .select("id")
-        .single();
-
-      if (insertError) {
-        throw insertError;
+      throw error;
+    }
+
+    for (const entry of entries || []) {
+      const index = Number(entry.chain_index);
+      const lastChange = history.latest.get(entry.id);
+      let reason = null;
+
+      if (index !== expectedIndex) {
+        reason = 'missing_entry';
+      } else if ((entry.prev_hash || '') !== prevHash) {
+        reason = 'prev_hash_mismatch';
+      } else if (hashLedgerEntry(entry) !== entry.entry_hash) {
+        reason = 'hash_mismatch';
+      } else if (!lastChange) {
+        reason = 'missing_history';
+      } else if (trackedLedgerFields(entry).join('|') !== trackedLedgerFields(lastChange).join('|')) {
+        reason = 'status_mismatch';
+      }
+
+      if (reason) {
+        return result({
+          valid: false,
+          entries_checked: checked,
+          unchained_entries: await countUnchainedEntries(supabase, userId),
+          head_hash: prevHash || null,
+          broken_link: {
+            reason,
+            chain_index: index,
+            expected_chain_index: expectedIndex,
+            entry_id: entry.id,
+            created_at: entry.created_at
+          }
+        });
       }
 
-      return entry.id;
+      checked++;
+      expectedIndex++;
+      prevHash = entry.entry_hash;
     }
 
-    return data;
+    if (!entries || entries.length < PAGE_SIZE) break;
+  }
+
+  const unchained = await countUnchainedEntries(supabase, userId);
 
-  } catch (err) {
-    console.error("[ledger] Error creating ledger entry:", err);
-    throw err;
+  return result({
+    valid: unchained === 0,
+    entries_checked: checked,
+    unchained_entries: unchained,
+    head_hash: prevHash || null,
+    broken_link: unchained === 0 ? null : { reason: 'unchained_entries' }
+  });
+}
+
+// Rows without a chain position were inserted around the trigger (or had it cleared)
+async function countUnchainedEntries(supabase, userId) {
+  const { count, error } = await buildLedgerQuery(supabase, userId, {}, { count: 'exact', head: true })
+    .is("chain_index", null);
+
+  if (error) {
+    throw error;
   }
+  return count || 0;
+}
+
+function getServiceClient() {
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    throw new Error('Supabase not configured');
+  }
+
+  return createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+}
+
+// RAISE EXCEPTION messages from the balance functions are prefixed with a code
+// A unique violation is the one-credit-per-deposit index (the whole change was rolled back)
+function toBalanceError(error) {
+  const err = new Error(error.message || 'Balance change failed');
+  const match = /^(insufficient_balance|invalid_amount|invalid_direction|reservation_not_found):/.exec(error.message || '');
+  err.code = error.code === '23505' ? 'duplicate_entry' : match ? match[1] : 'balance_change_failed';
+  err.details = error;
+  return err;
 }
 
 /**
@@ -166,6 +548,16 @@ async function updateLedgerEntryStatus(entryId, status, txHash = null, errorMess
 }
 
 module.exports = {
-  createLedgerEntry,
-  updateLedgerEntryStatus
+  applyBalanceChange,
+  reserveFunds,
+  consumeReservedFunds,
+  releaseReservedFunds,
+  updateLedgerEntryStatus,
+  buildLedgerQuery,
+  fetchAllPages,
+  canonicalLedgerEntry,
+  hashLedgerEntry,
+  canonicalLedgerChange,
+  hashLedgerChange,
+  verifyLedgerChain
 };
@@ -0,0 +1,597 @@
+// api/lib/orders.js
+// Order book-keeping for CLOB orders placed through /api/trade
+// Tracks fill state for resting (GTC/GTD) orders and returns unused USDC once an order is done
+
+const { getOrder } = require("./clob");
+const { applyBalanceChange, consumeReservedFunds, releaseReservedFunds } = require("./ledger");
+const { logError, logTransaction, logSecurityEvent } = require("./logger");
+const { getPosition, addShares, returnShares, realizePnl } = require("./positions");
+
+const ORDER_TYPES = ['market', 'limit'];
+const TIME_IN_FORCE = ['GTC', 'GTD', 'FOK'];
+
+const ORDER_STATUSES = {
+  OPEN: 'open',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+const TERMINAL_STATUSES = [ORDER_STATUSES.FILLED, ORDER_STATUSES.CANCELLED, ORDER_STATUSES.EXPIRED];
+
+// Work a placement couldn't finish, left on orders.pending_reconciliation for the reconciliation job
+const RECONCILE_ACTIONS = {
+  SELL_CREDIT: 'sell_credit', // The proceeds of the placement fill were never credited
+  BUY_RESERVATION: 'buy_reservation' // The buy's reservation was never brought in line with its fill
+};
+
+// Flagged orders retried per reconciliation run
+const RECONCILE_BATCH_SIZE = 100;
+
+// Polymarket only expires GTD orders one minute after the requested time
+const GTD_SECURITY_THRESHOLD_SECONDS = 60;
+
+// Ignore dust left over from 6-decimal rounding
+const AMOUNT_EPSILON = 0.000001;
+
+function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Parse a GTD expiry given as unix seconds, unix milliseconds or an ISO string
+ * @returns {Date|null}
+ */
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let ms;
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const numeric = Number(value);
+    ms = numeric < 1e12 ? numeric * 1000 : numeric;
+  } else {
+    ms = Date.parse(value);
+  }
+
+  return isNaN(ms) ? null : new Date(ms);
+}
+
+/**
+ * Work out our order status from the CLOB state
+ * @param {Object} params
+ * @param {number} params.size - Shares requested
+ * @param {number} params.filledSize - Shares filled so far
+ * @param {string} params.clobStatus - Status reported by the CLOB (live, matched, canceled, ...)
+ * @param {string|Date} params.expiresAt - GTD expiry (optional)
+ * @returns {string} One of ORDER_STATUSES
+ */
+function deriveOrderStatus({ size, filledSize = 0, clobStatus, expiresAt = null, now = Date.now() }) {
+  const clob = String(clobStatus || '').toLowerCase();
+  const expired = expiresAt ? new Date(expiresAt).getTime() <= now : false;
+
+  if (filledSize >= size - AMOUNT_EPSILON || (clob === 'matched' && filledSize > 0)) {
+    return ORDER_STATUSES.FILLED;
+  }
+
+  if (clob.startsWith('cancel') || clob === 'unmatched') {
+    return expired ? ORDER_STATUSES.EXPIRED : ORDER_STATUSES.CANCELLED;
+  }
+
+  if (expired) {
+    return ORDER_STATUSES.EXPIRED;
+  }
+
+  return filledSize > 0 ? ORDER_STATUSES.PARTIALLY_FILLED : ORDER_STATUSES.OPEN;
+}
+
+/**
+ * Insert a new order row
+ * @returns {Promise<Object>} The stored order
+ */
+async function recordOrder(supabase, fields) {
+  const { data: order, error } = await supabase
+    .from("orders")
+    .insert(fields)
+    .select("*")
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return order;
+}
+
+/**
+ * Credit the proceeds of a sell fill and realize PnL against the position's average price
+ * The credit goes first: once it is in, a failure to update the position's realized PnL is only
+ * logged, so callers can treat an error as "nothing was credited" and retry.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} order - Order row (or the same fields for an order being placed)
+ * @param {Object} fill
+ * @param {number} fill.shares - Shares sold in this fill
+ * @param {number} fill.amount - USDC received
+ * @returns {Promise<{ledgerEntryId: string, realizedPnl: number|null}>}
+ */
+async function creditSellProceeds(supabase, order, { shares, amount, transactionHashes = [] }) {
+  const position = await getPosition(supabase, order.user_id, order.token_id);
+  const avgPrice = position ? parseFloat(position.avg_price) || 0 : null;
+  const realizedPnl = position ? amount - shares * avgPrice : null;
+
+  const { entryId: ledgerEntryId } = await applyBalanceChange({
+    user_id: order.user_id,
+    entry_type: 'trade',
+    amount: amount,
+    currency: 'USDC',
+    direction: 'credit',
+    status: 'completed',
+    metadata: {
+      action: 'sell',
+      market_id: order.market_id,
+      side: order.outcome_side,
+      outcome_index: order.outcome_index,
+      token_id: order.token_id,
+      order_id: order.id || null,
+      clob_order_id: order.clob_order_id,
+      shares: shares,
+      price: shares > 0 ? amount / shares : null,
+      avg_price: avgPrice,
+      realized_pnl: realizedPnl,
+      transaction_hashes: transactionHashes
+    },
+    trade_id: order.clob_order_id
+  });
+
+  if (position) {
+    try {
+      await realizePnl(supabase, position, shares, amount);
+    } catch (pnlError) {
+      logError('Failed to record realized PnL', pnlError, {
+        operation: 'position_realize_pnl',
+        user_id: order.user_id,
+        token_id: order.token_id,
+        ledger_entry_id: ledgerEntryId
+      });
+    }
+  }
+
+  logTransaction('trade_sold', {
+    user_id: order.user_id,
+    clob_order_id: order.clob_order_id,
+    shares: shares,
+    amount: amount,
+    realized_pnl: realizedPnl,
+    ledger_entry_id: ledgerEntryId
+  });
+
+  return { ledgerEntryId, realizedPnl };
+}
+
+/**
+ * Bring a buy's reservation in line with what the exchange reported at placement
+ * Steps run in order and each is dropped once done, so a retry picks up where the last attempt stopped.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} ledgerEntryId - The buy's reservation
+ * @param {Object} steps
+ * @param {Object} steps.entry - { trade_id, metadata } to record on the reservation (optional)
+ * @param {number} steps.consume - USDC the fill spent (optional)
+ * @returns {Promise<{pending: Object|null, error: Error|null}>} The steps still to do if one failed
+ */
+async function applyBuyReservation(supabase, ledgerEntryId, steps) {
+  const pending = { ...steps };
+
+  try {
+    if (pending.entry) {
+      const { error } = await supabase
+        .from("ledger_entries")
+        .update(pending.entry)
+        .eq("id", ledgerEntryId);
+      if (error) {
+        throw error;
+      }
+      delete pending.entry;
+    }
+
+    if (pending.consume > AMOUNT_EPSILON) {
+      await consumeReservedFunds(ledgerEntryId, { amount: pending.consume });
+    }
+    delete pending.consume;
+  } catch (err) {
+    return { pending, error: err };
+  }
+
+  return { pending: null, error: null };
+}
+
+/**
+ * Apply the effects of new fills on a resting order
+ * Buys spend USDC locked at placement and add shares; sells had their shares reserved and credit USDC.
+ */
+async function applyOrderFill(supabase, order, { shares, amount }) {
+  if (shares <= AMOUNT_EPSILON) return;
+
+  if (order.side === 'sell') {
+    await creditSellProceeds(supabase, order, { shares, amount });
+    return;
+  }
+
+  if (order.ledger_entry_id) {
+    await consumeReservedFunds(order.ledger_entry_id, { amount });
+  }
+
+  await addShares(supabase, {
+    userId: order.user_id,
+    marketId: order.market_id,
+    tokenId: order.token_id,
+    outcomeIndex: order.outcome_index,
+    side: order.outcome_side,
+    shares,
+    price: amount / shares,
+    ledgerEntryId: order.ledger_entry_id
+  });
+}
+
+/**
+ * Release whatever an order committed but did not use
+ * Called once an order reaches a terminal state. Buys unlock the USDC still held by their
+ * reservation (an order that never filled has its ledger entry cancelled); sells return unsold shares.
+ */
+async function settleOrder(supabase, order) {
+  if (order.side === 'sell') {
+    const unsold = Math.max(0, (parseFloat(order.size) || 0) - (parseFloat(order.filled_size) || 0));
+    if (unsold > AMOUNT_EPSILON) {
+      await returnShares(supabase, order.user_id, order.token_id, unsold);
+      logTransaction('order_shares_released', {
+        user_id: order.user_id,
+        order_id: order.id,
+        status: order.status,
+        shares: unsold
+      });
+    }
+    return 0;
+  }
+
+  // A reservation still waiting on the reconciliation job is settled by its retry
+  if (!order.ledger_entry_id || order.pending_reconciliation) {
+    return 0;
+  }
+
+  const { released } = await releaseReservedFunds(order.ledger_entry_id, {
+    status: 'cancelled',
+    errorMessage: order.status === ORDER_STATUSES.FILLED ? null : `Order ${order.status}`,
+    metadata: {
+      reason: order.status === ORDER_STATUSES.FILLED ? 'price_improvement' : `order_${order.status}`,
+      order_id: order.id,
+      clob_order_id: order.clob_order_id,
+      market_id: order.market_id,
+      outcome_index: order.outcome_index,
+      token_id: order.token_id
+    }
+  });
+
+  if (released <= AMOUNT_EPSILON) {
+    return 0;
+  }
+
+  logTransaction('order_funds_released', {
+    user_id: order.user_id,
+    order_id: order.id,
+    status: order.status,
+    amount: released
+  });
+
+  return released;
+}
+
+/**
+ * Persist new fill state for an order, applying new fills and settling it if it just became terminal
+ * @returns {Promise<Object>} The updated order
+ */
+async function applyOrderUpdate(supabase, order, { filledSize, filledAmount, status }) {
+  const now = new Date().toISOString();
+  const changes = {
+    filled_size: filledSize,
+    filled_amount_usdc: filledAmount,
+    avg_fill_price: filledSize > 0 ? filledAmount / filledSize : null,
+    status
+  };
+
+  if (status === ORDER_STATUSES.FILLED && !order.filled_at) {
+    changes.filled_at = now;
+  }
+  if ((status === ORDER_STATUSES.CANCELLED || status === ORDER_STATUSES.EXPIRED) && !order.cancelled_at) {
+    changes.cancelled_at = now;
+  }
+
+  // Only apply on top of the state we read, so concurrent refreshes can't apply a fill or settle twice
+  const { data: updated, error } = await supabase
+    .from("orders")
+    .update(changes)
+    .eq("id", order.id)
+    .eq("status", order.status)
+    .eq("filled_size", order.filled_size)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!updated) {
+    const { data: current } = await supabase
+      .from("orders")
+      .select("*")
+      .eq("id", order.id)
+      .single();
+    return current || order;
+  }
+
+  const previousSize = parseFloat(order.filled_size) || 0;
+  const previousAmount = parseFloat(order.filled_amount_usdc) || 0;
+  await applyOrderFill(supabase, updated, {
+    shares: filledSize - previousSize,
+    amount: filledAmount - previousAmount
+  });
+
+  if (!isTerminalStatus(order.status) && isTerminalStatus(status)) {
+    await settleOrder(supabase, updated);
+  }
+
+  return updated;
+}
+
+/**
+ * Refresh a resting order from the CLOB
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} order - Order row
+ * @param {Object} custody - Output of loadPolygonWallet
+ * @param {Object} options
+ * @param {boolean} options.cancelled - The order was just cancelled by the user
+ * @returns {Promise<Object>} The (possibly updated) order
+ */
+async function syncOrder(supabase, order, custody, { cancelled = false } = {}) {
+  if (isTerminalStatus(order.status) || !order.clob_order_id) {
+    return order;
+  }
+
+  const clobOrder = await getOrder(order.clob_order_id, {
+    creds: custody.clobCreds,
+    address: custody.address
+  });
+
+  const previousSize = parseFloat(order.filled_size) || 0;
+  const previousAmount = parseFloat(order.filled_amount_usdc) || 0;
+  const sizeMatched = Math.max(previousSize, parseFloat(clobOrder.size_matched) || 0);
+  const matchPrice = parseFloat(clobOrder.price) || parseFloat(order.limit_price) || 0;
+
+  // New fills are valued at the order's price; fills reported at placement keep their actual cost
+  const filledAmount = previousAmount + (sizeMatched - previousSize) * matchPrice;
+
+  const status = deriveOrderStatus({
+    size: parseFloat(order.size),
+    filledSize: sizeMatched,
+    clobStatus: cancelled ? 'canceled' : clobOrder.status,
+    expiresAt: order.expires_at
+  });
+
+  if (status === order.status && sizeMatched === previousSize) {
+    return order;
+  }
+
+  return applyOrderUpdate(supabase, order, {
+    filledSize: sizeMatched,
+    filledAmount,
+    status
+  });
+}
+
+/**
+ * Leave work a placement couldn't finish on the order for the reconciliation job
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} order - Order row
+ * @param {Object} pending - { action: RECONCILE_ACTIONS value, ...what the retry needs }
+ * @param {Error} err - Why it couldn't be done
+ * @returns {Promise<Object>} The flagged order (the one passed in if it couldn't be flagged)
+ */
+async function flagOrderForReconciliation(supabase, order, pending, err) {
+  const pendingReconciliation = { ...pending, error: err.message, flagged_at: new Date().toISOString() };
+
+  logSecurityEvent('order_reconciliation_pending', {
+    user_id: order.user_id,
+    order_id: order.id,
+    clob_order_id: order.clob_order_id,
+    ...pendingReconciliation
+  });
+
+  const { data: flagged, error } = await supabase
+    .from("orders")
+    .update({ pending_reconciliation: pendingReconciliation, error_message: err.message })
+    .eq("id", order.id)
+    .select("*")
+    .maybeSingle();
+
+  if (error || !flagged) {
+    logError('Failed to flag order for reconciliation', error, {
+      operation: 'order_reconciliation_flag',
+      user_id: order.user_id,
+      order_id: order.id,
+      pending_reconciliation: pendingReconciliation
+    });
+    return order;
+  }
+
+  return flagged;
+}
+
+/**
+ * Retry the work left on a flagged order
+ * The flag is cleared before anything is applied, so two runs can't both apply it; a failed
+ * retry puts it back.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} order - Order row with pending_reconciliation set
+ * @returns {Promise<Object>} The order once the work is done
+ * @throws The retry's error (the order is flagged again)
+ */
+async function retryOrderReconciliation(supabase, order) {
+  const { data: claimed, error: claimError } = await supabase
+    .from("orders")
+    .update({ pending_reconciliation: null })
+    .eq("id", order.id)
+    .not("pending_reconciliation", "is", null)
+    .select("*")
+    .maybeSingle();
+
+  if (claimError) {
+    throw claimError;
+  }
+  if (!claimed) {
+    return order; // Another run got there first
+  }
+
+  const { action, error: previousError, flagged_at: flaggedAt, ...pending } = order.pending_reconciliation;
+  const changes = { error_message: null };
+  let remaining = { action, ...pending };
+
+  try {
+    if (action === RECONCILE_ACTIONS.SELL_CREDIT) {
+      const { ledgerEntryId } = await creditSellProceeds(supabase, claimed, {
+        shares: pending.shares,
+        amount: pending.amount,
+        transactionHashes: pending.transaction_hashes || []
+      });
+      changes.ledger_entry_id = ledgerEntryId;
+    } else if (action === RECONCILE_ACTIONS.BUY_RESERVATION) {
+      const { pending: steps, error } = await applyBuyReservation(supabase, claimed.ledger_entry_id, pending);
+      remaining = { action, ...steps };
+      if (error) {
+        throw error;
+      }
+      // Return what the order won't spend, as placement would have
+      if (claimed.time_in_force === 'FOK' || isTerminalStatus(claimed.status)) {
+        await settleOrder(supabase, claimed);
+      }
+    } else {
+      throw new Error(`Unknown reconciliation action: ${action}`);
+    }
+  } catch (err) {
+    await flagOrderForReconciliation(supabase, claimed, remaining, err);
+    throw err;
+  }
+
+  logTransaction('order_reconciled', {
+    user_id: claimed.user_id,
+    order_id: claimed.id,
+    action,
+    flagged_at: flaggedAt,
+    previous_error: previousError
+  });
+
+  // The work is done; failing to note it on the order must not get it flagged again
+  const { data: updated, error } = await supabase
+    .from("orders")
+    .update(changes)
+    .eq("id", claimed.id)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    logError('Failed to update reconciled order', error, {
+      operation: 'order_reconciliation_update',
+      order_id: claimed.id
+    });
+  }
+
+  return updated || claimed;
+}
+
+/**
+ * Retry every flagged order, oldest first (one batch per run)
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options
+ * @param {string} options.userId - Only this user's orders (optional)
+ * @returns {Promise<{retried: number, failed: Array<{order_id: string, action: string, error: string}>}>}
+ */
+async function retryPendingOrders(supabase, { userId = null } = {}) {
+  let query = supabase
+    .from("orders")
+    .select("*")
+    .not("pending_reconciliation", "is", null)
+    .order("created_at", { ascending: true })
+    .limit(RECONCILE_BATCH_SIZE);
+  if (userId) {
+    query = query.eq("user_id", userId);
+  }
+
+  const { data: orders, error } = await query;
+  if (error) {
+    throw error;
+  }
+
+  const result = { retried: 0, failed: [] };
+  for (const order of orders || []) {
+    try {
+      await retryOrderReconciliation(supabase, order);
+      result.retried++;
+    } catch (err) {
+      result.failed.push({ order_id: order.id, action: order.pending_reconciliation.action, error: err.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format an order row for API responses
+ */
+function formatOrder(order) {
+  const size = parseFloat(order.size);
+  const filledSize = parseFloat(order.filled_size) || 0;
+  return {
+    id: order.id,
+    clob_order_id: order.clob_order_id,
+    market_id: order.market_id,
+    outcome_index: order.outcome_index,
+    token_id: order.token_id,
+    side: order.side,
+    outcome_side: order.outcome_side,
+    type: order.order_type,
+    time_in_force: order.time_in_force,
+    limit_price: order.limit_price !== null ? parseFloat(order.limit_price) : null,
+    size: size,
+    filled_size: filledSize,
+    remaining_size: Math.max(0, size - filledSize),
+    amount: parseFloat(order.amount_usdc),
+    filled_amount: parseFloat(order.filled_amount_usdc) || 0,
+    avg_fill_price: order.avg_fill_price !== null ? parseFloat(order.avg_fill_price) : null,
+    status: order.status,
+    expires_at: order.expires_at,
+    created_at: order.created_at,
+    filled_at: order.filled_at,
+    cancelled_at: order.cancelled_at
+  };
+}
+
+module.exports = {
+  ORDER_TYPES,
+  TIME_IN_FORCE,
+  ORDER_STATUSES,
+  TERMINAL_STATUSES,
+  RECONCILE_ACTIONS,
+  GTD_SECURITY_THRESHOLD_SECONDS,
+  AMOUNT_EPSILON,
+  isTerminalStatus,
+  parseExpiry,
+  deriveOrderStatus,
+  recordOrder,
+  creditSellProceeds,
+  applyBuyReservation,
+  applyOrderFill,
+  settleOrder,
+  applyOrderUpdate,
+  syncOrder,
+  flagOrderForReconciliation,
+  retryOrderReconciliation,
+  retryPendingOrders,
+  formatOrder
+};
@@ -0,0 +1,301 @@
+// api/lib/positions.js
+// Position book-keeping: one row per user and outcome token in the positions table
+// Holding both outcomes of a market keeps both positions: a YES+NO pair is only worth $1 once the
+// tokens are merged on-chain (CTF mergePositions), which nothing here does, so pairs are never
+// credited as cash
+
+// Shares below this are treated as a closed position
+const SHARE_EPSILON = 0.000001;
+
+// Updates are guarded on the values read and retried against the fresh row when a concurrent
+// fill changed it; past this many tries the caller gets a position_conflict
+const MAX_UPDATE_ATTEMPTS = 5;
+
+function positionConflict() {
+  const err = new Error('Position changed, please retry');
+  err.code = 'position_conflict';
+  return err;
+}
+
+/**
+ * Get a user's position in an outcome token
+ * @returns {Promise<Object|null>}
+ */
+async function getPosition(supabase, userId, tokenId) {
+  const { data: position, error } = await supabase
+    .from("positions")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("clob_token_id", String(tokenId))
+    .order("created_at", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return position || null;
+}
+
+/**
+ * Add bought shares to a position, recomputing the volume-weighted average price
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.marketId
+ * @param {string} params.tokenId - CLOB token ID of the outcome
+ * @param {number} params.outcomeIndex
+ * @param {string} params.side - Outcome label ('yes' / 'no')
+ * @param {number} params.shares - Shares bought
+ * @param {number} params.price - Average fill price
+ * @param {string} params.ledgerEntryId - Ledger entry that paid for the shares (optional)
+ * @param {number} attempt - Retry count (internal)
+ * @returns {Promise<Object>} Updated position
+ * @throws {Error} err.code 'position_conflict' if the position kept changing underneath us
+ */
+async function addShares(supabase, { userId, marketId, tokenId, outcomeIndex, side, shares, price, ledgerEntryId = null }, attempt = 1) {
+  const existing = await getPosition(supabase, userId, tokenId);
+
+  if (!existing) {
+    const { data: created, error } = await supabase
+      .from("positions")
+      .insert({
+        user_id: userId,
+        market_id: marketId,
+        clob_token_id: String(tokenId),
+        outcome_index: outcomeIndex,
+        side,
+        shares,
+        avg_price: price,
+        current_value: shares * price,
+        last_ledger_entry_id: ledgerEntryId
+      })
+      .select("*")
+      .single();
+
+    // Another fill created the row first - add to it instead
+    if (error && error.code === '23505') {
+      if (attempt >= MAX_UPDATE_ATTEMPTS) throw positionConflict();
+      return addShares(supabase, { userId, marketId, tokenId, outcomeIndex, side, shares, price, ledgerEntryId }, attempt + 1);
+    }
+    if (error) {
+      throw error;
+    }
+    return created;
+  }
+
+  const heldShares = parseFloat(existing.shares) || 0;
+  const heldPrice = parseFloat(existing.avg_price) || 0;
+  const totalShares = heldShares + shares;
+  const avgPrice = totalShares > 0
+    ? (heldShares * heldPrice + shares * price) / totalShares
+    : price;
+
+  const changes = {
+    shares: totalShares,
+    avg_price: avgPrice,
+    current_value: totalShares * price
+  };
+  if (ledgerEntryId) {
+    changes.last_ledger_entry_id = ledgerEntryId;
+  }
+
+  const { data: updated, error } = await supabase
+    .from("positions")
+    .update(changes)
+    .eq("id", existing.id)
+    .eq("shares", existing.shares)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  // A concurrent fill moved the position - recompute from the new row
+  if (!updated) {
+    if (attempt >= MAX_UPDATE_ATTEMPTS) throw positionConflict();
+    return addShares(supabase, { userId, marketId, tokenId, outcomeIndex, side, shares, price, ledgerEntryId }, attempt + 1);
+  }
+  return updated;
+}
+
+/**
+ * Take shares out of a position (selling, or reserving them for a resting sell order)
+ * The average price is left unchanged so later fills can realize PnL against it.
+ * @returns {Promise<Object>} Updated position
+ */
+async function removeShares(supabase, position, shares) {
+  const heldShares = parseFloat(position.shares) || 0;
+
+  if (shares > heldShares + SHARE_EPSILON) {
+    const err = new Error(`Insufficient shares. Held: ${heldShares}, requested: ${shares}`);
+    err.code = 'insufficient_shares';
+    throw err;
+  }
+
+  const remaining = Math.max(0, heldShares - shares);
+  const avgPrice = parseFloat(position.avg_price) || 0;
+
+  const { data: updated, error } = await supabase
+    .from("positions")
+    .update({
+      shares: remaining < SHARE_EPSILON ? 0 : remaining,
+      current_value: remaining * avgPrice
+    })
+    .eq("id", position.id)
+    .eq("shares", position.shares)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  // The row changed underneath us (e.g. a concurrent sell)
+  if (!updated) {
+    throw positionConflict();
+  }
+
+  return updated;
+}
+
+/**
+ * Put shares reserved for a sell order back into the position at the existing average price
+ * @returns {Promise<Object|null>} Updated position
+ * @throws {Error} err.code 'position_conflict' if the position kept changing underneath us
+ */
+async function returnShares(supabase, userId, tokenId, shares) {
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+    const position = await getPosition(supabase, userId, tokenId);
+    if (!position || shares <= SHARE_EPSILON) {
+      return position;
+    }
+
+    const totalShares = (parseFloat(position.shares) || 0) + shares;
+    const { data: updated, error } = await supabase
+      .from("positions")
+      .update({
+        shares: totalShares,
+        current_value: totalShares * (parseFloat(position.avg_price) || 0)
+      })
+      .eq("id", position.id)
+      .eq("shares", position.shares)
+      .select("*")
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (updated) {
+      return updated;
+    }
+  }
+
+  throw positionConflict();
+}
+
+/**
+ * Record realized PnL from a sell against a position
+ * The PnL is worked out from the average price on the row passed in (the one the shares were
+ * sold from); the running total is guarded on the value read, like the share updates.
+ * @returns {Promise<number>} PnL realized by this sale
+ * @throws {Error} err.code 'position_conflict' if the position kept changing underneath us
+ */
+async function realizePnl(supabase, position, shares, proceeds) {
+  const avgPrice = parseFloat(position.avg_price) || 0;
+  const pnl = proceeds - shares * avgPrice;
+
+  let current = position;
+  for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+    let query = supabase
+      .from("positions")
+      .update({
+        realized_pnl: (parseFloat(current.realized_pnl) || 0) + pnl
+      })
+      .eq("id", position.id);
+    query = current.realized_pnl === null || current.realized_pnl === undefined
+      ? query.is("realized_pnl", null)
+      : query.eq("realized_pnl", current.realized_pnl);
+
+    const { data: updated, error } = await query.select("id").maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (updated) {
+      return pnl;
+    }
+
+    const { data: fresh, error: readError } = await supabase
+      .from("positions")
+      .select("*")
+      .eq("id", position.id)
+      .single();
+
+    if (readError) {
+      throw readError;
+    }
+    current = fresh;
+  }
+
+  throw positionConflict();
+}
+
+/**
+ * Value a position at a current outcome price
+ * Falls back to the average price (zero unrealized PnL) when no market price is known.
+ * @param {Object} position - Position row
+ * @param {number|null} currentPrice - Current outcome price (0-1)
+ * @returns {{current_price: number|null, price_source: string, market_value: number, cost_basis: number, unrealized_pnl: number, unrealized_pnl_pct: number}}
+ */
+function markToMarket(position, currentPrice) {
+  const shares = parseFloat(position.shares) || 0;
+  const avgPrice = parseFloat(position.avg_price) || 0;
+  const hasPrice = typeof currentPrice === 'number' && !isNaN(currentPrice);
+  const price = hasPrice ? currentPrice : avgPrice;
+
+  const costBasis = shares * avgPrice;
+  const marketValue = shares * price;
+  const unrealizedPnl = marketValue - costBasis;
+
+  return {
+    current_price: hasPrice ? currentPrice : null,
+    price_source: hasPrice ? 'market' : 'cost',
+    market_value: marketValue,
+    cost_basis: costBasis,
+    unrealized_pnl: unrealizedPnl,
+    unrealized_pnl_pct: costBasis > 0 ? (unrealizedPnl / costBasis) * 100 : 0
+  };
+}
+
+/**
+ * Format a position row for API responses
+ */
+function formatPosition(position) {
+  return {
+    id: position.id,
+    market_id: position.market_id,
+    market_slug: position.market_slug,
+    token_id: position.clob_token_id,
+    outcome_index: position.outcome_index,
+    side: position.side,
+    shares: parseFloat(position.shares) || 0,
+    avg_price: position.avg_price !== null ? parseFloat(position.avg_price) : null,
+    cost_basis: (parseFloat(position.shares) || 0) * (parseFloat(position.avg_price) || 0),
+    realized_pnl: parseFloat(position.realized_pnl) || 0,
+    updated_at: position.updated_at
+  };
+}
+
+module.exports = {
+  SHARE_EPSILON,
+  getPosition,
+  addShares,
+  removeShares,
+  returnShares,
+  realizePnl,
+  markToMarket,
+  formatPosition
+};
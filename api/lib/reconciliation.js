@@ -0,0 +1,218 @@
+// api/lib/reconciliation.js
+// Epic 6.5: Ledger-to-balance reconciliation
+// Recomputes every user's USDC from ledger_entries and checks it against user_balances and
+// the custodial wallet's on-chain USDC; anything that doesn't add up goes into a report
+
+const { JsonRpcProvider } = require("@ethersproject/providers");
+const { Contract } = require("@ethersproject/contracts");
+const { formatUnits } = require("ethers/lib/utils");
+const { logSecurityEvent, logWarn } = require("./logger");
+const { fetchAllPages } = require("./ledger");
+
+const USDC_ADDRESS = "0x2791bca1f2de4661ed88a30c99a7a9449aa84174";
+
+// Differences below this are rounding, not missing money
+const DEFAULT_TOLERANCE = 0.01;
+
+const DISCREPANCY_TYPES = {
+  LEDGER_MISMATCH: 'ledger_mismatch', // Ledger total != usdc_available + usdc_locked
+  LOCKED_MISMATCH: 'locked_mismatch', // Open reservations != usdc_locked
+  ONCHAIN_MISMATCH: 'onchain_mismatch', // Custodial wallet USDC != usdc_available + usdc_locked
+  NEGATIVE_BALANCE: 'negative_balance',
+  ONCHAIN_UNAVAILABLE: 'onchain_unavailable' // Wallet balance couldn't be read
+};
+
+function getTolerance() {
+  const tolerance = parseFloat(process.env.RECONCILIATION_TOLERANCE);
+  return isNaN(tolerance) || tolerance < 0 ? DEFAULT_TOLERANCE : tolerance;
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Compare one user's figures
+ * @param {Object} figures
+ * @param {number} figures.ledgerBalance - Balance recomputed from the ledger
+ * @param {number} figures.ledgerLocked - Sum of locked_amount over open reservations
+ * @param {number} figures.available - user_balances.usdc_available
+ * @param {number} figures.locked - user_balances.usdc_locked
+ * @param {number|null} figures.onchain - Custodial USDC (null if not checked)
+ * @param {boolean} figures.onchainFailed - The on-chain read was attempted and failed
+ * @param {number} tolerance
+ * @returns {string[]} DISCREPANCY_TYPES found (empty when everything matches)
+ */
+function findDiscrepancies({ ledgerBalance, ledgerLocked, available, locked, onchain = null, onchainFailed = false }, tolerance = DEFAULT_TOLERANCE) {
+  const types = [];
+  const recorded = available + locked;
+
+  if (Math.abs(ledgerBalance - recorded) > tolerance) {
+    types.push(DISCREPANCY_TYPES.LEDGER_MISMATCH);
+  }
+  if (Math.abs(ledgerLocked - locked) > tolerance) {
+    types.push(DISCREPANCY_TYPES.LOCKED_MISMATCH);
+  }
+  if (available < -tolerance || locked < -tolerance) {
+    types.push(DISCREPANCY_TYPES.NEGATIVE_BALANCE);
+  }
+  if (onchainFailed) {
+    types.push(DISCREPANCY_TYPES.ONCHAIN_UNAVAILABLE);
+  } else if (onchain !== null && Math.abs(onchain - recorded) > tolerance) {
+    types.push(DISCREPANCY_TYPES.ONCHAIN_MISMATCH);
+  }
+
+  return types;
+}
+
+/**
+ * Run a reconciliation and store the report
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options
+ * @param {string} options.userId - Only reconcile this user (optional)
+ * @param {boolean} options.checkOnchain - Also compare custodial on-chain USDC
+ * @returns {Promise<Object>} The stored reconciliation_reports row
+ */
+async function reconcileBalances(supabase, { userId = null, checkOnchain = true } = {}) {
+  const tolerance = getTolerance();
+
+  const { data: report, error: reportError } = await supabase
+    .from("reconciliation_reports")
+    .insert({ scope_user_id: userId, tolerance, onchain_checked: checkOnchain })
+    .select("*")
+    .single();
+
+  if (reportError) {
+    throw reportError;
+  }
+
+  try {
+    const ledgerRows = await fetchAllPages(() => supabase.rpc('ledger_balances', { p_user_id: userId }));
+    const balanceRows = await fetchAllPages(() => {
+      let query = supabase
+        .from("user_balances")
+        .select("user_id, usdc_available, usdc_locked")
+        .order("user_id");
+      return userId ? query.eq("user_id", userId) : query;
+    });
+
+    const users = new Map();
+    const entryFor = (id) => {
+      if (!users.has(id)) {
+        users.set(id, { ledgerBalance: 0, ledgerLocked: 0, entryCount: 0, available: 0, locked: 0, hasBalanceRow: false });
+      }
+      return users.get(id);
+    };
+
+    for (const row of ledgerRows) {
+      const entry = entryFor(row.user_id);
+      entry.ledgerBalance = parseFloat(row.ledger_balance) || 0;
+      entry.ledgerLocked = parseFloat(row.ledger_locked) || 0;
+      entry.entryCount = parseInt(row.entry_count) || 0;
+    }
+    for (const row of balanceRows) {
+      const entry = entryFor(row.user_id);
+      entry.available = parseFloat(row.usdc_available) || 0;
+      entry.locked = parseFloat(row.usdc_locked) || 0;
+      entry.hasBalanceRow = true;
+    }
+
+    // Custodial wallet addresses for the on-chain comparison
+    const addresses = new Map();
+    let usdc = null;
+    if (checkOnchain && users.size > 0) {
+      const wallets = await fetchAllPages(() => {
+        let query = supabase
+          .from("custody_wallets")
+          .select("user_id, polygon_address")
+          .not("polygon_address", "is", null)
+          .order("user_id");
+        return userId ? query.eq("user_id", userId) : query;
+      });
+      for (const wallet of wallets) {
+        addresses.set(String(wallet.user_id), wallet.polygon_address);
+      }
+
+      const provider = new JsonRpcProvider(process.env.POLYGON_RPC || "https://polygon-rpc.com");
+      usdc = new Contract(USDC_ADDRESS, ["function balanceOf(address) view returns (uint256)"], provider);
+    }
+
+    const totals = { ledger: 0, recorded: 0, onchain: checkOnchain ? 0 : null };
+    const discrepancies = [];
+
+    for (const [id, figures] of users) {
+      let onchain = null;
+      let onchainFailed = false;
+      const address = addresses.get(id);
+
+      if (usdc && address) {
+        try {
+          onchain = Number(formatUnits(await usdc.balanceOf(address), 6));
+          totals.onchain += onchain;
+        } catch (chainError) {
+          onchainFailed = true;
+          logWarn('Failed to read custodial USDC balance', { user_id: id, address, error: chainError.message });
+        }
+      }
+
+      totals.ledger += figures.ledgerBalance;
+      totals.recorded += figures.available + figures.locked;
+
+      const types = findDiscrepancies({ ...figures, onchain, onchainFailed }, tolerance);
+      if (types.length === 0) continue;
+
+      const discrepancy = {
+        user_id: id,
+        types,
+        ledger_balance: round(figures.ledgerBalance),
+        recorded_balance: round(figures.available + figures.locked),
+        usdc_available: round(figures.available),
+        usdc_locked: round(figures.locked),
+        ledger_locked: round(figures.ledgerLocked),
+        ledger_difference: round(figures.available + figures.locked - figures.ledgerBalance),
+        onchain_usdc: onchain !== null ? round(onchain) : null,
+        onchain_difference: onchain !== null ? round(onchain - (figures.available + figures.locked)) : null,
+        entry_count: figures.entryCount,
+        has_balance_row: figures.hasBalanceRow,
+        polygon_address: address || null
+      };
+      discrepancies.push(discrepancy);
+
+      logSecurityEvent('balance_discrepancy', { report_id: report.id, ...discrepancy });
+    }
+
+    const { data: completed, error: updateError } = await supabase
+      .from("reconciliation_reports")
+      .update({
+        status: discrepancies.length > 0 ? 'discrepancies' : 'clean',
+        users_checked: users.size,
+        discrepancy_count: discrepancies.length,
+        total_ledger: round(totals.ledger),
+        total_recorded: round(totals.recorded),
+        total_onchain: totals.onchain !== null ? round(totals.onchain) : null,
+        discrepancies,
+        completed_at: new Date().toISOString()
+      })
+      .eq("id", report.id)
+      .select("*")
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    return completed;
+  } catch (err) {
+    await supabase
+      .from("reconciliation_reports")
+      .update({ status: 'failed', error_message: err.message, completed_at: new Date().toISOString() })
+      .eq("id", report.id);
+    throw err;
+  }
+}
+
+module.exports = {
+  DISCREPANCY_TYPES,
+  findDiscrepancies,
+  reconcileBalances
+};
@@ -0,0 +1,297 @@
+// api/lib/reencryption.js
+// Encryption key rotation: rewrites every encrypted custody_wallets column under the current key in
+// ENCRYPTION_KEYS (see lib/encryption.js), converting older formats on the way
+// Rows are walked in user_id order, a batch at a time, and progress is kept in key_rotation_jobs so a
+// run can span several invocations. Readers accept every key still configured, so the app stays live.
+
+const { encryptSecret, rewrapSecret, getKeyId, getKeyring, needsReencryption } = require("./encryption");
+const { logError, logInfo, logSecurityEvent } = require("./logger");
+
+const ENCRYPTED_COLUMNS = [
+  'polygon_secret_enc',
+  'solana_secret_enc',
+  'clob_api_key_enc',
+  'clob_api_secret_enc',
+  'clob_api_passphrase_enc',
+  'tonconnect_session_data_enc'
+];
+
+// ton-session.js stores session data unencrypted when no key is configured
+const PLAINTEXT_ALLOWED_COLUMNS = ['tonconnect_session_data_enc'];
+
+const DEFAULT_BATCH_SIZE = 100;
+const MAX_STORED_FAILURES = 100;
+
+/**
+ * Re-wrap one batch of wallets under the current key
+ * Each row is updated only if its ciphertexts are still the ones we read, so a wallet written
+ * concurrently (e.g. CLOB credentials being registered) is left alone and picked up by a later run.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options
+ * @param {string|null} options.cursor - Last user_id of the previous batch
+ * @param {number} options.batchSize
+ * @param {boolean} options.dryRun - Count what would change without writing
+ * @returns {Promise<Object>} { scanned, rewrapped, up_to_date, conflicts, values_rewrapped, key_ids_seen, failures, next_cursor, done }
+ */
+async function reencryptWalletBatch(supabase, { cursor = null, batchSize = DEFAULT_BATCH_SIZE, dryRun = false } = {}) {
+  let query = supabase
+    .from("custody_wallets")
+    .select(["user_id", ...ENCRYPTED_COLUMNS].join(", "))
+    .order("user_id", { ascending: true })
+    .limit(batchSize);
+
+  if (cursor) {
+    query = query.gt("user_id", cursor);
+  }
+
+  const { data: wallets, error } = await query;
+  if (error) {
+    throw error;
+  }
+
+  const result = {
+    scanned: 0,
+    rewrapped: 0,
+    up_to_date: 0,
+    conflicts: 0,
+    values_rewrapped: 0,
+    key_ids_seen: {},
+    failures: [],
+    next_cursor: cursor,
+    done: false
+  };
+
+  for (const wallet of wallets || []) {
+    result.scanned++;
+    result.next_cursor = wallet.user_id;
+
+    const changes = {};
+    let failed = false;
+
+    for (const column of ENCRYPTED_COLUMNS) {
+      const value = wallet[column];
+      if (!value) continue;
+
+      const keyId = getKeyId(value);
+      const seenAs = keyId || 'plaintext';
+      result.key_ids_seen[seenAs] = (result.key_ids_seen[seenAs] || 0) + 1;
+
+      if (!keyId && PLAINTEXT_ALLOWED_COLUMNS.includes(column)) {
+        changes[column] = encryptSecret(value, { userId: wallet.user_id, column });
+        continue;
+      }
+      if (keyId && !needsReencryption(value)) continue;
+
+      try {
+        changes[column] = rewrapSecret(value, { userId: wallet.user_id, column });
+      } catch (err) {
+        // Never log the ciphertext or plaintext, only where it failed
+        failed = true;
+        result.failures.push({ user_id: wallet.user_id, column, error: err.message });
+        logError('Key rotation failed for value', err, { user_id: wallet.user_id, column, key_id: keyId });
+      }
+    }
+
+    const changedColumns = Object.keys(changes);
+    if (failed || changedColumns.length === 0) {
+      if (!failed) result.up_to_date++;
+      continue;
+    }
+
+    if (dryRun) {
+      result.rewrapped++;
+      result.values_rewrapped += changedColumns.length;
+      continue;
+    }
+
+    let update = supabase
+      .from("custody_wallets")
+      .update(changes)
+      .eq("user_id", wallet.user_id);
+    for (const column of changedColumns) {
+      update = update.eq(column, wallet[column]);
+    }
+
+    const { data: updated, error: updateError } = await update.select("user_id");
+    if (updateError) {
+      result.failures.push({ user_id: wallet.user_id, column: null, error: updateError.message });
+      logError('Rewrapped wallet could not be saved', updateError, { user_id: wallet.user_id });
+    } else if (!updated || updated.length === 0) {
+      result.conflicts++;
+    } else {
+      result.rewrapped++;
+      result.values_rewrapped += changedColumns.length;
+    }
+  }
+
+  result.done = !wallets || wallets.length < batchSize;
+
+  return result;
+}
+
+function mergeCounts(total, counts) {
+  const merged = { ...(total || {}) };
+  for (const [key, count] of Object.entries(counts)) {
+    merged[key] = (merged[key] || 0) + count;
+  }
+  return merged;
+}
+
+/**
+ * Start a rotation run (or resume the one in progress) and work on it until the time budget runs out
+ * A run in progress for a key that is no longer current is closed as failed and a new one started.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options
+ * @param {number} options.timeBudgetMs - Stop starting new batches after this long
+ * @param {number} options.batchSize
+ * @param {boolean} options.dryRun - Only used when a new run is started
+ * @returns {Promise<Object>} The key_rotation_jobs row after this invocation
+ */
+async function runKeyRotation(supabase, { timeBudgetMs = 25000, batchSize = DEFAULT_BATCH_SIZE, dryRun = false } = {}) {
+  const startedAt = Date.now();
+  const { currentKeyId } = getKeyring();
+
+  let job = await getRunningJob(supabase);
+
+  if (job && job.target_key_id !== currentKeyId) {
+    await supabase
+      .from("key_rotation_jobs")
+      .update({
+        status: 'failed',
+        error_message: `Superseded: current key changed to '${currentKeyId}'`,
+        updated_at: new Date().toISOString(),
+        completed_at: new Date().toISOString()
+      })
+      .eq("id", job.id)
+      .eq("status", "running");
+    job = null;
+  }
+
+  if (!job) {
+    job = await startJob(supabase, currentKeyId, dryRun);
+  }
+
+  try {
+    while (job.status === 'running' && Date.now() - startedAt < timeBudgetMs) {
+      const batch = await reencryptWalletBatch(supabase, { cursor: job.cursor, batchSize, dryRun: job.dry_run });
+
+      const progress = {
+        cursor: batch.next_cursor,
+        wallets_scanned: job.wallets_scanned + batch.scanned,
+        wallets_rewrapped: job.wallets_rewrapped + batch.rewrapped,
+        wallets_up_to_date: job.wallets_up_to_date + batch.up_to_date,
+        wallets_conflicted: job.wallets_conflicted + batch.conflicts,
+        values_rewrapped: job.values_rewrapped + batch.values_rewrapped,
+        key_ids_seen: mergeCounts(job.key_ids_seen, batch.key_ids_seen),
+        failures: [...(job.failures || []), ...batch.failures].slice(0, MAX_STORED_FAILURES),
+        updated_at: new Date().toISOString()
+      };
+      if (batch.done) {
+        progress.status = 'completed';
+        progress.completed_at = new Date().toISOString();
+      }
+
+      // Only advance from the cursor we started at, so two overlapping invocations can't both count a batch
+      let update = supabase
+        .from("key_rotation_jobs")
+        .update(progress)
+        .eq("id", job.id)
+        .eq("status", "running");
+      update = job.cursor ? update.eq("cursor", job.cursor) : update.is("cursor", null);
+
+      const { data: updated, error: updateError } = await update.select("*").maybeSingle();
+      if (updateError) {
+        throw updateError;
+      }
+      if (!updated) {
+        // Another invocation moved the run on; let it carry on
+        logInfo('Key rotation batch already taken by another run', { job_id: job.id });
+        break;
+      }
+      job = updated;
+    }
+  } catch (err) {
+    logError('Key rotation run failed', err, { job_id: job.id });
+    await supabase
+      .from("key_rotation_jobs")
+      .update({
+        status: 'failed',
+        error_message: err.message,
+        updated_at: new Date().toISOString(),
+        completed_at: new Date().toISOString()
+      })
+      .eq("id", job.id);
+    throw err;
+  }
+
+  if (job.status === 'completed') {
+    logSecurityEvent('encryption_key_rotation_completed', {
+      job_id: job.id,
+      target_key_id: job.target_key_id,
+      dry_run: job.dry_run,
+      wallets_rewrapped: job.wallets_rewrapped,
+      wallets_conflicted: job.wallets_conflicted,
+      failures: (job.failures || []).length
+    });
+  }
+
+  return job;
+}
+
+async function getRunningJob(supabase) {
+  const { data, error } = await supabase
+    .from("key_rotation_jobs")
+    .select("*")
+    .eq("status", "running")
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+async function startJob(supabase, targetKeyId, dryRun) {
+  const { count, error: countError } = await supabase
+    .from("custody_wallets")
+    .select("user_id", { count: "exact", head: true });
+
+  if (countError) {
+    throw countError;
+  }
+
+  const { data: job, error } = await supabase
+    .from("key_rotation_jobs")
+    .insert({ target_key_id: targetKeyId, dry_run: dryRun, total_wallets: count || 0 })
+    .select("*")
+    .single();
+
+  if (error) {
+    // Unique index on running jobs: another invocation started one first
+    if (error.code === '23505') {
+      const running = await getRunningJob(supabase);
+      if (running) return running;
+    }
+    throw error;
+  }
+
+  logInfo('Key rotation run started', { job_id: job.id, target_key_id: targetKeyId, total_wallets: job.total_wallets, dry_run: dryRun });
+  return job;
+}
+
+/**
+ * Progress of a rotation run as a fraction of the wallets it started with
+ */
+function rotationProgress(job) {
+  if (!job) return null;
+  if (job.status === 'completed') return 1;
+  if (!job.total_wallets) return 0;
+  return Math.min(1, job.wallets_scanned / job.total_wallets);
+}
+
+module.exports = {
+  ENCRYPTED_COLUMNS,
+  reencryptWalletBatch,
+  runKeyRotation,
+  rotationProgress
+};
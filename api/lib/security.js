@@ -1,5 +1,5 @@
 // api/lib/security.js
-// Security helper functions: nonce validation, idempotency, rate limiting
+// Security helper functions: nonce validation, idempotency, rate limiting, API key checks
 
 const { createClient } = require("@supabase/supabase-js");
 const crypto = require("crypto");
@@ -270,10 +270,26 @@ function hashRequest(body) {
     .digest("hex");
 }
 
+/**
+ * Compare an X-API-Key header with the configured key in constant time
+ * Both sides are hashed first so keys of different lengths can be compared too.
+ * @param {string} provided - Header value
+ * @param {string} expected - Configured key (callers return 503 when it is unset)
+ * @returns {boolean}
+ */
+function apiKeyMatches(provided, expected) {
+  if (typeof provided !== 'string' || !expected) {
+    return false;
+  }
+  const digest = value => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
 module.exports = {
   validateNonce,
   checkIdempotency,
   storeIdempotencyKey,
   checkRateLimit,
-  hashRequest
+  hashRequest,
+  apiKeyMatches
 };
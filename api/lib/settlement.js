@@ -0,0 +1,332 @@
+// api/lib/settlement.js
+// Settles positions in resolved markets: winning shares pay $1 each, losing shares are zeroed
+// Every settled position gets a payouts row; winners are credited through a 'payout' ledger entry
+// Settling a position is one transaction in the settle_position RPC (supabase-atomic-settlement.sql)
+
+const { applyBalanceChange } = require("./ledger");
+const { logTransaction, logWarn, logError } = require("./logger");
+const { fetchGammaMarket, parseJsonArray, marketIdColumn } = require("./clob");
+const { SHARE_EPSILON } = require("./positions");
+
+const PAYOUT_STATUSES = {
+  PENDING: 'pending',
+  CLAIMED: 'claimed',
+  LOST: 'lost'
+};
+
+/**
+ * Work out the winning outcome of a Gamma market
+ * A market only counts as resolved once it is closed and its final prices are exactly 1 for one
+ * outcome and 0 for the rest. Anything else (still trading, disputed, 50/50 splits) returns null.
+ * @param {Object} market - Gamma market (closed, outcomePrices)
+ * @returns {number|null} Winning outcome index
+ */
+function getWinningOutcome(market) {
+  if (!market || !market.closed) return null;
+
+  const prices = parseJsonArray(market.outcomePrices ?? market.outcome_prices).map(p => parseFloat(p));
+  if (prices.length < 2 || prices.some(p => isNaN(p))) return null;
+
+  const winners = prices.filter(p => p === 1).length;
+  const losers = prices.filter(p => p === 0).length;
+  if (winners !== 1 || winners + losers !== prices.length) return null;
+
+  return prices.indexOf(1);
+}
+
+/**
+ * Refresh a held market's resolution from the Gamma API
+ * The sync only pulls open markets, so a market that closes after users bought into it is
+ * never updated there; settlement checks the markets it needs itself.
+ * @returns {Promise<{closed: boolean, winningOutcomeIndex: number|null}>}
+ */
+async function refreshMarketResolution(supabase, marketId) {
+  const { data: row } = await supabase
+    .from("markets")
+    .select("id, condition_id, closed, resolved, winning_outcome_index")
+    .eq(marketIdColumn(marketId), String(marketId))
+    .limit(1)
+    .maybeSingle();
+
+  // Already resolved on a previous run
+  if (row && row.winning_outcome_index !== null && row.winning_outcome_index !== undefined) {
+    return { closed: true, winningOutcomeIndex: row.winning_outcome_index };
+  }
+
+  const market = await fetchGammaMarket(marketId);
+  if (!market) {
+    return { closed: false, winningOutcomeIndex: null };
+  }
+
+  const winningOutcomeIndex = getWinningOutcome(market);
+
+  if (row && (market.closed || winningOutcomeIndex !== null)) {
+    const changes = {
+      closed: market.closed === true,
+      resolved: winningOutcomeIndex !== null,
+      outcome_prices: parseJsonArray(market.outcomePrices)
+    };
+    if (winningOutcomeIndex !== null) {
+      changes.winning_outcome_index = winningOutcomeIndex;
+      changes.resolved_at = new Date().toISOString();
+    }
+
+    const { error } = await supabase.from("markets").update(changes).eq("id", row.id);
+    if (error) {
+      logWarn('Failed to store market resolution', { market_id: marketId, error: error.message });
+    }
+  }
+
+  return { closed: market.closed === true, winningOutcomeIndex };
+}
+
+/**
+ * Pay a pending payout: one atomic ledger + balance credit, then record the entry on the payout
+ * The row is moved to 'claimed' first (guarded on 'pending') so two runs can't both pay it.
+ * @returns {Promise<Object|null>} Claimed payout row, or null if another run got there first
+ */
+async function creditPayout(supabase, payout) {
+  const claimedAt = new Date().toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from("payouts")
+    .update({ status: PAYOUT_STATUSES.CLAIMED, claimed_at: claimedAt, error_message: null })
+    .eq("id", payout.id)
+    .eq("status", PAYOUT_STATUSES.PENDING)
+    .select("*")
+    .maybeSingle();
+
+  if (claimError) {
+    throw claimError;
+  }
+  if (!claimed) {
+    return null;
+  }
+
+  const amount = parseFloat(payout.amount) || 0;
+
+  try {
+    const { entryId: ledgerEntryId } = await applyBalanceChange({
+      user_id: payout.user_id,
+      entry_type: 'payout',
+      amount: amount,
+      currency: 'USDC',
+      direction: 'credit',
+      status: 'completed',
+      metadata: {
+        payout_id: payout.id,
+        position_id: payout.position_id,
+        market_id: payout.market_id,
+        outcome_index: payout.outcome_index,
+        token_id: payout.token_id,
+        winning_outcome_index: payout.winning_outcome_index,
+        shares: parseFloat(payout.shares),
+        avg_price: payout.avg_price !== null ? parseFloat(payout.avg_price) : null,
+        realized_pnl: parseFloat(payout.realized_pnl) || 0
+      },
+      trade_id: payout.id
+    });
+
+    const { data: updated } = await supabase
+      .from("payouts")
+      .update({ ledger_entry_id: ledgerEntryId })
+      .eq("id", payout.id)
+      .select("*")
+      .single();
+
+    logTransaction('payout_credited', {
+      user_id: payout.user_id,
+      payout_id: payout.id,
+      market_id: payout.market_id,
+      amount: amount,
+      ledger_entry_id: ledgerEntryId
+    });
+
+    return updated || claimed;
+  } catch (err) {
+    // Put it back so the next run retries the credit
+    await supabase
+      .from("payouts")
+      .update({ status: PAYOUT_STATUSES.PENDING, claimed_at: null, error_message: err.message })
+      .eq("id", payout.id);
+    throw err;
+  }
+}
+
+/**
+ * Settle one position in a resolved market
+ * The settle_position RPC zeroes the position (if it still holds the shares we read), writes the
+ * payout row and credits a winner in one transaction; payouts are unique per user and token, so
+ * a position can only ever be settled once.
+ * @returns {Promise<Object>} Payout row
+ * @throws {Error} err.code 'position_conflict' if a trade moved the position, 'already_settled'
+ *   if the token already has a payout
+ */
+async function settlePosition(supabase, position, winningOutcomeIndex) {
+  const { data: payout, error } = await supabase.rpc('settle_position', {
+    p_position_id: position.id,
+    p_expected_shares: position.shares,
+    p_winning_outcome_index: winningOutcomeIndex
+  });
+
+  if (error) {
+    throw toSettlementError(error);
+  }
+
+  const won = payout.status === PAYOUT_STATUSES.CLAIMED;
+  logTransaction(won ? 'position_won' : 'position_lost', {
+    user_id: position.user_id,
+    position_id: position.id,
+    market_id: position.market_id,
+    payout_id: payout.id,
+    shares: parseFloat(payout.shares),
+    amount: parseFloat(payout.amount) || 0,
+    realized_pnl: parseFloat(payout.realized_pnl) || 0,
+    ledger_entry_id: payout.ledger_entry_id
+  });
+
+  return payout;
+}
+
+// RAISE EXCEPTION messages from settle_position are prefixed with a code
+function toSettlementError(error) {
+  const err = new Error(error.message || 'Settlement failed');
+  const match = /^(position_conflict|position_not_found):/.exec(error.message || '');
+  err.code = error.code === '23505' ? 'already_settled' : match ? match[1] : 'settlement_failed';
+  err.details = error;
+  return err;
+}
+
+/**
+ * Settlement job: pay out every open position in a resolved market
+ * Retries pending payouts first, then checks each market that still has open positions.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options
+ * @param {string} options.userId - Only settle this user's positions (optional)
+ * @param {string} options.marketId - Only settle this market (optional)
+ * @param {number} options.limit - Maximum markets to check per run
+ * @returns {Promise<Object>} Run summary
+ */
+async function settleResolvedMarkets(supabase, { userId = null, marketId = null, limit = 50 } = {}) {
+  const summary = {
+    markets_checked: 0,
+    markets_resolved: 0,
+    positions_settled: 0,
+    payouts_credited: 0,
+    total_paid: 0,
+    errors: []
+  };
+
+  // 1. Retry payouts whose credit failed on an earlier run (left by the non-atomic settlement flow)
+  let pendingQuery = supabase
+    .from("payouts")
+    .select("*")
+    .eq("status", PAYOUT_STATUSES.PENDING)
+    .order("created_at", { ascending: true })
+    .limit(100);
+  if (userId) pendingQuery = pendingQuery.eq("user_id", userId);
+  if (marketId) pendingQuery = pendingQuery.eq("market_id", marketId);
+
+  const { data: pending, error: pendingError } = await pendingQuery;
+  if (pendingError) {
+    throw pendingError;
+  }
+
+  for (const payout of pending || []) {
+    try {
+      const credited = await creditPayout(supabase, payout);
+      if (credited) {
+        summary.payouts_credited++;
+        summary.total_paid += parseFloat(credited.amount) || 0;
+      }
+    } catch (err) {
+      logError('Failed to credit pending payout', err, { payout_id: payout.id });
+      summary.errors.push({ payout_id: payout.id, error: err.message });
+    }
+  }
+
+  // 2. Markets that still have open positions
+  let positionsQuery = supabase
+    .from("positions")
+    .select("*")
+    .gt("shares", SHARE_EPSILON);
+  if (userId) positionsQuery = positionsQuery.eq("user_id", userId);
+  if (marketId) positionsQuery = positionsQuery.eq("market_id", marketId);
+
+  const { data: positions, error: positionsError } = await positionsQuery;
+  if (positionsError) {
+    throw positionsError;
+  }
+
+  const byMarket = new Map();
+  for (const position of positions || []) {
+    if (!position.market_id) continue;
+    if (!byMarket.has(position.market_id)) byMarket.set(position.market_id, []);
+    byMarket.get(position.market_id).push(position);
+  }
+
+  for (const [heldMarketId, marketPositions] of Array.from(byMarket.entries()).slice(0, limit)) {
+    summary.markets_checked++;
+
+    let resolution;
+    try {
+      resolution = await refreshMarketResolution(supabase, heldMarketId);
+    } catch (err) {
+      logWarn('Failed to check market resolution', { market_id: heldMarketId, error: err.message });
+      summary.errors.push({ market_id: heldMarketId, error: err.message });
+      continue;
+    }
+
+    if (resolution.winningOutcomeIndex === null) continue;
+    summary.markets_resolved++;
+
+    for (const position of marketPositions) {
+      try {
+        const payout = await settlePosition(supabase, position, resolution.winningOutcomeIndex);
+        summary.positions_settled++;
+        if (payout.status === PAYOUT_STATUSES.CLAIMED) {
+          summary.payouts_credited++;
+          summary.total_paid += parseFloat(payout.amount) || 0;
+        }
+      } catch (err) {
+        // position_conflict: a trade moved the position mid-settlement - the next run picks it up
+        logError('Failed to settle position', err, { position_id: position.id, market_id: heldMarketId });
+        summary.errors.push({ position_id: position.id, error: err.message });
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Format a payout row for API responses
+ */
+function formatPayout(payout) {
+  return {
+    id: payout.id,
+    position_id: payout.position_id,
+    market_id: payout.market_id,
+    outcome_index: payout.outcome_index,
+    token_id: payout.token_id,
+    winning_outcome_index: payout.winning_outcome_index,
+    shares: parseFloat(payout.shares) || 0,
+    avg_price: payout.avg_price !== null ? parseFloat(payout.avg_price) : null,
+    amount: parseFloat(payout.amount) || 0,
+    realized_pnl: parseFloat(payout.realized_pnl) || 0,
+    status: payout.status,
+    ledger_entry_id: payout.ledger_entry_id,
+    error_message: payout.error_message,
+    created_at: payout.created_at,
+    claimed_at: payout.claimed_at
+  };
+}
+
+module.exports = {
+  PAYOUT_STATUSES,
+  getWinningOutcome,
+  refreshMarketResolution,
+  creditPayout,
+  settlePosition,
+  settleResolvedMarkets,
+  formatPayout
+};
@@ -0,0 +1,627 @@
+// api/lib/signing-policy.js
+// Phase 7: Policy checks for server-side signing (/api/wallet/sign)
+// A custodial key only signs calls to known Polymarket contracts, with allowlisted functions and
+// arguments, capped value and approval amounts, and per-user daily limits; EIP-712 typed data is
+// limited to whitelisted domains and primary types (CLOB orders and CLOB auth for the user's own
+// address), and Solana transactions to a few system programs with capped transfers and priority fees.
+// Every decision is recorded in signing_policy_decisions and logged as a security event.
+// A signed Order can be filled at its price by anyone, so what an order can lose counts towards
+// the same per-call and daily USDC caps as approvals; a ClobAuth signature hands out API
+// credentials, so only fresh ones are signed.
+
+const { Interface, getAddress } = require("ethers/lib/utils");
+const { BigNumber } = require("ethers");
+const {
+  EXCHANGE_ADDRESSES,
+  ORDER_EIP712_TYPES,
+  CLOB_AUTH_DOMAIN,
+  CLOB_AUTH_EIP712_TYPES,
+  CLOB_AUTH_MESSAGE
+} = require("./clob");
+const { parseSolanaRequest } = require("./solana");
+const { logSecurityEvent, logError } = require("./logger");
+
+const POLYGON_CHAIN_ID = 137;
+const USDC_DECIMALS = 6;
+
+const USDC_ADDRESS = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174";
+const CONDITIONAL_TOKENS_ADDRESS = "0x4D97DCd97eC945f40cF65F87097ACe5EA0476045";
+const NEG_RISK_ADAPTER_ADDRESS = "0xd91E80cF2E7be2e162c6513ceD06f1dD0dA35296";
+
+// Addresses a function argument may be restricted to
+const ADDRESS_LISTS = {
+  // Contracts allowed to move the user's USDC and outcome tokens
+  exchanges: [EXCHANGE_ADDRESSES.standard, EXCHANGE_ADDRESSES.negRisk, NEG_RISK_ADAPTER_ADDRESS],
+  collateral: [USDC_ADDRESS]
+};
+
+// Contract -> function -> rule
+// args: { <argument index>: <ADDRESS_LISTS key> } - the argument must be one of those addresses
+// approvalArg: index of a USDC amount (6 decimals) capped per call and per day
+const POLICY_RULES = [
+  {
+    contract: 'usdc',
+    address: USDC_ADDRESS,
+    functions: {
+      'approve(address,uint256)': { args: { 0: 'exchanges' }, approvalArg: 1 }
+    }
+  },
+  {
+    contract: 'conditional_tokens',
+    address: CONDITIONAL_TOKENS_ADDRESS,
+    functions: {
+      'setApprovalForAll(address,bool)': { args: { 0: 'exchanges' } },
+      'redeemPositions(address,bytes32,bytes32,uint256[])': { args: { 0: 'collateral' } },
+      'mergePositions(address,bytes32,bytes32,uint256[],uint256)': { args: { 0: 'collateral' } }
+    }
+  },
+  {
+    contract: 'ctf_exchange',
+    address: EXCHANGE_ADDRESSES.standard,
+    functions: {
+      'incrementNonce()': {} // Cancels every open order
+    }
+  },
+  {
+    contract: 'neg_risk_ctf_exchange',
+    address: EXCHANGE_ADDRESSES.negRisk,
+    functions: {
+      'incrementNonce()': {}
+    }
+  }
+];
+
+// EIP-712 messages the signing service will sign (domain name/version/chainId + primary type)
+// signerFields: message fields that must be the user's own address
+// fixedFields: message fields that must have exactly this value
+const TYPED_DATA_RULES = [
+  {
+    name: 'ctf_exchange_order',
+    domain: { name: "Polymarket CTF Exchange", version: "1", chainId: POLYGON_CHAIN_ID },
+    verifyingContracts: [EXCHANGE_ADDRESSES.standard, EXCHANGE_ADDRESSES.negRisk],
+    primaryType: 'Order',
+    types: ORDER_EIP712_TYPES,
+    signerFields: ['maker', 'signer'],
+    fixedFields: {
+      taker: "0x0000000000000000000000000000000000000000", // Public order, not a private fill for one counterparty
+      signatureType: 0 // EOA: the custodial key is the maker
+    }
+  },
+  {
+    name: 'clob_auth',
+    domain: CLOB_AUTH_DOMAIN,
+    verifyingContracts: null, // ClobAuthDomain has no verifying contract
+    primaryType: 'ClobAuth',
+    types: CLOB_AUTH_EIP712_TYPES,
+    signerFields: ['address'],
+    fixedFields: { message: CLOB_AUTH_MESSAGE }
+  }
+];
+
+// ClobAuth timestamps further than this from now are refused, so signatures can't be stockpiled
+const CLOB_AUTH_MAX_SKEW_SECONDS = 300;
+
+// Solana program -> instruction discriminator -> name
+// discriminator: how the instruction index is encoded ('u8', or 'u32' little-endian for the System program)
+// dataLength: exact instruction data length, where the layout is fixed
+// instructions: null allows any instruction (memos)
+const SOLANA_PROGRAM_RULES = [
+  {
+    program: 'system',
+    address: "11111111111111111111111111111111",
+    discriminator: 'u32',
+    instructions: {
+      2: { name: 'transfer', dataLength: 12 } // Lamports capped per transaction
+    }
+  },
+  {
+    program: 'compute_budget',
+    address: "ComputeBudget111111111111111111111111111111",
+    discriminator: 'u8',
+    instructions: {
+      2: { name: 'setComputeUnitLimit', dataLength: 5 },
+      3: { name: 'setComputeUnitPrice', dataLength: 9 } // Priority fee capped per transaction
+    }
+  },
+  {
+    program: 'associated_token_account',
+    address: "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL",
+    discriminator: 'u8',
+    emptyData: 'create', // The original instruction has no data
+    instructions: {
+      0: { name: 'create', dataLength: 1 },
+      1: { name: 'createIdempotent', dataLength: 1 }
+    }
+  },
+  { program: 'memo', address: "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr", instructions: null },
+  { program: 'memo_v1', address: "Memo1UhkJRfHyvLMcVucJwxXeuD728EVVDDwQDxNMWo", instructions: null }
+];
+
+// Compute units a transaction can use when it doesn't set a limit
+const SOLANA_MAX_COMPUTE_UNITS = 1400000n;
+
+const DENIAL_REASONS = {
+  NOT_A_TRANSACTION: 'not_a_transaction', // Raw strings / arbitrary messages
+  WRONG_CHAIN: 'wrong_chain',
+  MISSING_TO: 'missing_to', // Contract deployment
+  CONTRACT_NOT_ALLOWED: 'contract_not_allowed',
+  FUNCTION_NOT_ALLOWED: 'function_not_allowed',
+  INVALID_CALLDATA: 'invalid_calldata',
+  ARGUMENT_NOT_ALLOWED: 'argument_not_allowed',
+  VALUE_TOO_HIGH: 'value_too_high',
+  APPROVAL_TOO_HIGH: 'approval_too_high',
+  DAILY_TRANSACTION_LIMIT: 'daily_transaction_limit',
+  DAILY_APPROVAL_LIMIT: 'daily_approval_limit',
+  INVALID_TYPED_DATA: 'invalid_typed_data',
+  DOMAIN_NOT_ALLOWED: 'domain_not_allowed',
+  TYPES_NOT_ALLOWED: 'types_not_allowed',
+  SIGNER_MISMATCH: 'signer_mismatch',
+  FIELD_NOT_ALLOWED: 'field_not_allowed',
+  ORDER_PRICE_NOT_ALLOWED: 'order_price_not_allowed',
+  ORDER_TOO_LARGE: 'order_too_large',
+  PRIORITY_FEE_TOO_HIGH: 'priority_fee_too_high',
+  POLICY_UNAVAILABLE: 'policy_unavailable'
+};
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Limits, overridable per deployment
+ */
+function getSigningLimits() {
+  return {
+    maxValueWei: process.env.SIGNING_MAX_VALUE_WEI || '0', // Native POL sent with a call
+    maxApprovalUsdc: envNumber('SIGNING_MAX_APPROVAL_USDC', 10000),
+    dailyTransactions: envNumber('SIGNING_DAILY_TX_LIMIT', 50),
+    dailyApprovalUsdc: envNumber('SIGNING_DAILY_APPROVAL_USDC', 10000),
+    solanaMaxLamports: process.env.SIGNING_SOLANA_MAX_LAMPORTS || '0', // SOL transferred by one transaction
+    solanaMaxPriorityFeeLamports: process.env.SIGNING_SOLANA_MAX_PRIORITY_FEE_LAMPORTS || '1000000'
+  };
+}
+
+// Selector -> { signature, fragment } per contract address (lowercase), built once from POLICY_RULES
+const compiledRules = new Map();
+for (const rule of POLICY_RULES) {
+  const signatures = Object.keys(rule.functions);
+  const iface = new Interface(signatures.map(signature => `function ${signature}`));
+  const bySelector = new Map();
+  for (const signature of signatures) {
+    bySelector.set(iface.getSighash(signature), { signature, ...rule.functions[signature] });
+  }
+  compiledRules.set(rule.address.toLowerCase(), { contract: rule.contract, iface, bySelector });
+}
+
+function isInList(address, listName) {
+  const lowered = String(address).toLowerCase();
+  return (ADDRESS_LISTS[listName] || []).some(entry => entry.toLowerCase() === lowered);
+}
+
+/**
+ * Decide whether a Polygon transaction may be signed (pure - no I/O)
+ * @param {Object|string} transaction - Transaction request from the client
+ * @param {Object} options
+ * @param {{transactions: number, approvalUsdc: number}} options.usage - What the user already signed today
+ * @param {Object} options.limits - Output of getSigningLimits
+ * @returns {Object} { allowed, reason, contract, function, selector, to, approval_usdc }
+ */
+function evaluateTransaction(transaction, { usage = { transactions: 0, approvalUsdc: 0 }, limits = getSigningLimits() } = {}) {
+  const decision = { allowed: false, reason: null, contract: null, function: null, selector: null, to: null, approval_usdc: 0 };
+  const deny = reason => ({ ...decision, reason });
+
+  if (!transaction || typeof transaction !== 'object' || Array.isArray(transaction)) {
+    return deny(DENIAL_REASONS.NOT_A_TRANSACTION);
+  }
+
+  if (transaction.chainId !== undefined && Number(transaction.chainId) !== POLYGON_CHAIN_ID) {
+    return deny(DENIAL_REASONS.WRONG_CHAIN);
+  }
+
+  if (!transaction.to) {
+    return deny(DENIAL_REASONS.MISSING_TO);
+  }
+
+  try {
+    decision.to = getAddress(transaction.to);
+  } catch (err) {
+    return deny(DENIAL_REASONS.CONTRACT_NOT_ALLOWED);
+  }
+
+  const rule = compiledRules.get(decision.to.toLowerCase());
+  if (!rule) {
+    return deny(DENIAL_REASONS.CONTRACT_NOT_ALLOWED);
+  }
+  decision.contract = rule.contract;
+
+  let value;
+  try {
+    value = BigNumber.from(transaction.value || 0);
+  } catch (err) {
+    return deny(DENIAL_REASONS.INVALID_CALLDATA);
+  }
+  if (value.gt(BigNumber.from(limits.maxValueWei))) {
+    return deny(DENIAL_REASONS.VALUE_TOO_HIGH);
+  }
+
+  const data = typeof transaction.data === 'string' ? transaction.data : '0x';
+  decision.selector = data.substring(0, 10).toLowerCase();
+  const fn = rule.bySelector.get(decision.selector);
+  if (!fn) {
+    return deny(DENIAL_REASONS.FUNCTION_NOT_ALLOWED);
+  }
+  decision.function = fn.signature;
+
+  let args;
+  try {
+    args = rule.iface.decodeFunctionData(fn.signature, data);
+  } catch (err) {
+    return deny(DENIAL_REASONS.INVALID_CALLDATA);
+  }
+
+  for (const [index, listName] of Object.entries(fn.args || {})) {
+    if (!isInList(args[index], listName)) {
+      return deny(DENIAL_REASONS.ARGUMENT_NOT_ALLOWED);
+    }
+  }
+
+  if (fn.approvalArg !== undefined) {
+    const amount = BigNumber.from(args[fn.approvalArg]);
+    const cap = BigNumber.from(Math.round(limits.maxApprovalUsdc * 10 ** USDC_DECIMALS));
+    // Checked in base units first so an unlimited (MaxUint256) approval can't overflow a float
+    if (amount.gt(cap)) {
+      return deny(DENIAL_REASONS.APPROVAL_TOO_HIGH);
+    }
+    decision.approval_usdc = amount.toNumber() / 10 ** USDC_DECIMALS;
+    if (usage.approvalUsdc + decision.approval_usdc > limits.dailyApprovalUsdc) {
+      return deny(DENIAL_REASONS.DAILY_APPROVAL_LIMIT);
+    }
+  }
+
+  if (usage.transactions + 1 > limits.dailyTransactions) {
+    return deny(DENIAL_REASONS.DAILY_TRANSACTION_LIMIT);
+  }
+
+  return { ...decision, allowed: true };
+}
+
+function sameTypes(actual, expected) {
+  const fields = list => (Array.isArray(list) ? list.map(field => `${field.type} ${field.name}`).join(',') : null);
+  const actualNames = Object.keys(actual).sort();
+  const expectedNames = Object.keys(expected).sort();
+  return actualNames.join(',') === expectedNames.join(',')
+    && expectedNames.every(name => fields(actual[name]) === fields(expected[name]));
+}
+
+function sameAddress(a, b) {
+  try {
+    return getAddress(a) === getAddress(b);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * What a CLOB order can lose, in USDC: a BUY spends its maker amount, a SELL gives up shares worth
+ * at most $1 each. Null when the amounts aren't a valid order between 0.01 and 0.99.
+ */
+function orderExposureUsdc(message) {
+  let makerAmount;
+  let takerAmount;
+  try {
+    makerAmount = BigNumber.from(message.makerAmount);
+    takerAmount = BigNumber.from(message.takerAmount);
+  } catch (err) {
+    return null;
+  }
+
+  const side = Number(message.side);
+  if (side !== 0 && side !== 1) return null;
+  const [usdc, shares] = side === 0 ? [makerAmount, takerAmount] : [takerAmount, makerAmount];
+  if (!shares.gt(0) || usdc.mul(100).lt(shares) || usdc.mul(100).gt(shares.mul(99))) {
+    return null;
+  }
+
+  return (side === 0 ? usdc : shares).toNumber() / 10 ** USDC_DECIMALS;
+}
+
+/**
+ * Decide whether EIP-712 typed data may be signed (pure - no I/O)
+ * @param {Object} typedData - { domain, types, primaryType, message } (types may include EIP712Domain)
+ * @param {Object} options
+ * @param {string} options.address - The user's custodial Polygon address
+ * @param {{transactions: number, approvalUsdc: number}} options.usage - What the user already signed today
+ * @param {Object} options.limits - Output of getSigningLimits
+ * @returns {Object} Decision (see evaluateTransaction); when allowed, typed_data holds exactly what to sign
+ */
+function evaluateTypedData(typedData, { address, usage = { transactions: 0, approvalUsdc: 0 }, limits = getSigningLimits() } = {}) {
+  const decision = { allowed: false, reason: null, contract: null, function: null, selector: null, to: null, approval_usdc: 0 };
+  const deny = reason => ({ ...decision, reason });
+
+  if (!typedData || typeof typedData !== 'object' || !typedData.domain || !typedData.types || !typedData.message) {
+    return deny(DENIAL_REASONS.INVALID_TYPED_DATA);
+  }
+
+  const { domain, message } = typedData;
+  // ethers derives EIP712Domain from the domain itself
+  const types = { ...typedData.types };
+  delete types.EIP712Domain;
+
+  const rule = TYPED_DATA_RULES.find(candidate =>
+    domain.name === candidate.domain.name &&
+    domain.version === candidate.domain.version &&
+    Number(domain.chainId) === candidate.domain.chainId);
+
+  if (!rule) {
+    return deny(DENIAL_REASONS.DOMAIN_NOT_ALLOWED);
+  }
+  decision.contract = rule.name;
+
+  const allowedDomainKeys = ['name', 'version', 'chainId', ...(rule.verifyingContracts ? ['verifyingContract'] : [])];
+  if (Object.keys(domain).some(key => !allowedDomainKeys.includes(key))) {
+    return deny(DENIAL_REASONS.DOMAIN_NOT_ALLOWED);
+  }
+  if (rule.verifyingContracts) {
+    if (!rule.verifyingContracts.some(contract => sameAddress(contract, domain.verifyingContract))) {
+      return deny(DENIAL_REASONS.DOMAIN_NOT_ALLOWED);
+    }
+    decision.to = getAddress(domain.verifyingContract);
+  }
+
+  if (typedData.primaryType !== rule.primaryType || !sameTypes(types, rule.types)) {
+    return deny(DENIAL_REASONS.TYPES_NOT_ALLOWED);
+  }
+  decision.function = rule.primaryType;
+
+  if (!rule.signerFields.every(field => sameAddress(message[field], address))) {
+    return deny(DENIAL_REASONS.SIGNER_MISMATCH);
+  }
+  for (const [field, value] of Object.entries(rule.fixedFields)) {
+    if (String(message[field]).toLowerCase() !== String(value).toLowerCase()) {
+      return deny(DENIAL_REASONS.FIELD_NOT_ALLOWED);
+    }
+  }
+
+  if (rule.primaryType === 'Order') {
+    const exposure = orderExposureUsdc(message);
+    if (exposure === null) {
+      return deny(DENIAL_REASONS.ORDER_PRICE_NOT_ALLOWED);
+    }
+    if (exposure > limits.maxApprovalUsdc) {
+      return deny(DENIAL_REASONS.ORDER_TOO_LARGE);
+    }
+    decision.approval_usdc = exposure;
+    if (usage.approvalUsdc + exposure > limits.dailyApprovalUsdc) {
+      return deny(DENIAL_REASONS.DAILY_APPROVAL_LIMIT);
+    }
+  } else if (!(Math.abs(Date.now() / 1000 - Number(message.timestamp)) <= CLOB_AUTH_MAX_SKEW_SECONDS)) {
+    return deny(DENIAL_REASONS.FIELD_NOT_ALLOWED);
+  }
+
+  if (usage.transactions + 1 > limits.dailyTransactions) {
+    return deny(DENIAL_REASONS.DAILY_TRANSACTION_LIMIT);
+  }
+
+  return {
+    ...decision,
+    allowed: true,
+    typed_data: {
+      domain: { ...rule.domain, ...(rule.verifyingContracts ? { verifyingContract: decision.to } : {}) },
+      types: rule.types,
+      message
+    }
+  };
+}
+
+/**
+ * Decide whether a Solana transaction may be signed (pure - no I/O)
+ * Program IDs can't come from address lookup tables, so every instruction's program is checked
+ * even in versioned transactions.
+ * @param {string|Object} request - base64 serialized transaction, or { message: base64 serialized message }
+ * @param {Object} options
+ * @param {string} options.address - The user's custodial Solana address
+ * @param {{transactions: number}} options.usage - What the user already signed today
+ * @param {Object} options.limits - Output of getSigningLimits
+ * @returns {Object} Decision (see evaluateTransaction) with value in lamports; when allowed, solana holds
+ *   the parsed request to sign
+ */
+function evaluateSolanaTransaction(request, { address, usage = { transactions: 0, approvalUsdc: 0 }, limits = getSigningLimits() } = {}) {
+  const decision = { allowed: false, reason: null, contract: null, function: null, selector: null, to: null, approval_usdc: 0, value: null };
+  const deny = reason => ({ ...decision, reason });
+
+  let parsed;
+  try {
+    parsed = parseSolanaRequest(request);
+  } catch (err) {
+    return deny(DENIAL_REASONS.NOT_A_TRANSACTION);
+  }
+
+  const { message } = parsed;
+  const accountKeys = message.staticAccountKeys;
+  const signers = accountKeys.slice(0, message.header.numRequiredSignatures).map(key => key.toBase58());
+  if (!address || !signers.includes(address)) {
+    return deny(DENIAL_REASONS.SIGNER_MISMATCH);
+  }
+
+  const programs = [];
+  const functions = [];
+  let lamports = 0n;
+  let computeUnitLimit = null;
+  let computeUnitPrice = 0n;
+
+  for (const instruction of message.compiledInstructions) {
+    const programId = accountKeys[instruction.programIdIndex];
+    const rule = programId && SOLANA_PROGRAM_RULES.find(candidate => candidate.address === programId.toBase58());
+    if (!rule) {
+      decision.to = programId ? programId.toBase58() : null;
+      return deny(DENIAL_REASONS.CONTRACT_NOT_ALLOWED);
+    }
+    if (!programs.includes(rule.program)) programs.push(rule.program);
+    decision.contract = programs.join(',');
+
+    if (!rule.instructions) {
+      functions.push(rule.program);
+      continue;
+    }
+
+    const data = Buffer.from(instruction.data);
+    let name;
+    if (data.length === 0 && rule.emptyData) {
+      name = rule.emptyData;
+    } else {
+      const width = rule.discriminator === 'u32' ? 4 : 1;
+      if (data.length < width) {
+        return deny(DENIAL_REASONS.INVALID_CALLDATA);
+      }
+      const fn = rule.instructions[width === 4 ? data.readUInt32LE(0) : data.readUInt8(0)];
+      if (!fn) {
+        return deny(DENIAL_REASONS.FUNCTION_NOT_ALLOWED);
+      }
+      if (fn.dataLength !== undefined && data.length !== fn.dataLength) {
+        return deny(DENIAL_REASONS.INVALID_CALLDATA);
+      }
+      name = fn.name;
+    }
+    functions.push(name);
+    decision.function = functions.join(',');
+
+    if (name === 'transfer') {
+      lamports += data.readBigUInt64LE(4);
+    } else if (name === 'setComputeUnitLimit') {
+      computeUnitLimit = BigInt(data.readUInt32LE(1));
+    } else if (name === 'setComputeUnitPrice') {
+      computeUnitPrice = data.readBigUInt64LE(1);
+    }
+  }
+
+  decision.contract = programs.join(',') || null;
+  decision.function = functions.join(',') || null;
+  decision.value = lamports.toString();
+
+  if (lamports > BigInt(limits.solanaMaxLamports)) {
+    return deny(DENIAL_REASONS.VALUE_TOO_HIGH);
+  }
+
+  // Price is in micro-lamports per compute unit
+  const priorityFee = (computeUnitPrice * (computeUnitLimit ?? SOLANA_MAX_COMPUTE_UNITS) + 999999n) / 1000000n;
+  if (priorityFee > BigInt(limits.solanaMaxPriorityFeeLamports)) {
+    return deny(DENIAL_REASONS.PRIORITY_FEE_TOO_HIGH);
+  }
+
+  if (usage.transactions + 1 > limits.dailyTransactions) {
+    return deny(DENIAL_REASONS.DAILY_TRANSACTION_LIMIT);
+  }
+
+  return { ...decision, allowed: true, solana: parsed };
+}
+
+/**
+ * What a user has already had signed since midnight UTC
+ */
+async function getDailyUsage(supabase, userId) {
+  const now = new Date();
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+
+  const { data, error } = await supabase
+    .from("signing_policy_decisions")
+    .select("approval_usdc")
+    .eq("user_id", userId)
+    .eq("allowed", true)
+    .gte("created_at", dayStart);
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    transactions: data.length,
+    approvalUsdc: data.reduce((sum, row) => sum + (parseFloat(row.approval_usdc) || 0), 0)
+  };
+}
+
+/**
+ * Check a signing request against the policy, record the decision and log it
+ * Fails closed: if today's usage can't be read, the request is denied.
+ * The daily limits are checked again as the decision is recorded (record_signing_decision in
+ * supabase-signing-policy.sql, under a per-user lock), so concurrent requests can't overshoot them.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @param {string} network - 'polygon' or 'solana'
+ * @param {Object|string} request - Transaction request, or typed data when mode is 'sign_typed_data'
+ * @param {Object} options
+ * @param {string} options.mode - 'transaction' or 'sign_typed_data'
+ * @param {string} options.address - The user's custodial address on that network (typed data and Solana)
+ * @returns {Promise<Object>} Decision (see evaluateTransaction / evaluateTypedData / evaluateSolanaTransaction)
+ */
+async function checkSigningPolicy(supabase, userId, network, request, { mode = 'transaction', address = null } = {}) {
+  const transaction = mode === 'transaction' ? request : null;
+  let decision;
+  try {
+    const usage = await getDailyUsage(supabase, userId);
+    if (network === 'solana') {
+      decision = evaluateSolanaTransaction(request, { address, usage });
+    } else {
+      decision = mode === 'sign_typed_data'
+        ? evaluateTypedData(request, { address, usage })
+        : evaluateTransaction(request, { usage });
+    }
+  } catch (err) {
+    logError('Signing policy usage lookup failed', err, { user_id: userId });
+    decision = { allowed: false, reason: DENIAL_REASONS.POLICY_UNAVAILABLE, contract: null, function: null, selector: null, to: null, approval_usdc: 0 };
+  }
+
+  const limits = getSigningLimits();
+  const { data: recorded, error: recordError } = await supabase.rpc('record_signing_decision', {
+    p_user_id: userId,
+    p_network: network,
+    p_mode: mode,
+    p_allowed: decision.allowed,
+    p_reason: decision.reason,
+    p_to_address: decision.to,
+    p_contract: decision.contract,
+    p_function_signature: decision.function,
+    p_selector: decision.selector,
+    p_approval_usdc: decision.approval_usdc,
+    p_value_wei: decision.value
+      || (transaction && typeof transaction === 'object' && transaction.value ? String(transaction.value) : null),
+    p_daily_transactions: limits.dailyTransactions,
+    p_daily_approval_usdc: limits.dailyApprovalUsdc
+  });
+
+  // Allowed requests count towards the daily limits, so an unrecorded one mustn't be signed
+  if (recordError && decision.allowed) {
+    logError('Signing policy decision could not be recorded', recordError, { user_id: userId });
+    decision = { ...decision, allowed: false, reason: DENIAL_REASONS.POLICY_UNAVAILABLE };
+  } else if (decision.allowed && !recorded?.allowed) {
+    // Requests signed since usage was read used up the limit
+    decision = { ...decision, allowed: false, reason: recorded?.reason || DENIAL_REASONS.POLICY_UNAVAILABLE };
+  }
+
+  logSecurityEvent(decision.allowed ? 'signing_policy_allowed' : 'signing_policy_denied', {
+    user_id: userId,
+    network,
+    mode,
+    reason: decision.reason,
+    to: decision.to,
+    contract: decision.contract,
+    function: decision.function,
+    selector: decision.selector,
+    approval_usdc: decision.approval_usdc
+  });
+
+  return decision;
+}
+
+module.exports = {
+  POLYGON_CHAIN_ID,
+  POLICY_RULES,
+  TYPED_DATA_RULES,
+  SOLANA_PROGRAM_RULES,
+  DENIAL_REASONS,
+  getSigningLimits,
+  evaluateTransaction,
+  evaluateTypedData,
+  evaluateSolanaTransaction,
+  checkSigningPolicy
+};
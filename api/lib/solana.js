@@ -0,0 +1,66 @@
+// api/lib/solana.js
+// Solana signing helpers for the custodial signing service
+// Clients send either a serialized transaction (legacy or versioned, base64) or just its serialized
+// message; both are signed with the custodial keypair and returned as a full transaction.
+
+const { VersionedTransaction, VersionedMessage } = require("@solana/web3.js");
+const { base58 } = require("ethers/lib/utils");
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_solana_transaction';
+  return err;
+}
+
+function decodeBase64(value) {
+  if (typeof value !== 'string' || value.length === 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+    throw invalidRequest('Expected base64-encoded bytes');
+  }
+  return Buffer.from(value, 'base64');
+}
+
+/**
+ * Parse a Solana signing request
+ * @param {string|Object} request - base64 serialized transaction, or { message: base64 serialized message }
+ * @returns {{message: Message|MessageV0, signatures: Uint8Array[]|null}} Existing signatures are kept
+ *   so transactions partially signed by another party (e.g. a fee payer) stay valid
+ */
+function parseSolanaRequest(request) {
+  try {
+    if (typeof request === 'string') {
+      const transaction = VersionedTransaction.deserialize(decodeBase64(request));
+      return { message: transaction.message, signatures: transaction.signatures };
+    }
+    if (request && typeof request === 'object' && !Array.isArray(request)) {
+      return { message: VersionedMessage.deserialize(decodeBase64(request.message)), signatures: null };
+    }
+  } catch (err) {
+    throw err.code ? err : invalidRequest(`Could not decode Solana transaction: ${err.message}`);
+  }
+  throw invalidRequest('Expected a base64 transaction or { message }');
+}
+
+/**
+ * Sign a parsed request with the custodial keypair
+ * @param {Keypair} keypair - Custodial Solana keypair (must be a required signer of the message)
+ * @param {{message: Object, signatures: Uint8Array[]|null}} parsed - Output of parseSolanaRequest
+ * @returns {{signed_transaction: string, signature: string}} base64 transaction and the base58 signature
+ */
+function signSolanaTransaction(keypair, { message, signatures }) {
+  const transaction = new VersionedTransaction(message, signatures || undefined);
+  transaction.sign([keypair]);
+
+  const signerIndex = message.staticAccountKeys
+    .slice(0, message.header.numRequiredSignatures)
+    .findIndex(key => key.equals(keypair.publicKey));
+
+  return {
+    signed_transaction: Buffer.from(transaction.serialize()).toString('base64'),
+    signature: base58.encode(transaction.signatures[signerIndex])
+  };
+}
+
+module.exports = {
+  parseSolanaRequest,
+  signSolanaTransaction
+};
@@ -0,0 +1,278 @@
+// api/lib/statements.js
+// Account statements built from ledger_entries: opening balance, every money movement in a date
+// range and closing balance, rendered as CSV or a printable HTML page
+
+const { buildLedgerQuery, fetchAllPages } = require("./ledger");
+
+const TYPE_LABELS = {
+  deposit: 'Deposit',
+  withdrawal: 'Withdrawal',
+  trade: 'Trade',
+  bridge: 'Bridge',
+  fee: 'Fee',
+  payout: 'Payout'
+};
+
+/**
+ * Signed effect of an entry on the user's USDC (available + locked)
+ * Same rule as ledger_balances(): completed credits add, pending and completed debits subtract,
+ * failed and cancelled entries never moved money.
+ */
+function balanceEffect(entry) {
+  const amount = parseFloat(entry.amount) || 0;
+  if (entry.direction === 'credit') {
+    return entry.status === 'completed' ? amount : 0;
+  }
+  return entry.status === 'pending' || entry.status === 'completed' ? -amount : 0;
+}
+
+/**
+ * Resolve the statement period from query params
+ * month=YYYY-MM wins; otherwise start_date / end_date, defaulting to the current month (UTC).
+ * @returns {{startDate: string, endDate: string}|{error: string}}
+ */
+function parseStatementPeriod({ month, start_date, end_date } = {}, now = new Date()) {
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    const monthIndex = match ? parseInt(match[2], 10) - 1 : -1;
+    if (!match || monthIndex < 0 || monthIndex > 11) {
+      return { error: 'month must be YYYY-MM' };
+    }
+    const year = parseInt(match[1], 10);
+    return {
+      startDate: new Date(Date.UTC(year, monthIndex, 1)).toISOString(),
+      endDate: new Date(Date.UTC(year, monthIndex + 1, 1) - 1).toISOString()
+    };
+  }
+
+  const start = start_date
+    ? new Date(start_date)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = end_date ? new Date(end_date) : now;
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'start_date and end_date must be valid dates' };
+  }
+  if (start > end) {
+    return { error: 'start_date must be before end_date' };
+  }
+
+  return { startDate: start.toISOString(), endDate: end.toISOString() };
+}
+
+/**
+ * Short human description of what an entry was for
+ */
+function describeEntry(entry) {
+  const metadata = entry.metadata || {};
+  const parts = [];
+
+  if (metadata.release_of || metadata.refund_of) {
+    parts.push(`Returned funds (${(metadata.reason || 'refund').replace(/_/g, ' ')})`);
+  } else if (entry.entry_type === 'trade') {
+    const shares = parseFloat(metadata.shares);
+    const price = parseFloat(metadata.price);
+    const action = entry.direction === 'credit' ? 'Sell' : 'Buy';
+    parts.push(`${action} ${metadata.outcome || metadata.side || ''}`.trim());
+    if (shares > 0 && price > 0) parts.push(`${shares.toFixed(2)} shares @ ${price.toFixed(3)}`);
+  } else if (entry.entry_type === 'payout') {
+    const shares = parseFloat(metadata.shares);
+    parts.push(shares > 0 ? `Winning shares redeemed (${shares.toFixed(2)})` : 'Market settled');
+  } else if (entry.entry_type === 'deposit' && metadata.ton_amount) {
+    parts.push(`${metadata.ton_amount} TON`);
+  } else if (entry.entry_type === 'withdrawal' && metadata.ton_destination) {
+    parts.push(`To ${metadata.ton_destination}`);
+  }
+
+  if (metadata.market_id) parts.push(`Market ${metadata.market_id}`);
+
+  return parts.join(' - ');
+}
+
+/**
+ * Build a statement for one user and period
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {string} userId - User ID
+ * @param {Object} period - Output of parseStatementPeriod
+ * @returns {Promise<Object>} { user_id, start_date, end_date, opening_balance, closing_balance, totals, lines }
+ */
+async function buildStatement(supabase, userId, { startDate, endDate }) {
+  const before = await fetchAllPages(() => buildLedgerQuery(supabase, userId)
+    .lt("created_at", startDate)
+    .order("created_at", { ascending: true }));
+
+  const openingBalance = before.reduce((sum, entry) => sum + balanceEffect(entry), 0);
+
+  const inPeriod = await fetchAllPages(() => buildLedgerQuery(supabase, userId, { startDate, endDate })
+    .order("created_at", { ascending: true })
+    .order("chain_index", { ascending: true }));
+
+  const totals = { credits: 0, debits: 0, by_type: {} };
+  let balance = openingBalance;
+  const lines = [];
+
+  for (const entry of inPeriod) {
+    const effect = balanceEffect(entry);
+    if (effect === 0) continue; // Failed / cancelled
+
+    balance += effect;
+    if (effect > 0) totals.credits += effect;
+    else totals.debits += -effect;
+
+    const type = entry.entry_type;
+    totals.by_type[type] = (totals.by_type[type] || 0) + effect;
+
+    lines.push({
+      id: entry.id,
+      date: entry.created_at,
+      type,
+      type_label: TYPE_LABELS[type] || type,
+      description: describeEntry(entry),
+      status: entry.status,
+      credit: effect > 0 ? effect : 0,
+      debit: effect < 0 ? -effect : 0,
+      balance
+    });
+  }
+
+  return {
+    user_id: userId,
+    start_date: startDate,
+    end_date: endDate,
+    opening_balance: openingBalance,
+    closing_balance: balance,
+    totals,
+    lines,
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * One CSV field, quoted when needed
+ * Text a spreadsheet would run as a formula (starting with =, +, - or @) gets a leading ' so it
+ * shows as text; plain numbers such as -12.5 are left as they are.
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function money(value) {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+/**
+ * Render a statement as CSV (opening and closing balances are their own rows)
+ */
+function statementToCsv(statement) {
+  const rows = [
+    ['Date', 'Type', 'Description', 'Status', 'Credit (USDC)', 'Debit (USDC)', 'Balance (USDC)', 'Entry ID'],
+    [statement.start_date, 'Opening balance', '', '', '', '', money(statement.opening_balance), '']
+  ];
+
+  for (const line of statement.lines) {
+    rows.push([
+      line.date,
+      line.type_label,
+      line.description,
+      line.status,
+      line.credit ? money(line.credit) : '',
+      line.debit ? money(line.debit) : '',
+      money(line.balance),
+      line.id
+    ]);
+  }
+
+  rows.push([statement.end_date, 'Closing balance', '', '', money(statement.totals.credits), money(statement.totals.debits), money(statement.closing_balance), '']);
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDate(iso) {
+  return new Date(iso).toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
+}
+
+/**
+ * Render a statement as a self-contained printable HTML page
+ */
+function statementToHtml(statement) {
+  const period = `${statement.start_date.substring(0, 10)} to ${statement.end_date.substring(0, 10)}`;
+  const typeRows = Object.entries(statement.totals.by_type)
+    .map(([type, total]) => `<tr><td>${escapeHtml(TYPE_LABELS[type] || type)}</td><td class="num">${total < 0 ? '-' : ''}$${money(Math.abs(total))}</td></tr>`)
+    .join('');
+  const lineRows = statement.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(formatDate(line.date))}</td>
+          <td>${escapeHtml(line.type_label)}</td>
+          <td>${escapeHtml(line.description)}${line.status !== 'completed' ? ` <span class="status">(${escapeHtml(line.status)})</span>` : ''}</td>
+          <td class="num">${line.credit ? '$' + money(line.credit) : ''}</td>
+          <td class="num">${line.debit ? '$' + money(line.debit) : ''}</td>
+          <td class="num">$${money(line.balance)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Polygram statement ${escapeHtml(period)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111; margin: 32px; font-size: 13px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .meta { color: #555; margin-bottom: 20px; }
+    .summary { display: flex; gap: 32px; margin-bottom: 20px; }
+    .summary div span { display: block; color: #555; font-size: 11px; text-transform: uppercase; }
+    .summary div strong { font-size: 16px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+    th { background: #f4f4f4; font-size: 11px; text-transform: uppercase; }
+    .num { text-align: right; white-space: nowrap; }
+    .status { color: #a60; }
+    .totals { width: auto; min-width: 280px; }
+    .print { margin-bottom: 20px; }
+    @media print { .print { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="print" onclick="window.print()">Print / Save as PDF</button>
+  <h1>Polygram account statement</h1>
+  <div class="meta">Account ${escapeHtml(statement.user_id)} &middot; ${escapeHtml(period)} &middot; Generated ${escapeHtml(formatDate(statement.generated_at))}</div>
+  <div class="summary">
+    <div><span>Opening balance</span><strong>$${money(statement.opening_balance)}</strong></div>
+    <div><span>Money in</span><strong>$${money(statement.totals.credits)}</strong></div>
+    <div><span>Money out</span><strong>$${money(statement.totals.debits)}</strong></div>
+    <div><span>Closing balance</span><strong>$${money(statement.closing_balance)}</strong></div>
+  </div>
+  <table>
+    <thead>
+      <tr><th>Date</th><th>Type</th><th>Description</th><th class="num">Credit</th><th class="num">Debit</th><th class="num">Balance</th></tr>
+    </thead>
+    <tbody>
+        <tr><td>${escapeHtml(formatDate(statement.start_date))}</td><td colspan="4">Opening balance</td><td class="num">$${money(statement.opening_balance)}</td></tr>${lineRows}
+        <tr><td>${escapeHtml(formatDate(statement.end_date))}</td><td colspan="4">Closing balance</td><td class="num">$${money(statement.closing_balance)}</td></tr>
+    </tbody>
+  </table>
+  ${typeRows ? `<table class="totals"><thead><tr><th>Net by type</th><th class="num">USDC</th></tr></thead><tbody>${typeRows}</tbody></table>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  balanceEffect,
+  csvCell,
+  parseStatementPeriod,
+  buildStatement,
+  statementToCsv,
+  statementToHtml
+};
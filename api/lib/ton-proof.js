@@ -0,0 +1,223 @@
+// api/lib/ton-proof.js
+// Phase 2: TON proof verification shared by login (api/auth/ton-proof.js) and step-up checks
+// such as key export and withdrawal address confirmation. Payloads come from
+// api/auth/generate-payload.js, carry a `purpose` and are MACed with TON_PROOF_SECRET so only
+// payloads this server issued are accepted.
+
+const { Address, Cell, loadStateInit, contractAddress } = require("@ton/core");
+const { signVerify } = require("@ton/crypto");
+const crypto = require("crypto");
+
+// Proofs older than this are rejected (prevents replaying an old signature)
+const DEFAULT_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Standard wallet contracts by code hash, with the bit offset of the public key in their data cell
+// v3: seqno(32) subwallet_id(32) public_key(256); v4 adds a plugin dict after the key;
+// v5: is_signature_allowed(1) seqno(32) wallet_id(32) public_key(256) extensions
+const WALLET_CODE_HASHES = {
+  'b61041a58a7980b946e8fb9e198e3c904d24799ffa36574ea4251c41a566f581': { version: 'v3R1', keyOffset: 64 },
+  '84dafa449f98a6987789ba232358072bc0f76dc4524002a5d0918b9a75d2d599': { version: 'v3R2', keyOffset: 64 },
+  'feb5ff6820e2ff0d9483e7e0d62c817d846789fb4ae580c878866d959dabd5c0': { version: 'v4R2', keyOffset: 64 },
+  '20834b7b72b112147e1b2fb457b84e74d1a30f04f737d4f62a668e9552d2b72f': { version: 'v5R1', keyOffset: 65 }
+};
+
+/**
+ * MAC over the payload fields the server issued
+ * @param {Object} payload - { telegram_user_id, timestamp, nonce, purpose }
+ * @returns {string|null} Hex HMAC-SHA256, or null when TON_PROOF_SECRET is unset
+ */
+function payloadMac({ telegram_user_id, timestamp, nonce, purpose = null }) {
+  if (!process.env.TON_PROOF_SECRET) {
+    return null;
+  }
+  return crypto
+    .createHmac("sha256", process.env.TON_PROOF_SECRET)
+    .update(['v1', telegram_user_id, purpose || '', timestamp, nonce].join('|'), 'utf8')
+    .digest("hex");
+}
+
+/**
+ * Issue a payload for a wallet to sign
+ * @param {string} userId - Telegram user ID
+ * @param {string} purpose - One of PROOF_PURPOSES (omit for login)
+ * @returns {Object|null} { telegram_user_id, timestamp, nonce, purpose?, mac }, or null when TON_PROOF_SECRET is unset
+ */
+function issueProofPayload(userId, purpose = null) {
+  const payload = {
+    telegram_user_id: String(userId),
+    timestamp: new Date().toISOString(),
+    nonce: crypto.randomBytes(32).toString('base64'),
+    ...(purpose ? { purpose } : {})
+  };
+
+  const mac = payloadMac(payload);
+  return mac ? { ...payload, mac } : null;
+}
+
+/**
+ * Domain the proof was requested for
+ * @param {Object} req - Request
+ * @returns {string}
+ */
+function getAppDomain(req) {
+  return process.env.APP_DOMAIN ||
+    req.headers.origin ||
+    (req.headers.referer ? new URL(req.headers.referer).hostname : 'localhost');
+}
+
+/**
+ * Check a public key belongs to a TON address
+ * The wallet's state init (TON Connect's walletStateInit) must hash to the address and be a known
+ * wallet contract whose data holds the key, so a key from some other wallet can't confirm the address.
+ * @param {string} tonAddress - Address in any format Address.parse accepts
+ * @param {string} publicKey - Ed25519 public key (base64)
+ * @param {string} stateInit - StateInit BOC (base64)
+ * @returns {{valid: boolean, error?: string, message?: string, walletVersion?: string}}
+ */
+function checkPublicKeyForAddress(tonAddress, publicKey, stateInit) {
+  let init;
+  let address;
+  try {
+    address = Address.parse(tonAddress);
+    init = loadStateInit(Cell.fromBase64(stateInit).beginParse());
+  } catch (parseError) {
+    return { valid: false, error: "invalid_state_init", message: "Failed to parse state_init: " + parseError.message };
+  }
+
+  if (!init.code || !init.data || !contractAddress(address.workChain, init).equals(address)) {
+    return { valid: false, error: "state_init_mismatch", message: "state_init does not derive the TON address" };
+  }
+
+  const wallet = WALLET_CODE_HASHES[init.code.hash().toString("hex")];
+  if (!wallet) {
+    return { valid: false, error: "unsupported_wallet", message: "Address is not a supported TON wallet contract" };
+  }
+
+  let storedKey;
+  try {
+    const data = init.data.beginParse();
+    data.skip(wallet.keyOffset);
+    storedKey = data.loadBuffer(32);
+  } catch (parseError) {
+    return { valid: false, error: "invalid_state_init", message: "Wallet data has no public key" };
+  }
+
+  if (!storedKey.equals(Buffer.from(publicKey, "base64"))) {
+    return { valid: false, error: "public_key_mismatch", message: "Public key does not belong to the TON address" };
+  }
+
+  return { valid: true, walletVersion: wallet.version };
+}
+
+/**
+ * Verify a TON proof signature
+ * Message: sha256("ton-proof-item-v2/" + raw address + app domain + timestamp + JSON payload)
+ * @param {Object} proof - { ton_address, timestamp, payload, signature, public_key, state_init }
+ *   (signature, key and state init base64; state_init is checked whenever it is sent)
+ * @param {Object} options
+ * @param {string} options.appDomain - Output of getAppDomain
+ * @param {string} options.userId - Telegram user ID the payload must be for
+ * @param {string} options.purpose - Required payload purpose (omit to accept login payloads)
+ * @param {number} options.maxAgeMs - Oldest accepted proof
+ * @param {boolean} options.requireStateInit - Reject proofs that don't show the key owns ton_address
+ * @returns {Promise<{valid: boolean, error?: string, message?: string}>}
+ */
+async function verifyTonProof(proof, { appDomain, userId, purpose = null, maxAgeMs = DEFAULT_MAX_AGE_MS, requireStateInit = false } = {}) {
+  const { ton_address, timestamp, payload, signature, public_key, state_init } = proof || {};
+
+  if (!ton_address || !timestamp || !payload || !signature || !public_key) {
+    return {
+      valid: false,
+      error: "missing_required_fields",
+      message: "ton_address, timestamp, payload, signature and public_key are required"
+    };
+  }
+
+  // Verify timestamp is recent to prevent replay attacks
+  const timeDiff = Math.abs(new Date() - new Date(timestamp));
+  if (!(timeDiff <= maxAgeMs)) {
+    return {
+      valid: false,
+      error: "timestamp_expired",
+      message: `Proof timestamp is too old (max ${Math.round(maxAgeMs / 60000)} minutes)`
+    };
+  }
+
+  if (state_init || requireStateInit) {
+    if (!state_init) {
+      return { valid: false, error: "missing_state_init", message: "state_init of the TON wallet is required" };
+    }
+    const keyCheck = checkPublicKeyForAddress(ton_address, public_key, state_init);
+    if (!keyCheck.valid) {
+      return keyCheck;
+    }
+  }
+
+  try {
+    const address = Address.parse(ton_address);
+    const addressBytes = address.toRawString(); // Returns address in workchain:hex format
+
+    const message = Buffer.concat([
+      Buffer.from("ton-proof-item-v2/", "utf-8"),
+      Buffer.from(addressBytes, "utf-8"),
+      Buffer.from(appDomain, "utf-8"),
+      Buffer.from(timestamp.toString(), "utf-8"),
+      Buffer.from(JSON.stringify(payload), "utf-8")
+    ]);
+
+    const messageHash = crypto.createHash("sha256").update(message).digest();
+
+    const isValid = await signVerify(messageHash, Buffer.from(signature, "base64"), Buffer.from(public_key, "base64"));
+    if (!isValid) {
+      return { valid: false, error: "invalid_signature", message: "Signature verification failed" };
+    }
+  } catch (verifyError) {
+    return {
+      valid: false,
+      error: "signature_verification_error",
+      message: "Failed to verify signature: " + verifyError.message
+    };
+  }
+
+  return checkProofPayload(payload, { userId, purpose, maxAgeMs });
+}
+
+/**
+ * Check the payload a proof signed was issued by this server, recently, for this user and purpose
+ * Login payloads have no purpose; a step-up payload can't be used to log in and vice versa.
+ */
+function checkProofPayload(payload, { userId, purpose = null, maxAgeMs = DEFAULT_MAX_AGE_MS }) {
+  const expectedMac = payload ? payloadMac(payload) : null;
+  if (!expectedMac) {
+    return { valid: false, error: "proof_not_configured", message: "Set TON_PROOF_SECRET to accept TON proofs" };
+  }
+
+  if (!/^[0-9a-f]{64}$/.test(payload.mac) ||
+      !crypto.timingSafeEqual(Buffer.from(payload.mac, 'hex'), Buffer.from(expectedMac, 'hex'))) {
+    return { valid: false, error: "invalid_payload", message: "Payload was not issued by /api/auth/generate-payload" };
+  }
+
+  const issuedAge = Date.now() - Date.parse(payload.timestamp);
+  if (!(issuedAge >= -60 * 1000 && issuedAge <= maxAgeMs)) {
+    return { valid: false, error: "payload_expired", message: "Payload has expired; request a new one" };
+  }
+
+  if (payload.telegram_user_id !== String(userId)) {
+    return { valid: false, error: "user_id_mismatch", message: "Telegram user ID in payload does not match" };
+  }
+
+  if ((payload.purpose || null) !== purpose) {
+    return { valid: false, error: "purpose_mismatch", message: `Proof was not requested for ${purpose || 'login'}` };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  PROOF_PURPOSES: ['key_export', 'withdrawal_address'],
+  issueProofPayload,
+  getAppDomain,
+  checkPublicKeyForAddress,
+  verifyTonProof,
+  checkProofPayload
+};
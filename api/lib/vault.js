@@ -1,54 +1,62 @@
 // api/lib/vault.js
 // Phase 3: Supabase Vault helper functions for secure key storage
+// Secrets are written and read through the SECURITY DEFINER functions in supabase-phase3-vault.sql
 
 const { createClient } = require("@supabase/supabase-js");
 
 /**
- * Create a secret in Supabase Vault
- * @param {string} secretName - Name/identifier for the secret
- * @param {string} secretValue - The secret value to store
- * @param {string} description - Description of the secret
- * @returns {Promise<string>} Secret ID
+ * Whether new custody keys should be stored in Vault (USE_VAULT=true)
+ * Existing wallets are always read from wherever their key lives, whatever this returns.
+ * @returns {boolean}
  */
-async function createVaultSecret(secretName, secretValue, description = '') {
+function isVaultEnabled() {
+  return process.env.USE_VAULT === 'true';
+}
+
+function getServiceClient() {
   const SUPABASE_URL = process.env.SUPABASE_URL;
   const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-  
+
   if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-    throw new Error('Supabase not configured');
+    const err = new Error('Supabase not configured');
+    err.code = 'database_not_configured';
+    throw err;
   }
 
-  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-
-  try {
-    // Note: Supabase Vault API may vary - adjust based on actual API
-    // This is a placeholder implementation
-    // Actual implementation depends on Supabase Vault client SDK or REST API
-    
-    // Option 1: Using Supabase RPC function (if created in migration)
-    const { data, error } = await supabase.rpc('create_wallet_vault_secret', {
-      secret_name: secretName,
-      secret_value: secretValue,
-      user_id_param: description || secretName
-    });
-
-    if (error) {
-      // If RPC doesn't work, try direct SQL via Supabase client
-      // For now, fallback to storing reference in database
-      // TODO: Implement proper Vault API integration
-      console.warn('[Vault] RPC function not available, using fallback');
-      
-      // Fallback: Store encrypted in database for now (until Vault API is properly integrated)
-      // This should be replaced with actual Vault integration
-      throw new Error('Vault integration not yet fully implemented - use encrypted storage for now');
-    }
-
-    return data;
-
-  } catch (err) {
-    console.error('[Vault] Error creating secret:', err);
-    throw err;
+  return createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+}
+
+// Map a Postgres RAISE EXCEPTION ('vault_secret_not_found: ...') to an Error with a code
+function toVaultError(error, fallbackCode) {
+  const message = error?.message || 'Vault request failed';
+  const match = /^([a-z_]+):\s*(.*)$/.exec(message);
+  const err = new Error(match ? match[2] || match[1] : message);
+  err.code = match ? match[1] : fallbackCode;
+  return err;
+}
+
+/**
+ * Create a secret in Supabase Vault
+ * @param {string} secretName - Unique name for the secret
+ * @param {string} secretValue - The secret value to store
+ * @param {string} userId - Owner of the secret (recorded in its description)
+ * @returns {Promise<string>} Secret ID (uuid)
+ */
+async function createVaultSecret(secretName, secretValue, userId) {
+  const supabase = getServiceClient();
+
+  const { data, error } = await supabase.rpc('create_wallet_vault_secret', {
+    secret_name: secretName,
+    secret_value: secretValue,
+    user_id_param: userId
+  });
+
+  if (error || !data) {
+    console.error('[Vault] Error creating secret:', error?.message);
+    throw toVaultError(error, 'vault_create_failed');
   }
+
+  return data;
 }
 
 /**
@@ -57,61 +65,43 @@ async function createVaultSecret(secretName, secretValue, description = '') {
  * @returns {Promise<string>} Secret value
  */
 async function getVaultSecret(secretId) {
-  const SUPABASE_URL = process.env.SUPABASE_URL;
-  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-  
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-    throw new Error('Supabase not configured');
-  }
+  const supabase = getServiceClient();
 
-  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+  const { data, error } = await supabase.rpc('get_wallet_vault_secret', {
+    secret_id_param: secretId
+  });
 
-  try {
-    // Option 1: Using Supabase RPC function
-    const { data, error } = await supabase.rpc('get_wallet_vault_secret', {
-      secret_id_param: secretId
-    });
-
-    if (error) {
-      console.warn('[Vault] RPC function not available');
-      throw new Error('Vault integration not yet fully implemented');
-    }
-
-    return data;
-
-  } catch (err) {
-    console.error('[Vault] Error retrieving secret:', err);
-    throw err;
+  if (error || !data) {
+    // Never log the secret itself, only which one failed
+    console.error('[Vault] Error retrieving secret:', secretId, error?.message);
+    throw toVaultError(error || { message: `vault_secret_not_found: ${secretId}` }, 'vault_read_failed');
   }
+
+  return data;
 }
 
 /**
  * Delete a secret from Supabase Vault
  * @param {string} secretId - Secret ID
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} Whether a secret was deleted
  */
 async function deleteVaultSecret(secretId) {
-  const SUPABASE_URL = process.env.SUPABASE_URL;
-  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-  
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-    throw new Error('Supabase not configured');
-  }
+  const supabase = getServiceClient();
 
-  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+  const { data, error } = await supabase.rpc('delete_wallet_vault_secret', {
+    secret_id_param: secretId
+  });
 
-  try {
-    // TODO: Implement Vault delete API
-    // This depends on Supabase Vault API
-    console.warn('[Vault] Delete not yet implemented');
-    return false;
-  } catch (err) {
-    console.error('[Vault] Error deleting secret:', err);
-    throw err;
+  if (error) {
+    console.error('[Vault] Error deleting secret:', secretId, error.message);
+    throw toVaultError(error, 'vault_delete_failed');
   }
+
+  return data === true;
 }
 
 module.exports = {
+  isVaultEnabled,
   createVaultSecret,
   getVaultSecret,
   deleteVaultSecret
@@ -0,0 +1,530 @@
+// api/lib/withdrawals.js
+// Epic 6.4: Funds held for pending withdrawals
+// A withdrawal locks its USDC when requested; completing it consumes the lock, failing or
+// cancelling it returns the funds to usdc_available
+// processWithdrawals is the worker: pending -> processing -> bridging -> sending -> completed,
+// failed (refunded) when a service rejects it or a step runs out of retries before anything was
+// sent, or manual_review when it runs out of retries after a transfer or payout may have gone out
+
+const { consumeReservedFunds, releaseReservedFunds } = require("./ledger");
+const { logTransaction, logWarn, logError } = require("./logger");
+const { createBridgeTransfer, getBridgeTransfer, sendTonPayout } = require("./bridge");
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Users can only pull back a withdrawal nothing has started working on
+const CANCELLABLE_STATUSES = ['pending', 'pending_review'];
+
+// Statuses the worker moves forward; pending_review waits until a reviewer sets it to pending,
+// manual_review until a reviewer checks the bridge and payout and completes or fails it
+const ACTIVE_STATUSES = ['pending', 'processing', 'bridging', 'sending'];
+
+// Stay well inside the serverless function timeout
+const DEFAULT_TIME_BUDGET_MS = 25000;
+
+/**
+ * Mark a withdrawal completed and spend its reserved funds
+ * The status change is guarded on the status we read, so the funds are consumed only once.
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} withdrawal - Withdrawal row
+ * @param {Object} options
+ * @param {string} options.txHash - Final payout transaction hash (optional)
+ * @returns {Promise<Object|null>} Updated withdrawal, or null if its status changed underneath us
+ */
+async function completeWithdrawal(supabase, withdrawal, { txHash = null } = {}) {
+  if (FINAL_STATUSES.includes(withdrawal.status)) {
+    return null;
+  }
+
+  const changes = { status: 'completed', completed_at: new Date().toISOString() };
+  if (txHash) changes.ton_tx_hash = txHash;
+
+  const { data: updated, error } = await supabase
+    .from("withdrawals")
+    .update(changes)
+    .eq("id", withdrawal.id)
+    .eq("status", withdrawal.status)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!updated) {
+    return null;
+  }
+
+  if (withdrawal.ledger_entry_id) {
+    await consumeReservedFunds(withdrawal.ledger_entry_id, { txHash });
+  }
+
+  logTransaction('withdrawal_completed', {
+    user_id: withdrawal.user_id,
+    withdrawal_id: withdrawal.id,
+    amount_usdc: withdrawal.amount_usdc,
+    tx_hash: txHash
+  });
+
+  return updated;
+}
+
+/**
+ * Fail or cancel a withdrawal and return its reserved funds to usdc_available
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} withdrawal - Withdrawal row
+ * @param {Object} options
+ * @param {string} options.status - 'failed' or 'cancelled'
+ * @param {string} options.reason - Stored as the error message (optional)
+ * @returns {Promise<Object|null>} Updated withdrawal, or null if its status changed underneath us
+ */
+async function failWithdrawal(supabase, withdrawal, { status = 'failed', reason = null } = {}) {
+  if (FINAL_STATUSES.includes(withdrawal.status)) {
+    return null;
+  }
+
+  const { data: updated, error } = await supabase
+    .from("withdrawals")
+    .update({ status, error_message: reason })
+    .eq("id", withdrawal.id)
+    .eq("status", withdrawal.status)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!updated) {
+    return null;
+  }
+
+  let released = 0;
+  if (withdrawal.ledger_entry_id) {
+    ({ released } = await releaseReservedFunds(withdrawal.ledger_entry_id, {
+      status,
+      errorMessage: reason,
+      metadata: { reason: `withdrawal_${status}`, withdrawal_id: withdrawal.id }
+    }));
+  }
+
+  logTransaction(`withdrawal_${status}`, {
+    user_id: withdrawal.user_id,
+    withdrawal_id: withdrawal.id,
+    amount_usdc: withdrawal.amount_usdc,
+    released: released,
+    reason: reason
+  });
+
+  return updated;
+}
+
+/**
+ * Retry settings for the worker
+ * Attempts count per step and reset whenever a withdrawal moves to its next status.
+ */
+function getRetryPolicy() {
+  return {
+    maxAttempts: parseInt(process.env.WITHDRAWAL_MAX_ATTEMPTS || '5'),
+    baseDelayMs: parseInt(process.env.WITHDRAWAL_RETRY_BASE_SECONDS || '30') * 1000,
+    maxDelayMs: 60 * 60 * 1000,
+    pollIntervalMs: parseInt(process.env.WITHDRAWAL_POLL_SECONDS || '60') * 1000
+  };
+}
+
+// Exponential backoff: base, 2x base, 4x base... capped at maxDelayMs
+function retryDelayMs(attempts, policy) {
+  return Math.min(policy.baseDelayMs * 2 ** (attempts - 1), policy.maxDelayMs);
+}
+
+// A service turned the withdrawal down; retrying won't help
+function rejection(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.retryable = false;
+  return err;
+}
+
+// Update a withdrawal only if its status is still the one we read
+async function updateWithdrawal(supabase, withdrawal, changes) {
+  const { data: updated, error } = await supabase
+    .from("withdrawals")
+    .update(changes)
+    .eq("id", withdrawal.id)
+    .eq("status", withdrawal.status)
+    .select("*")
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return updated;
+}
+
+async function transitionWithdrawal(supabase, withdrawal, status, changes = {}) {
+  const updated = await updateWithdrawal(supabase, withdrawal, {
+    ...changes,
+    status,
+    attempts: 0,
+    last_error: null,
+    next_attempt_at: new Date().toISOString()
+  });
+
+  if (updated) {
+    logTransaction(`withdrawal_${status}`, {
+      user_id: withdrawal.user_id,
+      withdrawal_id: withdrawal.id,
+      amount_usdc: withdrawal.amount_usdc
+    });
+  }
+  return updated;
+}
+
+// Check again after the poll interval without using up an attempt
+function waitForService(supabase, withdrawal, policy) {
+  return updateWithdrawal(supabase, withdrawal, {
+    next_attempt_at: new Date(Date.now() + policy.pollIntervalMs).toISOString()
+  });
+}
+
+// The withdrawal's reservation in ledger_entries carries the same tx hashes as the withdrawal
+async function recordLedgerTxHashes(supabase, withdrawal, hashes) {
+  if (!withdrawal.ledger_entry_id) return;
+
+  const { error } = await supabase
+    .from("ledger_entries")
+    .update(hashes)
+    .eq("id", withdrawal.ledger_entry_id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the withdrawal's bridge_transactions row, creating it on first use
+ * @returns {Promise<Object>} Bridge transaction row
+ */
+async function getBridgeRecord(supabase, withdrawal) {
+  const { data: existing, error } = await supabase
+    .from("bridge_transactions")
+    .select("*")
+    .eq("withdrawal_id", withdrawal.id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (existing) {
+    return existing;
+  }
+
+  const { data: created, error: insertError } = await supabase
+    .from("bridge_transactions")
+    .insert({
+      user_id: withdrawal.user_id,
+      withdrawal_id: withdrawal.id,
+      bridge_type: 'polygon_to_ton',
+      source_network: 'polygon',
+      destination_network: 'ton',
+      source_token: 'USDC',
+      destination_token: 'TON',
+      amount: withdrawal.amount_usdc,
+      bridge_provider: process.env.BRIDGE_PROVIDER || null,
+      status: 'pending'
+    })
+    .select("*")
+    .single();
+
+  if (insertError) {
+    throw insertError;
+  }
+  return created;
+}
+
+async function updateBridgeRecord(supabase, recordId, changes) {
+  const { error } = await supabase
+    .from("bridge_transactions")
+    .update(changes)
+    .eq("id", recordId);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Run the next step for a withdrawal
+ * @returns {Promise<Object|null>} Updated withdrawal, or null if its status changed underneath us
+ * @throws {Error} err.retryable false when a service rejected the withdrawal
+ */
+async function advanceWithdrawal(supabase, withdrawal, policy) {
+  const amountUsdc = parseFloat(withdrawal.amount_usdc);
+
+  switch (withdrawal.status) {
+    case 'pending':
+      // Claim it; from here on the user can no longer cancel
+      return transitionWithdrawal(supabase, withdrawal, 'processing', {
+        processed_at: new Date().toISOString()
+      });
+
+    case 'processing': {
+      // Send the USDC into the bridge
+      const record = await getBridgeRecord(supabase, withdrawal);
+      const transfer = await createBridgeTransfer({ reference: withdrawal.request_id, amountUsdc });
+
+      await updateBridgeRecord(supabase, record.id, {
+        bridge_transaction_id: transfer.id,
+        transaction_hash: transfer.source_tx_hash || null,
+        status: 'processing'
+      });
+      await recordLedgerTxHashes(supabase, withdrawal, { source_tx_hash: transfer.source_tx_hash || null });
+
+      return transitionWithdrawal(supabase, withdrawal, 'bridging', {
+        polygon_tx_hash: transfer.source_tx_hash || null
+      });
+    }
+
+    case 'bridging': {
+      const record = await getBridgeRecord(supabase, withdrawal);
+      const transfer = await getBridgeTransfer(record.bridge_transaction_id);
+
+      if (transfer.status === 'failed') {
+        await updateBridgeRecord(supabase, record.id, { status: 'failed', error_message: transfer.error || null });
+        throw rejection('bridge_transfer_failed', transfer.error || 'Bridge transfer failed');
+      }
+      if (transfer.status !== 'completed') {
+        return waitForService(supabase, withdrawal, policy);
+      }
+
+      const amountTon = parseFloat(transfer.amount_ton);
+      if (!(amountTon > 0)) {
+        throw rejection('bridge_transfer_failed', 'Bridge transfer completed without a TON amount');
+      }
+
+      await updateBridgeRecord(supabase, record.id, {
+        status: 'completed',
+        destination_tx_hash: transfer.destination_tx_hash || null,
+        completed_at: new Date().toISOString()
+      });
+      await recordLedgerTxHashes(supabase, withdrawal, { bridge_tx_hash: transfer.destination_tx_hash || null });
+
+      return transitionWithdrawal(supabase, withdrawal, 'sending', {
+        bridge_tx_hash: transfer.destination_tx_hash || null,
+        amount_ton: amountTon,
+        conversion_rate: amountTon / amountUsdc
+      });
+    }
+
+    case 'sending': {
+      // Send the bridged TON on to the user
+      const payout = await sendTonPayout({
+        reference: withdrawal.request_id,
+        destination: withdrawal.ton_destination_address,
+        amountTon: parseFloat(withdrawal.amount_ton)
+      });
+
+      if (payout.status === 'failed') {
+        throw rejection('ton_payout_failed', payout.error || 'TON payout failed');
+      }
+      if (payout.status !== 'confirmed') {
+        return waitForService(supabase, withdrawal, policy);
+      }
+
+      return completeWithdrawal(supabase, withdrawal, { txHash: payout.tx_hash });
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Has a request that can move money gone out to the bridge or payout service?
+// getBridgeRecord creates the bridge row just before POST /transfers, so a row means it may have
+async function outboundAttempted(supabase, withdrawal) {
+  if (['bridging', 'sending'].includes(withdrawal.status)) return true;
+  if (withdrawal.status !== 'processing') return false;
+
+  const { data: record, error } = await supabase
+    .from("bridge_transactions")
+    .select("id")
+    .eq("withdrawal_id", withdrawal.id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return !!record;
+}
+
+/**
+ * Retry a failed step later, or give up on it
+ * Running out of retries after a transfer or payout was sent doesn't prove it failed (the request
+ * may have gone through with the response lost), so those withdrawals are parked in manual_review
+ * with their funds still reserved. Only a service rejection, or a failure before anything was sent,
+ * fails the withdrawal and refunds the user.
+ * @returns {Promise<Object|null>} Updated withdrawal
+ */
+async function handleStepError(supabase, withdrawal, err, policy) {
+  const attempts = (withdrawal.attempts || 0) + 1;
+
+  if (err.retryable !== false && attempts < policy.maxAttempts) {
+    const delayMs = retryDelayMs(attempts, policy);
+    logWarn('Withdrawal step failed, retrying', {
+      withdrawal_id: withdrawal.id,
+      status: withdrawal.status,
+      attempts,
+      retry_in_ms: delayMs,
+      error: err.message
+    });
+
+    return updateWithdrawal(supabase, withdrawal, {
+      attempts,
+      last_error: err.message,
+      next_attempt_at: new Date(Date.now() + delayMs).toISOString()
+    });
+  }
+
+  if (err.retryable !== false && await outboundAttempted(supabase, withdrawal)) {
+    logError('Withdrawal out of retries, needs manual review', err, {
+      withdrawal_id: withdrawal.id,
+      status: withdrawal.status,
+      attempts
+    });
+
+    const updated = await updateWithdrawal(supabase, withdrawal, {
+      status: 'manual_review',
+      attempts,
+      last_error: `${err.message} (gave up after ${attempts} attempts in ${withdrawal.status})`
+    });
+
+    if (updated) {
+      logTransaction('withdrawal_manual_review', {
+        user_id: withdrawal.user_id,
+        withdrawal_id: withdrawal.id,
+        amount_usdc: withdrawal.amount_usdc,
+        stuck_in: withdrawal.status
+      });
+    }
+    return updated;
+  }
+
+  logError('Withdrawal failed', err, {
+    withdrawal_id: withdrawal.id,
+    status: withdrawal.status,
+    attempts
+  });
+
+  if (['processing', 'bridging'].includes(withdrawal.status) && err.code !== 'bridge_transfer_failed') {
+    const { data: record } = await supabase
+      .from("bridge_transactions")
+      .select("id")
+      .eq("withdrawal_id", withdrawal.id)
+      .maybeSingle();
+    if (record) {
+      await updateBridgeRecord(supabase, record.id, { status: 'failed', error_message: err.message });
+    }
+  }
+
+  const reason = err.retryable === false
+    ? err.message
+    : `${err.message} (gave up after ${attempts} attempts)`;
+  return failWithdrawal(supabase, withdrawal, { status: 'failed', reason });
+}
+
+/**
+ * Move one withdrawal forward until it finishes or has to wait
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} withdrawal - Withdrawal row
+ * @param {Object} policy - Output of getRetryPolicy
+ * @returns {Promise<Object|null>} Withdrawal as it was left, or null if its status changed underneath us
+ */
+async function processWithdrawal(supabase, withdrawal, policy = getRetryPolicy()) {
+  let current = withdrawal;
+
+  while (current && ACTIVE_STATUSES.includes(current.status) && !(Date.parse(current.next_attempt_at) > Date.now())) {
+    try {
+      current = await advanceWithdrawal(supabase, current, policy);
+    } catch (err) {
+      return handleStepError(supabase, current, err, policy);
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Worker run: process every withdrawal that is due
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options
+ * @param {number} options.limit - Most withdrawals to pick up
+ * @param {number} options.timeBudgetMs - Stop picking up withdrawals after this long
+ * @returns {Promise<Object>} Summary counts by outcome
+ */
+async function processWithdrawals(supabase, { limit = 20, timeBudgetMs = DEFAULT_TIME_BUDGET_MS } = {}) {
+  const summary = {
+    checked: 0,
+    completed: 0,
+    failed: 0,
+    manual_review: 0,
+    retrying: 0,
+    waiting: 0,
+    skipped: 0,
+    errors: []
+  };
+
+  const startedAt = Date.now();
+  const policy = getRetryPolicy();
+
+  const { data: due, error } = await supabase
+    .from("withdrawals")
+    .select("*")
+    .in("status", ACTIVE_STATUSES)
+    .not("ledger_entry_id", "is", null) // Never move a withdrawal whose funds aren't reserved
+    .lte("next_attempt_at", new Date().toISOString())
+    .order("next_attempt_at", { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  for (const withdrawal of due || []) {
+    if (Date.now() - startedAt > timeBudgetMs) break;
+    summary.checked++;
+
+    try {
+      const result = await processWithdrawal(supabase, withdrawal, policy);
+      if (!result) {
+        summary.skipped++;
+      } else if (result.status === 'completed') {
+        summary.completed++;
+      } else if (result.status === 'failed') {
+        summary.failed++;
+        summary.errors.push({ withdrawal_id: withdrawal.id, error: result.error_message });
+      } else if (result.status === 'manual_review') {
+        summary.manual_review++;
+        summary.errors.push({ withdrawal_id: withdrawal.id, error: result.last_error });
+      } else if (result.last_error) {
+        summary.retrying++;
+      } else {
+        summary.waiting++;
+      }
+    } catch (err) {
+      // Retry bookkeeping itself failed (e.g. database unavailable); the next run picks it up again
+      logError('Failed to process withdrawal', err, { withdrawal_id: withdrawal.id });
+      summary.errors.push({ withdrawal_id: withdrawal.id, error: err.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  ACTIVE_STATUSES,
+  completeWithdrawal,
+  failWithdrawal,
+  getRetryPolicy,
+  retryDelayMs,
+  processWithdrawal,
+  processWithdrawals
+};
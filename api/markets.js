@@ -2,9 +2,10 @@
 // Fetches markets from Supabase database (mimics Polymarket architecture)
 // Falls back to Polymarket Gamma API if database is not configured or empty
 
-// Simple in-memory cache with TTL (5 seconds for fast updates)
-const cache = new Map();
-const CACHE_TTL = 5000; // 5 seconds
+const { createTtlCache } = require("./lib/cache");
+
+// In-memory cache with TTL (5 seconds for fast updates, last 10 responses)
+const cache = createTtlCache({ ttlMs: 5000, maxEntries: 10 });
 
 // Category tag IDs (verified from Polymarket events)
 const CATEGORY_TAG_IDS = {
@@ -24,24 +25,6 @@ function getCacheKey(kind, sportType) {
   return `${kind}_${sportType || 'all'}`;
 }
 
-function getCached(key) {
-  const cached = cache.get(key);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
-  }
-  cache.delete(key);
-  return null;
-}
-
-function setCache(key, data) {
-  cache.set(key, { data, timestamp: Date.now() });
-  // Clean up old cache entries (keep only last 10)
-  if (cache.size > 10) {
-    const firstKey = cache.keys().next().value;
-    cache.delete(firstKey);
-  }
-}
-
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
@@ -63,7 +46,7 @@ module.exports = async (req, res) => {
   // Check cache first (only for reasonable limits to avoid caching huge responses)
   if (limitNum <= 1000) {
     const cacheKey = getCacheKey(kind, sportType);
-    const cached = getCached(cacheKey);
+    const cached = cache.get(cacheKey);
     if (cached) {
       console.log("[markets] Returning cached data for:", cacheKey);
       return res.status(200).json(cached);
@@ -332,7 +315,7 @@ module.exports = async (req, res) => {
       // Cache the response
       if (limitNum <= 1000) {
         const cacheKey = getCacheKey(kind, sportType);
-        setCache(cacheKey, response);
+        cache.set(cacheKey, response);
       }
       
       return res.status(200).json(response);
@@ -1788,7 +1771,7 @@ module.exports = async (req, res) => {
     // Cache the response (only for reasonable limits)
     if (limitNum <= 1000) {
       const cacheKey = getCacheKey(kind, sportType);
-      setCache(cacheKey, response);
+      cache.set(cacheKey, response);
     }
 
       return res.status(200).json(response);
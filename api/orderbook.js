@@ -0,0 +1,125 @@
+// api/orderbook.js
+// Aggregated order book depth per outcome token plus the latest trades for a market
+// Lets traders judge liquidity before placing an order
+
+const { getMarketTokens, getOutcomeLabel, getOrderBook, getRecentTrades, aggregateLevels } = require("./lib/clob");
+const { createClient } = require("@supabase/supabase-js");
+const { createTtlCache } = require("./lib/cache");
+
+// In-memory cache with TTL (5 seconds, same as /api/markets; last 50 - one per market being viewed)
+const cache = createTtlCache({ ttlMs: 5000, maxEntries: 50 });
+
+function getCacheKey(marketId, depth, tradeLimit, tick) {
+  return `${marketId}_${depth}_${tradeLimit}_${tick}`;
+}
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+  const { market_id, condition_id, depth = "10", trades = "20", tick = "0.01" } = req.query || {};
+  const marketId = market_id || condition_id;
+
+  if (!marketId) {
+    return res.status(400).json({ error: "missing_market_id", message: "market_id or condition_id is required" });
+  }
+
+  const depthNum = Math.min(Math.max(parseInt(depth) || 10, 1), 50);
+  const tradeLimit = Math.min(Math.max(parseInt(trades) || 20, 0), 100);
+  const tickNum = [0.001, 0.01, 0.05, 0.1].includes(parseFloat(tick)) ? parseFloat(tick) : 0.01;
+
+  const cacheKey = getCacheKey(marketId, depthNum, tradeLimit, tickNum);
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return res.status(200).json(cached);
+  }
+
+  try {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+    const supabase = SUPABASE_URL && SUPABASE_SERVICE_KEY
+      ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+      : null;
+
+    const { tokenIds, conditionId, outcomes } = await getMarketTokens(supabase, marketId);
+
+    if (tokenIds.length === 0) {
+      return res.status(400).json({
+        error: "market_not_tradable",
+        message: `No CLOB tokens found for market ${marketId}`
+      });
+    }
+
+    const books = await Promise.all(tokenIds.map(async (tokenId, index) => {
+      let book;
+      try {
+        book = await getOrderBook(tokenId);
+      } catch (err) {
+        // The CLOB returns 404 for tokens without a book (e.g. closed markets)
+        if (err.status !== 404) throw err;
+        book = { tokenId, bids: [], asks: [] };
+      }
+
+      const bestBid = book.bids.length > 0 ? book.bids[0].price : null;
+      const bestAsk = book.asks.length > 0 ? book.asks[0].price : null;
+
+      return {
+        outcome_index: index,
+        outcome: getOutcomeLabel(outcomes, index),
+        token_id: tokenId,
+        best_bid: bestBid,
+        best_ask: bestAsk,
+        spread: bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null,
+        midpoint: bestBid !== null && bestAsk !== null ? (bestAsk + bestBid) / 2 : null,
+        bid_depth: book.bids.reduce((sum, level) => sum + level.size * level.price, 0),
+        ask_depth: book.asks.reduce((sum, level) => sum + level.size * level.price, 0),
+        bids: aggregateLevels(book.bids, { tick: tickNum, maxLevels: depthNum, isBid: true }),
+        asks: aggregateLevels(book.asks, { tick: tickNum, maxLevels: depthNum, isBid: false })
+      };
+    }));
+
+    // Trades are a nice-to-have: a data API outage shouldn't hide the book
+    let recentTrades = [];
+    if (tradeLimit > 0 && conditionId) {
+      try {
+        const tokenIndex = new Map(tokenIds.map((tokenId, index) => [tokenId, index]));
+        recentTrades = (await getRecentTrades(conditionId, tradeLimit)).map(trade => ({
+          outcome_index: tokenIndex.has(trade.tokenId) ? tokenIndex.get(trade.tokenId) : trade.outcomeIndex,
+          outcome: trade.outcome,
+          side: trade.side,
+          price: trade.price,
+          size: trade.size,
+          notional: trade.price * trade.size,
+          timestamp: new Date(trade.timestamp).toISOString(),
+          transaction_hash: trade.transactionHash
+        }));
+      } catch (err) {
+        console.warn("[orderbook] Failed to fetch recent trades:", err.message);
+      }
+    }
+
+    const response = {
+      success: true,
+      market_id: marketId,
+      condition_id: conditionId,
+      tick: tickNum,
+      books,
+      trades: recentTrades,
+      timestamp: new Date().toISOString()
+    };
+
+    cache.set(cacheKey, response);
+    return res.status(200).json(response);
+
+  } catch (err) {
+    console.error("[orderbook] Error:", err);
+    return res.status(502).json({
+      error: "orderbook_failed",
+      message: err.message || "Failed to load order book"
+    });
+  }
+};
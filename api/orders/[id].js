@@ -0,0 +1,155 @@
+// api/orders/[id].js
+// Epic 4.3: Get or cancel a single order
+// DELETE cancels the resting order on the CLOB and returns any unfilled USDC
+
+const { createClient } = require("@supabase/supabase-js");
+const { validateSession } = require("../middleware/validate-session");
+const { handleApiError, ERROR_CODES } = require("../lib/errors");
+const { logError, logTransaction } = require("../lib/logger");
+const { loadPolygonWallet } = require("../lib/custody");
+const { cancelOrder } = require("../lib/clob");
+const { isTerminalStatus, syncOrder, formatOrder } = require("../lib/orders");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (req.method !== "GET" && req.method !== "DELETE") {
+    return res.status(405).json({
+      error: "method_not_allowed",
+      message: `Method ${req.method} not allowed`
+    });
+  }
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    return res.status(500).json({
+      error: "database_not_configured",
+      message: "Supabase not configured"
+    });
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+  try {
+    // Phase 2: Require valid session
+    const authHeader = req.headers.authorization;
+    const sessionToken = authHeader?.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : (req.body?.session_token || req.query?.session_token);
+
+    if (!sessionToken) {
+      return res.status(401).json({
+        error: "authentication_required",
+        message: "Session token required"
+      });
+    }
+
+    const sessionValidation = await validateSession(sessionToken);
+    if (!sessionValidation.isValid) {
+      return res.status(401).json({
+        error: "invalid_session",
+        message: sessionValidation.error || "Invalid or expired session"
+      });
+    }
+
+    const userId = sessionValidation.userId;
+    const orderId = req.query?.id;
+
+    if (!orderId) {
+      return res.status(400).json({ error: "missing_order_id", message: "Order ID is required" });
+    }
+
+    // Orders can be addressed by our ID or the CLOB order ID
+    const { data: order, error: orderError } = await supabase
+      .from("orders")
+      .select("*")
+      .eq("user_id", userId)
+      .eq(String(orderId).startsWith('0x') ? "clob_order_id" : "id", String(orderId))
+      .maybeSingle();
+
+    if (orderError || !order) {
+      return res.status(404).json({ error: "order_not_found", message: "Order not found" });
+    }
+
+    if (req.method === "GET") {
+      let current = order;
+      if (!isTerminalStatus(order.status)) {
+        try {
+          const custody = await loadPolygonWallet(supabase, userId);
+          current = await syncOrder(supabase, order, custody);
+        } catch (syncError) {
+          logError('Order refresh failed', syncError, { order_id: order.id });
+        }
+      }
+      return res.status(200).json({ success: true, order: formatOrder(current) });
+    }
+
+    // DELETE: cancel a resting order
+    if (isTerminalStatus(order.status)) {
+      return res.status(400).json({
+        error: "order_not_cancellable",
+        message: `Order is already ${order.status}`,
+        order: formatOrder(order)
+      });
+    }
+
+    const custody = await loadPolygonWallet(supabase, userId);
+
+    let cancelResult;
+    try {
+      cancelResult = await cancelOrder(order.clob_order_id, {
+        creds: custody.clobCreds,
+        address: custody.address
+      });
+    } catch (clobError) {
+      logError('CLOB order cancellation failed', clobError, {
+        operation: 'clob_order_cancel',
+        user_id: userId,
+        order_id: order.id
+      });
+      return res.status(502).json({
+        error: ERROR_CODES.TRANSACTION_FAILED,
+        message: `Order cancellation failed: ${clobError.message}`
+      });
+    }
+
+    const cancelled = cancelResult.canceled.includes(order.clob_order_id);
+
+    // Pick up any fills that happened before the cancel; a cancelled order settles its unfilled USDC
+    const updated = await syncOrder(supabase, order, custody, { cancelled });
+
+    if (!cancelled && !isTerminalStatus(updated.status)) {
+      return res.status(409).json({
+        error: "order_not_cancelled",
+        message: cancelResult.not_canceled[order.clob_order_id] || "The exchange did not cancel the order",
+        order: formatOrder(updated)
+      });
+    }
+
+    logTransaction('order_cancelled', {
+      user_id: userId,
+      order_id: order.id,
+      clob_order_id: order.clob_order_id,
+      status: updated.status,
+      filled_size: updated.filled_size
+    });
+
+    return res.status(200).json({
+      success: true,
+      order: formatOrder(updated),
+      message: updated.status === 'filled' ? "Order filled before it could be cancelled" : "Order cancelled"
+    });
+
+  } catch (err) {
+    return handleApiError(err, req, res, {
+      operation: 'order',
+      orderId: req.query?.id
+    });
+  }
+};
@@ -0,0 +1,137 @@
+// api/orders/index.js
+// Epic 4.3: List a user's orders
+// Resting orders are refreshed from the CLOB before being returned
+
+const { createClient } = require("@supabase/supabase-js");
+const { validateSession } = require("../middleware/validate-session");
+const { handleApiError } = require("../lib/errors");
+const { logWarn } = require("../lib/logger");
+const { loadPolygonWallet } = require("../lib/custody");
+const { ORDER_STATUSES, isTerminalStatus, syncOrder, formatOrder } = require("../lib/orders");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      error: "method_not_allowed",
+      message: `Method ${req.method} not allowed`
+    });
+  }
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    return res.status(500).json({
+      error: "database_not_configured",
+      message: "Supabase not configured"
+    });
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+  try {
+    // Phase 2: Require valid session
+    const authHeader = req.headers.authorization;
+    const sessionToken = authHeader?.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : req.query?.session_token;
+
+    if (!sessionToken) {
+      return res.status(401).json({
+        error: "authentication_required",
+        message: "Session token required"
+      });
+    }
+
+    const sessionValidation = await validateSession(sessionToken);
+    if (!sessionValidation.isValid) {
+      return res.status(401).json({
+        error: "invalid_session",
+        message: sessionValidation.error || "Invalid or expired session"
+      });
+    }
+
+    const userId = sessionValidation.userId;
+
+    // Query parameters
+    const status = req.query?.status; // 'open' (includes partially filled), or any single order status
+    const marketId = req.query?.market_id;
+    const limit = Math.min(parseInt(req.query?.limit) || 50, 200);
+    const offset = parseInt(req.query?.offset) || 0;
+
+    if (status && status !== 'open' && !Object.values(ORDER_STATUSES).includes(status)) {
+      return res.status(400).json({
+        error: "invalid_status",
+        message: `status must be one of: ${Object.values(ORDER_STATUSES).join(', ')}`
+      });
+    }
+
+    let query = supabase
+      .from("orders")
+      .select("*", { count: 'exact' })
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status === 'open') {
+      query = query.in("status", [ORDER_STATUSES.OPEN, ORDER_STATUSES.PARTIALLY_FILLED]);
+    } else if (status) {
+      query = query.eq("status", status);
+    }
+
+    if (marketId) {
+      query = query.eq("market_id", marketId);
+    }
+
+    const { data: orders, error, count } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    // Refresh resting orders so fills and expiries show up without a separate job
+    let refreshed = orders || [];
+    if (refreshed.some(order => !isTerminalStatus(order.status))) {
+      let custody = null;
+      try {
+        custody = await loadPolygonWallet(supabase, userId);
+      } catch (walletError) {
+        logWarn('Could not load wallet to refresh orders', { user_id: userId, error: walletError.message });
+      }
+
+      if (custody) {
+        refreshed = [];
+        for (const order of orders) {
+          try {
+            refreshed.push(await syncOrder(supabase, order, custody));
+          } catch (syncError) {
+            logWarn('Order refresh failed', { order_id: order.id, error: syncError.message });
+            refreshed.push(order);
+          }
+        }
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      orders: refreshed.map(formatOrder),
+      pagination: {
+        total: count || 0,
+        limit: limit,
+        offset: offset,
+        has_more: (count || 0) > offset + limit
+      }
+    });
+
+  } catch (err) {
+    return handleApiError(err, req, res, {
+      operation: 'list_orders'
+    });
+  }
+};
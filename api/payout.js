@@ -1,10 +1,18 @@
 // api/payout.js
-// Handle payouts when positions win
+// Payouts for positions in resolved markets
+// GET lists pending and claimed payouts; POST settles the caller's resolved positions right away
+// (the settle-markets cron does the same for everyone)
+
+const { createClient } = require("@supabase/supabase-js");
+const { validateSession } = require("./middleware/validate-session");
+const { SHARE_EPSILON } = require("./lib/positions");
+const { PAYOUT_STATUSES, settleResolvedMarkets, formatPayout } = require("./lib/settlement");
+const { getMarketsByIds } = require("./lib/clob");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "POST,GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
 
   if (req.method === "OPTIONS") return res.status(200).end();
 
@@ -12,85 +20,112 @@ module.exports = async (req, res) => {
   const body = req.body || {};
   const query = req.query || {};
 
-  try {
-    if (method === "GET") {
-      // Get pending payouts
-      const telegramId = query.telegram_id || query.telegramId;
+  if (method !== "GET" && method !== "POST") {
+    return res.status(405).json({ error: "method_not_allowed" });
+  }
 
-      if (!telegramId) {
+  try {
+    // Phase 2: Require valid session
+    const authHeader = req.headers.authorization;
+    const sessionToken = authHeader?.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : (query.session_token || body.session_token);
+
+    let userId;
+    if (sessionToken) {
+      const sessionValidation = await validateSession(sessionToken);
+      if (!sessionValidation.isValid) {
+        return res.status(401).json({
+          error: "invalid_session",
+          message: sessionValidation.error || "Invalid or expired session"
+        });
+      }
+      userId = sessionValidation.userId;
+    } else {
+      // Fallback to telegram_id for backward compatibility (deprecated)
+      userId = query.telegram_id || query.telegramId || body.telegram_id || body.telegramId;
+      if (!userId) {
         return res.status(400).json({ error: "missing_user_id", message: "telegram_id is required" });
       }
+    }
 
-      // In production, fetch from database
-      // For now, return empty list
-      return res.status(200).json({
-        success: true,
-        pending_payouts: [],
-        total_pending: 0
-      });
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 
-    } else if (method === "POST") {
-      // Request payout
-      const {
-        telegram_id,
-        telegramId,
-        position_id,
-        market_id,
-        amount,
-        wallet_address
-      } = body;
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+      return res.status(500).json({ error: "database_not_configured", message: "Supabase not configured" });
+    }
 
-      const userId = telegram_id || telegramId;
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
-      if (!userId) {
-        return res.status(400).json({ error: "missing_user_id", message: "telegram_id is required" });
-      }
+    if (method === "GET") {
+      return await listPayouts(res, supabase, userId);
+    }
 
-      if (!position_id && !market_id) {
-        return res.status(400).json({ error: "missing_position", message: "position_id or market_id is required" });
-      }
+    // POST: claim (settle) a resolved position or market
+    const { position_id, market_id } = body;
 
-      if (!amount || amount <= 0) {
-        return res.status(400).json({ error: "invalid_amount", message: "Amount must be greater than 0" });
-      }
+    if (!position_id && !market_id) {
+      return res.status(400).json({ error: "missing_position", message: "position_id or market_id is required" });
+    }
 
-      if (!wallet_address) {
-        return res.status(400).json({ error: "missing_wallet", message: "wallet_address is required" });
+    let marketId = market_id;
+    if (position_id) {
+      const { data: position } = await supabase
+        .from("positions")
+        .select("id, market_id")
+        .eq("id", position_id)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!position) {
+        return res.status(404).json({ error: "position_not_found", message: "Position not found" });
       }
+      marketId = position.market_id;
+    }
 
-      console.log("[payout] Payout request:", {
-        userId,
-        position_id,
-        market_id,
-        amount,
-        wallet_address: wallet_address.substring(0, 10) + "..."
-      });
+    const summary = await settleResolvedMarkets(supabase, { userId, marketId, limit: 1 });
 
-      // For MVP: Simulate payout
-      // In production, this would:
-      // 1. Verify position is resolved and won
-      // 2. Check if payout already processed
-      // 3. Transfer funds to user's wallet
-      // 4. Update position status
-
-      const payoutId = `payout_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-
-      return res.status(200).json({
-        success: true,
-        payout_id: payoutId,
-        position_id: position_id,
-        market_id: market_id,
-        amount: parseFloat(amount),
-        wallet_address: wallet_address,
-        status: "processing",
-        message: "Payout initiated. Funds will arrive in your wallet shortly.",
-        estimated_time: "5-10 minutes"
+    if (summary.markets_checked === 0 && summary.payouts_credited === 0) {
+      return res.status(400).json({
+        error: "nothing_to_claim",
+        message: "No unsettled positions in this market"
       });
+    }
 
-    } else {
-      return res.status(405).json({ error: "method_not_allowed" });
+    if (summary.markets_resolved === 0 && summary.payouts_credited === 0) {
+      return res.status(400).json({
+        error: "market_not_resolved",
+        message: "This market has not resolved yet"
+      });
     }
 
+    const { data: credited } = await supabase
+      .from("payouts")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("market_id", marketId)
+      .eq("status", PAYOUT_STATUSES.CLAIMED)
+      .order("claimed_at", { ascending: false });
+
+    const amount = summary.total_paid;
+
+    console.log("[payout] Claimed:", { userId, market_id: marketId, amount });
+
+    return res.status(200).json({
+      success: true,
+      payout_id: credited?.[0]?.id || null,
+      market_id: marketId,
+      position_id: position_id || null,
+      amount: amount,
+      positions_settled: summary.positions_settled,
+      payouts: (credited || []).map(formatPayout),
+      status: summary.errors.length > 0 ? "partial" : "claimed",
+      message: amount > 0
+        ? `$${amount.toFixed(2)} has been added to your balance.`
+        : "Positions settled. No winning shares to pay out."
+    });
+
   } catch (err) {
     console.error("[payout] Error:", err);
     return res.status(500).json({
@@ -100,3 +135,93 @@ module.exports = async (req, res) => {
   }
 };
 
+/**
+ * Pending payouts are winning positions in resolved markets that haven't been credited yet
+ * (either not settled so far, or settled with the credit still outstanding)
+ */
+async function listPayouts(res, supabase, userId) {
+  const { data: payoutRows, error: payoutsError } = await supabase
+    .from("payouts")
+    .select("*")
+    .eq("user_id", userId)
+    .in("status", [PAYOUT_STATUSES.PENDING, PAYOUT_STATUSES.CLAIMED])
+    .order("created_at", { ascending: false })
+    .limit(100);
+
+  if (payoutsError) {
+    throw payoutsError;
+  }
+
+  const { data: positions, error: positionsError } = await supabase
+    .from("positions")
+    .select("*")
+    .eq("user_id", userId)
+    .gt("shares", SHARE_EPSILON);
+
+  if (positionsError) {
+    throw positionsError;
+  }
+
+  const marketIds = [...new Set([
+    ...(payoutRows || []).map(p => p.market_id),
+    ...(positions || []).map(p => p.market_id)
+  ].filter(Boolean))];
+
+  const marketsById = new Map();
+  if (marketIds.length > 0) {
+    const markets = await getMarketsByIds(supabase,
+      "id, condition_id, question, slug, image, winning_outcome_index", marketIds);
+
+    for (const market of markets) {
+      marketsById.set(String(market.id), market);
+      if (market.condition_id) marketsById.set(market.condition_id, market);
+    }
+  }
+
+  const withMarket = (payout) => {
+    const market = marketsById.get(String(payout.market_id));
+    return {
+      ...payout,
+      market_question: market?.question || null,
+      market_slug: market?.slug || null,
+      image: market?.image || null
+    };
+  };
+
+  // Winning positions the settlement job hasn't reached yet
+  const unsettled = (positions || [])
+    .filter(position => {
+      const winner = marketsById.get(String(position.market_id))?.winning_outcome_index;
+      return winner !== null && winner !== undefined && position.outcome_index === winner;
+    })
+    .map(position => withMarket({
+      id: null,
+      position_id: position.id,
+      market_id: position.market_id,
+      outcome_index: position.outcome_index,
+      token_id: position.clob_token_id,
+      shares: parseFloat(position.shares) || 0,
+      avg_price: parseFloat(position.avg_price) || 0,
+      amount: parseFloat(position.shares) || 0, // $1 per winning share
+      status: PAYOUT_STATUSES.PENDING,
+      created_at: null,
+      claimed_at: null
+    }));
+
+  const pending = [
+    ...(payoutRows || []).filter(p => p.status === PAYOUT_STATUSES.PENDING).map(p => withMarket(formatPayout(p))),
+    ...unsettled
+  ];
+  const claimed = (payoutRows || [])
+    .filter(p => p.status === PAYOUT_STATUSES.CLAIMED)
+    .map(p => withMarket(formatPayout(p)));
+
+  return res.status(200).json({
+    success: true,
+    pending_payouts: pending,
+    total_pending: pending.reduce((sum, p) => sum + p.amount, 0),
+    claimed_payouts: claimed,
+    total_claimed: claimed.reduce((sum, p) => sum + p.amount, 0),
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,141 @@
+// api/positions.js
+// Epic 4.4: List a user's open positions
+// Each position is marked to market at the latest synced outcome price (markets.outcome_prices)
+
+const { createClient } = require("@supabase/supabase-js");
+const { validateSession } = require("./middleware/validate-session");
+const { handleApiError } = require("./lib/errors");
+const { SHARE_EPSILON, markToMarket, formatPosition } = require("./lib/positions");
+const { parseJsonArray, getMarketsByIds } = require("./lib/clob");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      error: "method_not_allowed",
+      message: `Method ${req.method} not allowed`
+    });
+  }
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    return res.status(500).json({
+      error: "database_not_configured",
+      message: "Supabase not configured"
+    });
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+  try {
+    // Phase 2: Require valid session
+    const authHeader = req.headers.authorization;
+    const sessionToken = authHeader?.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : req.query?.session_token;
+
+    if (!sessionToken) {
+      return res.status(401).json({
+        error: "authentication_required",
+        message: "Session token required"
+      });
+    }
+
+    const sessionValidation = await validateSession(sessionToken);
+    if (!sessionValidation.isValid) {
+      return res.status(401).json({
+        error: "invalid_session",
+        message: sessionValidation.error || "Invalid or expired session"
+      });
+    }
+
+    const userId = sessionValidation.userId;
+
+    const { data: positions, error } = await supabase
+      .from("positions")
+      .select("*")
+      .eq("user_id", userId)
+      .gt("shares", SHARE_EPSILON)
+      .order("updated_at", { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    // Load market questions and current outcome prices
+    const marketIds = [...new Set((positions || []).map(p => p.market_id).filter(Boolean))];
+    const marketsById = {};
+    if (marketIds.length > 0) {
+      const markets = await getMarketsByIds(supabase,
+        "id, condition_id, question, slug, image, outcomes, outcome_prices, closed, resolved", marketIds);
+
+      markets.forEach(market => {
+        marketsById[market.id] = market;
+        if (market.condition_id) marketsById[market.condition_id] = market;
+      });
+    }
+
+    const totals = {
+      market_value: 0,
+      cost_basis: 0,
+      unrealized_pnl: 0,
+      unrealized_pnl_pct: 0,
+      realized_pnl: 0
+    };
+
+    const results = [];
+    for (const position of positions || []) {
+      const market = marketsById[position.market_id];
+      const price = parseFloat(parseJsonArray(market?.outcome_prices)[position.outcome_index]);
+      const valuation = markToMarket(position, isNaN(price) ? null : price);
+
+      totals.market_value += valuation.market_value;
+      totals.cost_basis += valuation.cost_basis;
+      totals.unrealized_pnl += valuation.unrealized_pnl;
+      totals.realized_pnl += parseFloat(position.realized_pnl) || 0;
+
+      // Keep current_value fresh so /api/balances reports the same positions value
+      if (Math.abs((parseFloat(position.current_value) || 0) - valuation.market_value) > 0.000001) {
+        await supabase
+          .from("positions")
+          .update({ current_value: valuation.market_value })
+          .eq("id", position.id);
+      }
+
+      results.push({
+        ...formatPosition(position),
+        ...valuation,
+        question: market?.question || null,
+        market_slug: market?.slug || position.market_slug || null,
+        image: market?.image || null,
+        outcome: parseJsonArray(market?.outcomes)[position.outcome_index] || position.side,
+        market_closed: market ? market.closed === true || market.resolved === true : false
+      });
+    }
+
+    totals.unrealized_pnl_pct = totals.cost_basis > 0
+      ? (totals.unrealized_pnl / totals.cost_basis) * 100
+      : 0;
+
+    return res.status(200).json({
+      success: true,
+      positions: results,
+      totals: totals,
+      count: results.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    return handleApiError(err, req, res, {
+      operation: 'positions',
+      endpoint: '/api/positions'
+    });
+  }
+};
@@ -0,0 +1,70 @@
+// api/process-withdrawals.js
+// Withdrawal worker (run on a cron, like settle-markets): moves due withdrawals through
+// processing -> bridging -> sending -> completed, retrying failed steps with backoff, refunding
+// withdrawals that fail and parking ones that may have sent funds for manual review.
+// See processWithdrawals in lib/withdrawals.js
+
+const { createClient } = require("@supabase/supabase-js");
+const { processWithdrawals } = require("./lib/withdrawals");
+const { getMissingConfig } = require("./lib/bridge");
+const { apiKeyMatches } = require("./lib/security");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,X-API-Key");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "POST"].includes(req.method)) return res.status(405).json({ error: "method_not_allowed" });
+
+  // Sends funds out of the treasury, so this never runs without a key
+  if (!process.env.WITHDRAWAL_WORKER_API_KEY) {
+    return res.status(503).json({
+      error: "worker_disabled",
+      message: "Set WITHDRAWAL_WORKER_API_KEY to enable withdrawal processing"
+    });
+  }
+  if (!apiKeyMatches(req.headers['x-api-key'], process.env.WITHDRAWAL_WORKER_API_KEY)) {
+    return res.status(401).json({ error: "unauthorized", message: "Invalid API key" });
+  }
+
+  const missing = getMissingConfig();
+  if (missing.length > 0) {
+    return res.status(503).json({
+      error: "bridge_not_configured",
+      message: `Set ${missing.join(", ")} to process withdrawals`
+    });
+  }
+
+  const { limit = "20" } = req.query || {};
+
+  try {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+      return res.status(500).json({
+        error: "supabase_not_configured",
+        message: "Supabase not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_KEY."
+      });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+    const summary = await processWithdrawals(supabase, {
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    });
+
+    console.log("[process-withdrawals] Run complete:", summary);
+
+    return res.status(200).json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("[process-withdrawals] Error:", err);
+    return res.status(500).json({
+      error: "withdrawal_processing_failed",
+      message: err.message
+    });
+  }
+};
@@ -0,0 +1,115 @@
+// api/quote.js
+// Price a market order by walking the live CLOB order book
+// Returns the average fill price, shares, price impact and worst price for a given size
+
+const { getMarketTokens, resolveOutcomeIndex, getOutcomeLabel, getOrderBook, quoteFromBook } = require("./lib/clob");
+const { createClient } = require("@supabase/supabase-js");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+  const {
+    market_id,
+    condition_id,
+    outcome_index,
+    side, // Outcome name - used when outcome_index is omitted
+    action = 'buy', // 'buy' spends amount, 'sell' gives up shares
+    amount,
+    shares
+  } = req.query || {};
+
+  const marketId = market_id || condition_id;
+
+  if (!marketId) {
+    return res.status(400).json({ error: "missing_market_id", message: "market_id or condition_id is required" });
+  }
+
+  if ((outcome_index === undefined || outcome_index === '') && !side) {
+    return res.status(400).json({ error: "invalid_side", message: "outcome_index or side (the outcome name) is required" });
+  }
+
+  const orderAction = String(action).toLowerCase();
+  if (!['buy', 'sell'].includes(orderAction)) {
+    return res.status(400).json({ error: "invalid_action", message: "action must be 'buy' or 'sell'" });
+  }
+
+  const size = parseFloat(orderAction === 'buy' ? amount : shares);
+  if (isNaN(size) || size <= 0) {
+    return res.status(400).json({
+      error: orderAction === 'buy' ? "invalid_amount" : "invalid_shares",
+      message: orderAction === 'buy' ? "amount must be a positive number" : "shares must be a positive number"
+    });
+  }
+
+  try {
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+    const supabase = SUPABASE_URL && SUPABASE_SERVICE_KEY
+      ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+      : null;
+
+    const { tokenIds, outcomes } = await getMarketTokens(supabase, marketId);
+    const outcomeIndex = resolveOutcomeIndex({
+      outcomeIndex: outcome_index,
+      side,
+      outcomes,
+      tokenCount: tokenIds.length
+    });
+
+    if (outcomeIndex === -1) {
+      return res.status(400).json({
+        error: tokenIds.length === 0 ? "market_not_tradable" : "invalid_outcome",
+        message: tokenIds.length === 0
+          ? `No CLOB tokens found for market ${marketId}`
+          : `Unknown outcome for market ${marketId}. Valid outcomes: ${outcomes.join(', ') || 'yes, no'}`
+      });
+    }
+
+    const tokenId = tokenIds[outcomeIndex];
+
+    const book = await getOrderBook(tokenId);
+    const quote = quoteFromBook(book, orderAction === 'buy' ? 'BUY' : 'SELL', {
+      amount: orderAction === 'buy' ? size : 0,
+      shares: orderAction === 'sell' ? size : 0
+    });
+
+    if (quote.levelsUsed === 0) {
+      return res.status(400).json({
+        error: "no_liquidity",
+        message: `No ${orderAction === 'buy' ? 'asks' : 'bids'} on the book for this outcome`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      market_id: marketId,
+      outcome_index: outcomeIndex,
+      outcome: getOutcomeLabel(outcomes, outcomeIndex),
+      token_id: tokenId,
+      action: orderAction,
+      requested: orderAction === 'buy' ? { amount: size } : { shares: size },
+      shares: quote.shares,
+      amount: quote.amount,
+      average_price: quote.averagePrice,
+      best_price: quote.bestPrice,
+      worst_price: quote.worstPrice,
+      price_impact: quote.priceImpact,
+      price_impact_bps: quote.priceImpactBps,
+      fully_filled: quote.fullyFilled,
+      levels_used: quote.levelsUsed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("[quote] Error:", err);
+    return res.status(502).json({
+      error: "quote_failed",
+      message: err.message || "Failed to price order"
+    });
+  }
+};
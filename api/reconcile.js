@@ -0,0 +1,86 @@
+// api/reconcile.js
+// Nightly job that reconciles user_balances against the ledger and custodial on-chain USDC
+// GET/POST retries order work left unfinished at placement, then runs a reconciliation;
+// GET ?report_id= (or ?latest=true) returns a stored report
+
+const { createClient } = require("@supabase/supabase-js");
+const { reconcileBalances } = require("./lib/reconciliation");
+const { retryPendingOrders } = require("./lib/orders");
+const { apiKeyMatches } = require("./lib/security");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,X-API-Key");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "POST"].includes(req.method)) return res.status(405).json({ error: "method_not_allowed" });
+
+  // Reports list every user's balances, so this never runs without a key
+  if (!process.env.RECONCILIATION_API_KEY) {
+    return res.status(503).json({
+      error: "reconciliation_disabled",
+      message: "Set RECONCILIATION_API_KEY to enable reconciliation"
+    });
+  }
+  if (!apiKeyMatches(req.headers['x-api-key'], process.env.RECONCILIATION_API_KEY)) {
+    return res.status(401).json({ error: "unauthorized", message: "Invalid API key" });
+  }
+
+  const { user_id = null, onchain = "true", report_id = null, latest = "false" } = req.query || {};
+
+  try {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+      return res.status(500).json({
+        error: "supabase_not_configured",
+        message: "Supabase not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_KEY."
+      });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+    if (req.method === "GET" && (report_id || latest === "true")) {
+      let query = supabase.from("reconciliation_reports").select("*");
+      query = report_id
+        ? query.eq("id", report_id)
+        : query.order("started_at", { ascending: false }).limit(1);
+
+      const { data: report } = await query.maybeSingle();
+      if (!report) {
+        return res.status(404).json({ error: "report_not_found", message: "No reconciliation report found" });
+      }
+
+      return res.status(200).json({ success: true, report });
+    }
+
+    // Finish flagged orders first so the report reflects the money they move
+    const orders = await retryPendingOrders(supabase, { userId: user_id });
+
+    const report = await reconcileBalances(supabase, {
+      userId: user_id,
+      checkOnchain: onchain !== "false"
+    });
+
+    console.log("[reconcile] Run complete:", {
+      report_id: report.id,
+      users_checked: report.users_checked,
+      discrepancy_count: report.discrepancy_count,
+      orders_retried: orders.retried,
+      orders_failed: orders.failed.length
+    });
+
+    return res.status(200).json({
+      success: true,
+      report,
+      orders,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("[reconcile] Error:", err);
+    return res.status(500).json({
+      error: "reconciliation_failed",
+      message: err.message
+    });
+  }
+};
@@ -0,0 +1,96 @@
+// api/reencrypt-keys.js
+// Encryption key rotation job: re-wraps every encrypted custody_wallets column under the newest key in
+// ENCRYPTION_KEYS (and rewrites values still in older formats). Safe to run against a live app.
+// GET/POST works on the current run until it runs out of time (call again, or from a cron, to continue);
+// GET ?job_id= (or ?latest=true) returns a run's progress without doing any work
+
+const { createClient } = require("@supabase/supabase-js");
+const { getKeyring } = require("./lib/encryption");
+const { runKeyRotation, rotationProgress } = require("./lib/reencryption");
+const { apiKeyMatches } = require("./lib/security");
+
+// Stay well inside the serverless function timeout
+const TIME_BUDGET_MS = 25000;
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,X-API-Key");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "POST"].includes(req.method)) return res.status(405).json({ error: "method_not_allowed" });
+
+  // Touches every custody key, so unlike the other cron jobs this never runs without a key
+  if (!process.env.KEY_MIGRATION_API_KEY) {
+    return res.status(503).json({
+      error: "rotation_disabled",
+      message: "Set KEY_MIGRATION_API_KEY to enable key rotation"
+    });
+  }
+  if (!apiKeyMatches(req.headers['x-api-key'], process.env.KEY_MIGRATION_API_KEY)) {
+    return res.status(401).json({ error: "unauthorized", message: "Invalid API key" });
+  }
+
+  const { job_id = null, latest = "false", batch_size = "100", dry_run = "false" } = req.query || {};
+
+  try {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+      return res.status(500).json({
+        error: "supabase_not_configured",
+        message: "Supabase not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_KEY."
+      });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+    if (req.method === "GET" && (job_id || latest === "true")) {
+      let query = supabase.from("key_rotation_jobs").select("*");
+      query = job_id
+        ? query.eq("id", job_id)
+        : query.order("started_at", { ascending: false }).limit(1);
+
+      const { data: job } = await query.maybeSingle();
+      if (!job) {
+        return res.status(404).json({ error: "job_not_found", message: "No key rotation run found" });
+      }
+
+      return res.status(200).json({ success: true, job, progress: rotationProgress(job) });
+    }
+
+    // Fail before reading any rows if a key is missing or malformed
+    const { currentKeyId, keys } = getKeyring();
+
+    const job = await runKeyRotation(supabase, {
+      timeBudgetMs: TIME_BUDGET_MS,
+      batchSize: Math.min(Math.max(parseInt(batch_size) || 100, 1), 500),
+      dryRun: dry_run === "true"
+    });
+
+    console.log("[reencrypt-keys] Run complete:", {
+      job_id: job.id,
+      status: job.status,
+      wallets_scanned: job.wallets_scanned,
+      total_wallets: job.total_wallets
+    });
+
+    return res.status(200).json({
+      success: true,
+      current_key_id: currentKeyId,
+      configured_key_ids: [...keys.keys()],
+      job,
+      progress: rotationProgress(job),
+      done: job.status === 'completed',
+      // Conflicting rows changed while we were working on them; start another run to catch them
+      rerun_needed: job.status === 'completed' && job.wallets_conflicted > 0,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("[reencrypt-keys] Error:", err);
+    return res.status(500).json({
+      error: "key_rotation_failed",
+      message: err.message,
+      code: err.code
+    });
+  }
+};
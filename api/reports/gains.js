@@ -0,0 +1,108 @@
+// api/reports/gains.js
+// Realized gains report for one tax year
+// GET ?year=2026&method=fifo|average&format=json|csv
+
+const { createClient } = require("@supabase/supabase-js");
+const { validateSession } = require("../middleware/validate-session");
+const { handleApiError } = require("../lib/errors");
+const { GAIN_METHODS, loadGainEvents, computeRealizedGains, gainsToCsv } = require("../lib/gains");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Disposition");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      error: "method_not_allowed",
+      message: `Method ${req.method} not allowed`
+    });
+  }
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    return res.status(500).json({
+      error: "database_not_configured",
+      message: "Supabase not configured"
+    });
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+  try {
+    // Phase 2: Require valid session
+    const authHeader = req.headers.authorization;
+    const sessionToken = authHeader?.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : req.query?.session_token;
+
+    if (!sessionToken) {
+      return res.status(401).json({
+        error: "authentication_required",
+        message: "Session token required"
+      });
+    }
+
+    const sessionValidation = await validateSession(sessionToken);
+    if (!sessionValidation.isValid) {
+      return res.status(401).json({
+        error: "invalid_session",
+        message: sessionValidation.error || "Invalid or expired session"
+      });
+    }
+
+    const userId = sessionValidation.userId;
+
+    const yearParam = req.query?.year ? String(req.query.year) : String(new Date().getUTCFullYear());
+    const method = (req.query?.method || 'fifo').toLowerCase();
+    const format = (req.query?.format || 'json').toLowerCase();
+
+    if (!/^\d{4}$/.test(yearParam)) {
+      return res.status(400).json({
+        error: "invalid_year",
+        message: "year must be a four-digit year"
+      });
+    }
+
+    if (!GAIN_METHODS.includes(method)) {
+      return res.status(400).json({
+        error: "invalid_method",
+        message: `method must be one of: ${GAIN_METHODS.join(', ')}`
+      });
+    }
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: "invalid_format",
+        message: "format must be json or csv"
+      });
+    }
+
+    const year = parseInt(yearParam, 10);
+    const { events, fallbackPrices } = await loadGainEvents(supabase, userId);
+    const report = computeRealizedGains(events, { method, year, fallbackPrices });
+
+    if (format === 'csv') {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="polygram-gains-${year}-${method}.csv"`);
+      return res.status(200).send(gainsToCsv(report));
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...report,
+      generated_at: new Date().toISOString()
+    });
+
+  } catch (err) {
+    return handleApiError(err, req, res, {
+      operation: 'gains_report',
+      endpoint: '/api/reports/gains'
+    });
+  }
+};
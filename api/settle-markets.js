@@ -0,0 +1,60 @@
+// api/settle-markets.js
+// Background job to settle positions in resolved markets (run on a cron, like sync-markets)
+// Winning shares are credited at $1 each through 'payout' ledger entries; losing shares are zeroed
+
+const { createClient } = require("@supabase/supabase-js");
+const { settleResolvedMarkets } = require("./lib/settlement");
+const { apiKeyMatches } = require("./lib/security");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,X-API-Key");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "POST"].includes(req.method)) return res.status(405).json({ error: "method_not_allowed" });
+
+  // Settlement moves money, so this never runs without a key
+  if (!process.env.SETTLEMENT_API_KEY) {
+    return res.status(503).json({
+      error: "settlement_disabled",
+      message: "Set SETTLEMENT_API_KEY to enable settlement"
+    });
+  }
+  if (!apiKeyMatches(req.headers['x-api-key'], process.env.SETTLEMENT_API_KEY)) {
+    return res.status(401).json({ error: "unauthorized", message: "Invalid API key" });
+  }
+
+  const { market_id = null, limit = "50" } = req.query || {};
+
+  try {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+      return res.status(500).json({
+        error: "supabase_not_configured",
+        message: "Supabase not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_KEY."
+      });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+    const summary = await settleResolvedMarkets(supabase, {
+      marketId: market_id,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    console.log("[settle-markets] Run complete:", summary);
+
+    return res.status(200).json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("[settle-markets] Error:", err);
+    return res.status(500).json({
+      error: "settlement_failed",
+      message: err.message
+    });
+  }
+};
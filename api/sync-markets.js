@@ -193,6 +193,8 @@ async function syncCategory(supabase, category, tagId, fullSync = false) {
             icon: market.icon || event.icon || null,
             outcomes: market.outcomes || [],
             outcome_prices: market.outcomePrices || market.prices || [],
+            clob_token_ids: market.clobTokenIds || [],
+            neg_risk: market.negRisk === true,
             volume: parseFloat(market.volume) || 0,
             volume_24hr: parseFloat(market.volume24hr || market.volume24h) || 0,
             volume_1wk: parseFloat(market.volume1wk || market.volume1w) || 0,
@@ -327,6 +329,8 @@ async function syncCategory(supabase, category, tagId, fullSync = false) {
               icon: market.icon || null,
               outcomes: market.outcomes || [],
               outcome_prices: market.outcomePrices || market.prices || [],
+              clob_token_ids: market.clobTokenIds || [],
+              neg_risk: market.negRisk === true,
               volume: parseFloat(market.volume) || 0,
               volume_24hr: parseFloat(market.volume24hr || market.volume24h) || 0,
               volume_1wk: parseFloat(market.volume1wk || market.volume1w) || 0,
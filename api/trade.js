@@ -1,11 +1,44 @@
 // api/trade.js
 // Execute trades on Polymarket
+// Orders are signed with the user's custodial Polygon key and submitted to the CLOB
 // Epic 4.2: Place a Trade - with session validation and security checks
 
 const { validateSession } = require("./middleware/validate-session");
 const { checkIdempotency, storeIdempotencyKey, checkRateLimit, hashRequest } = require("./lib/security");
 const { handleApiError, validateAmount, ERROR_CODES } = require("./lib/errors");
 const { logError, logTransaction, logSecurityEvent } = require("./lib/logger");
+const { loadPolygonWallet, registerClobApiKey } = require("./lib/custody");
+const {
+  getMarketTokens,
+  resolveOutcomeIndex,
+  getOutcomeLabel,
+  getOrderBook,
+  getTickSize,
+  roundToTick,
+  quoteFromBook,
+  buildSignedOrder,
+  postOrder,
+  parseOrderFill,
+  fromBaseUnits
+} = require("./lib/clob");
+const {
+  ORDER_TYPES,
+  TIME_IN_FORCE,
+  ORDER_STATUSES,
+  RECONCILE_ACTIONS,
+  GTD_SECURITY_THRESHOLD_SECONDS,
+  AMOUNT_EPSILON,
+  parseExpiry,
+  deriveOrderStatus,
+  recordOrder,
+  creditSellProceeds,
+  settleOrder,
+  applyBuyReservation,
+  flagOrderForReconciliation,
+  formatOrder
+} = require("./lib/orders");
+const { SHARE_EPSILON, getPosition, addShares, removeShares, returnShares } = require("./lib/positions");
+const { reserveFunds, releaseReservedFunds } = require("./lib/ledger");
 const { createClient } = require("@supabase/supabase-js");
 
 module.exports = async (req, res) => {
@@ -23,34 +56,38 @@ module.exports = async (req, res) => {
       ? authHeader.substring(7)
       : req.body?.session_token;
 
-    let userId;
-    if (sessionToken) {
-      const sessionValidation = await validateSession(sessionToken);
-      if (!sessionValidation.isValid) {
-        return res.status(401).json({
-          error: "invalid_session",
-          message: sessionValidation.error || "Invalid or expired session"
-        });
-      }
-      userId = sessionValidation.userId;
-    } else {
-      // Fallback to telegram_id for backward compatibility (deprecated)
-      userId = req.body?.telegram_id || req.body?.telegramId;
-      if (!userId) {
-        return res.status(401).json({
-          error: "authentication_required",
-          message: "Session token or telegram_id required"
-        });
-      }
+    if (!sessionToken) {
+      return res.status(401).json({
+        error: "authentication_required",
+        message: "Session token required"
+      });
     }
 
+    const sessionValidation = await validateSession(sessionToken);
+    if (!sessionValidation.isValid) {
+      return res.status(401).json({
+        error: "invalid_session",
+        message: sessionValidation.error || "Invalid or expired session"
+      });
+    }
+
+    const userId = sessionValidation.userId;
+
     const body = req.body || {};
     const {
       market_id,
       condition_id,
-      outcome_index,
-      side, // 'yes' or 'no'
-      amount, // USD amount
+      outcome_index, // Index into the market's outcomes / clobTokenIds (preferred)
+      side, // Outcome name (e.g. 'yes', 'no' or a candidate) - used when outcome_index is omitted
+      action, // 'buy' (default) or 'sell'
+      amount, // USD amount (buys)
+      shares: sharesToSell, // Shares to sell (sells); omit with close: true to sell the whole position
+      close,
+      type, // 'market' (default) or 'limit'
+      limit_price, // Required for limit orders (0.01-0.99)
+      time_in_force, // 'FOK' (market default), 'GTC' (limit default) or 'GTD'
+      expires_at, // Required for GTD orders (ISO string or unix timestamp)
+      max_slippage_bps, // Market orders: reject if the average price is worse than best price by more than this
       idempotency_key,
       nonce
     } = body;
@@ -58,26 +95,82 @@ module.exports = async (req, res) => {
     const marketId = market_id || condition_id;
 
     // Validation
-    if (!userId) {
-      return res.status(400).json({ error: "missing_user_id", message: "telegram_id is required" });
-    }
-
     if (!marketId) {
       return res.status(400).json({ error: "missing_market_id", message: "market_id or condition_id is required" });
     }
 
-    if (!side || !['yes', 'no'].includes(side.toLowerCase())) {
-      return res.status(400).json({ error: "invalid_side", message: "side must be 'yes' or 'no'" });
+    const hasOutcomeIndex = outcome_index !== undefined && outcome_index !== null && outcome_index !== '';
+    if (hasOutcomeIndex && (!Number.isInteger(Number(outcome_index)) || Number(outcome_index) < 0)) {
+      return res.status(400).json({ error: "invalid_outcome_index", message: "outcome_index must be a non-negative integer" });
     }
 
-    // Validate amount
-    try {
-      validateAmount(amount, 1); // Minimum $1
-    } catch (validationError) {
-      return res.status(400).json({
-        error: ERROR_CODES.INVALID_AMOUNT,
-        message: validationError.message
-      });
+    if (!hasOutcomeIndex && (!side || typeof side !== 'string')) {
+      return res.status(400).json({ error: "invalid_side", message: "outcome_index or side (the outcome name) is required" });
+    }
+
+    const orderAction = String(action || 'buy').toLowerCase();
+    if (!['buy', 'sell'].includes(orderAction)) {
+      return res.status(400).json({ error: "invalid_action", message: "action must be 'buy' or 'sell'" });
+    }
+
+    // Buys spend a USD amount; sells give up a number of shares (or the whole position)
+    let requestedShares = null;
+    if (orderAction === 'buy') {
+      try {
+        validateAmount(amount, 1); // Minimum $1
+      } catch (validationError) {
+        return res.status(400).json({
+          error: ERROR_CODES.INVALID_AMOUNT,
+          message: validationError.message
+        });
+      }
+    } else if (!(close === true || sharesToSell === 'all')) {
+      requestedShares = parseFloat(sharesToSell);
+      if (isNaN(requestedShares) || requestedShares <= 0) {
+        return res.status(400).json({ error: "invalid_shares", message: "shares must be a positive number, or set close: true to sell the whole position" });
+      }
+    }
+
+    // Validate order type and time in force
+    const orderType = String(type || 'market').toLowerCase();
+    if (!ORDER_TYPES.includes(orderType)) {
+      return res.status(400).json({ error: "invalid_order_type", message: "type must be 'market' or 'limit'" });
+    }
+
+    const timeInForce = String(time_in_force || (orderType === 'market' ? 'FOK' : 'GTC')).toUpperCase();
+    if (!TIME_IN_FORCE.includes(timeInForce)) {
+      return res.status(400).json({ error: "invalid_time_in_force", message: "time_in_force must be 'GTC', 'GTD' or 'FOK'" });
+    }
+
+    if (orderType === 'market' && timeInForce !== 'FOK') {
+      return res.status(400).json({ error: "invalid_time_in_force", message: "Market orders are always fill-or-kill" });
+    }
+
+    let limitPrice = null;
+    if (orderType === 'limit') {
+      limitPrice = parseFloat(limit_price);
+      if (isNaN(limitPrice) || limitPrice < 0.01 || limitPrice > 0.99) {
+        return res.status(400).json({ error: "invalid_limit_price", message: "limit_price must be between 0.01 and 0.99" });
+      }
+    }
+
+    let expiresAt = null;
+    if (timeInForce === 'GTD') {
+      expiresAt = parseExpiry(expires_at);
+      if (!expiresAt) {
+        return res.status(400).json({ error: "invalid_expiration", message: "expires_at is required for GTD orders" });
+      }
+      if (expiresAt.getTime() <= Date.now()) {
+        return res.status(400).json({ error: "invalid_expiration", message: "expires_at must be in the future" });
+      }
+    }
+
+    let maxSlippageBps = null;
+    if (max_slippage_bps !== undefined && max_slippage_bps !== null && max_slippage_bps !== '') {
+      maxSlippageBps = Number(max_slippage_bps);
+      if (!Number.isInteger(maxSlippageBps) || maxSlippageBps < 0 || maxSlippageBps > 10000) {
+        return res.status(400).json({ error: "invalid_max_slippage", message: "max_slippage_bps must be an integer between 0 and 10000" });
+      }
     }
 
     // Security: Rate limiting (20 trades per minute per user)
@@ -91,7 +184,20 @@ module.exports = async (req, res) => {
     }
 
     // Security: Idempotency key checking
-    const requestHash = hashRequest({ userId, marketId, side, amount, outcome_index });
+    const requestHash = hashRequest({
+      userId,
+      marketId,
+      side,
+      action: orderAction,
+      amount,
+      shares: requestedShares,
+      outcome_index,
+      type: orderType,
+      limit_price: limitPrice,
+      time_in_force: timeInForce,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+      max_slippage_bps: maxSlippageBps
+    });
     if (idempotency_key) {
       const idempotencyCheck = await checkIdempotency(
         idempotency_key,
@@ -113,7 +219,7 @@ module.exports = async (req, res) => {
       }
     }
 
-    // Get user's wallet address from database
+    // Get user's custodial wallet (signing key + CLOB credentials)
     const SUPABASE_URL = process.env.SUPABASE_URL;
     const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
     
@@ -123,19 +229,90 @@ module.exports = async (req, res) => {
 
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
-    const { data: wallet, error: walletError } = await supabase
-      .from("custody_wallets")
-      .select("polygon_address")
-      .eq("user_id", userId)
-      .single();
+    let custodyWallet;
+    try {
+      custodyWallet = await loadPolygonWallet(supabase, userId);
+    } catch (walletError) {
+      if (walletError.code === 'wallet_not_found') {
+        return res.status(404).json({ error: "wallet_not_found", message: "Trading wallet not found" });
+      }
+      throw walletError;
+    }
 
-    if (walletError || !wallet || !wallet.polygon_address) {
-      return res.status(404).json({ error: "wallet_not_found", message: "Trading wallet not found" });
+    // Orders are posted with the wallet's CLOB API key; register it now if the user never did,
+    // before any funds or shares are reserved
+    if (!custodyWallet.clobRegistered) {
+      try {
+        await registerClobApiKey(supabase, userId);
+        custodyWallet = await loadPolygonWallet(supabase, userId);
+      } catch (registerError) {
+        logError('On-demand CLOB registration failed', registerError, {
+          operation: 'clob_registration',
+          user_id: userId
+        });
+        return res.status(409).json({
+          error: "clob_not_registered",
+          message: "Trading wallet is not registered with the exchange yet. Please try again shortly."
+        });
+      }
     }
 
-    const wallet_address = wallet.polygon_address;
+    const wallet_address = custodyWallet.address.toLowerCase();
+
+    // Resolve the CLOB token for the chosen outcome (any number of outcomes)
+    const { tokenIds, negRisk, outcomes } = await getMarketTokens(supabase, marketId);
 
-    // Check balance
+    if (tokenIds.length === 0) {
+      return res.status(400).json({
+        error: "market_not_tradable",
+        message: `No CLOB tokens found for market ${marketId}`
+      });
+    }
+
+    const outcomeIndex = resolveOutcomeIndex({
+      outcomeIndex: outcome_index,
+      side,
+      outcomes,
+      tokenCount: tokenIds.length
+    });
+
+    if (outcomeIndex === -1) {
+      return res.status(400).json({
+        error: "invalid_outcome",
+        message: hasOutcomeIndex
+          ? `outcome_index must be between 0 and ${tokenIds.length - 1} for this market`
+          : `Unknown outcome '${side}'. Valid outcomes: ${outcomes.join(', ') || 'yes, no'}`
+      });
+    }
+
+    const tokenId = tokenIds[outcomeIndex];
+    // Positions and ledger entries carry the outcome's name alongside its index
+    const outcome = getOutcomeLabel(outcomes, outcomeIndex);
+    const outcomeSide = outcome.toLowerCase();
+
+    if (orderAction === 'sell') {
+      return await executeSell(res, {
+        supabase,
+        userId,
+        custodyWallet,
+        marketId,
+        side: outcomeSide,
+        outcome,
+        outcomeIndex,
+        tokenId,
+        negRisk,
+        orderType,
+        timeInForce,
+        limitPrice,
+        expiresAt,
+        maxSlippageBps,
+        requestedShares,
+        idempotencyKey: idempotency_key,
+        requestHash
+      });
+    }
+
+    // Quick balance check for a friendly error (the atomic debit below is what enforces it)
     const { data: balance, error: balanceError } = await supabase
       .from("user_balances")
       .select("usdc_available")
@@ -146,109 +323,311 @@ module.exports = async (req, res) => {
       return res.status(500).json({ error: "balance_check_failed", message: "Failed to check balance" });
     }
 
-    if (balance.usdc_available < amount) {
+    const tradeAmount = parseFloat(amount);
+
+    if (balance.usdc_available < tradeAmount) {
       return res.status(400).json({
         error: "insufficient_balance",
-        message: `Insufficient balance. Available: $${balance.usdc_available.toFixed(2)}, Required: $${amount.toFixed(2)}`
+        message: `Insufficient balance. Available: $${balance.usdc_available.toFixed(2)}, Required: $${tradeAmount.toFixed(2)}`
       });
     }
 
     console.log("[trade] Trade request:", {
       userId,
       marketId,
-      side,
+      outcome_index: outcomeIndex,
+      outcome,
       amount,
+      orderType,
+      timeInForce,
+      limitPrice,
+      tokenId,
       wallet_address: wallet_address.substring(0, 10) + "...",
       balance: balance.usdc_available
     });
 
-    // For MVP/testing: Simulate trade execution
-    // In production, this would:
-    // 1. Verify wallet has sufficient USDC balance
-    // 2. Check CLOB registration
-    // 3. Execute trade on Polymarket CLOB
-    // 4. Record position in database
-
-    // Simulate trade processing delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    // TODO: Execute actual trade on Polymarket CLOB
-    // For now, simulate trade execution
-    // In production, this would:
-    // 1. Use signing service to sign trade transaction
-    // 2. Submit to Polymarket CLOB
-    // 3. Wait for confirmation
-    // 4. Record position in database
-    // 5. Update balance
-
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    const tradeId = `trade_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-    const tradeAmount = parseFloat(amount);
-    const mockPrice = 0.5; // Mock price - would come from market data
-    const shares = tradeAmount / mockPrice;
+    // Market orders are priced by walking the asks; limit orders use the user's price
+    let orderPrice = limitPrice;
+    let quote = null;
+    if (orderType === 'market') {
+      const priced = await priceMarketOrder(tokenId, 'BUY', { amount: tradeAmount }, maxSlippageBps);
+      if (priced.error) {
+        return res.status(400).json(priced.error);
+      }
+      orderPrice = priced.price;
+      quote = priced.quote;
+    }
+    const isResting = timeInForce !== 'FOK';
+
+    const signedOrder = await buildSignedOrder({
+      signer: custodyWallet.signer,
+      tokenId,
+      side: 'BUY',
+      price: orderPrice,
+      size: tradeAmount / orderPrice,
+      expiration: expiresAt ? Math.floor(expiresAt.getTime() / 1000) + GTD_SECURITY_THRESHOLD_SECONDS : 0,
+      negRisk
+    });
 
-    // Lock funds for trade (decrease available balance)
-    await supabase
-      .from("user_balances")
-      .update({
-        usdc_available: balance.usdc_available - tradeAmount
-      })
-      .eq("user_id", userId);
+    const orderSize = fromBaseUnits(signedOrder.takerAmount);
+    const maxCost = fromBaseUnits(signedOrder.makerAmount);
+    const orderMetadata = {
+      market_id: marketId,
+      side: outcomeSide,
+      outcome: outcome,
+      outcome_index: outcomeIndex,
+      outcome_count: tokenIds.length,
+      token_id: tokenId,
+      order_type: orderType,
+      time_in_force: timeInForce,
+      limit_price: limitPrice
+    };
 
-    // Epic 6.2: Create ledger entry for trade
-    const { createLedgerEntry } = require("./lib/ledger");
+    // Epic 6.4: Lock the most the order can spend before it reaches the exchange.
+    // The funds check and the lock are one transaction, so concurrent trades can't overdraw.
     let ledgerEntryId;
     try {
-      ledgerEntryId = await createLedgerEntry({
+      ({ entryId: ledgerEntryId } = await reserveFunds({
         user_id: userId,
         entry_type: 'trade',
-        amount: tradeAmount,
+        amount: maxCost,
         currency: 'USDC',
-        direction: 'debit',
-        status: 'pending',
+        metadata: orderMetadata
+      }));
+    } catch (debitError) {
+      if (debitError.code === 'insufficient_balance') {
+        return res.status(400).json({
+          error: "insufficient_balance",
+          message: `Insufficient balance. Required: $${maxCost.toFixed(2)}`
+        });
+      }
+      throw debitError;
+    }
+
+    let orderResponse;
+    try {
+      orderResponse = await postOrder(signedOrder, {
+        orderType: timeInForce,
+        creds: custodyWallet.clobCreds
+      });
+    } catch (clobError) {
+      logError('CLOB order submission failed', clobError, {
+        operation: 'clob_order_submission',
+        user_id: userId,
+        market_id: marketId,
+        token_id: tokenId
+      });
+      await releaseBuyReservation(userId, ledgerEntryId, `Order submission failed: ${clobError.message}`);
+      return res.status(502).json({
+        error: ERROR_CODES.TRANSACTION_FAILED,
+        message: `Order submission failed: ${clobError.message}`
+      });
+    }
+
+    const fill = parseOrderFill(orderResponse, signedOrder);
+
+    // FOK orders must fill immediately; resting orders only need to be accepted
+    if (!orderResponse.success || !fill.orderId || (!isResting && fill.filledSize <= 0)) {
+      logTransaction('trade_rejected', {
+        user_id: userId,
+        market_id: marketId,
+        token_id: tokenId,
+        order_id: fill.orderId,
+        status: fill.status,
+        reason: orderResponse.errorMsg || null
+      });
+      await releaseBuyReservation(userId, ledgerEntryId, orderResponse.errorMsg || (isResting ? 'order_rejected' : 'order_not_filled'));
+      return res.status(400).json({
+        error: isResting ? "order_rejected" : "order_not_filled",
+        message: orderResponse.errorMsg || (isResting ? "Order was rejected by the exchange" : "Order could not be filled at the current price"),
+        order_id: fill.orderId,
+        status: fill.status
+      });
+    }
+
+    const tradeId = fill.orderId;
+    const filledAmount = fill.filledAmount;
+    const shares = fill.filledSize;
+    const fillPrice = fill.fillPrice;
+
+    // Resting orders keep the full order value committed; unused USDC is returned when the order ends
+    const committedAmount = isResting ? maxCost : filledAmount;
+
+    const orderStatus = deriveOrderStatus({
+      size: orderSize,
+      filledSize: shares,
+      clobStatus: fill.status,
+      expiresAt
+    });
+    const tradeStatus = orderStatus === ORDER_STATUSES.FILLED ? 'completed' : 'pending';
+
+    // Record the fill on the reservation now that the exchange has answered, and spend the filled
+    // part (a resting remainder stays locked until the order ends). The trade has executed, so a
+    // failure here is left on the order for the reconciliation job instead of failing the request.
+    const { pending: reservationSteps, error: reservationError } = await applyBuyReservation(supabase, ledgerEntryId, {
+      entry: {
+        trade_id: tradeId,
         metadata: {
-          market_id: marketId,
-          side: side.toLowerCase(),
-          outcome_index: outcome_index || 0,
+          ...orderMetadata,
+          clob_order_id: fill.orderId,
+          clob_status: fill.status,
+          committed_amount: committedAmount,
           shares: shares,
-          price: mockPrice
-        },
-        trade_id: tradeId
-      });
-      
-      // Log transaction
-      logTransaction('trade_executed', {
+          price: fillPrice,
+          transaction_hashes: fill.transactionHashes
+        }
+      },
+      consume: filledAmount
+    });
+    if (reservationError) {
+      logError('Failed to update trade ledger entry', reservationError, {
+        operation: 'ledger_entry_update',
         user_id: userId,
         trade_id: tradeId,
-        market_id: marketId,
-        side: side.toLowerCase(),
-        amount: tradeAmount,
-        shares: shares,
-        price: mockPrice,
         ledger_entry_id: ledgerEntryId
       });
-    } catch (ledgerError) {
-      logError(ledgerError, {
-        operation: 'ledger_entry_creation',
+    }
+
+    logTransaction('trade_executed', {
+      user_id: userId,
+      trade_id: tradeId,
+      market_id: marketId,
+      side: outcomeSide,
+      amount: filledAmount,
+      shares: shares,
+      price: fillPrice,
+      ledger_entry_id: ledgerEntryId
+    });
+
+    // Upsert the position from the same fill figures the ledger entry records
+    let position = null;
+    if (shares > 0) {
+      try {
+        position = await addShares(supabase, {
+          userId,
+          marketId,
+          tokenId,
+          outcomeIndex,
+          side: outcomeSide,
+          shares,
+          price: fillPrice,
+          ledgerEntryId
+        });
+      } catch (positionError) {
+        logError('Failed to update position', positionError, {
+          operation: 'position_update',
+          user_id: userId,
+          trade_id: tradeId
+        });
+      }
+    }
+
+    // Track the order so resting orders can be listed and cancelled
+    let order = null;
+    try {
+      order = await recordOrder(supabase, {
+        user_id: userId,
+        clob_order_id: fill.orderId,
+        market_id: marketId,
+        outcome_index: outcomeIndex,
+        token_id: tokenId,
+        outcome_side: outcomeSide,
+        side: 'buy',
+        order_type: orderType,
+        time_in_force: timeInForce,
+        limit_price: limitPrice,
+        size: orderSize,
+        amount_usdc: committedAmount,
+        expires_at: expiresAt ? expiresAt.toISOString() : null,
+        filled_size: shares,
+        filled_amount_usdc: filledAmount,
+        avg_fill_price: fillPrice,
+        status: orderStatus,
+        ledger_entry_id: ledgerEntryId || null,
+        transaction_hashes: fill.transactionHashes,
+        filled_at: orderStatus === ORDER_STATUSES.FILLED ? new Date().toISOString() : null,
+        // Flagged from the start so a sync can't settle the reservation before the fill is spent
+        pending_reconciliation: reservationError
+          ? { action: RECONCILE_ACTIONS.BUY_RESERVATION, ...reservationSteps, error: reservationError.message }
+          : null
+      });
+    } catch (orderError) {
+      logError('Failed to record order', orderError, {
+        operation: 'order_record_creation',
         user_id: userId,
         trade_id: tradeId
       });
-      // Continue even if ledger fails
+    }
+
+    // Return what the order won't spend: a FOK fill below the signed price, or a resting order that
+    // filled immediately below its limit. Only once the fill itself has been spent.
+    let releaseError = null;
+    if (!reservationError && (!isResting || orderStatus === ORDER_STATUSES.FILLED)) {
+      try {
+        if (!isResting) {
+          await releaseReservedFunds(ledgerEntryId, {
+            metadata: { reason: 'price_improvement', clob_order_id: fill.orderId }
+          });
+        } else if (order) {
+          await settleOrder(supabase, order);
+        }
+      } catch (settleError) {
+        releaseError = settleError;
+        logError('Failed to release unused trade funds', settleError, {
+          operation: 'trade_reservation_release',
+          user_id: userId,
+          trade_id: tradeId,
+          ledger_entry_id: ledgerEntryId
+        });
+      }
+    }
+
+    if (reservationError || releaseError) {
+      const pending = { action: RECONCILE_ACTIONS.BUY_RESERVATION, ...reservationSteps };
+      if (order) {
+        order = await flagOrderForReconciliation(supabase, order, pending, reservationError || releaseError);
+      } else {
+        // Nothing on file to retry from; the reservation needs settling by hand
+        logSecurityEvent('trade_reservation_unsettled', {
+          user_id: userId,
+          clob_order_id: fill.orderId,
+          ledger_entry_id: ledgerEntryId,
+          ...pending,
+          error: (reservationError || releaseError).message
+        });
+      }
     }
 
     const response = {
       success: true,
       trade_id: tradeId,
+      order_id: fill.orderId,
       market_id: marketId,
-      side: side.toLowerCase(),
-      amount: tradeAmount,
+      outcome_index: outcomeIndex,
+      outcome: outcome,
+      token_id: tokenId,
+      side: outcomeSide,
+      type: orderType,
+      time_in_force: timeInForce,
+      limit_price: limitPrice,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+      amount: filledAmount,
+      committed_amount: committedAmount,
       shares: shares,
-      price: mockPrice,
+      filled_size: shares,
+      remaining_size: Math.max(0, orderSize - shares),
+      price: fillPrice,
       wallet_address: wallet_address,
+      transaction_hashes: fill.transactionHashes,
       timestamp: new Date().toISOString(),
-      status: "pending", // Would be "confirmed" after on-chain confirmation
-      message: "Trade submitted successfully"
+      status: tradeStatus,
+      order_status: orderStatus,
+      order: order ? formatOrder(order) : null,
+      quote: quote,
+      position_shares: position ? parseFloat(position.shares) || 0 : 0,
+      message: orderStatus === ORDER_STATUSES.FILLED
+        ? "Trade filled"
+        : (isResting ? "Order placed on the book" : "Trade submitted, awaiting settlement")
     };
 
     // Store idempotency key if provided
@@ -261,10 +640,347 @@ module.exports = async (req, res) => {
   } catch (err) {
     return handleApiError(err, req, res, {
       operation: 'trade',
-      marketId: marketId,
-      side: side,
-      amount: amount
+      marketId: req.body?.market_id || req.body?.condition_id,
+      side: req.body?.side,
+      amount: req.body?.amount
     });
   }
 };
 
+/**
+ * Sell shares out of an existing position
+ * The shares are reserved before the order is posted and handed back if it does not fill.
+ */
+async function executeSell(res, ctx) {
+  const {
+    supabase,
+    userId,
+    custodyWallet,
+    marketId,
+    side,
+    outcome,
+    outcomeIndex,
+    tokenId,
+    negRisk,
+    orderType,
+    timeInForce,
+    limitPrice,
+    expiresAt,
+    maxSlippageBps,
+    requestedShares,
+    idempotencyKey,
+    requestHash
+  } = ctx;
+
+  const position = await getPosition(supabase, userId, tokenId);
+  const heldShares = position ? parseFloat(position.shares) || 0 : 0;
+
+  if (heldShares <= SHARE_EPSILON) {
+    return res.status(400).json({ error: "no_position", message: "You have no shares in this outcome" });
+  }
+
+  const sellShares = requestedShares === null ? heldShares : requestedShares;
+  if (sellShares > heldShares + SHARE_EPSILON) {
+    return res.status(400).json({
+      error: "insufficient_shares",
+      message: `Insufficient shares. Held: ${heldShares.toFixed(2)}, Requested: ${sellShares.toFixed(2)}`
+    });
+  }
+
+  // Market sells are priced by walking the bids; limit sells rest at the user's price
+  let orderPrice = limitPrice;
+  let quote = null;
+  if (orderType === 'market') {
+    const priced = await priceMarketOrder(tokenId, 'SELL', { shares: sellShares }, maxSlippageBps);
+    if (priced.error) {
+      return res.status(400).json(priced.error);
+    }
+    orderPrice = priced.price;
+    quote = priced.quote;
+  }
+  const isResting = timeInForce !== 'FOK';
+
+  const signedOrder = await buildSignedOrder({
+    signer: custodyWallet.signer,
+    tokenId,
+    side: 'SELL',
+    price: orderPrice,
+    size: sellShares,
+    expiration: expiresAt ? Math.floor(expiresAt.getTime() / 1000) + GTD_SECURITY_THRESHOLD_SECONDS : 0,
+    negRisk
+  });
+  const orderSize = fromBaseUnits(signedOrder.makerAmount);
+
+  try {
+    await removeShares(supabase, position, orderSize);
+  } catch (positionError) {
+    if (positionError.code === 'position_conflict') {
+      return res.status(409).json({ error: "position_conflict", message: positionError.message });
+    }
+    throw positionError;
+  }
+
+  let orderResponse;
+  try {
+    orderResponse = await postOrder(signedOrder, {
+      orderType: timeInForce,
+      creds: custodyWallet.clobCreds
+    });
+  } catch (clobError) {
+    await returnShares(supabase, userId, tokenId, orderSize);
+    logError('CLOB sell order submission failed', clobError, {
+      operation: 'clob_order_submission',
+      user_id: userId,
+      market_id: marketId,
+      token_id: tokenId
+    });
+    return res.status(502).json({
+      error: ERROR_CODES.TRANSACTION_FAILED,
+      message: `Order submission failed: ${clobError.message}`
+    });
+  }
+
+  const fill = parseOrderFill(orderResponse, signedOrder);
+
+  if (!orderResponse.success || !fill.orderId || (!isResting && fill.filledSize <= 0)) {
+    await returnShares(supabase, userId, tokenId, orderSize);
+    logTransaction('trade_rejected', {
+      user_id: userId,
+      market_id: marketId,
+      token_id: tokenId,
+      order_id: fill.orderId,
+      action: 'sell',
+      status: fill.status,
+      reason: orderResponse.errorMsg || null
+    });
+    return res.status(400).json({
+      error: isResting ? "order_rejected" : "order_not_filled",
+      message: orderResponse.errorMsg || (isResting ? "Order was rejected by the exchange" : "Order could not be filled at the current price"),
+      order_id: fill.orderId,
+      status: fill.status
+    });
+  }
+
+  const orderStatus = deriveOrderStatus({
+    size: orderSize,
+    filledSize: fill.filledSize,
+    clobStatus: fill.status,
+    expiresAt
+  });
+
+  const orderFields = {
+    user_id: userId,
+    clob_order_id: fill.orderId,
+    market_id: marketId,
+    outcome_index: outcomeIndex,
+    token_id: tokenId,
+    outcome_side: side,
+    side: 'sell',
+    order_type: orderType,
+    time_in_force: timeInForce,
+    limit_price: limitPrice,
+    size: orderSize,
+    amount_usdc: fromBaseUnits(signedOrder.takerAmount),
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+    filled_size: fill.filledSize,
+    filled_amount_usdc: fill.filledAmount,
+    avg_fill_price: fill.fillPrice,
+    status: orderStatus,
+    transaction_hashes: fill.transactionHashes,
+    filled_at: orderStatus === ORDER_STATUSES.FILLED ? new Date().toISOString() : null
+  };
+
+  // Record the order before touching the balance, so a sale whose credit fails is still on file
+  let order = null;
+  try {
+    order = await recordOrder(supabase, orderFields);
+    if (orderStatus === ORDER_STATUSES.FILLED) {
+      await settleOrder(supabase, order);
+    }
+  } catch (orderError) {
+    logError('Failed to record sell order', orderError, {
+      operation: 'order_record_creation',
+      user_id: userId,
+      trade_id: fill.orderId
+    });
+  }
+
+  // Credit the proceeds of whatever filled immediately. The shares are already gone, so a failed
+  // credit is left on the order for the reconciliation job instead of failing an executed sale.
+  let sale = { ledgerEntryId: null, realizedPnl: null };
+  let proceedsPending = false;
+  if (fill.filledSize > 0) {
+    try {
+      sale = await creditSellProceeds(supabase, order || orderFields, {
+        shares: fill.filledSize,
+        amount: fill.filledAmount,
+        transactionHashes: fill.transactionHashes
+      });
+    } catch (creditError) {
+      proceedsPending = true;
+      logError('Failed to credit sell proceeds', creditError, {
+        operation: 'sell_proceeds_credit',
+        user_id: userId,
+        trade_id: fill.orderId,
+        order_id: order ? order.id : null,
+        amount: fill.filledAmount
+      });
+      if (order) {
+        order = await flagOrderForReconciliation(supabase, order, {
+          action: RECONCILE_ACTIONS.SELL_CREDIT,
+          shares: fill.filledSize,
+          amount: fill.filledAmount,
+          transaction_hashes: fill.transactionHashes
+        }, creditError);
+      } else {
+        // Nothing on file to retry from; this needs a manual credit
+        logSecurityEvent('sell_proceeds_uncredited', {
+          user_id: userId,
+          clob_order_id: fill.orderId,
+          token_id: tokenId,
+          shares: fill.filledSize,
+          amount: fill.filledAmount,
+          error: creditError.message
+        });
+      }
+    }
+  }
+
+  if (order && sale.ledgerEntryId) {
+    const { data: linked, error: linkError } = await supabase
+      .from("orders")
+      .update({ ledger_entry_id: sale.ledgerEntryId })
+      .eq("id", order.id)
+      .select("*")
+      .maybeSingle();
+    if (linkError) {
+      logError('Failed to link sell order to its ledger entry', linkError, {
+        operation: 'order_record_update',
+        user_id: userId,
+        order_id: order.id,
+        ledger_entry_id: sale.ledgerEntryId
+      });
+    }
+    order = linked || order;
+  }
+
+  const updatedPosition = await getPosition(supabase, userId, tokenId);
+
+  const response = {
+    success: true,
+    action: 'sell',
+    trade_id: fill.orderId,
+    order_id: fill.orderId,
+    market_id: marketId,
+    outcome_index: outcomeIndex,
+    outcome: outcome,
+    token_id: tokenId,
+    side: side,
+    type: orderType,
+    time_in_force: timeInForce,
+    limit_price: limitPrice,
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+    amount: fill.filledAmount,
+    shares: fill.filledSize,
+    filled_size: fill.filledSize,
+    remaining_size: Math.max(0, orderSize - fill.filledSize),
+    price: fill.fillPrice,
+    realized_pnl: sale.realizedPnl,
+    proceeds_pending: proceedsPending,
+    position_shares: updatedPosition ? parseFloat(updatedPosition.shares) || 0 : 0,
+    wallet_address: custodyWallet.address.toLowerCase(),
+    transaction_hashes: fill.transactionHashes,
+    timestamp: new Date().toISOString(),
+    status: orderStatus === ORDER_STATUSES.FILLED ? 'completed' : 'pending',
+    order_status: orderStatus,
+    order: order ? formatOrder(order) : null,
+    quote: quote,
+    message: proceedsPending
+      ? "Shares sold; the proceeds will be credited shortly"
+      : (orderStatus === ORDER_STATUSES.FILLED ? "Shares sold" : "Sell order placed on the book")
+  };
+
+  if (idempotencyKey) {
+    await storeIdempotencyKey(idempotencyKey, userId, "trade", requestHash, response, 60);
+  }
+
+  return res.status(200).json(response);
+}
+
+/**
+ * Unlock the USDC held for a buy that never made it onto the book
+ * The untouched reservation goes back to usdc_available and its ledger entry is marked failed.
+ */
+async function releaseBuyReservation(userId, ledgerEntryId, reason) {
+  try {
+    await releaseReservedFunds(ledgerEntryId, { status: 'failed', errorMessage: reason });
+  } catch (releaseError) {
+    logError('Failed to release trade reservation', releaseError, {
+      operation: 'trade_reservation_release',
+      user_id: userId,
+      ledger_entry_id: ledgerEntryId
+    });
+    // There is no order to retry from; the funds stay locked until someone releases them
+    logSecurityEvent('trade_reservation_unsettled', {
+      user_id: userId,
+      ledger_entry_id: ledgerEntryId,
+      reason,
+      error: releaseError.message
+    });
+  }
+}
+
+/**
+ * Price a fill-or-kill market order from the live order book
+ * The order's limit is the worst level the walk reaches, or the slippage bound when one is given,
+ * so the exchange can never fill it at a worse average than the user accepted.
+ * @returns {Promise<{price: number, quote: Object}|{error: Object}>}
+ */
+async function priceMarketOrder(tokenId, side, size, maxSlippageBps) {
+  const book = await getOrderBook(tokenId);
+  const quote = quoteFromBook(book, side, size);
+
+  const summary = {
+    shares: quote.shares,
+    amount: quote.amount,
+    average_price: quote.averagePrice,
+    best_price: quote.bestPrice,
+    worst_price: quote.worstPrice,
+    price_impact_bps: quote.priceImpactBps
+  };
+
+  if (!quote.fullyFilled) {
+    return {
+      error: {
+        error: "insufficient_liquidity",
+        message: "Not enough liquidity on the book to fill this order",
+        quote: summary
+      }
+    };
+  }
+
+  if (maxSlippageBps === null) {
+    return { price: quote.worstPrice, quote: summary };
+  }
+
+  if (quote.priceImpactBps > maxSlippageBps) {
+    return {
+      error: {
+        error: "slippage_exceeded",
+        message: `Expected slippage of ${quote.priceImpactBps} bps exceeds the maximum of ${maxSlippageBps} bps`,
+        quote: summary
+      }
+    };
+  }
+
+  // Round the bound onto the token's tick grid, towards the best price so it never loosens the limit
+  const tickSize = await getTickSize(tokenId);
+  const bound = side === 'BUY'
+    ? Math.min(roundToTick(1 - tickSize, tickSize, 'down'), roundToTick(quote.bestPrice * (1 + maxSlippageBps / 10000), tickSize, 'down'))
+    : Math.max(tickSize, roundToTick(quote.bestPrice * (1 - maxSlippageBps / 10000), tickSize, 'up'));
+
+  return {
+    price: side === 'BUY' ? Math.max(bound, quote.bestPrice) : Math.min(bound, quote.bestPrice),
+    quote: { ...summary, max_slippage_bps: maxSlippageBps }
+  };
+}
@@ -0,0 +1,105 @@
+// api/verify-hd-wallets.js
+// HD wallet recovery check: rebuilds every HD custody wallet's Polygon and Solana address from the
+// master seed and its hd_index, and compares them with custody_wallets. Run it after restoring the
+// seed or the database, and periodically to prove the seed backup still covers every wallet.
+// GET/POST walks wallets in hd_index order until it runs out of time; pass the returned
+// next_cursor as ?cursor= to continue
+
+const { createClient } = require("@supabase/supabase-js");
+const { getHdRoot, compareHdWallet } = require("./lib/hd-wallet");
+const { logSecurityEvent } = require("./lib/logger");
+const { apiKeyMatches } = require("./lib/security");
+
+// Stay well inside the serverless function timeout
+const TIME_BUDGET_MS = 25000;
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,X-API-Key");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (!["GET", "POST"].includes(req.method)) return res.status(405).json({ error: "method_not_allowed" });
+
+  // Reads the master seed, so like key rotation this never runs without a key
+  if (!process.env.KEY_MIGRATION_API_KEY) {
+    return res.status(503).json({
+      error: "verification_disabled",
+      message: "Set KEY_MIGRATION_API_KEY to enable HD wallet verification"
+    });
+  }
+  if (!apiKeyMatches(req.headers['x-api-key'], process.env.KEY_MIGRATION_API_KEY)) {
+    return res.status(401).json({ error: "unauthorized", message: "Invalid API key" });
+  }
+
+  const { cursor = null, batch_size = "200" } = req.query || {};
+  const batchSize = Math.min(Math.max(parseInt(batch_size) || 200, 1), 1000);
+
+  try {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+      return res.status(500).json({
+        error: "supabase_not_configured",
+        message: "Supabase not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_KEY."
+      });
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+    const root = await getHdRoot();
+    const startedAt = Date.now();
+
+    let lastIndex = cursor !== null && cursor !== '' ? parseInt(cursor) : -1;
+    let checked = 0;
+    let done = false;
+    const mismatches = [];
+
+    while (Date.now() - startedAt < TIME_BUDGET_MS) {
+      const { data: wallets, error } = await supabase
+        .from("custody_wallets")
+        .select("user_id, hd_index, polygon_address, solana_address")
+        .not("hd_index", "is", null)
+        .gt("hd_index", lastIndex)
+        .order("hd_index", { ascending: true })
+        .limit(batchSize);
+
+      if (error) {
+        throw new Error(`Failed to read custody wallets: ${error.message}`);
+      }
+
+      for (const wallet of wallets) {
+        mismatches.push(...compareHdWallet(root, wallet));
+        lastIndex = wallet.hd_index;
+        checked++;
+      }
+
+      if (wallets.length < batchSize) {
+        done = true;
+        break;
+      }
+    }
+
+    logSecurityEvent('hd_wallet_verification', {
+      cursor,
+      checked,
+      mismatches: mismatches.length,
+      done
+    });
+
+    return res.status(200).json({
+      success: true,
+      checked,
+      matched: checked - new Set(mismatches.map(m => m.hd_index)).size,
+      mismatches,
+      done,
+      next_cursor: done ? null : lastIndex,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error("[verify-hd-wallets] Error:", err);
+    return res.status(500).json({
+      error: "hd_verification_failed",
+      message: err.message,
+      code: err.code
+    });
+  }
+};
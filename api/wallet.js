@@ -1,58 +1,26 @@
 // api/wallet.js
 // Wallet generation and management with Supabase
-// Phase 3: Migrating to Supabase Vault for key storage
+// Phase 3: Keys are stored in Supabase Vault when USE_VAULT=true, or derived from the HD master seed
+// when USE_HD_WALLETS=true
 
 const { Wallet } = require("@ethersproject/wallet");
 const { Keypair } = require("@solana/web3.js");
 const { createClient } = require("@supabase/supabase-js");
 const crypto = require("crypto");
-// TODO: Import Vault functions when Vault API is fully integrated
-// const { createVaultSecret, getVaultSecret } = require("./lib/vault");
+const { isVaultEnabled, createVaultSecret, deleteVaultSecret } = require("./lib/vault");
+const { getKeyring, encryptSecret } = require("./lib/encryption");
+const { isHdEnabled, getHdRoot, derivePolygonWallet, deriveSolanaKeypair } = require("./lib/hd-wallet");
+const { logSecurityEvent } = require("./lib/logger");
 
-// Simple encryption for MVP (use proper encryption in production)
-function encrypt(text, key) {
-  const algorithm = 'aes-256-cbc';
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(algorithm, Buffer.from(key, 'hex'), iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
-}
-
-function decrypt(encryptedText, key) {
-  const algorithm = 'aes-256-cbc';
-  const parts = encryptedText.split(':');
-  const iv = Buffer.from(parts[0], 'hex');
-  const encrypted = parts[1];
-  const decipher = crypto.createDecipheriv(algorithm, Buffer.from(key, 'hex'), iv);
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
-
-// Generate encryption key from environment
-// CRITICAL: Must be set in production or wallets cannot be decrypted!
-function getEncryptionKey() {
-  const key = process.env.ENCRYPTION_KEY || process.env.WALLET_ENCRYPTION_KEY;
-  if (!key) {
-    const error = new Error('ENCRYPTION_KEY environment variable is required. Set it in Vercel environment variables.');
-    error.code = 'ENCRYPTION_KEY_MISSING';
-    throw error;
-  }
-  // Ensure key is 64 hex characters (32 bytes)
-  // Also check if it's valid hex
-  const hexRegex = /^[0-9a-fA-F]+$/;
-  if (key.length !== 64) {
-    const error = new Error('ENCRYPTION_KEY must be exactly 64 hex characters (32 bytes). Generate with: openssl rand -hex 32');
-    error.code = 'ENCRYPTION_KEY_INVALID_LENGTH';
-    throw error;
-  }
-  if (!hexRegex.test(key)) {
-    const error = new Error('ENCRYPTION_KEY must contain only hexadecimal characters (0-9, a-f). Generate with: openssl rand -hex 32');
-    error.code = 'ENCRYPTION_KEY_INVALID_FORMAT';
-    throw error;
+// Best-effort removal of Vault secrets that never made it into custody_wallets
+async function discardVaultSecrets(secretIds) {
+  for (const secretId of secretIds.filter(Boolean)) {
+    try {
+      await deleteVaultSecret(secretId);
+    } catch (err) {
+      console.error("[wallet] Failed to delete orphaned vault secret:", secretId, err.message);
+    }
   }
-  return key;
 }
 
 module.exports = async (req, res) => {
@@ -152,23 +120,77 @@ module.exports = async (req, res) => {
       // Generate new wallets for this Telegram user
       console.log("[wallet] Creating new wallets for Telegram user:", normalizedUserId);
       
-      // Generate Polygon wallet (Ethereum-compatible)
-      const polygonWallet = Wallet.createRandom();
-      
-      // Generate Solana wallet (valid keypair)
-      const solanaKeypair = Keypair.generate();
+      let polygonWallet;
+      let solanaKeypair;
+      let hdIndex = null;
+
+      if (isHdEnabled()) {
+        // Derive both keys from the master seed at the next free index. Nothing per-user is stored,
+        // and there is deliberately no fallback to random keys: they would be missing from the seed backup
+        const root = await getHdRoot();
+        const { data: index, error: indexError } = await supabase.rpc("next_custody_hd_index");
+        if (indexError || index === null) {
+          throw new Error(`Failed to allocate HD wallet index: ${indexError?.message || 'no index returned'}`);
+        }
+        hdIndex = index;
+        polygonWallet = derivePolygonWallet(root, hdIndex);
+        solanaKeypair = deriveSolanaKeypair(root, hdIndex);
+      } else {
+        // Generate Polygon wallet (Ethereum-compatible)
+        polygonWallet = Wallet.createRandom();
+
+        // Generate Solana wallet (valid keypair)
+        solanaKeypair = Keypair.generate();
+      }
       const solanaAddress = solanaKeypair.publicKey.toBase58();
       const solanaSecretKey = Buffer.from(solanaKeypair.secretKey).toString('base64');
 
-      // Encrypt private keys (requires ENCRYPTION_KEY)
-      let encryptionKey;
+      // Phase 3: Store keys in Vault when enabled, otherwise in encrypted columns.
+      // With Vault enabled a failed write fails the request rather than putting the keys in the columns.
+      let polygonVaultSecretId = null;
+      let solanaVaultSecretId = null;
+
+      if (hdIndex === null && isVaultEnabled()) {
+        // Secret names are unique in vault.secrets; the suffix keeps a retry after a failed
+        // insert from colliding with a secret that is being cleaned up
+        const secretSuffix = crypto.randomBytes(4).toString('hex');
+        try {
+          polygonVaultSecretId = await createVaultSecret(
+            `polygon_${normalizedUserId}_${secretSuffix}`,
+            polygonWallet.privateKey,
+            normalizedUserId
+          );
+          solanaVaultSecretId = await createVaultSecret(
+            `solana_${normalizedUserId}_${secretSuffix}`,
+            solanaSecretKey,
+            normalizedUserId
+          );
+        } catch (vaultError) {
+          console.error("[wallet] Vault storage failed:", vaultError.message);
+          logSecurityEvent('wallet_vault_storage_failed', {
+            user_id: normalizedUserId,
+            error: vaultError.message
+          });
+          await discardVaultSecrets([polygonVaultSecretId, solanaVaultSecretId]);
+          return res.status(503).json({
+            error: "vault_unavailable",
+            message: "Secure key storage is unavailable. Please try again later."
+          });
+        }
+      }
+
+      const useVault = Boolean(polygonVaultSecretId && solanaVaultSecretId);
+
+      // Encrypt private keys (requires ENCRYPTION_KEY unless both keys are in Vault or derived)
       let encryptionError = null;
-      try {
-        encryptionKey = getEncryptionKey();
-      } catch (encryptErr) {
-        console.error("[wallet] Encryption key error:", encryptErr);
-        encryptionError = encryptErr;
-        // Don't fail immediately - we'll handle this below
+      if (!useVault && hdIndex === null) {
+        try {
+          getKeyring();
+        } catch (encryptErr) {
+          console.error("[wallet] Encryption key error:", encryptErr);
+          encryptionError = encryptErr;
+          // Don't fail immediately - we'll handle this below
+        }
       }
       
       // If encryption key is missing, we can't save to Supabase securely
@@ -189,39 +211,6 @@ module.exports = async (req, res) => {
           help: "Set ENCRYPTION_KEY environment variable in Vercel. Generate with: openssl rand -hex 32"
         });
       }
-      
-      // Phase 3: Store keys in Vault (when fully integrated) or encrypted storage (fallback)
-      // TODO: Replace with Vault storage once Supabase Vault API is integrated
-      let polygonVaultSecretId = null;
-      let solanaVaultSecretId = null;
-      
-      // Try to use Vault if available (future implementation)
-      const USE_VAULT = process.env.USE_VAULT === 'true';
-      
-      if (USE_VAULT) {
-        try {
-          // TODO: Uncomment when Vault integration is complete
-          // const { createVaultSecret } = require("./lib/vault");
-          // polygonVaultSecretId = await createVaultSecret(
-          //   `polygon_${normalizedUserId}`,
-          //   polygonWallet.privateKey,
-          //   `Polygon private key for user ${normalizedUserId}`
-          // );
-          // solanaVaultSecretId = await createVaultSecret(
-          //   `solana_${normalizedUserId}`,
-          //   solanaSecretKey,
-          //   `Solana private key for user ${normalizedUserId}`
-          // );
-          console.log("[wallet] Vault storage not yet implemented, using encrypted storage");
-        } catch (vaultError) {
-          console.warn("[wallet] Vault storage failed, falling back to encrypted storage:", vaultError);
-        }
-      }
-
-      // Fallback: Use encrypted storage (current implementation)
-      // NOTE: This is temporary - keys should be moved to Vault
-      const polygonSecretEnc = encrypt(polygonWallet.privateKey, encryptionKey);
-      const solanaSecretEnc = encrypt(solanaSecretKey, encryptionKey);
 
       // Save to Supabase with Telegram user ID
       // Note: TON address is set separately when user connects via TON Connect (not custodial)
@@ -234,15 +223,17 @@ module.exports = async (req, res) => {
         usdc_approved: false,
       };
 
-      // Phase 3: Use Vault secret IDs if available, otherwise use encrypted storage
-      if (polygonVaultSecretId && solanaVaultSecretId) {
+      // Phase 3: HD wallets only need their index; otherwise use Vault secret IDs when Vault is enabled,
+      // or encrypted storage
+      if (hdIndex !== null) {
+        insertData.hd_index = hdIndex;
+      } else if (useVault) {
         insertData.polygon_vault_secret_id = polygonVaultSecretId;
         insertData.solana_vault_secret_id = solanaVaultSecretId;
         // Don't store encrypted keys if using Vault
       } else {
-        // Use encrypted storage (current method)
-        insertData.polygon_secret_enc = polygonSecretEnc;
-        insertData.solana_secret_enc = solanaSecretEnc;
+        insertData.polygon_secret_enc = encryptSecret(polygonWallet.privateKey, { userId: normalizedUserId, column: 'polygon_secret_enc' });
+        insertData.solana_secret_enc = encryptSecret(solanaSecretKey, { userId: normalizedUserId, column: 'solana_secret_enc' });
       }
 
       const { data: newWallet, error: insertError } = await supabase
@@ -253,6 +244,10 @@ module.exports = async (req, res) => {
 
       if (insertError) {
         console.error("[wallet] Supabase insert error:", insertError);
+        // The keys we just stored belong to a wallet that was never saved
+        if (useVault) {
+          await discardVaultSecrets([polygonVaultSecretId, solanaVaultSecretId]);
+        }
         // Check if it's a duplicate key error (user already has wallet)
         if (insertError.code === '23505' || insertError.message.includes('duplicate') || insertError.message.includes('unique')) {
           console.log("[wallet] Wallet already exists, fetching existing wallet");
@@ -356,6 +351,15 @@ module.exports = async (req, res) => {
         help: "Generate a valid key with: openssl rand -hex 32"
       });
     }
+
+    if (err.code === 'hd_seed_not_configured' || err.code === 'hd_seed_invalid' || err.code === 'vault_secret_not_found') {
+      return res.status(500).json({
+        error: "hd_seed_error",
+        message: err.message,
+        code: err.code,
+        help: "Store the master seed in Vault and set HD_MASTER_SEED_SECRET_ID (see supabase-hd-wallets.sql)"
+      });
+    }
     
     return res.status(500).json({ 
       error: "wallet_creation_failed", 
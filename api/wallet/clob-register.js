@@ -0,0 +1,85 @@
+// api/wallet/clob-register.js
+// One-time CLOB registration for a custodial wallet
+// Signs the CLOB's L1 (EIP-712 ClobAuth) challenge with the custodial key, derives or creates the
+// wallet's L2 API key, stores it encrypted and sets custody_wallets.clob_registered
+
+const { createClient } = require("@supabase/supabase-js");
+const { validateSession } = require("../middleware/validate-session");
+const { handleApiError } = require("../lib/errors");
+const { registerClobApiKey } = require("../lib/custody");
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "method_not_allowed",
+      message: `Method ${req.method} not allowed`
+    });
+  }
+
+  // Phase 2: Require valid session
+  const authHeader = req.headers.authorization;
+  const sessionToken = authHeader?.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : req.body?.session_token;
+
+  if (!sessionToken) {
+    return res.status(401).json({
+      error: "authentication_required",
+      message: "Session token required"
+    });
+  }
+
+  const sessionValidation = await validateSession(sessionToken);
+  if (!sessionValidation.isValid) {
+    return res.status(401).json({
+      error: "invalid_session",
+      message: sessionValidation.error || "Invalid or expired session"
+    });
+  }
+
+  const userId = sessionValidation.userId;
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    return res.status(500).json({
+      error: "database_not_configured",
+      message: "Supabase not configured"
+    });
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+  try {
+    const result = await registerClobApiKey(supabase, userId);
+
+    return res.status(200).json({
+      success: true,
+      clob_registered: true,
+      already_registered: result.alreadyRegistered,
+      address: result.address
+    });
+
+  } catch (err) {
+    if (err.code === 'wallet_not_found' || err.code === 'key_not_found') {
+      return res.status(404).json({
+        error: err.code,
+        message: err.message
+      });
+    }
+    if (err.code === 'clob_auth_failed') {
+      return res.status(502).json({
+        error: "clob_registration_failed",
+        message: err.message
+      });
+    }
+    return handleApiError(err, req, res, { endpoint: 'wallet/clob-register' });
+  }
+};
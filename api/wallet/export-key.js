@@ -0,0 +1,467 @@
+// api/wallet/export-key.js
+// Phase 3: User-initiated custodial key export with step-up confirmation
+// POST { network, ton_proof } starts an export: needs a fresh TON proof requested with purpose=key_export
+//   (api/auth/generate-payload.js) from the TON wallet this session logged in with, including the
+//   wallet's state_init so the signing key is shown to own that wallet. Sessions opened without
+//   signature verification (MVP login) can't export
+// POST { request_id, passphrase } confirms it once the delay has passed and returns the private key
+//   encrypted to the passphrase; every other session of the user is revoked
+// GET lists the user's exports (?request_id= for one); DELETE { request_id } cancels a pending export
+// Every step is recorded in key_export_requests and logged as a security event
+
+const { createClient } = require("@supabase/supabase-js");
+const { validateSession } = require("../middleware/validate-session");
+const { checkRateLimit } = require("../lib/security");
+const { handleApiError } = require("../lib/errors");
+const { logSecurityEvent } = require("../lib/logger");
+const { getAppDomain, verifyTonProof } = require("../lib/ton-proof");
+const { encryptWithPassphrase } = require("../lib/encryption");
+const { loadExportableKey } = require("../lib/custody");
+
+const NETWORKS = ['polygon', 'solana'];
+const PROOF_MAX_AGE_MS = 5 * 60 * 1000; // Step-up proofs must be fresher than login proofs
+const CONFIRMATION_WINDOW_MS = 24 * 60 * 60 * 1000; // After the delay, before the request expires
+const MIN_PASSPHRASE_LENGTH = 12;
+
+function getExportDelayMs() {
+  const minutes = parseFloat(process.env.KEY_EXPORT_DELAY_MINUTES);
+  return (isNaN(minutes) || minutes < 0 ? 24 * 60 : minutes) * 60 * 1000;
+}
+
+// What the user sees of an export request
+function toPublicRequest(row) {
+  return {
+    id: row.id,
+    network: row.network,
+    address: row.address,
+    status: row.status,
+    requested_at: row.requested_at,
+    available_at: row.available_at,
+    expires_at: row.expires_at,
+    completed_at: row.completed_at,
+    cancelled_at: row.cancelled_at,
+    sessions_revoked: row.sessions_revoked
+  };
+}
+
+function clientInfo(req) {
+  return {
+    ip: req.headers["x-forwarded-for"] || req.connection?.remoteAddress || null,
+    userAgent: req.headers["user-agent"] || null
+  };
+}
+
+module.exports = async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST,GET,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
+
+  if (req.method === "OPTIONS") return res.status(200).end();
+
+  if (!["POST", "GET", "DELETE"].includes(req.method)) {
+    return res.status(405).json({
+      error: "method_not_allowed",
+      message: `Method ${req.method} not allowed`
+    });
+  }
+
+  // Phase 2: Require valid session
+  const authHeader = req.headers.authorization;
+  const sessionToken = authHeader?.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : (req.body?.session_token || req.query?.session_token);
+
+  if (!sessionToken) {
+    return res.status(401).json({
+      error: "authentication_required",
+      message: "Session token required"
+    });
+  }
+
+  const sessionValidation = await validateSession(sessionToken);
+  if (!sessionValidation.isValid) {
+    return res.status(401).json({
+      error: "invalid_session",
+      message: sessionValidation.error || "Invalid or expired session"
+    });
+  }
+
+  const userId = sessionValidation.userId;
+
+  const SUPABASE_URL = process.env.SUPABASE_URL;
+  const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
+    return res.status(500).json({
+      error: "database_not_configured",
+      message: "Supabase not configured"
+    });
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+  // An MVP login proves nothing about the TON wallet, so it can't be stepped up to a key export.
+  // sessions.signature_verified comes with supabase-key-export.sql, so only this endpoint reads it.
+  if (req.method === "POST") {
+    const { data: session, error: sessionError } = await supabase
+      .from("sessions")
+      .select("signature_verified")
+      .eq("session_token", sessionToken)
+      .maybeSingle();
+
+    if (sessionError) {
+      console.error("[export-key] Session lookup error:", sessionError);
+      return res.status(503).json({
+        error: "key_export_unavailable",
+        message: "Key export is not available right now"
+      });
+    }
+    if (session?.signature_verified !== true) {
+      return res.status(403).json({
+        error: "verified_session_required",
+        message: "Log in with a signed TON proof to export keys"
+      });
+    }
+  }
+
+  try {
+    if (req.method === "GET") {
+      const requestId = req.query?.request_id;
+      let query = supabase
+        .from("key_export_requests")
+        .select("*")
+        .eq("user_id", userId);
+
+      if (requestId) {
+        const { data: exportRequest } = await query.eq("id", requestId).maybeSingle();
+        if (!exportRequest) {
+          return res.status(404).json({
+            error: "export_not_found",
+            message: "Key export request not found"
+          });
+        }
+        return res.status(200).json({ success: true, export_request: toPublicRequest(exportRequest) });
+      }
+
+      const { data: exportRequests, error } = await query
+        .order("requested_at", { ascending: false })
+        .limit(20);
+
+      if (error) {
+        throw error;
+      }
+
+      return res.status(200).json({
+        success: true,
+        export_requests: (exportRequests || []).map(toPublicRequest)
+      });
+    }
+
+    if (req.method === "DELETE") {
+      const requestId = req.query?.request_id || req.body?.request_id;
+      if (!requestId) {
+        return res.status(400).json({
+          error: "missing_request_id",
+          message: "request_id is required"
+        });
+      }
+
+      const { data: cancelled, error } = await supabase
+        .from("key_export_requests")
+        .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+        .eq("id", requestId)
+        .eq("user_id", userId)
+        .eq("status", 'pending')
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+      if (!cancelled) {
+        return res.status(404).json({
+          error: "export_not_pending",
+          message: "No pending key export with this ID"
+        });
+      }
+
+      logSecurityEvent('key_export_cancelled', { user_id: userId, request_id: requestId, network: cancelled.network });
+
+      return res.status(200).json({ success: true, export_request: toPublicRequest(cancelled) });
+    }
+
+    const { request_id } = req.body || {};
+    const client = clientInfo(req);
+
+    if (!request_id) {
+      // Step 1: start an export with a fresh TON proof
+      const { network, ton_proof } = req.body || {};
+
+      if (!NETWORKS.includes(network)) {
+        return res.status(400).json({
+          error: "unsupported_network",
+          message: "network must be 'polygon' or 'solana'"
+        });
+      }
+
+      const rateLimit = await checkRateLimit(userId, "key_export", 3, 60);
+      if (!rateLimit.allowed) {
+        return res.status(429).json({
+          error: "rate_limit_exceeded",
+          message: rateLimit.error || "Too many key export requests",
+          resetAt: rateLimit.resetAt?.toISOString()
+        });
+      }
+
+      if (!ton_proof || typeof ton_proof.payload?.nonce !== 'string') {
+        return res.status(400).json({
+          error: "missing_ton_proof",
+          message: "ton_proof with a payload from /api/auth/generate-payload?purpose=key_export is required"
+        });
+      }
+
+      // The proof must come from the TON wallet this session was opened with
+      if (ton_proof.ton_address !== sessionValidation.tonAddress) {
+        return res.status(401).json({
+          error: "address_mismatch",
+          message: "Key export must be signed by the TON wallet you are logged in with"
+        });
+      }
+
+      const proofCheck = await verifyTonProof(ton_proof, {
+        appDomain: getAppDomain(req),
+        userId,
+        purpose: 'key_export',
+        maxAgeMs: PROOF_MAX_AGE_MS,
+        requireStateInit: true
+      });
+      if (!proofCheck.valid) {
+        logSecurityEvent('key_export_proof_rejected', { user_id: userId, network, reason: proofCheck.error });
+        const status = { missing_required_fields: 400, proof_not_configured: 503 }[proofCheck.error] || 401;
+        return res.status(status).json({
+          error: proofCheck.error,
+          message: proofCheck.message
+        });
+      }
+
+      const { data: wallet } = await supabase
+        .from("custody_wallets")
+        .select("polygon_address, solana_address, ton_address")
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      const address = wallet && (network === 'solana' ? wallet.solana_address : wallet.polygon_address);
+      if (!address) {
+        return res.status(404).json({
+          error: "wallet_not_found",
+          message: "Wallet not found for user"
+        });
+      }
+      if (wallet.ton_address && wallet.ton_address !== ton_proof.ton_address) {
+        return res.status(401).json({
+          error: "address_mismatch",
+          message: "TON address does not match registered address for this user"
+        });
+      }
+
+      // A request nobody confirmed in time no longer blocks a new one
+      const now = new Date();
+      await supabase
+        .from("key_export_requests")
+        .update({ status: 'expired' })
+        .eq("user_id", userId)
+        .eq("network", network)
+        .eq("status", 'pending')
+        .lt("expires_at", now.toISOString());
+
+      const availableAt = new Date(now.getTime() + getExportDelayMs());
+      const { data: exportRequest, error: insertError } = await supabase
+        .from("key_export_requests")
+        .insert({
+          user_id: userId,
+          network,
+          address,
+          status: 'pending',
+          ton_address: ton_proof.ton_address,
+          proof_nonce: ton_proof.payload.nonce,
+          requested_at: now.toISOString(),
+          available_at: availableAt.toISOString(),
+          expires_at: new Date(availableAt.getTime() + CONFIRMATION_WINDOW_MS).toISOString(),
+          request_ip: client.ip,
+          request_user_agent: client.userAgent
+        })
+        .select()
+        .single();
+
+      if (insertError) {
+        if (insertError.code === '23505') {
+          const proofReused = String(insertError.message).includes('proof_nonce');
+          return res.status(409).json({
+            error: proofReused ? "proof_already_used" : "export_already_pending",
+            message: proofReused
+              ? "This TON proof has already been used. Request a new one."
+              : `A ${network} key export is already pending. Confirm or cancel it first.`
+          });
+        }
+        throw insertError;
+      }
+
+      logSecurityEvent('key_export_requested', {
+        user_id: userId,
+        request_id: exportRequest.id,
+        network,
+        address,
+        ton_address: ton_proof.ton_address,
+        available_at: exportRequest.available_at,
+        ip: client.ip
+      });
+
+      return res.status(200).json({
+        success: true,
+        export_request: toPublicRequest(exportRequest),
+        message: `Key export requested. Confirm with your passphrase after ${exportRequest.available_at}; you can cancel it until then.`
+      });
+    }
+
+    // Step 2: confirm after the delay and receive the passphrase-encrypted key
+    const { passphrase } = req.body;
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return res.status(400).json({
+        error: "weak_passphrase",
+        message: `passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      });
+    }
+
+    const { data: exportRequest } = await supabase
+      .from("key_export_requests")
+      .select("*")
+      .eq("id", request_id)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (!exportRequest) {
+      return res.status(404).json({
+        error: "export_not_found",
+        message: "Key export request not found"
+      });
+    }
+
+    if (exportRequest.status !== 'pending') {
+      return res.status(409).json({
+        error: "export_not_pending",
+        message: `Key export is ${exportRequest.status}`
+      });
+    }
+
+    const now = new Date();
+    if (now > new Date(exportRequest.expires_at)) {
+      await supabase
+        .from("key_export_requests")
+        .update({ status: 'expired' })
+        .eq("id", exportRequest.id)
+        .eq("status", 'pending');
+
+      return res.status(410).json({
+        error: "export_expired",
+        message: "Key export request expired. Start a new one."
+      });
+    }
+
+    if (now < new Date(exportRequest.available_at)) {
+      return res.status(425).json({
+        error: "export_not_ready",
+        message: `Key export can be confirmed after ${exportRequest.available_at}`,
+        available_at: exportRequest.available_at
+      });
+    }
+
+    // Claim the request first so only one confirmation ever touches the key
+    const { data: claimed, error: claimError } = await supabase
+      .from("key_export_requests")
+      .update({
+        status: 'completed',
+        completed_at: now.toISOString(),
+        confirm_ip: client.ip,
+        confirm_user_agent: client.userAgent
+      })
+      .eq("id", exportRequest.id)
+      .eq("status", 'pending')
+      .select()
+      .maybeSingle();
+
+    if (claimError) {
+      throw claimError;
+    }
+    if (!claimed) {
+      return res.status(409).json({
+        error: "export_state_changed",
+        message: "Key export changed while confirming. Please refresh and try again."
+      });
+    }
+
+    let encryptedKey;
+    let address;
+    let revokedSessions;
+    try {
+      let privateKey;
+      ({ address, privateKey } = await loadExportableKey(supabase, userId, exportRequest.network));
+      encryptedKey = encryptWithPassphrase(privateKey, passphrase, `${exportRequest.network}:${address}`);
+
+      // Whoever else holds a session can't keep using the account after the key leaves
+      const { data: revoked, error: revokeError } = await supabase
+        .from("sessions")
+        .update({ is_revoked: true })
+        .eq("user_id", userId)
+        .eq("is_revoked", false)
+        .neq("session_token", sessionToken)
+        .select("id");
+
+      if (revokeError) {
+        throw revokeError;
+      }
+      revokedSessions = revoked || [];
+    } catch (exportError) {
+      // Nothing was handed over; let the user confirm again
+      await supabase
+        .from("key_export_requests")
+        .update({ status: 'pending', completed_at: null, confirm_ip: null, confirm_user_agent: null })
+        .eq("id", exportRequest.id)
+        .eq("status", 'completed');
+      throw exportError;
+    }
+
+    const { data: completed } = await supabase
+      .from("key_export_requests")
+      .update({ sessions_revoked: revokedSessions.length })
+      .eq("id", exportRequest.id)
+      .select()
+      .maybeSingle();
+
+    logSecurityEvent('key_exported', {
+      user_id: userId,
+      request_id: exportRequest.id,
+      network: exportRequest.network,
+      address,
+      sessions_revoked: revokedSessions.length,
+      ip: client.ip
+    });
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({
+      success: true,
+      export_request: toPublicRequest(completed || { ...claimed, sessions_revoked: revokedSessions.length }),
+      encrypted_key: encryptedKey,
+      sessions_revoked: revokedSessions.length,
+      message: "Decrypt the key with your passphrase. All other sessions have been signed out."
+    });
+
+  } catch (err) {
+    if (err.code === 'wallet_not_found' || err.code === 'key_not_found') {
+      return res.status(404).json({
+        error: err.code,
+        message: err.message
+      });
+    }
+    return handleApiError(err, req, res, { endpoint: 'wallet/export-key' });
+  }
+};
@@ -1,32 +1,17 @@
 // api/wallet/sign.js
-// Phase 3: Server-side signing service for EVM transactions
+// Phase 3: Server-side signing service for EVM transactions, EIP-712 typed data and Solana transactions
+// Typed data is limited to the CLOB Order and ClobAuth whitelist in api/lib/signing-policy.js
 // This endpoint signs transactions using keys stored in Vault (or encrypted storage)
 
 const { Wallet } = require("@ethersproject/wallet");
 const { Keypair } = require("@solana/web3.js");
 const { createClient } = require("@supabase/supabase-js");
 const { validateSession } = require("../middleware/validate-session");
-const crypto = require("crypto");
-
-// Encryption functions (temporary - for retrieving keys from encrypted storage)
-function decrypt(encryptedText, key) {
-  const algorithm = 'aes-256-cbc';
-  const parts = encryptedText.split(':');
-  const iv = Buffer.from(parts[0], 'hex');
-  const encrypted = parts[1];
-  const decipher = crypto.createDecipheriv(algorithm, Buffer.from(key, 'hex'), iv);
-  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
-
-function getEncryptionKey() {
-  const key = process.env.ENCRYPTION_KEY || process.env.WALLET_ENCRYPTION_KEY;
-  if (!key || key.length !== 64) {
-    throw new Error('ENCRYPTION_KEY must be exactly 64 hex characters');
-  }
-  return key;
-}
+const { getVaultSecret } = require("../lib/vault");
+const { decryptSecret } = require("../lib/encryption");
+const { checkSigningPolicy, POLYGON_CHAIN_ID } = require("../lib/signing-policy");
+const { signSolanaTransaction } = require("../lib/solana");
+const { deriveCustodyKey } = require("../lib/hd-wallet");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -68,16 +53,34 @@ module.exports = async (req, res) => {
   try {
     const {
       network, // 'polygon' or 'solana'
-      transaction, // Transaction data to sign
+      mode = 'transaction', // 'transaction' or 'sign_typed_data' (EIP-712, Polygon only)
+      transaction, // Transaction data to sign (Solana: base64 serialized transaction, or { message: base64 })
+      typed_data, // { domain, types, primaryType, message } for sign_typed_data
       nonce, // Request nonce for replay protection
       idempotency_key // Idempotency key for duplicate request prevention
     } = req.body;
 
-    // Phase 7: Policy checks
-    if (!network || !transaction) {
+    if (!['transaction', 'sign_typed_data'].includes(mode)) {
+      return res.status(400).json({
+        error: "unsupported_mode",
+        message: "mode must be 'transaction' or 'sign_typed_data'"
+      });
+    }
+
+    const payload = mode === 'sign_typed_data' ? typed_data : transaction;
+    if (!network || !payload) {
       return res.status(400).json({
         error: "missing_required_fields",
-        message: "network and transaction are required"
+        message: mode === 'sign_typed_data'
+          ? "network and typed_data are required"
+          : "network and transaction are required"
+      });
+    }
+
+    if (mode === 'sign_typed_data' && network !== 'polygon') {
+      return res.status(400).json({
+        error: "unsupported_network",
+        message: "Typed data signing is only available on Polygon"
       });
     }
 
@@ -106,7 +109,7 @@ module.exports = async (req, res) => {
     }
 
     // Idempotency key checking (prevent duplicate requests)
-    const requestHash = hashRequest({ network, transaction, nonce });
+    const requestHash = hashRequest({ network, mode, payload, nonce });
     let cachedResponse = null;
     
     if (idempotency_key) {
@@ -145,7 +148,7 @@ module.exports = async (req, res) => {
     // Get wallet for user
     const { data: wallet, error: walletError } = await supabase
       .from("custody_wallets")
-      .select("polygon_address, polygon_secret_enc, polygon_vault_secret_id, solana_address, solana_secret_enc, solana_vault_secret_id")
+      .select("polygon_address, polygon_secret_enc, polygon_vault_secret_id, solana_address, solana_secret_enc, solana_vault_secret_id, hd_index")
       .eq("user_id", userId)
       .single();
 
@@ -159,19 +162,27 @@ module.exports = async (req, res) => {
     let privateKey;
 
     if (network === 'polygon') {
-      // Retrieve private key from Vault or encrypted storage
-      if (wallet.polygon_vault_secret_id) {
-        // TODO: Retrieve from Vault
-        // const { getVaultSecret } = require("../lib/vault");
-        // privateKey = await getVaultSecret(wallet.polygon_vault_secret_id);
-        return res.status(501).json({
-          error: "vault_not_implemented",
-          message: "Vault retrieval not yet implemented"
+      // Phase 7: Only allowlisted contracts, functions and amounts (or whitelisted typed data), within the user's daily limits
+      const decision = await checkSigningPolicy(supabase, userId, network, payload, {
+        mode,
+        address: wallet.polygon_address
+      });
+      if (!decision.allowed) {
+        return res.status(403).json({
+          error: "policy_denied",
+          reason: decision.reason,
+          message: `Transaction rejected by signing policy: ${decision.reason}`
         });
+      }
+
+      // Retrieve private key from the HD master seed, Vault or encrypted storage
+      if (wallet.hd_index !== null && wallet.hd_index !== undefined) {
+        privateKey = (await deriveCustodyKey('polygon', wallet.hd_index, wallet.polygon_address)).privateKey;
+      } else if (wallet.polygon_vault_secret_id) {
+        privateKey = await getVaultSecret(wallet.polygon_vault_secret_id);
       } else if (wallet.polygon_secret_enc) {
         // Fallback: Use encrypted storage
-        const encryptionKey = getEncryptionKey();
-        privateKey = decrypt(wallet.polygon_secret_enc, encryptionKey);
+        privateKey = decryptSecret(wallet.polygon_secret_enc, { userId, column: 'polygon_secret_enc' });
       } else {
         return res.status(500).json({
           error: "key_not_found",
@@ -181,30 +192,39 @@ module.exports = async (req, res) => {
 
       // Sign transaction using ethers.js
       const walletInstance = new Wallet(privateKey);
-      
-      // Handle transaction signing - transaction can be:
-      // 1. A raw transaction object (to, value, data, gasLimit, gasPrice, nonce)
-      // 2. A serialized transaction string
-      let signedTx;
-      
-      if (typeof transaction === 'string') {
-        // If it's a serialized transaction, sign it directly
-        signedTx = await walletInstance.signMessage(transaction);
-      } else if (transaction.to || transaction.data) {
-        // If it's a transaction object, sign it
-        signedTx = await walletInstance.signTransaction({
-          to: transaction.to,
-          value: transaction.value || '0x0',
-          data: transaction.data || '0x',
-          gasLimit: transaction.gasLimit || '0x5208',
-          gasPrice: transaction.gasPrice || '0x3b9aca00',
-          nonce: transaction.nonce || 0
-        });
-      } else {
-        // For other transaction formats, try to sign as-is
-        signedTx = await walletInstance.signTransaction(transaction);
+
+      if (mode === 'sign_typed_data') {
+        // Sign exactly what the policy approved (EIP712Domain stripped, whitelisted types)
+        const { domain, types, message } = decision.typed_data;
+        const signature = await walletInstance._signTypedData(domain, types, message);
+
+        const response = {
+          success: true,
+          mode,
+          signature,
+          network: 'polygon',
+          from: walletInstance.address
+        };
+
+        if (idempotency_key) {
+          await storeIdempotencyKey(idempotency_key, userId, "wallet_sign", requestHash, response, 60);
+        }
+
+        return res.status(200).json(response);
       }
 
+      // The policy only passes transaction objects calling an allowlisted contract,
+      // so there is no raw-message or contract-deployment path here
+      const signedTx = await walletInstance.signTransaction({
+        to: transaction.to,
+        value: transaction.value || '0x0',
+        data: transaction.data || '0x',
+        gasLimit: transaction.gasLimit || '0x5208',
+        gasPrice: transaction.gasPrice || '0x3b9aca00',
+        nonce: transaction.nonce || 0,
+        chainId: POLYGON_CHAIN_ID // EIP-155, so the signature can't be replayed on another chain
+      });
+
       const response = {
         success: true,
         signed_transaction: signedTx,
@@ -220,27 +240,46 @@ module.exports = async (req, res) => {
       return res.status(200).json(response);
 
     } else if (network === 'solana') {
-      // Retrieve private key from Vault or encrypted storage
-      if (wallet.solana_vault_secret_id) {
-        // TODO: Retrieve from Vault
-        return res.status(501).json({
-          error: "vault_not_implemented",
-          message: "Vault retrieval not yet implemented"
+      // Phase 7: Only allowlisted programs, capped transfers and priority fees, within the daily limits
+      const decision = await checkSigningPolicy(supabase, userId, network, transaction, {
+        address: wallet.solana_address
+      });
+      if (!decision.allowed) {
+        return res.status(403).json({
+          error: "policy_denied",
+          reason: decision.reason,
+          message: `Transaction rejected by signing policy: ${decision.reason}`
         });
-      } else if (wallet.solana_secret_enc) {
-        // Fallback: Use encrypted storage
-        const encryptionKey = getEncryptionKey();
-        const secretKeyBase64 = decrypt(wallet.solana_secret_enc, encryptionKey);
-        const secretKey = Buffer.from(secretKeyBase64, 'base64');
-        const keypair = Keypair.fromSecretKey(secretKey);
-        
-        // TODO: Implement actual transaction signing for Solana
-        // This is a placeholder
-        return res.status(200).json({
+      }
+
+      // Retrieve private key from the HD master seed, Vault or encrypted storage
+      let keypair = null;
+      if (wallet.hd_index !== null && wallet.hd_index !== undefined) {
+        keypair = await deriveCustodyKey('solana', wallet.hd_index, wallet.solana_address);
+      } else if (wallet.solana_vault_secret_id || wallet.solana_secret_enc) {
+        const secretKeyBase64 = wallet.solana_vault_secret_id
+          ? await getVaultSecret(wallet.solana_vault_secret_id)
+          : decryptSecret(wallet.solana_secret_enc, { userId, column: 'solana_secret_enc' });
+        keypair = Keypair.fromSecretKey(Buffer.from(secretKeyBase64, 'base64'));
+      }
+
+      if (keypair) {
+        // Sign the message the policy parsed; signatures already on the transaction are kept
+        const { signed_transaction, signature } = signSolanaTransaction(keypair, decision.solana);
+
+        const response = {
           success: true,
-          signed_transaction: "Solana signing not yet implemented",
-          network: 'solana'
-        });
+          signed_transaction,
+          signature,
+          network: 'solana',
+          from: keypair.publicKey.toBase58()
+        };
+
+        if (idempotency_key) {
+          await storeIdempotencyKey(idempotency_key, userId, "wallet_sign", requestHash, response, 60);
+        }
+
+        return res.status(200).json(response);
       } else {
         return res.status(500).json({
           error: "key_not_found",
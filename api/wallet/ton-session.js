@@ -3,33 +3,7 @@
 // Phase 1: Session storage with encryption
 
 const { createClient } = require("@supabase/supabase-js");
-const crypto = require("crypto");
-
-// Encryption functions (same as wallet.js)
-function encrypt(text, key) {
-  const algorithm = 'aes-256-cbc';
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv(algorithm, Buffer.from(key, 'hex'), iv);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return iv.toString('hex') + ':' + encrypted;
-}
-
-function getEncryptionKey() {
-  const key = process.env.ENCRYPTION_KEY || process.env.WALLET_ENCRYPTION_KEY;
-  if (!key) {
-    const error = new Error('ENCRYPTION_KEY environment variable is required.');
-    error.code = 'ENCRYPTION_KEY_MISSING';
-    throw error;
-  }
-  const hexRegex = /^[0-9a-fA-F]+$/;
-  if (key.length !== 64 || !hexRegex.test(key)) {
-    const error = new Error('ENCRYPTION_KEY must be exactly 64 hex characters (32 bytes).');
-    error.code = 'ENCRYPTION_KEY_INVALID';
-    throw error;
-  }
-  return key;
-}
+const { encryptSecret } = require("../lib/encryption");
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -75,8 +49,10 @@ module.exports = async (req, res) => {
       // Encrypt session data
       let sessionDataEnc = null;
       try {
-        const encryptionKey = getEncryptionKey();
-        sessionDataEnc = encrypt(JSON.stringify(session_data || {}), encryptionKey);
+        sessionDataEnc = encryptSecret(JSON.stringify(session_data || {}), {
+          userId: normalizedUserId,
+          column: 'tonconnect_session_data_enc'
+        });
       } catch (encryptErr) {
         console.error("[ton-session] Encryption error:", encryptErr);
         // Continue without encryption if key not available (for development)
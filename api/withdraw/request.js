@@ -1,16 +1,26 @@
 // api/withdraw/request.js
 // Epic 5.1 & 5.2: Withdrawal Request with Security Controls
 // Handles withdrawal requests with security checks
+// DELETE cancels a withdrawal that hasn't started processing and unlocks its funds
+// A new destination needs address_proof: a TON proof signed by the destination wallet over a payload
+// from /api/auth/generate-payload?purpose=withdrawal_address, plus the wallet's state_init
 
 const { createClient } = require("@supabase/supabase-js");
+const crypto = require("crypto");
 const { validateSession } = require("../middleware/validate-session");
 const { checkIdempotency, storeIdempotencyKey, checkRateLimit, hashRequest } = require("../lib/security");
 const { handleApiError, validateAmount, validateTONAddress, ERROR_CODES } = require("../lib/errors");
-const { logError, logTransaction, logSecurityEvent } = require("../lib/logger");
+const { logTransaction, logSecurityEvent, logError } = require("../lib/logger");
+const { reserveFunds } = require("../lib/ledger");
+const { CANCELLABLE_STATUSES, failWithdrawal } = require("../lib/withdrawals");
+const { getAppDomain, verifyTonProof } = require("../lib/ton-proof");
+
+// Address proofs must be signed shortly before they are submitted
+const ADDRESS_PROOF_MAX_AGE_MS = 5 * 60 * 1000;
 
 module.exports = async (req, res) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST,GET,OPTIONS");
+  res.setHeader("Access-Control-Allow-Methods", "POST,GET,DELETE,OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type,Authorization");
 
   if (req.method === "OPTIONS") return res.status(200).end();
@@ -57,8 +67,7 @@ module.exports = async (req, res) => {
         amount_usdc,
         ton_destination_address,
         idempotency_key,
-        address_signature,
-        address_public_key
+        address_proof
       } = req.body;
 
       // Validate amount
@@ -114,7 +123,7 @@ module.exports = async (req, res) => {
         }
       }
 
-      // Check balance
+      // Quick balance check for a friendly error (the atomic reservation below is what enforces it)
       const { data: balance, error: balanceError } = await supabase
         .from("user_balances")
         .select("usdc_available")
@@ -135,23 +144,67 @@ module.exports = async (req, res) => {
         });
       }
 
-      // Epic 5.2: Verify destination address confirmation (if signature provided)
-      if (address_signature && address_public_key) {
-        // TODO: Verify TON signature that user owns the destination address
-        // For now, we'll store the confirmation
+      // Epic 5.2: Verify destination address confirmation (if proof provided)
+      if (address_proof) {
+        if (typeof address_proof.payload?.nonce !== 'string') {
+          return res.status(400).json({
+            error: "invalid_address_proof",
+            message: "address_proof needs a payload from /api/auth/generate-payload?purpose=withdrawal_address"
+          });
+        }
+
+        // The destination wallet signs its own address, this user's ID and the server nonce
+        const proofCheck = await verifyTonProof(
+          { ...address_proof, ton_address: ton_destination_address },
+          {
+            appDomain: getAppDomain(req),
+            userId,
+            purpose: 'withdrawal_address',
+            maxAgeMs: ADDRESS_PROOF_MAX_AGE_MS,
+            requireStateInit: true
+          }
+        );
+
+        if (!proofCheck.valid) {
+          logSecurityEvent('withdrawal_address_proof_rejected', {
+            user_id: userId,
+            ton_address: ton_destination_address,
+            reason: proofCheck.error
+          });
+          return res.status(400).json({
+            error: "address_confirmation_failed",
+            reason: proofCheck.error,
+            message: proofCheck.message
+          });
+        }
+
         const { error: confirmError } = await supabase
           .from("withdrawal_address_confirmations")
           .insert({
             user_id: userId,
             ton_address: ton_destination_address,
-            signature: address_signature,
-            public_key: address_public_key,
+            signature: address_proof.signature,
+            public_key: address_proof.public_key,
+            nonce: address_proof.payload.nonce,
+            proof_timestamp: new Date(address_proof.timestamp).toISOString(),
             expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() // 30 days
           });
 
-        if (confirmError && confirmError.code !== '23505') {
-          console.warn("[withdraw/request] Address confirmation error:", confirmError);
+        if (confirmError) {
+          // Each payload nonce confirms one address once
+          if (confirmError.code === '23505') {
+            return res.status(409).json({
+              error: "proof_already_used",
+              message: "This address proof was already used. Request a new payload and sign again."
+            });
+          }
+          throw confirmError;
         }
+
+        logSecurityEvent('withdrawal_address_confirmed', {
+          user_id: userId,
+          ton_address: ton_destination_address
+        });
       } else {
         // Check if address is already confirmed for this user
         const { data: confirmedAddress } = await supabase
@@ -161,7 +214,8 @@ module.exports = async (req, res) => {
           .eq("ton_address", ton_destination_address)
           .eq("is_active", true)
           .gt("expires_at", new Date().toISOString())
-          .single();
+          .limit(1)
+          .maybeSingle();
 
         if (!confirmedAddress) {
           return res.status(400).json({
@@ -183,7 +237,9 @@ module.exports = async (req, res) => {
       // Generate unique request ID
       const requestId = `withdraw_${userId}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
 
-      // Create withdrawal record
+      // Create withdrawal record. It starts as 'reserving', which the worker and cancel ignore, and
+      // only becomes pending (or pending_review) once its funds are locked below
+      const initialStatus = riskCheckPassed ? 'pending' : 'pending_review';
       const { data: withdrawal, error: insertError } = await supabase
         .from("withdrawals")
         .insert({
@@ -191,7 +247,7 @@ module.exports = async (req, res) => {
           request_id: requestId,
           amount_usdc: parseFloat(amount_usdc),
           ton_destination_address: ton_destination_address,
-          status: riskCheckPassed ? 'pending' : 'pending_review',
+          status: 'reserving',
           risk_check_passed: riskCheckPassed,
           risk_check_details: riskCheckDetails
         })
@@ -202,54 +258,68 @@ module.exports = async (req, res) => {
         throw insertError;
       }
 
-      // Lock funds (decrease available balance)
-      await supabase
-        .from("user_balances")
-        .update({
-          usdc_available: balance.usdc_available - amount_usdc
-        })
-        .eq("user_id", userId);
-
-      // Epic 6.2: Create ledger entry for withdrawal
-      const { createLedgerEntry } = require("../lib/ledger");
+      // Epic 6.4: Lock the funds until the withdrawal completes, fails or is cancelled
       let ledgerEntryId;
       try {
-        ledgerEntryId = await createLedgerEntry({
+        ({ entryId: ledgerEntryId } = await reserveFunds({
           user_id: userId,
           entry_type: 'withdrawal',
           amount: amount_usdc,
           currency: 'USDC',
-          direction: 'debit',
-          status: withdrawal.status,
           metadata: {
             ton_destination: ton_destination_address,
             risk_check_passed: riskCheckPassed
           },
           withdrawal_id: withdrawal.id
-        });
+        }));
+      } catch (reserveError) {
+        // A concurrent request spent the funds after the check above
+        await supabase
+          .from("withdrawals")
+          .update({ status: 'failed', error_message: reserveError.message })
+          .eq("id", withdrawal.id)
+          .eq("status", 'reserving');
 
-        // Log transaction
-        logTransaction('withdrawal_requested', {
-          user_id: userId,
+        if (reserveError.code === 'insufficient_balance') {
+          return res.status(400).json({
+            error: "insufficient_balance",
+            message: "Insufficient balance for this withdrawal"
+          });
+        }
+        throw reserveError;
+      }
+
+      const { data: reserved, error: activateError } = await supabase
+        .from("withdrawals")
+        .update({ ledger_entry_id: ledgerEntryId, status: initialStatus })
+        .eq("id", withdrawal.id)
+        .eq("status", 'reserving')
+        .select()
+        .single();
+
+      if (activateError) {
+        // The funds stay locked against the withdrawal; it needs to be settled by hand
+        logError('Failed to activate withdrawal after reserving funds', activateError, {
           withdrawal_id: withdrawal.id,
-          request_id: withdrawal.request_id,
-          amount_usdc: amount_usdc,
-          ton_destination: ton_destination_address,
-          risk_check_passed: riskCheckPassed,
           ledger_entry_id: ledgerEntryId
         });
-      } catch (ledgerError) {
-        logError(ledgerError, {
-          operation: 'ledger_entry_creation',
-          user_id: userId,
-          withdrawal_id: withdrawal.id
-        });
-        // Continue even if ledger fails
+        throw activateError;
       }
+      Object.assign(withdrawal, reserved);
+
+      // Log transaction
+      logTransaction('withdrawal_requested', {
+        user_id: userId,
+        withdrawal_id: withdrawal.id,
+        request_id: withdrawal.request_id,
+        amount_usdc: amount_usdc,
+        ton_destination: ton_destination_address,
+        risk_check_passed: riskCheckPassed,
+        ledger_entry_id: ledgerEntryId
+      });
 
-      // TODO: Process withdrawal (bridge Polygon USDC -> TON)
-      // For now, we'll mark it as processing
-      // In production, this would trigger the bridge service
+      // The withdrawal worker (/api/process-withdrawals) picks up pending withdrawals and
+      // bridges Polygon USDC -> TON; pending_review ones wait for a reviewer
 
       const response = {
         success: true,
@@ -330,6 +400,76 @@ module.exports = async (req, res) => {
           count: withdrawals?.length || 0
         });
       }
+    } else if (req.method === "DELETE") {
+      // Cancel a withdrawal that hasn't started processing
+      const authHeader = req.headers.authorization;
+      const sessionToken = authHeader?.startsWith('Bearer ')
+        ? authHeader.substring(7)
+        : (req.query?.session_token || req.body?.session_token);
+
+      if (!sessionToken) {
+        return res.status(401).json({
+          error: "authentication_required",
+          message: "Session token required"
+        });
+      }
+
+      const sessionValidation = await validateSession(sessionToken);
+      if (!sessionValidation.isValid) {
+        return res.status(401).json({
+          error: "invalid_session",
+          message: sessionValidation.error || "Invalid or expired session"
+        });
+      }
+
+      const userId = sessionValidation.userId;
+      const requestId = req.query?.request_id || req.body?.request_id;
+
+      if (!requestId) {
+        return res.status(400).json({
+          error: "missing_request_id",
+          message: "request_id is required"
+        });
+      }
+
+      const { data: withdrawal } = await supabase
+        .from("withdrawals")
+        .select("*")
+        .eq("user_id", userId)
+        .eq("request_id", requestId)
+        .maybeSingle();
+
+      if (!withdrawal) {
+        return res.status(404).json({
+          error: "withdrawal_not_found",
+          message: "Withdrawal not found"
+        });
+      }
+
+      if (!CANCELLABLE_STATUSES.includes(withdrawal.status)) {
+        return res.status(400).json({
+          error: "withdrawal_not_cancellable",
+          message: `Withdrawal is ${withdrawal.status} and can no longer be cancelled`
+        });
+      }
+
+      const cancelled = await failWithdrawal(supabase, withdrawal, {
+        status: 'cancelled',
+        reason: 'Cancelled by user'
+      });
+
+      if (!cancelled) {
+        return res.status(409).json({
+          error: "withdrawal_state_changed",
+          message: "Withdrawal changed while cancelling. Please refresh and try again."
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        withdrawal: cancelled,
+        message: "Withdrawal cancelled and funds returned to your balance"
+      });
     } else {
       return res.status(405).json({
         error: "method_not_allowed",
@@ -0,0 +1,135 @@
+-- ============================================
+-- Epic 6.3: Atomic Balance Mutations
+-- One transactional function checks funds, moves usdc_available and writes the ledger row
+-- Run this in your Supabase SQL Editor (after supabase-ledger.sql)
+-- ============================================
+
+-- Belt and braces: the balance can never go negative, whatever writes it
+-- (NOT VALID so existing rows don't block the migration; new writes are still checked)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint
+                 WHERE conname = 'user_balances_usdc_available_nonnegative') THEN
+    ALTER TABLE user_balances
+      ADD CONSTRAINT user_balances_usdc_available_nonnegative
+      CHECK (usdc_available >= 0) NOT VALID;
+  END IF;
+END $$;
+
+-- A deposit is credited once: a second credit for the same deposit fails here and
+-- apply_balance_change rolls back with it (clean up any existing duplicates before running this)
+CREATE UNIQUE INDEX IF NOT EXISTS ledger_entries_deposit_credit_idx ON ledger_entries(deposit_id)
+  WHERE entry_type = 'deposit' AND direction = 'credit' AND deposit_id IS NOT NULL;
+
+-- Function to move money and record it in one transaction
+-- Concurrent calls for the same user serialize on the user_balances row lock, so two debits can
+-- never both pass the funds check against the same balance.
+CREATE OR REPLACE FUNCTION apply_balance_change(
+  p_user_id text,
+  p_entry_type text,
+  p_amount numeric,
+  p_direction text,
+  p_status text DEFAULT 'completed',
+  p_metadata jsonb DEFAULT '{}'::jsonb,
+  p_currency text DEFAULT 'USDC',
+  p_deposit_id uuid DEFAULT NULL,
+  p_withdrawal_id uuid DEFAULT NULL,
+  p_trade_id text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry_id uuid;
+  v_balance_before numeric;
+  v_balance_after numeric;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'invalid_amount: amount must be greater than 0' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_direction NOT IN ('credit', 'debit') THEN
+    RAISE EXCEPTION 'invalid_direction: %', p_direction USING ERRCODE = '22023';
+  END IF;
+
+  -- Credits create the balance row on first use
+  IF p_direction = 'credit' THEN
+    INSERT INTO user_balances (user_id, usdc_available)
+    VALUES (p_user_id, 0)
+    ON CONFLICT (user_id) DO NOTHING;
+  END IF;
+
+  -- Lock the balance row until this transaction commits
+  SELECT usdc_available INTO v_balance_before
+  FROM user_balances
+  WHERE user_id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'insufficient_balance: no balance for user %', p_user_id USING ERRCODE = 'P0001';
+  END IF;
+
+  v_balance_before := COALESCE(v_balance_before, 0);
+
+  IF p_direction = 'debit' THEN
+    IF v_balance_before < p_amount THEN
+      RAISE EXCEPTION 'insufficient_balance: available %, required %', v_balance_before, p_amount
+        USING ERRCODE = 'P0001';
+    END IF;
+    v_balance_after := v_balance_before - p_amount;
+  ELSE
+    v_balance_after := v_balance_before + p_amount;
+  END IF;
+
+  UPDATE user_balances
+  SET usdc_available = v_balance_after
+  WHERE user_id = p_user_id;
+
+  INSERT INTO ledger_entries (
+    user_id,
+    entry_type,
+    amount,
+    currency,
+    direction,
+    status,
+    metadata,
+    deposit_id,
+    withdrawal_id,
+    trade_id,
+    balance_before,
+    balance_after,
+    completed_at
+  ) VALUES (
+    p_user_id,
+    p_entry_type,
+    p_amount,
+    p_currency,
+    p_direction,
+    p_status,
+    p_metadata,
+    p_deposit_id,
+    p_withdrawal_id,
+    p_trade_id,
+    v_balance_before,
+    v_balance_after,
+    CASE WHEN p_status = 'completed' THEN now() ELSE NULL END
+  ) RETURNING id INTO v_entry_id;
+
+  RETURN jsonb_build_object(
+    'entry_id', v_entry_id,
+    'balance_before', v_balance_before,
+    'balance_after', v_balance_after
+  );
+END;
+$$;
+
+-- Only the backend may move balances (functions are executable by PUBLIC by default)
+REVOKE EXECUTE ON FUNCTION apply_balance_change(text, text, numeric, text, text, jsonb, text, uuid, uuid, text) FROM PUBLIC, anon, authenticated;
+
+-- Grant execute permission
+GRANT EXECUTE ON FUNCTION apply_balance_change(text, text, numeric, text, text, jsonb, text, uuid, uuid, text) TO service_role;
+
+-- Success message
+SELECT 'Atomic balance function created successfully!' AS status;
@@ -0,0 +1,128 @@
+-- ============================================
+-- Epic 4.5: Atomic Settlement
+-- One transactional function zeroes a position, writes its payout row and credits the winnings,
+-- so a failure part-way can never leave shares removed without a payout (or a payout unpaid)
+-- Run this in your Supabase SQL Editor (after supabase-payouts.sql and supabase-atomic-balance.sql)
+-- ============================================
+
+-- A user's position in an outcome token is settled once
+CREATE UNIQUE INDEX IF NOT EXISTS payouts_user_token_idx ON payouts(user_id, token_id);
+
+-- Settle one position against a market's winning outcome
+-- p_expected_shares is the size the caller read; if a trade moved the position since, nothing is
+-- settled and the next run picks it up. Winners get $1 per share through a 'payout' ledger entry.
+CREATE OR REPLACE FUNCTION settle_position(
+  p_position_id uuid,
+  p_expected_shares numeric,
+  p_winning_outcome_index integer
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_position positions%ROWTYPE;
+  v_payout payouts%ROWTYPE;
+  v_won boolean;
+  v_avg_price numeric;
+  v_amount numeric;
+  v_realized_pnl numeric;
+  v_credit jsonb;
+BEGIN
+  -- Lock the position until this transaction commits
+  SELECT * INTO v_position
+  FROM positions
+  WHERE id = p_position_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'position_not_found: %', p_position_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_position.shares IS DISTINCT FROM p_expected_shares OR v_position.shares <= 0 THEN
+    RAISE EXCEPTION 'position_conflict: expected % shares, found %', p_expected_shares, v_position.shares
+      USING ERRCODE = 'P0001';
+  END IF;
+
+  v_won := v_position.outcome_index = p_winning_outcome_index;
+  v_avg_price := COALESCE(v_position.avg_price, 0);
+  v_amount := CASE WHEN v_won THEN v_position.shares ELSE 0 END;
+  v_realized_pnl := v_amount - v_position.shares * v_avg_price;
+
+  UPDATE positions
+  SET
+    shares = 0,
+    current_value = 0,
+    realized_pnl = COALESCE(realized_pnl, 0) + v_realized_pnl
+  WHERE id = p_position_id;
+
+  -- payouts_user_token_idx rejects a second settlement of the same token (and rolls all of this back)
+  INSERT INTO payouts (
+    user_id,
+    position_id,
+    market_id,
+    outcome_index,
+    token_id,
+    winning_outcome_index,
+    shares,
+    avg_price,
+    amount,
+    realized_pnl,
+    status,
+    claimed_at
+  ) VALUES (
+    v_position.user_id,
+    v_position.id,
+    v_position.market_id,
+    v_position.outcome_index,
+    v_position.clob_token_id,
+    p_winning_outcome_index,
+    v_position.shares,
+    v_avg_price,
+    v_amount,
+    v_realized_pnl,
+    CASE WHEN v_won THEN 'claimed' ELSE 'lost' END,
+    CASE WHEN v_won THEN now() ELSE NULL END
+  ) RETURNING * INTO v_payout;
+
+  IF v_won THEN
+    v_credit := apply_balance_change(
+      v_position.user_id,
+      'payout',
+      v_amount,
+      'credit',
+      'completed',
+      jsonb_build_object(
+        'payout_id', v_payout.id,
+        'position_id', v_position.id,
+        'market_id', v_position.market_id,
+        'outcome_index', v_position.outcome_index,
+        'token_id', v_position.clob_token_id,
+        'winning_outcome_index', p_winning_outcome_index,
+        'shares', v_position.shares,
+        'avg_price', v_avg_price,
+        'realized_pnl', v_realized_pnl
+      ),
+      'USDC',
+      NULL,
+      NULL,
+      v_payout.id::text
+    );
+
+    UPDATE payouts
+    SET ledger_entry_id = (v_credit->>'entry_id')::uuid
+    WHERE id = v_payout.id
+    RETURNING * INTO v_payout;
+  END IF;
+
+  RETURN to_jsonb(v_payout);
+END;
+$$;
+
+-- Only the backend may settle positions (functions are executable by PUBLIC by default)
+REVOKE EXECUTE ON FUNCTION settle_position(uuid, numeric, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION settle_position(uuid, numeric, integer) TO service_role;
+
+-- Success message
+SELECT 'Atomic settlement function created successfully!' AS status;
@@ -0,0 +1,287 @@
+-- ============================================
+-- Epic 6.4: Funds Reservation
+-- Pending trades, resting orders and pending withdrawals hold their USDC in usdc_locked
+-- until it is consumed (spent) or released back to usdc_available
+-- Run this in your Supabase SQL Editor (after supabase-atomic-balance.sql)
+-- ============================================
+
+-- How much of each ledger entry is still held in usdc_locked
+-- Existing resting buy orders and pending withdrawals were debited before usdc_locked was used;
+-- their outstanding amounts are moved into it once, when the column is added.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'ledger_entries' AND column_name = 'locked_amount') THEN
+    ALTER TABLE ledger_entries ADD COLUMN locked_amount numeric NOT NULL DEFAULT 0;
+
+    UPDATE ledger_entries le
+    SET locked_amount = GREATEST(o.amount_usdc - COALESCE(o.filled_amount_usdc, 0), 0)
+    FROM orders o
+    WHERE o.ledger_entry_id = le.id
+      AND o.side = 'buy'
+      AND o.status IN ('open', 'partially_filled');
+
+    UPDATE ledger_entries
+    SET locked_amount = amount
+    WHERE entry_type = 'withdrawal'
+      AND direction = 'debit'
+      AND status = 'pending';
+
+    UPDATE user_balances ub
+    SET usdc_locked = COALESCE(ub.usdc_locked, 0) + held.total
+    FROM (
+      SELECT user_id, SUM(locked_amount) AS total
+      FROM ledger_entries
+      WHERE locked_amount > 0
+      GROUP BY user_id
+    ) held
+    WHERE ub.user_id = held.user_id;
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'withdrawals' AND column_name = 'ledger_entry_id') THEN
+    ALTER TABLE withdrawals ADD COLUMN ledger_entry_id uuid REFERENCES ledger_entries(id); -- Reservation holding the funds
+
+    UPDATE withdrawals w
+    SET ledger_entry_id = le.id
+    FROM ledger_entries le
+    WHERE le.withdrawal_id = w.id
+      AND le.entry_type = 'withdrawal'
+      AND le.direction = 'debit';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint
+                 WHERE conname = 'user_balances_usdc_locked_nonnegative') THEN
+    ALTER TABLE user_balances
+      ADD CONSTRAINT user_balances_usdc_locked_nonnegative
+      CHECK (usdc_locked >= 0) NOT VALID;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS ledger_entries_locked_idx ON ledger_entries(user_id) WHERE locked_amount > 0;
+
+-- Function to move funds from usdc_available into usdc_locked
+-- Writes a pending debit whose locked_amount tracks what is still held
+CREATE OR REPLACE FUNCTION reserve_funds(
+  p_user_id text,
+  p_entry_type text,
+  p_amount numeric,
+  p_metadata jsonb DEFAULT '{}'::jsonb,
+  p_currency text DEFAULT 'USDC',
+  p_withdrawal_id uuid DEFAULT NULL,
+  p_trade_id text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry_id uuid;
+  v_balance_before numeric;
+  v_balance_after numeric;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'invalid_amount: amount must be greater than 0' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT usdc_available INTO v_balance_before
+  FROM user_balances
+  WHERE user_id = p_user_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'insufficient_balance: no balance for user %', p_user_id USING ERRCODE = 'P0001';
+  END IF;
+
+  v_balance_before := COALESCE(v_balance_before, 0);
+
+  IF v_balance_before < p_amount THEN
+    RAISE EXCEPTION 'insufficient_balance: available %, required %', v_balance_before, p_amount
+      USING ERRCODE = 'P0001';
+  END IF;
+
+  v_balance_after := v_balance_before - p_amount;
+
+  UPDATE user_balances
+  SET usdc_available = v_balance_after,
+      usdc_locked = COALESCE(usdc_locked, 0) + p_amount
+  WHERE user_id = p_user_id;
+
+  INSERT INTO ledger_entries (
+    user_id,
+    entry_type,
+    amount,
+    currency,
+    direction,
+    status,
+    metadata,
+    withdrawal_id,
+    trade_id,
+    balance_before,
+    balance_after,
+    locked_amount
+  ) VALUES (
+    p_user_id,
+    p_entry_type,
+    p_amount,
+    p_currency,
+    'debit',
+    'pending',
+    p_metadata,
+    p_withdrawal_id,
+    p_trade_id,
+    v_balance_before,
+    v_balance_after,
+    p_amount
+  ) RETURNING id INTO v_entry_id;
+
+  RETURN jsonb_build_object(
+    'entry_id', v_entry_id,
+    'balance_before', v_balance_before,
+    'balance_after', v_balance_after
+  );
+END;
+$$;
+
+-- Function to spend reserved funds (the USDC has left the account)
+-- p_amount NULL consumes everything still held by the entry
+CREATE OR REPLACE FUNCTION consume_reserved_funds(
+  p_entry_id uuid,
+  p_amount numeric DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry ledger_entries%ROWTYPE;
+  v_amount numeric;
+BEGIN
+  SELECT * INTO v_entry FROM ledger_entries WHERE id = p_entry_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'reservation_not_found: %', p_entry_id USING ERRCODE = 'P0002';
+  END IF;
+
+  v_amount := LEAST(COALESCE(p_amount, v_entry.locked_amount), v_entry.locked_amount);
+
+  IF v_amount > 0 THEN
+    UPDATE user_balances
+    SET usdc_locked = usdc_locked - v_amount
+    WHERE user_id = v_entry.user_id;
+
+    UPDATE ledger_entries
+    SET locked_amount = locked_amount - v_amount
+    WHERE id = p_entry_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'consumed', GREATEST(v_amount, 0),
+    'locked_remaining', v_entry.locked_amount - GREATEST(v_amount, 0)
+  );
+END;
+$$;
+
+-- Function to return reserved funds to usdc_available
+-- Returning a whole, untouched reservation writes nothing new (the caller marks the entry
+-- failed or cancelled). Returning part of one - the unused remainder of a partly spent
+-- reservation - is recorded as its own credit so the original debit still adds up.
+CREATE OR REPLACE FUNCTION release_reserved_funds(
+  p_entry_id uuid,
+  p_amount numeric DEFAULT NULL,
+  p_metadata jsonb DEFAULT '{}'::jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry ledger_entries%ROWTYPE;
+  v_amount numeric;
+  v_balance_before numeric;
+  v_balance_after numeric;
+  v_credit_id uuid;
+BEGIN
+  SELECT * INTO v_entry FROM ledger_entries WHERE id = p_entry_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'reservation_not_found: %', p_entry_id USING ERRCODE = 'P0002';
+  END IF;
+
+  v_amount := LEAST(COALESCE(p_amount, v_entry.locked_amount), v_entry.locked_amount);
+
+  IF v_amount IS NULL OR v_amount <= 0 THEN
+    RETURN jsonb_build_object('released', 0, 'credit_entry_id', NULL, 'locked_remaining', v_entry.locked_amount);
+  END IF;
+
+  SELECT usdc_available INTO v_balance_before
+  FROM user_balances
+  WHERE user_id = v_entry.user_id
+  FOR UPDATE;
+
+  v_balance_before := COALESCE(v_balance_before, 0);
+  v_balance_after := v_balance_before + v_amount;
+
+  UPDATE user_balances
+  SET usdc_available = v_balance_after,
+      usdc_locked = usdc_locked - v_amount
+  WHERE user_id = v_entry.user_id;
+
+  UPDATE ledger_entries
+  SET locked_amount = locked_amount - v_amount
+  WHERE id = p_entry_id;
+
+  IF v_amount < v_entry.amount THEN
+    INSERT INTO ledger_entries (
+      user_id,
+      entry_type,
+      amount,
+      currency,
+      direction,
+      status,
+      metadata,
+      withdrawal_id,
+      trade_id,
+      balance_before,
+      balance_after,
+      completed_at
+    ) VALUES (
+      v_entry.user_id,
+      v_entry.entry_type,
+      v_amount,
+      v_entry.currency,
+      'credit',
+      'completed',
+      p_metadata || jsonb_build_object('release_of', p_entry_id),
+      v_entry.withdrawal_id,
+      v_entry.trade_id,
+      v_balance_before,
+      v_balance_after,
+      now()
+    ) RETURNING id INTO v_credit_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'released', v_amount,
+    'credit_entry_id', v_credit_id,
+    'locked_remaining', v_entry.locked_amount - v_amount,
+    'balance_after', v_balance_after
+  );
+END;
+$$;
+
+-- Only the backend may lock or unlock funds (functions are executable by PUBLIC by default)
+REVOKE EXECUTE ON FUNCTION reserve_funds(text, text, numeric, jsonb, text, uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION consume_reserved_funds(uuid, numeric) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_reserved_funds(uuid, numeric, jsonb) FROM PUBLIC, anon, authenticated;
+
+-- Grant execute permission
+GRANT EXECUTE ON FUNCTION reserve_funds(text, text, numeric, jsonb, text, uuid, text) TO service_role;
+GRANT EXECUTE ON FUNCTION consume_reserved_funds(uuid, numeric) TO service_role;
+GRANT EXECUTE ON FUNCTION release_reserved_funds(uuid, numeric, jsonb) TO service_role;
+
+-- Success message
+SELECT 'Funds reservation functions created successfully!' AS status;
@@ -0,0 +1,49 @@
+-- ============================================
+-- Phase 3: HD Custody Wallets
+-- With USE_HD_WALLETS=true, new wallets are derived from one master seed in Vault and the
+-- wallet's hd_index instead of storing a key per user (see api/lib/hd-wallet.js)
+-- Run this in your Supabase SQL Editor (after supabase-phase3-vault.sql)
+--
+-- Store the master seed (a BIP-39 mnemonic, generated offline and backed up) in Vault:
+--   SELECT vault.create_secret('<24 words>', 'custody_hd_master_seed', 'Custody HD master seed');
+-- and set HD_MASTER_SEED_SECRET_ID to the uuid it returns.
+-- ============================================
+
+-- Index the wallet's keys are derived at (NULL for wallets with their own stored key)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'custody_wallets' AND column_name = 'hd_index') THEN
+    ALTER TABLE custody_wallets ADD COLUMN hd_index integer;
+    RAISE NOTICE 'Added hd_index column to custody_wallets';
+  END IF;
+END $$;
+
+-- Two users must never share an index
+CREATE UNIQUE INDEX IF NOT EXISTS custody_wallets_hd_index_idx ON custody_wallets(hd_index) WHERE hd_index IS NOT NULL;
+
+-- Indexes are handed out by a sequence; a failed wallet insert leaves a harmless gap
+CREATE SEQUENCE IF NOT EXISTS custody_wallet_hd_index_seq AS integer MINVALUE 0 START WITH 0;
+
+CREATE OR REPLACE FUNCTION next_custody_hd_index()
+RETURNS integer
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT nextval('custody_wallet_hd_index_seq')::integer;
+$$;
+
+-- HD wallets have no stored Polygon key; the seed and index are enough
+ALTER TABLE custody_wallets DROP CONSTRAINT IF EXISTS custody_wallets_polygon_key_present;
+ALTER TABLE custody_wallets
+  ADD CONSTRAINT custody_wallets_polygon_key_present
+  CHECK (polygon_secret_enc IS NOT NULL OR polygon_vault_secret_id IS NOT NULL OR hd_index IS NOT NULL);
+
+-- Only the backend may allocate indexes
+REVOKE EXECUTE ON FUNCTION next_custody_hd_index() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION next_custody_hd_index() TO service_role;
+GRANT USAGE ON SEQUENCE custody_wallet_hd_index_seq TO service_role;
+
+-- Success message
+SELECT 'HD custody wallet columns created successfully!' AS status;
@@ -0,0 +1,70 @@
+-- ============================================
+-- Phase 3: Custodial Key Export
+-- Audit trail for /api/wallet/export-key: a user asks for their key with a fresh TON proof, waits
+-- out the delay, then confirms with a passphrase the key is encrypted to. Rows are never deleted.
+-- Run this in your Supabase SQL Editor (after supabase-phase1-sessions.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS key_export_requests (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id text NOT NULL,
+  network text NOT NULL, -- 'polygon' or 'solana'
+  address text NOT NULL, -- Address whose key is exported
+  status text NOT NULL DEFAULT 'pending', -- 'pending', 'completed', 'cancelled', 'expired'
+
+  -- Step-up proof
+  ton_address text NOT NULL, -- TON wallet that signed the proof
+  proof_nonce text NOT NULL, -- Payload nonce; each proof can start one export only
+
+  -- Timing
+  requested_at timestamptz DEFAULT now(),
+  available_at timestamptz NOT NULL, -- Earliest confirmation (the delay lets the user cancel a request they didn't make)
+  expires_at timestamptz NOT NULL, -- Latest confirmation
+  completed_at timestamptz,
+  cancelled_at timestamptz,
+
+  -- Who asked and who confirmed
+  request_ip text,
+  request_user_agent text,
+  confirm_ip text,
+  confirm_user_agent text,
+  sessions_revoked integer -- Other sessions signed out when the key was handed over
+);
+
+-- Sessions opened with skip_signature_verification (MVP login) can't start an export
+-- (supabase-phase1-sessions.sql adds this column too; repeated here for databases set up before it did)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'sessions' AND column_name = 'signature_verified') THEN
+    ALTER TABLE sessions ADD COLUMN signature_verified boolean NOT NULL DEFAULT false;
+  END IF;
+END $$;
+
+-- Create indexes for lookups and audits
+CREATE INDEX IF NOT EXISTS key_export_requests_user_id_idx ON key_export_requests(user_id, requested_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS key_export_requests_proof_nonce_idx ON key_export_requests(proof_nonce);
+-- One open request per user and network
+CREATE UNIQUE INDEX IF NOT EXISTS key_export_requests_pending_idx ON key_export_requests(user_id, network) WHERE status = 'pending';
+
+-- Enable RLS on key_export_requests
+ALTER TABLE key_export_requests ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for key_export_requests
+DROP POLICY IF EXISTS "Service role full access key_export_requests" ON key_export_requests;
+CREATE POLICY "Service role full access key_export_requests"
+  ON key_export_requests FOR ALL
+  USING (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  )
+  WITH CHECK (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  );
+
+-- Grant permissions
+GRANT ALL ON key_export_requests TO service_role;
+
+-- Success message
+SELECT 'Key export audit table created successfully!' AS status;
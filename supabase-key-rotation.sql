@@ -0,0 +1,58 @@
+-- ============================================
+-- Phase 3: Encryption Key Rotation
+-- Tracks runs of the job that re-wraps every encrypted custody_wallets column under the
+-- newest key in ENCRYPTION_KEYS (see POST /api/reencrypt-keys)
+-- Run this in your Supabase SQL Editor (after supabase-phase3-vault.sql)
+-- ============================================
+
+-- One row per rotation run; a run spans as many job invocations as it needs
+CREATE TABLE IF NOT EXISTS key_rotation_jobs (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  target_key_id text NOT NULL, -- Key ID every record is being moved to
+  status text NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed'
+  dry_run boolean NOT NULL DEFAULT false,
+
+  -- Progress (wallets are walked in user_id order)
+  cursor text, -- Last user_id processed
+  total_wallets integer, -- custody_wallets rows when the run started
+  wallets_scanned integer DEFAULT 0,
+  wallets_rewrapped integer DEFAULT 0,
+  wallets_up_to_date integer DEFAULT 0,
+  wallets_conflicted integer DEFAULT 0, -- Changed while being rewrapped; picked up by the next run
+  values_rewrapped integer DEFAULT 0,
+
+  -- Values found under each key ID before rewrapping: { "default": 120, "k2": 4, "plaintext": 1 }
+  key_ids_seen jsonb DEFAULT '{}'::jsonb,
+  -- [{ user_id, column, error }]
+  failures jsonb DEFAULT '[]'::jsonb,
+  error_message text,
+
+  -- Timestamps
+  started_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  completed_at timestamptz
+);
+
+-- Create indexes for job queries
+CREATE INDEX IF NOT EXISTS key_rotation_jobs_started_at_idx ON key_rotation_jobs(started_at DESC);
+-- Only one run in progress at a time
+CREATE UNIQUE INDEX IF NOT EXISTS key_rotation_jobs_running_idx ON key_rotation_jobs((true)) WHERE status = 'running';
+
+-- Enable RLS on key_rotation_jobs
+ALTER TABLE key_rotation_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for key_rotation_jobs
+DROP POLICY IF EXISTS "Service role full access key_rotation_jobs" ON key_rotation_jobs;
+CREATE POLICY "Service role full access key_rotation_jobs"
+  ON key_rotation_jobs FOR ALL
+  USING (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  )
+  WITH CHECK (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  );
+
+-- Success message
+SELECT 'Key rotation jobs table created successfully!' AS status;
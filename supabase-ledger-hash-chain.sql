@@ -0,0 +1,299 @@
+-- ============================================
+-- Epic 6.6: Tamper-Evident Ledger
+-- Every ledger entry carries a SHA-256 hash of its own contents plus the previous entry's hash
+-- for the same user, so editing or deleting a row breaks the chain (see GET /api/ledger/verify).
+-- Fields that change as a transaction progresses (status, trade_id, locked_amount, tx hashes) are
+-- recorded in ledger_entry_changes, an append-only log hash-chained the same way.
+-- Run this in your Supabase SQL Editor (after supabase-funds-reservation.sql)
+-- ============================================
+
+-- Hash chain columns
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'ledger_entries' AND column_name = 'chain_index') THEN
+    ALTER TABLE ledger_entries ADD COLUMN chain_index bigint; -- Position in the user's chain, from 1
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'ledger_entries' AND column_name = 'prev_hash') THEN
+    ALTER TABLE ledger_entries ADD COLUMN prev_hash text; -- entry_hash of the previous entry ('' for the first)
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'ledger_entries' AND column_name = 'entry_hash') THEN
+    ALTER TABLE ledger_entries ADD COLUMN entry_hash text; -- sha256 of ledger_entry_canonical()
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS ledger_entries_chain_idx ON ledger_entries(user_id, chain_index);
+
+-- Canonical form of an entry (must match canonicalLedgerEntry in api/lib/ledger.js)
+-- Only fields that never change after insert are covered: status, tx hashes, trade_id and
+-- locked_amount are filled in as a transaction progresses and are chained in ledger_entry_changes.
+-- metadata, error_message and the completed/failed timestamps are not covered by either chain.
+CREATE OR REPLACE FUNCTION ledger_entry_canonical(e ledger_entries)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT concat_ws('|',
+    'v1',
+    e.chain_index::text,
+    e.id::text,
+    e.user_id,
+    e.entry_type,
+    e.direction,
+    COALESCE(round(e.amount, 6)::text, ''),
+    COALESCE(e.currency, ''),
+    COALESCE(round(e.balance_before, 6)::text, ''),
+    COALESCE(round(e.balance_after, 6)::text, ''),
+    COALESCE(e.deposit_id::text, ''),
+    COALESCE(e.withdrawal_id::text, ''),
+    (extract(epoch FROM e.created_at) * 1000)::bigint::text,
+    COALESCE(e.prev_hash, '')
+  );
+$$;
+
+-- Link each new entry to the user's previous one, whichever code path writes it
+-- (create_ledger_entry, apply_balance_change, reserve_funds, release_reserved_funds, direct inserts)
+CREATE OR REPLACE FUNCTION ledger_entries_chain()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_prev ledger_entries%ROWTYPE;
+BEGIN
+  -- One writer per user at a time, so two entries can't claim the same link
+  PERFORM pg_advisory_xact_lock(hashtext('ledger_chain:' || NEW.user_id));
+
+  SELECT * INTO v_prev
+  FROM ledger_entries
+  WHERE user_id = NEW.user_id AND chain_index IS NOT NULL
+  ORDER BY chain_index DESC
+  LIMIT 1;
+
+  -- Millisecond precision so the API can rebuild the canonical form from JSON
+  NEW.created_at := date_trunc('milliseconds', COALESCE(NEW.created_at, now()));
+  NEW.chain_index := COALESCE(v_prev.chain_index, 0) + 1;
+  NEW.prev_hash := COALESCE(v_prev.entry_hash, '');
+  NEW.entry_hash := encode(sha256(convert_to(ledger_entry_canonical(NEW), 'UTF8')), 'hex');
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_entries_chain_trigger ON ledger_entries;
+CREATE TRIGGER ledger_entries_chain_trigger
+  BEFORE INSERT ON ledger_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION ledger_entries_chain();
+
+-- Chain the entries written before this migration, oldest first
+DO $$
+DECLARE
+  v_entry ledger_entries%ROWTYPE;
+  v_user text := NULL;
+  v_index bigint := 0;
+  v_prev_hash text := '';
+BEGIN
+  FOR v_entry IN
+    SELECT * FROM ledger_entries
+    WHERE entry_hash IS NULL
+    ORDER BY user_id, created_at, id
+  LOOP
+    IF v_user IS DISTINCT FROM v_entry.user_id THEN
+      v_user := v_entry.user_id;
+      SELECT COALESCE(MAX(chain_index), 0) INTO v_index
+      FROM ledger_entries WHERE user_id = v_user AND entry_hash IS NOT NULL;
+      SELECT COALESCE(entry_hash, '') INTO v_prev_hash
+      FROM ledger_entries WHERE user_id = v_user AND chain_index = v_index;
+      v_prev_hash := COALESCE(v_prev_hash, '');
+    END IF;
+
+    v_index := v_index + 1;
+    v_entry.created_at := date_trunc('milliseconds', v_entry.created_at);
+    v_entry.chain_index := v_index;
+    v_entry.prev_hash := v_prev_hash;
+    v_prev_hash := encode(sha256(convert_to(ledger_entry_canonical(v_entry), 'UTF8')), 'hex');
+
+    UPDATE ledger_entries
+    SET created_at = v_entry.created_at,
+        chain_index = v_index,
+        prev_hash = v_entry.prev_hash,
+        entry_hash = v_prev_hash
+    WHERE id = v_entry.id;
+  END LOOP;
+END $$;
+
+-- Status history: one row when an entry is written and one each time a tracked field changes
+-- A user's rows form their own hash chain (change_index, prev_hash, change_hash), and the latest
+-- row for an entry must match the entry, so a status edited with the trigger disabled shows too
+CREATE TABLE IF NOT EXISTS ledger_entry_changes (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  entry_id uuid NOT NULL, -- No foreign key: the history outlives a deleted entry
+  user_id text NOT NULL,
+  change_index bigint NOT NULL, -- Position in the user's change chain, from 1
+
+  -- Tracked fields after the change (old_status is NULL for the row written on insert)
+  old_status text,
+  status text,
+  trade_id text,
+  locked_amount numeric,
+  source_tx_hash text,
+  destination_tx_hash text,
+  bridge_tx_hash text,
+
+  changed_at timestamptz NOT NULL DEFAULT date_trunc('milliseconds', now()),
+  prev_hash text NOT NULL, -- change_hash of the previous change ('' for the first)
+  change_hash text NOT NULL -- sha256 of ledger_change_canonical()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ledger_entry_changes_chain_idx ON ledger_entry_changes(user_id, change_index);
+CREATE INDEX IF NOT EXISTS ledger_entry_changes_entry_idx ON ledger_entry_changes(entry_id, change_index DESC);
+
+-- Enable RLS on ledger_entry_changes
+ALTER TABLE ledger_entry_changes ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for ledger_entry_changes
+DROP POLICY IF EXISTS "Service role full access ledger_entry_changes" ON ledger_entry_changes;
+CREATE POLICY "Service role full access ledger_entry_changes"
+  ON ledger_entry_changes FOR ALL
+  USING (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  )
+  WITH CHECK (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  );
+
+-- Canonical form of a change (must match canonicalLedgerChange in api/lib/ledger.js)
+CREATE OR REPLACE FUNCTION ledger_change_canonical(c ledger_entry_changes)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT concat_ws('|',
+    'v1',
+    c.change_index::text,
+    c.entry_id::text,
+    c.user_id,
+    COALESCE(c.old_status, ''),
+    COALESCE(c.status, ''),
+    COALESCE(c.trade_id, ''),
+    COALESCE(round(c.locked_amount, 6)::text, ''),
+    COALESCE(c.source_tx_hash, ''),
+    COALESCE(c.destination_tx_hash, ''),
+    COALESCE(c.bridge_tx_hash, ''),
+    (extract(epoch FROM c.changed_at) * 1000)::bigint::text,
+    c.prev_hash
+  );
+$$;
+
+-- Append a change to the user's change chain
+CREATE OR REPLACE FUNCTION record_ledger_entry_change(p_entry ledger_entries, p_old_status text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_prev ledger_entry_changes%ROWTYPE;
+  v_change ledger_entry_changes%ROWTYPE;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('ledger_changes:' || p_entry.user_id));
+
+  SELECT * INTO v_prev
+  FROM ledger_entry_changes
+  WHERE user_id = p_entry.user_id
+  ORDER BY change_index DESC
+  LIMIT 1;
+
+  v_change.id := gen_random_uuid();
+  v_change.entry_id := p_entry.id;
+  v_change.user_id := p_entry.user_id;
+  v_change.change_index := COALESCE(v_prev.change_index, 0) + 1;
+  v_change.old_status := p_old_status;
+  v_change.status := p_entry.status;
+  v_change.trade_id := p_entry.trade_id;
+  v_change.locked_amount := p_entry.locked_amount;
+  v_change.source_tx_hash := p_entry.source_tx_hash;
+  v_change.destination_tx_hash := p_entry.destination_tx_hash;
+  v_change.bridge_tx_hash := p_entry.bridge_tx_hash;
+  v_change.changed_at := date_trunc('milliseconds', clock_timestamp());
+  v_change.prev_hash := COALESCE(v_prev.change_hash, '');
+  v_change.change_hash := encode(sha256(convert_to(ledger_change_canonical(v_change), 'UTF8')), 'hex');
+
+  INSERT INTO ledger_entry_changes VALUES (v_change.*);
+END;
+$$;
+
+-- Runs as the owner so history is written even though the API roles can only read it
+CREATE OR REPLACE FUNCTION ledger_entries_track_changes()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM record_ledger_entry_change(NEW, NULL);
+  ELSIF NEW.status IS DISTINCT FROM OLD.status
+     OR NEW.trade_id IS DISTINCT FROM OLD.trade_id
+     OR NEW.locked_amount IS DISTINCT FROM OLD.locked_amount
+     OR NEW.source_tx_hash IS DISTINCT FROM OLD.source_tx_hash
+     OR NEW.destination_tx_hash IS DISTINCT FROM OLD.destination_tx_hash
+     OR NEW.bridge_tx_hash IS DISTINCT FROM OLD.bridge_tx_hash THEN
+    PERFORM record_ledger_entry_change(NEW, OLD.status);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_entries_changes_trigger ON ledger_entries;
+CREATE TRIGGER ledger_entries_changes_trigger
+  AFTER INSERT OR UPDATE ON ledger_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION ledger_entries_track_changes();
+
+-- History is append-only
+CREATE OR REPLACE FUNCTION ledger_entry_changes_append_only()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'ledger_changes_append_only: ledger_entry_changes rows cannot be %', lower(TG_OP)
+    USING ERRCODE = 'P0001';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ledger_entry_changes_append_only_trigger ON ledger_entry_changes;
+CREATE TRIGGER ledger_entry_changes_append_only_trigger
+  BEFORE UPDATE OR DELETE ON ledger_entry_changes
+  FOR EACH ROW
+  EXECUTE FUNCTION ledger_entry_changes_append_only();
+
+-- Start the history of entries written before this migration from their current state
+DO $$
+DECLARE
+  v_entry ledger_entries%ROWTYPE;
+BEGIN
+  FOR v_entry IN
+    SELECT le.* FROM ledger_entries le
+    WHERE NOT EXISTS (SELECT 1 FROM ledger_entry_changes c WHERE c.entry_id = le.id)
+    ORDER BY le.user_id, le.chain_index
+  LOOP
+    PERFORM record_ledger_entry_change(v_entry, NULL);
+  END LOOP;
+END $$;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION ledger_entry_canonical TO service_role;
+GRANT EXECUTE ON FUNCTION ledger_change_canonical TO service_role;
+-- Only the triggers write history (tables and functions are open to the API roles by default)
+REVOKE ALL ON ledger_entry_changes FROM PUBLIC, anon, authenticated, service_role;
+GRANT SELECT ON ledger_entry_changes TO service_role;
+REVOKE EXECUTE ON FUNCTION record_ledger_entry_change(ledger_entries, text) FROM PUBLIC, anon, authenticated, service_role;
+
+-- Success message
+SELECT 'Ledger hash chain and change history created successfully!' AS status;
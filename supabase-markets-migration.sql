@@ -78,6 +78,19 @@ CREATE TABLE IF NOT EXISTS market_events (
   updated_at timestamptz DEFAULT now()
 );
 
+-- CLOB trading metadata (added after initial migration)
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'markets' AND column_name = 'clob_token_ids') THEN
+    ALTER TABLE markets ADD COLUMN clob_token_ids jsonb; -- Array of CLOB token IDs, one per outcome
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'markets' AND column_name = 'neg_risk') THEN
+    ALTER TABLE markets ADD COLUMN neg_risk boolean DEFAULT false; -- Settles through the neg-risk exchange
+  END IF;
+END $$;
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS markets_category_idx ON markets(category);
 CREATE INDEX IF NOT EXISTS markets_event_id_idx ON markets(event_id);
@@ -0,0 +1,93 @@
+-- ============================================
+-- Epic 4.3: Limit Orders
+-- Tracks every CLOB order placed through /api/trade
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS orders (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id text NOT NULL,
+  clob_order_id text UNIQUE, -- Order ID returned by the CLOB
+
+  -- Market / outcome
+  market_id text NOT NULL,
+  outcome_index integer NOT NULL DEFAULT 0,
+  token_id text NOT NULL, -- CLOB token ID of the outcome
+  outcome_side text, -- 'yes' / 'no' label sent by the client
+  side text NOT NULL DEFAULT 'buy', -- 'buy' or 'sell'
+
+  -- Order parameters
+  order_type text NOT NULL DEFAULT 'market', -- 'market' or 'limit'
+  time_in_force text NOT NULL DEFAULT 'FOK', -- 'GTC', 'GTD', 'FOK'
+  limit_price numeric, -- Worst acceptable price (0-1)
+  size numeric NOT NULL, -- Shares requested
+  amount_usdc numeric NOT NULL, -- USDC committed at placement
+  expires_at timestamptz, -- GTD orders only
+
+  -- Fill state
+  filled_size numeric DEFAULT 0,
+  filled_amount_usdc numeric DEFAULT 0,
+  avg_fill_price numeric,
+  status text DEFAULT 'open', -- 'open', 'partially_filled', 'filled', 'cancelled', 'expired'
+
+  -- References
+  ledger_entry_id uuid REFERENCES ledger_entries(id),
+  transaction_hashes jsonb DEFAULT '[]'::jsonb,
+  error_message text,
+  pending_reconciliation jsonb, -- { action, ... } work the placement couldn't finish (NULL when none)
+
+  -- Timestamps
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  filled_at timestamptz,
+  cancelled_at timestamptz
+);
+
+-- Work the placement couldn't finish, retried by the reconciliation job (/api/reconcile)
+-- 'sell_credit': { shares, amount, transaction_hashes } of a sell fill whose proceeds were never credited
+-- 'buy_reservation': { entry, consume } steps left to bring a buy's reservation in line with its fill
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'orders' AND column_name = 'pending_reconciliation') THEN
+    ALTER TABLE orders ADD COLUMN pending_reconciliation jsonb;
+    RAISE NOTICE 'Added pending_reconciliation column to orders';
+  END IF;
+END $$;
+
+-- Create indexes for order queries
+CREATE INDEX IF NOT EXISTS orders_user_id_idx ON orders(user_id);
+CREATE INDEX IF NOT EXISTS orders_status_idx ON orders(status);
+CREATE INDEX IF NOT EXISTS orders_user_status_idx ON orders(user_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS orders_market_id_idx ON orders(market_id);
+CREATE INDEX IF NOT EXISTS orders_expires_at_idx ON orders(expires_at) WHERE expires_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS orders_pending_reconciliation_idx ON orders(created_at) WHERE pending_reconciliation IS NOT NULL;
+
+-- Enable RLS on orders
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for orders
+DROP POLICY IF EXISTS "Service role full access orders" ON orders;
+CREATE POLICY "Service role full access orders"
+  ON orders FOR ALL
+  USING (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  )
+  WITH CHECK (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  );
+
+-- Auto-update trigger
+DROP TRIGGER IF EXISTS update_orders_updated_at ON orders;
+CREATE TRIGGER update_orders_updated_at
+  BEFORE UPDATE ON orders
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Grant permissions
+GRANT ALL ON orders TO service_role;
+
+-- Success message
+SELECT 'Orders table created successfully!' AS status;
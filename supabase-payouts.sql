@@ -0,0 +1,81 @@
+-- ============================================
+-- Epic 4.5: Market Settlement & Payouts
+-- Records how every position in a resolved market was settled
+-- Run this in your Supabase SQL Editor (after supabase-positions.sql)
+-- ============================================
+
+-- Resolution details on markets (the sync only tracks open markets)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'markets' AND column_name = 'winning_outcome_index') THEN
+    ALTER TABLE markets ADD COLUMN winning_outcome_index integer; -- Index into outcomes / clob_token_ids of the winner
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'markets' AND column_name = 'resolved_at') THEN
+    ALTER TABLE markets ADD COLUMN resolved_at timestamptz; -- When settlement first saw the resolution
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS payouts (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id text NOT NULL,
+  position_id uuid REFERENCES positions(id),
+
+  -- Market / outcome
+  market_id text NOT NULL,
+  outcome_index integer,
+  token_id text,
+  winning_outcome_index integer NOT NULL,
+
+  -- Settlement
+  shares numeric NOT NULL, -- Shares settled
+  avg_price numeric, -- Position's average price at settlement
+  amount numeric NOT NULL DEFAULT 0, -- USDC paid ($1 per winning share, 0 for losing shares)
+  realized_pnl numeric DEFAULT 0,
+  status text NOT NULL DEFAULT 'pending', -- 'pending' (awaiting credit), 'claimed' (credited) or 'lost'
+
+  -- References
+  ledger_entry_id uuid REFERENCES ledger_entries(id),
+  error_message text,
+
+  -- Timestamps
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  claimed_at timestamptz
+);
+
+-- Create indexes for payout queries
+CREATE INDEX IF NOT EXISTS payouts_user_id_idx ON payouts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS payouts_status_idx ON payouts(status);
+CREATE INDEX IF NOT EXISTS payouts_market_id_idx ON payouts(market_id);
+CREATE INDEX IF NOT EXISTS markets_winning_outcome_idx ON markets(winning_outcome_index) WHERE winning_outcome_index IS NOT NULL;
+
+-- Enable RLS on payouts
+ALTER TABLE payouts ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for payouts
+DROP POLICY IF EXISTS "Service role full access payouts" ON payouts;
+CREATE POLICY "Service role full access payouts"
+  ON payouts FOR ALL
+  USING (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  )
+  WITH CHECK (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  );
+
+-- Auto-update trigger
+DROP TRIGGER IF EXISTS update_payouts_updated_at ON payouts;
+CREATE TRIGGER update_payouts_updated_at
+  BEFORE UPDATE ON payouts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Grant permissions
+GRANT ALL ON payouts TO service_role;
+
+-- Success message
+SELECT 'Payouts table created successfully!' AS status;
@@ -46,9 +46,20 @@ CREATE TABLE IF NOT EXISTS sessions (
   last_used_at timestamptz DEFAULT now(),
   user_agent text,
   ip_address text,
-  is_revoked boolean DEFAULT false
+  is_revoked boolean DEFAULT false,
+  signature_verified boolean NOT NULL DEFAULT false -- false for skip_signature_verification (MVP) logins
 );
 
+-- /api/auth/ton-proof writes signature_verified on every login; add it to sessions tables created earlier
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'sessions' AND column_name = 'signature_verified') THEN
+    ALTER TABLE sessions ADD COLUMN signature_verified boolean NOT NULL DEFAULT false;
+    RAISE NOTICE 'Added signature_verified column to sessions';
+  END IF;
+END $$;
+
 -- Create indexes for sessions
 CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS sessions_session_token_idx ON sessions(session_token);
@@ -34,8 +34,22 @@ BEGIN
   -- We'll migrate data from old columns to Vault, then deprecate old columns
 END $$;
 
+-- Wallets stored in Vault have no encrypted copy, but every wallet still needs its Polygon key somewhere
+ALTER TABLE custody_wallets ALTER COLUMN polygon_secret_enc DROP NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'custody_wallets_polygon_key_present') THEN
+    ALTER TABLE custody_wallets
+      ADD CONSTRAINT custody_wallets_polygon_key_present
+      CHECK (polygon_secret_enc IS NOT NULL OR polygon_vault_secret_id IS NOT NULL);
+  END IF;
+END $$;
+
 -- Create function to create Vault secret for a wallet
--- This will be called from the backend API
+-- This will be called from the backend API (api/lib/vault.js)
+-- vault.create_secret(new_secret, new_name, new_description) encrypts with the project's
+-- Vault key and returns the secret's uuid; names must be unique across vault.secrets
 CREATE OR REPLACE FUNCTION create_wallet_vault_secret(
   secret_name text,
   secret_value text,
@@ -44,52 +58,75 @@ CREATE OR REPLACE FUNCTION create_wallet_vault_secret(
 RETURNS text
 LANGUAGE plpgsql
 SECURITY DEFINER
+SET search_path = public, vault
 AS $$
 DECLARE
-  secret_id text;
+  v_secret_id uuid;
 BEGIN
-  -- Create secret in Vault
-  -- Note: vault.create_secret() function signature may vary
-  -- Adjust based on actual Supabase Vault API
-  SELECT vault.create_secret(
-    name => secret_name,
-    secret => secret_value,
-    description => format('Private key for user %s', user_id_param)
-  ) INTO secret_id;
-  
-  RETURN secret_id;
-EXCEPTION
-  WHEN OTHERS THEN
-    RAISE EXCEPTION 'Failed to create vault secret: %', SQLERRM;
+  IF secret_value IS NULL OR secret_value = '' THEN
+    RAISE EXCEPTION 'invalid_secret: secret value is required';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM vault.secrets WHERE name = secret_name) THEN
+    RAISE EXCEPTION 'vault_secret_exists: %', secret_name;
+  END IF;
+
+  v_secret_id := vault.create_secret(
+    secret_value,
+    secret_name,
+    format('Private key for user %s', user_id_param)
+  );
+
+  RETURN v_secret_id::text;
 END;
 $$;
 
--- Grant execute permission to service_role
-GRANT EXECUTE ON FUNCTION create_wallet_vault_secret(text, text, text) TO service_role;
-
 -- Create function to retrieve Vault secret
 CREATE OR REPLACE FUNCTION get_wallet_vault_secret(secret_id_param text)
 RETURNS text
 LANGUAGE plpgsql
 SECURITY DEFINER
+SET search_path = public, vault
 AS $$
 DECLARE
-  secret_value text;
+  v_secret text;
 BEGIN
-  -- Retrieve secret from Vault
-  -- Note: Adjust based on actual Supabase Vault API
-  SELECT vault.get_secret(secret_id_param) INTO secret_value;
-  
-  RETURN secret_value;
-EXCEPTION
-  WHEN OTHERS THEN
-    RAISE EXCEPTION 'Failed to retrieve vault secret: %', SQLERRM;
+  -- Secrets are only readable in plaintext through the decrypted_secrets view
+  SELECT decrypted_secret INTO v_secret
+  FROM vault.decrypted_secrets
+  WHERE id = secret_id_param::uuid;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'vault_secret_not_found: %', secret_id_param;
+  END IF;
+
+  RETURN v_secret;
 END;
 $$;
 
+-- Create function to delete a Vault secret (cleanup when wallet creation fails)
+CREATE OR REPLACE FUNCTION delete_wallet_vault_secret(secret_id_param text)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, vault
+AS $$
+BEGIN
+  DELETE FROM vault.secrets WHERE id = secret_id_param::uuid;
+  RETURN FOUND;
+END;
+$$;
+
+-- Private keys must never be reachable with the anon or authenticated keys
+-- (functions are executable by PUBLIC by default)
+REVOKE EXECUTE ON FUNCTION create_wallet_vault_secret(text, text, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_wallet_vault_secret(text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION delete_wallet_vault_secret(text) FROM PUBLIC, anon, authenticated;
+
 -- Grant execute permission to service_role
+GRANT EXECUTE ON FUNCTION create_wallet_vault_secret(text, text, text) TO service_role;
 GRANT EXECUTE ON FUNCTION get_wallet_vault_secret(text) TO service_role;
+GRANT EXECUTE ON FUNCTION delete_wallet_vault_secret(text) TO service_role;
 
 -- Success message
-SELECT 'Phase 3 Supabase Vault setup completed successfully!' AS status,
-       'Note: Vault functions may need adjustment based on actual Supabase Vault API' AS warning;
+SELECT 'Phase 3 Supabase Vault setup completed successfully!' AS status;
@@ -0,0 +1,27 @@
+-- ============================================
+-- Epic 4.4: Positions
+-- Extends the positions table for selling and realized PnL
+-- Run this in your Supabase SQL Editor (after supabase-setup.sql)
+-- ============================================
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'positions' AND column_name = 'outcome_index') THEN
+    ALTER TABLE positions ADD COLUMN outcome_index integer; -- Index into the market's outcomes / clobTokenIds
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'positions' AND column_name = 'realized_pnl') THEN
+    ALTER TABLE positions ADD COLUMN realized_pnl numeric DEFAULT 0; -- PnL realized by sells
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                 WHERE table_name = 'positions' AND column_name = 'last_ledger_entry_id') THEN
+    ALTER TABLE positions ADD COLUMN last_ledger_entry_id uuid REFERENCES ledger_entries(id); -- Ledger entry of the latest fill
+  END IF;
+END $$;
+
+-- One position per user and outcome token
+CREATE UNIQUE INDEX IF NOT EXISTS positions_user_token_idx ON positions(user_id, clob_token_id);
+
+-- Success message
+SELECT 'Positions table updated successfully!' AS status;
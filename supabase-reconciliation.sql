@@ -0,0 +1,92 @@
+-- ============================================
+-- Epic 6.5: Ledger Reconciliation
+-- Recomputes balances from ledger_entries and stores what doesn't add up
+-- Run this in your Supabase SQL Editor (after supabase-funds-reservation.sql)
+-- ============================================
+
+-- One row per reconciliation run
+CREATE TABLE IF NOT EXISTS reconciliation_reports (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  status text NOT NULL DEFAULT 'running', -- 'running', 'clean', 'discrepancies', 'failed'
+  scope_user_id text, -- Set when only one user was checked
+
+  -- Totals across every user checked
+  users_checked integer DEFAULT 0,
+  discrepancy_count integer DEFAULT 0,
+  total_ledger numeric DEFAULT 0, -- Sum of balances recomputed from the ledger
+  total_recorded numeric DEFAULT 0, -- Sum of usdc_available + usdc_locked
+  total_onchain numeric, -- Sum of custodial USDC balances (NULL if not checked)
+  onchain_checked boolean DEFAULT false,
+  tolerance numeric NOT NULL,
+
+  -- Per-user findings: [{ user_id, types[], ledger_balance, recorded_balance, onchain_usdc, ... }]
+  discrepancies jsonb DEFAULT '[]'::jsonb,
+  error_message text,
+
+  -- Timestamps
+  started_at timestamptz DEFAULT now(),
+  completed_at timestamptz
+);
+
+-- Create indexes for report queries
+CREATE INDEX IF NOT EXISTS reconciliation_reports_started_at_idx ON reconciliation_reports(started_at DESC);
+CREATE INDEX IF NOT EXISTS reconciliation_reports_status_idx ON reconciliation_reports(status);
+
+-- Enable RLS on reconciliation_reports
+ALTER TABLE reconciliation_reports ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for reconciliation_reports
+DROP POLICY IF EXISTS "Service role full access reconciliation_reports" ON reconciliation_reports;
+CREATE POLICY "Service role full access reconciliation_reports"
+  ON reconciliation_reports FOR ALL
+  USING (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  )
+  WITH CHECK (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  );
+
+-- Function to recompute each user's USDC balance from the ledger
+-- Completed credits add; pending and completed debits subtract (a pending debit is either a
+-- reservation held in usdc_locked or money already on its way out). Failed and cancelled
+-- entries never moved money, so they are left out.
+CREATE OR REPLACE FUNCTION ledger_balances(p_user_id text DEFAULT NULL)
+RETURNS TABLE (
+  user_id text,
+  ledger_balance numeric,
+  ledger_locked numeric,
+  entry_count bigint
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    le.user_id,
+    COALESCE(SUM(
+      CASE
+        WHEN le.direction = 'credit' AND le.status = 'completed' THEN le.amount
+        WHEN le.direction = 'debit' AND le.status IN ('pending', 'completed') THEN -le.amount
+        ELSE 0
+      END
+    ), 0) AS ledger_balance,
+    COALESCE(SUM(le.locked_amount), 0) AS ledger_locked,
+    COUNT(*) AS entry_count
+  FROM ledger_entries le
+  WHERE le.currency = 'USDC'
+    AND (p_user_id IS NULL OR le.user_id = p_user_id)
+  GROUP BY le.user_id
+  ORDER BY le.user_id;
+$$;
+
+-- Grant permissions
+GRANT ALL ON reconciliation_reports TO service_role;
+-- Every user's balances are for the backend only (functions are executable by PUBLIC by default)
+REVOKE EXECUTE ON FUNCTION ledger_balances(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION ledger_balances(text) TO service_role;
+
+-- Success message
+SELECT 'Reconciliation reports created successfully!' AS status;
@@ -0,0 +1,156 @@
+-- ============================================
+-- Phase 7: Signing Policy
+-- Every /api/wallet/sign request is checked against api/lib/signing-policy.js and the decision
+-- stored here; allowed rows are what the per-user daily limits count, and
+-- record_signing_decision enforces those limits as it stores them
+-- Run this in your Supabase SQL Editor (after supabase-phase2-3-security.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS signing_policy_decisions (
+  id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id text NOT NULL,
+  network text NOT NULL, -- 'polygon' or 'solana'
+  mode text NOT NULL DEFAULT 'transaction', -- 'transaction' or 'sign_typed_data'
+  allowed boolean NOT NULL,
+  reason text, -- Denial reason (NULL when allowed)
+
+  -- What was asked for
+  to_address text,
+  contract text, -- Policy name of the contract or typed-data rule, e.g. 'usdc', 'clob_auth' (Solana: programs, comma-separated)
+  function_signature text, -- e.g. 'approve(address,uint256)', or the primary type ('Order') (Solana: instructions)
+  selector text,
+  approval_usdc numeric DEFAULT 0, -- USDC allowance granted by this call, or what a signed order can lose
+  value_wei text, -- Native value sent: wei on Polygon, lamports on Solana
+
+  created_at timestamptz DEFAULT now()
+);
+
+-- Typed-data signing was added after the table
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'signing_policy_decisions' AND column_name = 'mode') THEN
+    ALTER TABLE signing_policy_decisions ADD COLUMN mode text NOT NULL DEFAULT 'transaction';
+  END IF;
+END $$;
+
+-- Create indexes for daily limit lookups and audits
+CREATE INDEX IF NOT EXISTS signing_policy_decisions_user_day_idx ON signing_policy_decisions(user_id, created_at DESC) WHERE allowed;
+CREATE INDEX IF NOT EXISTS signing_policy_decisions_created_at_idx ON signing_policy_decisions(created_at DESC);
+
+-- Enable RLS on signing_policy_decisions
+ALTER TABLE signing_policy_decisions ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policy for signing_policy_decisions
+DROP POLICY IF EXISTS "Service role full access signing_policy_decisions" ON signing_policy_decisions;
+CREATE POLICY "Service role full access signing_policy_decisions"
+  ON signing_policy_decisions FOR ALL
+  USING (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  )
+  WITH CHECK (
+    current_setting('request.jwt.claims', true)::json->>'role' = 'service_role' OR
+    current_setting('request.jwt.claims', true)::json IS NULL
+  );
+
+-- Grant permissions
+GRANT ALL ON signing_policy_decisions TO service_role;
+
+-- Store a signing decision, re-checking the daily limits for allowed ones
+-- The API checks the limits against usage it read earlier, so two requests in flight can both
+-- pass that check. Here they serialize on a per-user lock: each counts today's allowed rows
+-- (midnight UTC) including the ones committed before it, and is stored as denied if it would go over.
+-- Earlier version without p_mode
+DROP FUNCTION IF EXISTS record_signing_decision(text, text, boolean, text, text, text, text, text, numeric, text, numeric, numeric);
+
+CREATE OR REPLACE FUNCTION record_signing_decision(
+  p_user_id text,
+  p_network text,
+  p_mode text,
+  p_allowed boolean,
+  p_reason text,
+  p_to_address text,
+  p_contract text,
+  p_function_signature text,
+  p_selector text,
+  p_approval_usdc numeric,
+  p_value_wei text,
+  p_daily_transactions numeric,
+  p_daily_approval_usdc numeric
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_allowed boolean := p_allowed;
+  v_reason text := p_reason;
+  v_transactions integer;
+  v_approval_usdc numeric;
+  v_id uuid;
+BEGIN
+  IF p_allowed THEN
+    -- Held until this transaction commits, so the next request counts this one
+    PERFORM pg_advisory_xact_lock(hashtext('signing_policy:' || p_user_id));
+
+    SELECT count(*), COALESCE(sum(approval_usdc), 0)
+    INTO v_transactions, v_approval_usdc
+    FROM signing_policy_decisions
+    WHERE user_id = p_user_id
+      AND allowed
+      AND created_at >= date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+
+    -- Same order as evaluateTransaction: approval total first, then the transaction count
+    IF COALESCE(p_approval_usdc, 0) > 0 AND v_approval_usdc + p_approval_usdc > p_daily_approval_usdc THEN
+      v_allowed := false;
+      v_reason := 'daily_approval_limit';
+    ELSIF v_transactions + 1 > p_daily_transactions THEN
+      v_allowed := false;
+      v_reason := 'daily_transaction_limit';
+    END IF;
+  END IF;
+
+  INSERT INTO signing_policy_decisions (
+    user_id,
+    network,
+    mode,
+    allowed,
+    reason,
+    to_address,
+    contract,
+    function_signature,
+    selector,
+    approval_usdc,
+    value_wei
+  ) VALUES (
+    p_user_id,
+    p_network,
+    COALESCE(p_mode, 'transaction'),
+    v_allowed,
+    v_reason,
+    p_to_address,
+    p_contract,
+    p_function_signature,
+    p_selector,
+    COALESCE(p_approval_usdc, 0),
+    p_value_wei
+  ) RETURNING id INTO v_id;
+
+  RETURN jsonb_build_object(
+    'id', v_id,
+    'allowed', v_allowed,
+    'reason', v_reason
+  );
+END;
+$$;
+
+-- Only the backend may record decisions (functions are executable by PUBLIC by default)
+REVOKE EXECUTE ON FUNCTION record_signing_decision(text, text, text, boolean, text, text, text, text, text, numeric, text, numeric, numeric) FROM PUBLIC, anon, authenticated;
+
+-- Grant execute permission
+GRANT EXECUTE ON FUNCTION record_signing_decision(text, text, text, boolean, text, text, text, text, text, numeric, text, numeric, numeric) TO service_role;
+
+-- Success message
+SELECT 'Signing policy decisions table and record_signing_decision created successfully!' AS status;
@@ -0,0 +1,28 @@
+-- ============================================
+-- Epic 5.2: Verified Withdrawal Address Confirmations
+-- /api/withdraw/request now verifies the TON proof a destination wallet signs before storing it.
+-- Each confirmation records the server nonce it signed so a proof can't be replayed.
+-- Run this in your Supabase SQL Editor (after supabase-deposits-withdrawals.sql)
+-- ============================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'withdrawal_address_confirmations' AND column_name = 'nonce') THEN
+    ALTER TABLE withdrawal_address_confirmations ADD COLUMN nonce text; -- Payload nonce from /api/auth/generate-payload
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'withdrawal_address_confirmations' AND column_name = 'proof_timestamp') THEN
+    ALTER TABLE withdrawal_address_confirmations ADD COLUMN proof_timestamp timestamptz; -- When the wallet signed
+  END IF;
+END $$;
+
+-- Each nonce confirms one address once
+CREATE UNIQUE INDEX IF NOT EXISTS withdrawal_address_confirmations_nonce_idx ON withdrawal_address_confirmations(nonce);
+
+-- Confirmations stored before verification existed were never checked; the user confirms those addresses again
+UPDATE withdrawal_address_confirmations SET is_active = false WHERE nonce IS NULL AND is_active;
+
+-- Success message
+SELECT 'Withdrawal address proofs enabled successfully!' AS status;
@@ -0,0 +1,84 @@
+-- ============================================
+-- Epic 5.1: Withdrawal Worker
+-- State for /api/process-withdrawals: withdrawals move pending -> processing -> bridging ->
+-- sending -> completed (or failed and refunded); failed steps are retried with backoff.
+-- Run this in your Supabase SQL Editor (after supabase-funds-reservation.sql and supabase-ton-migration.sql)
+-- ============================================
+
+-- Retry state on withdrawals
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'withdrawals' AND column_name = 'attempts') THEN
+    ALTER TABLE withdrawals ADD COLUMN attempts integer NOT NULL DEFAULT 0; -- Failed tries of the current step
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'withdrawals' AND column_name = 'next_attempt_at') THEN
+    ALTER TABLE withdrawals ADD COLUMN next_attempt_at timestamptz NOT NULL DEFAULT now(); -- When the worker picks it up next
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'withdrawals' AND column_name = 'last_error') THEN
+    ALTER TABLE withdrawals ADD COLUMN last_error text; -- Why the last try failed (cleared on each step)
+  END IF;
+END $$;
+
+-- Statuses: 'reserving', 'pending', 'pending_review', 'processing', 'bridging', 'sending', 'manual_review',
+-- 'completed', 'failed', 'cancelled'
+-- /api/withdraw/request inserts 'reserving' and moves it to pending (or pending_review) once its funds are locked
+-- pending_review withdrawals are skipped until a reviewer sets them to 'pending'; manual_review ones ran out of
+-- retries after a transfer or payout may have been sent, and keep their funds reserved until a reviewer settles them
+CREATE INDEX IF NOT EXISTS withdrawals_due_idx ON withdrawals(next_attempt_at)
+  WHERE status IN ('pending', 'processing', 'bridging', 'sending');
+
+-- Link bridge transfers to the withdrawal they fund
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'bridge_transactions' AND column_name = 'withdrawal_id') THEN
+    ALTER TABLE bridge_transactions ADD COLUMN withdrawal_id uuid REFERENCES withdrawals(id);
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name = 'bridge_transactions' AND column_name = 'destination_tx_hash') THEN
+    ALTER TABLE bridge_transactions ADD COLUMN destination_tx_hash text; -- Delivery tx (transaction_hash is the source tx)
+  END IF;
+END $$;
+
+-- One bridge transfer per withdrawal
+CREATE UNIQUE INDEX IF NOT EXISTS bridge_transactions_withdrawal_id_idx ON bridge_transactions(withdrawal_id)
+  WHERE withdrawal_id IS NOT NULL;
+
+-- Completing an entry records its tx as destination_tx_hash; keep the source tx written earlier
+-- (for withdrawals the Polygon tx into the bridge) instead of overwriting it with the TON payout tx
+CREATE OR REPLACE FUNCTION update_ledger_entry_status(
+  p_entry_id uuid,
+  p_status text,
+  p_tx_hash text DEFAULT NULL,
+  p_error_message text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE ledger_entries
+  SET
+    status = p_status,
+    source_tx_hash = CASE WHEN p_status = 'completed' THEN source_tx_hash ELSE COALESCE(p_tx_hash, source_tx_hash) END,
+    destination_tx_hash = CASE WHEN p_status = 'completed' THEN COALESCE(p_tx_hash, destination_tx_hash) ELSE destination_tx_hash END,
+    error_message = COALESCE(p_error_message, error_message),
+    completed_at = CASE WHEN p_status = 'completed' THEN now() ELSE completed_at END,
+    failed_at = CASE WHEN p_status = 'failed' THEN now() ELSE failed_at END
+  WHERE id = p_entry_id;
+END;
+$$;
+
+-- Only the backend may change ledger entries (functions are executable by PUBLIC by default)
+REVOKE EXECUTE ON FUNCTION update_ledger_entry_status(uuid, text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_ledger_entry_status(uuid, text, text, text) TO service_role;
+
+-- Success message
+SELECT 'Withdrawal worker schema created successfully!' AS status;
@@ -0,0 +1,670 @@
+#!/usr/bin/env node
+/**
+ * Polygram CLOB Client Test Script
+ *
+ * Tests order building, EIP-712 signing and submission against a local
+ * mock CLOB server (no Supabase or network access required).
+ *
+ * Usage:
+ *   node test-clob.js
+ */
+
+const http = require('http');
+const { Wallet } = require('@ethersproject/wallet');
+const { verifyTypedData } = require('ethers/lib/utils');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+function logInfo(message) {
+  log(`ℹ ${message}`, 'blue');
+}
+
+// What the CLOB checks L1 (API key) requests against
+const CLOB_AUTH_DOMAIN = { name: 'ClobAuthDomain', version: '1', chainId: 137 };
+const CLOB_AUTH_EIP712_TYPES = {
+  ClobAuth: [
+    { name: 'address', type: 'address' },
+    { name: 'timestamp', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'message', type: 'string' }
+  ]
+};
+const CLOB_AUTH_MESSAGE = 'This message attests that I control the given wallet';
+
+/**
+ * Start a mock CLOB server
+ * books: { [tokenId]: { bids: [{price, size}], asks: [{price, size}], tickSize } } (tickSize defaults to 0.01)
+ * Orders are matched against the book; every received order is kept in `orders`.
+ * GTC/GTD remainders rest in `resting` (keyed by order ID) until filled or cancelled.
+ * trades: public trades served from /trades, standing in for the data API.
+ * API keys created through /auth/api-key are kept in `apiKeys` (keyed by address).
+ */
+function startMockClob({ books = {}, trades = [] } = {}) {
+  const orders = [];
+  const resting = {};
+  const apiKeys = {};
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      const tokenId = url.searchParams.get('token_id');
+
+      if (url.pathname === '/auth/derive-api-key' || url.pathname === '/auth/api-key') {
+        // L1 auth: the headers must carry a valid ClobAuth signature from POLY_ADDRESS
+        const address = req.headers['poly_address'];
+        let recovered = null;
+        try {
+          recovered = verifyTypedData(CLOB_AUTH_DOMAIN, CLOB_AUTH_EIP712_TYPES, {
+            address,
+            timestamp: req.headers['poly_timestamp'],
+            nonce: req.headers['poly_nonce'],
+            message: CLOB_AUTH_MESSAGE
+          }, req.headers['poly_signature']);
+        } catch (e) {
+          // Malformed signature
+        }
+        if (!address || recovered !== address) return send(401, { error: 'Invalid L1 Request headers' });
+
+        if (req.method === 'GET' && url.pathname === '/auth/derive-api-key') {
+          if (!apiKeys[address]) return send(400, { error: 'Could not derive api key!' });
+          return send(200, apiKeys[address]);
+        }
+        if (req.method === 'POST' && url.pathname === '/auth/api-key') {
+          apiKeys[address] = { apiKey: `key-${Object.keys(apiKeys).length + 1}`, secret: 'c2VjcmV0', passphrase: 'pass' };
+          return send(200, apiKeys[address]);
+        }
+      }
+
+      if (req.method === 'GET' && url.pathname === '/trades') {
+        const market = url.searchParams.get('market');
+        const limit = parseInt(url.searchParams.get('limit')) || 100;
+        return send(200, trades.filter(t => t.conditionId === market).slice(0, limit));
+      }
+
+      if (req.method === 'GET' && url.pathname === '/price') {
+        const book = books[tokenId];
+        if (!book) return send(404, { error: 'No orderbook exists for the requested token id' });
+        const side = (url.searchParams.get('side') || 'BUY').toUpperCase();
+        const levels = side === 'BUY' ? book.asks : book.bids;
+        if (!levels || levels.length === 0) return send(404, { error: 'No liquidity' });
+        return send(200, { price: String(levels[0].price) });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/tick-size') {
+        const book = books[tokenId];
+        if (!book) return send(404, { error: 'No orderbook exists for the requested token id' });
+        return send(200, { minimum_tick_size: book.tickSize || 0.01 });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/book') {
+        const book = books[tokenId];
+        if (!book) return send(404, { error: 'No orderbook exists for the requested token id' });
+        return send(200, {
+          asset_id: tokenId,
+          bids: book.bids.map(l => ({ price: String(l.price), size: String(l.size) })),
+          asks: book.asks.map(l => ({ price: String(l.price), size: String(l.size) }))
+        });
+      }
+
+      const orderMatch = url.pathname.match(/^\/data\/order\/(.+)$/);
+      if (req.method === 'GET' && orderMatch) {
+        const order = resting[decodeURIComponent(orderMatch[1])];
+        if (!order) return send(404, { error: 'order not found' });
+        return send(200, {
+          ...order,
+          original_size: String(order.original_size),
+          size_matched: String(order.size_matched),
+          price: String(order.price)
+        });
+      }
+
+      if (req.method === 'DELETE' && url.pathname === '/order') {
+        let payload;
+        try {
+          payload = JSON.parse(body);
+        } catch (e) {
+          return send(400, { error: 'Invalid JSON' });
+        }
+        const order = resting[payload.orderID];
+        if (!order || order.status !== 'LIVE') {
+          return send(200, { canceled: [], not_canceled: { [payload.orderID]: 'order can\'t be found - already canceled or matched' } });
+        }
+        order.status = 'CANCELED';
+        return send(200, { canceled: [payload.orderID], not_canceled: {} });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/order') {
+        let payload;
+        try {
+          payload = JSON.parse(body);
+        } catch (e) {
+          return send(400, { error: 'Invalid JSON' });
+        }
+
+        const order = payload.order;
+        orders.push({ ...payload, headers: req.headers });
+
+        const book = books[order.tokenId];
+        if (!book) return send(400, { success: false, errorMsg: 'Invalid token id' });
+
+        const isBuy = order.side === 'BUY';
+        const shares = Number(isBuy ? order.takerAmount : order.makerAmount) / 1e6;
+        const usdc = Number(isBuy ? order.makerAmount : order.takerAmount) / 1e6;
+        const limitPrice = usdc / shares;
+
+        // Walk the opposite side of the book up to the order's limit price
+        const levels = isBuy ? book.asks : book.bids;
+        let remaining = shares;
+        let cost = 0;
+        for (const level of levels) {
+          const crosses = isBuy ? level.price <= limitPrice + 1e-9 : level.price >= limitPrice - 1e-9;
+          if (!crosses || remaining <= 0) break;
+          const take = Math.min(remaining, level.size);
+          cost += take * level.price;
+          remaining -= take;
+        }
+
+        const orderID = `0x${Buffer.from(String(orders.length)).toString('hex').padStart(64, '0')}`;
+        const filled = shares - remaining;
+
+        if (payload.orderType === 'FOK' && remaining > 1e-9) {
+          return send(200, { success: false, errorMsg: 'order couldn\'t be fully filled, FOK orders are fully filled/killed', orderID, status: 'unmatched' });
+        }
+
+        if (remaining > 1e-9) {
+          resting[orderID] = {
+            id: orderID,
+            status: 'LIVE',
+            asset_id: order.tokenId,
+            side: order.side,
+            original_size: shares,
+            size_matched: filled,
+            price: limitPrice,
+            expiration: order.expiration,
+            order_type: payload.orderType
+          };
+        }
+
+        if (filled <= 0) {
+          return send(200, { success: true, errorMsg: '', orderID, status: 'live', makingAmount: '0', takingAmount: '0', transactionsHashes: [] });
+        }
+
+        return send(200, {
+          success: true,
+          errorMsg: '',
+          orderID,
+          status: remaining > 1e-9 ? 'live' : 'matched',
+          makingAmount: String(isBuy ? cost : filled),
+          takingAmount: String(isBuy ? filled : cost),
+          transactionsHashes: [`0x${'ab'.repeat(32)}`]
+        });
+      }
+
+      return send(404, { error: 'not_found' });
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        orders,
+        books,
+        resting,
+        apiKeys,
+        // Simulate a later match against a resting order
+        fillResting: (orderID, size) => {
+          const order = resting[orderID];
+          order.size_matched = Math.min(order.original_size, order.size_matched + size);
+          if (order.size_matched >= order.original_size - 1e-9) order.status = 'MATCHED';
+        },
+        close: () => new Promise((r) => server.close(r))
+      });
+    });
+  });
+}
+
+const TOKEN_YES = '71321045679252212594626385532706912750332728571942532289631379312455583992563';
+const CONDITION_ID = '0x' + 'c1'.repeat(32);
+
+async function testOrderSigning(clob, signer) {
+  logInfo('\n1. Testing order building and EIP-712 signing...');
+  const order = await clob.buildSignedOrder({
+    signer,
+    tokenId: TOKEN_YES,
+    side: 'BUY',
+    price: 0.5,
+    size: 20
+  });
+
+  const typedOrder = { ...order, side: 0 };
+  delete typedOrder.signature;
+  const recovered = verifyTypedData(clob.getExchangeDomain(false), clob.ORDER_EIP712_TYPES, typedOrder, order.signature);
+
+  if (recovered !== signer.address) {
+    logError(`Signature recovered to ${recovered}, expected ${signer.address}`);
+    return false;
+  }
+  if (order.makerAmount !== '10000000' || order.takerAmount !== '20000000') {
+    logError(`Unexpected amounts: maker=${order.makerAmount} taker=${order.takerAmount}`);
+    return false;
+  }
+  logSuccess('BUY order signed by custodial key with USDC maker / shares taker amounts');
+  return true;
+}
+
+async function testPriceLookup(clob) {
+  logInfo('\n2. Testing price lookup...');
+  const price = await clob.getPrice(TOKEN_YES, 'BUY');
+  if (price !== 0.5) {
+    logError(`Expected best ask 0.5, got ${price}`);
+    return false;
+  }
+  logSuccess(`Best ask returned: ${price}`);
+  return true;
+}
+
+async function testOrderSubmission(clob, signer, mock) {
+  logInfo('\n3. Testing FOK order submission and fill parsing...');
+  const creds = { key: 'test-key', secret: Buffer.from('test-secret').toString('base64'), passphrase: 'test-pass' };
+  const order = await clob.buildSignedOrder({
+    signer,
+    tokenId: TOKEN_YES,
+    side: 'BUY',
+    price: 0.5,
+    size: 20
+  });
+
+  const response = await clob.postOrder(order, { orderType: 'FOK', creds });
+  const fill = clob.parseOrderFill(response, order);
+
+  const received = mock.orders[mock.orders.length - 1];
+  if (received.headers.poly_api_key !== 'test-key' || !received.headers.poly_signature) {
+    logError('L2 authentication headers were not sent');
+    return false;
+  }
+  if (!fill.orderId || fill.status !== 'matched' || fill.filledSize !== 20 || fill.fillPrice !== 0.5) {
+    logError(`Unexpected fill: ${JSON.stringify(fill)}`);
+    return false;
+  }
+  logSuccess(`Order ${fill.orderId.substring(0, 12)}... filled ${fill.filledSize} shares @ ${fill.fillPrice}`);
+  return true;
+}
+
+async function testUnfilledOrder(clob, signer) {
+  logInfo('\n4. Testing FOK order that cannot be filled...');
+  const order = await clob.buildSignedOrder({
+    signer,
+    tokenId: TOKEN_YES,
+    side: 'BUY',
+    price: 0.5,
+    size: 1000
+  });
+
+  const response = await clob.postOrder(order, { orderType: 'FOK' });
+  const fill = clob.parseOrderFill(response, order);
+
+  if (response.success || fill.filledSize !== 0) {
+    logError(`Expected killed order, got ${JSON.stringify(response)}`);
+    return false;
+  }
+  logSuccess(`Order killed: ${response.errorMsg}`);
+  return true;
+}
+
+async function testRestingOrder(clob, signer, mock) {
+  logInfo('\n5. Testing GTC limit order resting on the book...');
+  const creds = { key: 'test-key', secret: Buffer.from('test-secret').toString('base64'), passphrase: 'test-pass' };
+  const { deriveOrderStatus } = require('./api/lib/orders');
+
+  // 80 shares at 0.52: 50 fill against the 0.50 ask, 30 rest
+  const order = await clob.buildSignedOrder({
+    signer,
+    tokenId: TOKEN_YES,
+    side: 'BUY',
+    price: 0.52,
+    size: 80
+  });
+
+  const response = await clob.postOrder(order, { orderType: 'GTC', creds });
+  const fill = clob.parseOrderFill(response, order);
+  const placedStatus = deriveOrderStatus({ size: 80, filledSize: fill.filledSize, clobStatus: fill.status });
+
+  if (!response.success || fill.filledSize !== 50 || placedStatus !== 'partially_filled') {
+    logError(`Unexpected placement: ${JSON.stringify(fill)} (${placedStatus})`);
+    return false;
+  }
+
+  mock.fillResting(fill.orderId, 10);
+  const clobOrder = await clob.getOrder(fill.orderId, { creds, address: signer.address });
+  if (parseFloat(clobOrder.size_matched) !== 60 || clobOrder.status !== 'LIVE') {
+    logError(`Unexpected order state: ${JSON.stringify(clobOrder)}`);
+    return false;
+  }
+
+  const cancelResult = await clob.cancelOrder(fill.orderId, { creds, address: signer.address });
+  const cancelledStatus = deriveOrderStatus({ size: 80, filledSize: 60, clobStatus: 'CANCELED' });
+  if (!cancelResult.canceled.includes(fill.orderId) || cancelledStatus !== 'cancelled') {
+    logError(`Cancel failed: ${JSON.stringify(cancelResult)}`);
+    return false;
+  }
+
+  const secondCancel = await clob.cancelOrder(fill.orderId, { creds, address: signer.address });
+  if (secondCancel.canceled.length !== 0 || !secondCancel.not_canceled[fill.orderId]) {
+    logError('Cancelling twice should be rejected');
+    return false;
+  }
+
+  logSuccess('Resting order partially filled, refreshed and cancelled');
+  return true;
+}
+
+function testOrderStatusRules() {
+  logInfo('\n6. Testing order status and expiry rules...');
+  const { deriveOrderStatus, parseExpiry } = require('./api/lib/orders');
+  const past = new Date(Date.now() - 1000).toISOString();
+  const future = new Date(Date.now() + 3600000).toISOString();
+
+  const cases = [
+    [deriveOrderStatus({ size: 10, filledSize: 0, clobStatus: 'live' }), 'open'],
+    [deriveOrderStatus({ size: 10, filledSize: 4, clobStatus: 'live' }), 'partially_filled'],
+    [deriveOrderStatus({ size: 10, filledSize: 10, clobStatus: 'live' }), 'filled'],
+    [deriveOrderStatus({ size: 10, filledSize: 0, clobStatus: 'CANCELED' }), 'cancelled'],
+    [deriveOrderStatus({ size: 10, filledSize: 2, clobStatus: 'LIVE', expiresAt: past }), 'expired'],
+    [deriveOrderStatus({ size: 10, filledSize: 2, clobStatus: 'LIVE', expiresAt: future }), 'partially_filled'],
+    [parseExpiry('1767225600').toISOString(), '2026-01-01T00:00:00.000Z'],
+    [parseExpiry('2026-01-01T00:00:00Z').toISOString(), '2026-01-01T00:00:00.000Z'],
+    [parseExpiry('not a date'), null]
+  ];
+
+  const failed = cases.filter(([actual, expected]) => actual !== expected);
+  if (failed.length > 0) {
+    logError(`Unexpected results: ${JSON.stringify(failed)}`);
+    return false;
+  }
+  logSuccess('Order statuses derived correctly');
+  return true;
+}
+
+async function testSellOrder(clob, signer) {
+  logInfo('\n7. Testing market sell against the bid...');
+  const creds = { key: 'test-key', secret: Buffer.from('test-secret').toString('base64'), passphrase: 'test-pass' };
+  const bid = await clob.getPrice(TOKEN_YES, 'SELL');
+  const order = await clob.buildSignedOrder({
+    signer,
+    tokenId: TOKEN_YES,
+    side: 'SELL',
+    price: bid,
+    size: 25
+  });
+
+  // SELL orders give shares (maker) for USDC (taker)
+  if (order.makerAmount !== '25000000' || order.takerAmount !== '12000000') {
+    logError(`Unexpected amounts: maker=${order.makerAmount} taker=${order.takerAmount}`);
+    return false;
+  }
+
+  const response = await clob.postOrder(order, { orderType: 'FOK', creds });
+  const fill = clob.parseOrderFill(response, order);
+  if (fill.status !== 'matched' || fill.filledSize !== 25 || Math.abs(fill.filledAmount - 12) > 1e-9) {
+    logError(`Unexpected fill: ${JSON.stringify(fill)}`);
+    return false;
+  }
+
+  logSuccess(`Sold ${fill.filledSize} shares for $${fill.filledAmount.toFixed(2)} @ ${bid}`);
+  return true;
+}
+
+async function testOrderBookQuote(clob) {
+  logInfo('\n8. Testing order book walk...');
+  const book = await clob.getOrderBook(TOKEN_YES);
+
+  // $52.50 takes all 50 shares at 0.50 and 50 more at 0.55
+  const buy = clob.quoteFromBook(book, 'BUY', { amount: 52.5 });
+  if (!buy.fullyFilled || Math.abs(buy.shares - 100) > 1e-9 || buy.worstPrice !== 0.55 || buy.priceImpactBps !== 500) {
+    logError(`Unexpected buy quote: ${JSON.stringify(buy)}`);
+    return false;
+  }
+
+  // Only 100 shares are bid
+  const sell = clob.quoteFromBook(book, 'SELL', { shares: 150 });
+  if (sell.fullyFilled || Math.abs(sell.shares - 100) > 1e-9 || sell.priceImpactBps !== 0) {
+    logError(`Unexpected sell quote: ${JSON.stringify(sell)}`);
+    return false;
+  }
+
+  logSuccess(`$52.50 buys ${buy.shares} shares @ avg ${buy.averagePrice.toFixed(4)} (${buy.priceImpactBps} bps impact)`);
+  return true;
+}
+
+async function testDepthAndTrades(clob) {
+  logInfo('\n9. Testing depth aggregation and recent trades...');
+  const book = await clob.getOrderBook(TOKEN_YES);
+
+  // 0.5 and 0.55 asks fall into separate 10c buckets; depth accumulates across them
+  const asks = clob.aggregateLevels(book.asks, { tick: 0.1, maxLevels: 5 });
+  if (asks.length !== 2 || asks[0].price !== 0.5 || asks[1].price !== 0.6 || asks[1].cumulative_size !== 150) {
+    logError(`Unexpected ask buckets: ${JSON.stringify(asks)}`);
+    return false;
+  }
+
+  const trades = await clob.getRecentTrades(CONDITION_ID, 2);
+  if (trades.length !== 2 || trades[0].timestamp < trades[1].timestamp || trades[0].side !== 'SELL') {
+    logError(`Unexpected trades: ${JSON.stringify(trades)}`);
+    return false;
+  }
+
+  logSuccess(`Aggregated ${asks.length} ask buckets and loaded ${trades.length} recent trades`);
+  return true;
+}
+
+function testOutcomeResolution(clob) {
+  logInfo('\n10. Testing outcome resolution for multi-outcome markets...');
+  const candidates = ['Alice', 'Bob', 'Carol'];
+  const cases = [
+    [{ outcomeIndex: 2, outcomes: candidates, tokenCount: 3 }, 2],
+    [{ outcomeIndex: '1', side: 'Alice', outcomes: candidates, tokenCount: 3 }, 1],
+    [{ side: 'carol', outcomes: candidates, tokenCount: 3 }, 2],
+    [{ outcomeIndex: 3, outcomes: candidates, tokenCount: 3 }, -1],
+    [{ side: 'yes', outcomes: candidates, tokenCount: 3 }, -1],
+    [{ side: 'no', outcomes: ['Lakers', 'Celtics'], tokenCount: 2 }, 1],
+    [{ side: 'Celtics', outcomes: ['Lakers', 'Celtics'], tokenCount: 2 }, 1],
+    [{ side: 'yes', outcomes: [], tokenCount: 2 }, 0]
+  ];
+
+  const failed = cases.filter(([params, expected]) => clob.resolveOutcomeIndex(params) !== expected);
+  if (failed.length > 0) {
+    logError(`Unexpected results: ${JSON.stringify(failed)}`);
+    return false;
+  }
+  if (clob.getOutcomeLabel(candidates, 1) !== 'Bob' || clob.getOutcomeLabel([], 1) !== 'No') {
+    logError('Unexpected outcome labels');
+    return false;
+  }
+
+  logSuccess('Outcomes resolved by index or name for binary and multi-outcome markets');
+  return true;
+}
+
+async function testApiKeyDerivation(clob, signer, mock) {
+  logInfo('\n11. Testing CLOB API key creation and derivation...');
+
+  const created = await clob.createOrDeriveApiKey(signer);
+  if (created.key !== mock.apiKeys[signer.address]?.apiKey || !created.secret || !created.passphrase) {
+    logError(`Unexpected credentials: ${JSON.stringify(created)}`);
+    return false;
+  }
+
+  // A second call derives the same key instead of creating another one
+  const derived = await clob.createOrDeriveApiKey(signer);
+  if (derived.key !== created.key || Object.keys(mock.apiKeys).length !== 1) {
+    logError('Expected the existing key to be derived');
+    return false;
+  }
+
+  const headers = await clob.buildL1Headers(signer);
+  headers.POLY_ADDRESS = Wallet.createRandom().address;
+  const resp = await fetch(`${mock.url}/auth/api-key`, { method: 'POST', headers });
+  if (resp.status !== 401) {
+    logError('L1 headers signed for another address should be rejected');
+    return false;
+  }
+
+  logSuccess(`API key created once and derived afterwards (${created.key})`);
+  return true;
+}
+
+// Main test runner
+async function testExactAmounts(clob, signer) {
+  logInfo('\n12. Testing order amounts at prices floats get wrong...');
+
+  // 0.29 * 100 and 0.57 * 100 are 28.999... and 56.999... in floating point
+  const cases = [
+    { price: 0.29, size: 100, usdc: '29000000' },
+    { price: 0.57, size: 100, usdc: '57000000' },
+    { price: 0.57, size: 1.15, usdc: '655500' }
+  ];
+
+  for (const { price, size, usdc } of cases) {
+    const shares = String(Math.round(size * 1e6));
+    const buy = await clob.buildSignedOrder({ signer, tokenId: TOKEN_YES, side: 'BUY', price, size });
+    const sell = await clob.buildSignedOrder({ signer, tokenId: TOKEN_YES, side: 'SELL', price, size });
+    if (buy.makerAmount !== usdc || buy.takerAmount !== shares || sell.makerAmount !== shares || sell.takerAmount !== usdc) {
+      logError(`${size} @ ${price}: expected ${usdc} USDC for ${shares} shares, got BUY ${buy.makerAmount}/${buy.takerAmount}, SELL ${sell.makerAmount}/${sell.takerAmount}`);
+      return false;
+    }
+  }
+
+  logSuccess('Maker and taker amounts sit exactly on the price, so orders at the best ask cross');
+  return true;
+}
+
+async function testTickSize(clob) {
+  logInfo('\n13. Testing tick size lookup and rounding...');
+
+  const tickSize = await clob.getTickSize(TOKEN_YES);
+  if (tickSize !== 0.01) {
+    logError(`Expected a 0.01 tick, got ${tickSize}`);
+    return false;
+  }
+
+  // [price, tick, direction, expected]; prices already on the grid must not move
+  const cases = [
+    [0.5775, 0.01, 'down', 0.57],
+    [0.5725, 0.01, 'up', 0.58],
+    [0.57, 0.01, 'down', 0.57],
+    [0.57, 0.01, 'up', 0.57],
+    [0.5775, 0.001, 'down', 0.577],
+    [0.12341, 0.0001, 'up', 0.1235],
+    [0.55, 0.1, 'down', 0.5]
+  ];
+  for (const [price, tick, direction, expected] of cases) {
+    const rounded = clob.roundToTick(price, tick, direction);
+    if (rounded !== expected) {
+      logError(`${price} rounded ${direction} to ${tick}: expected ${expected}, got ${rounded}`);
+      return false;
+    }
+  }
+
+  logSuccess('Tick size read from the CLOB; prices round onto the grid in the requested direction');
+  return true;
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram CLOB Client Test Suite', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const mock = await startMockClob({
+    books: {
+      [TOKEN_YES]: {
+        bids: [{ price: 0.48, size: 100 }],
+        asks: [{ price: 0.5, size: 50 }, { price: 0.55, size: 100 }]
+      }
+    },
+    trades: [
+      { conditionId: CONDITION_ID, asset: TOKEN_YES, side: 'BUY', price: 0.5, size: 10, timestamp: 1700000000, outcome: 'Yes', outcomeIndex: 0 },
+      { conditionId: CONDITION_ID, asset: TOKEN_YES, side: 'SELL', price: 0.48, size: 5, timestamp: 1700000060, outcome: 'Yes', outcomeIndex: 0 },
+      { conditionId: CONDITION_ID, asset: TOKEN_YES, side: 'BUY', price: 0.49, size: 7, timestamp: 1699999000, outcome: 'Yes', outcomeIndex: 0 }
+    ]
+  });
+  process.env.CLOB_API_URL = mock.url;
+  process.env.DATA_API_URL = mock.url;
+  const clob = require('./api/lib/clob');
+  const signer = Wallet.createRandom();
+
+  const tests = [];
+  try {
+    tests.push(['Order Signing', await testOrderSigning(clob, signer)]);
+    tests.push(['Price Lookup', await testPriceLookup(clob)]);
+    tests.push(['Order Submission', await testOrderSubmission(clob, signer, mock)]);
+    tests.push(['Unfilled FOK Order', await testUnfilledOrder(clob, signer)]);
+    tests.push(['Resting Limit Order', await testRestingOrder(clob, signer, mock)]);
+    tests.push(['Order Status Rules', testOrderStatusRules()]);
+    tests.push(['Market Sell Order', await testSellOrder(clob, signer)]);
+    tests.push(['Order Book Quote', await testOrderBookQuote(clob)]);
+    tests.push(['Depth And Trades', await testDepthAndTrades(clob)]);
+    tests.push(['Outcome Resolution', testOutcomeResolution(clob)]);
+    tests.push(['API Key Derivation', await testApiKeyDerivation(clob, signer, mock)]);
+    tests.push(['Exact Order Amounts', await testExactAmounts(clob, signer)]);
+    tests.push(['Tick Size', await testTickSize(clob)]);
+  } finally {
+    await mock.close();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch((error) => {
+    logError(`\nFatal error: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockClob, runTests };
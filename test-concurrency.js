@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * Polygram Balance Concurrency Test
+ *
+ * Fires many debits at one balance at the same time through apply_balance_change
+ * (supabase-atomic-balance.sql) and checks the balance can't be overdrawn, then walks
+ * a reservation through usdc_locked (supabase-funds-reservation.sql).
+ * Needs a Supabase project with the migrations applied; skips when none is configured.
+ *
+ * Usage:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... node test-concurrency.js
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+function logInfo(message) {
+  log(`ℹ ${message}`, 'blue');
+}
+
+function logWarning(message) {
+  log(`⚠ ${message}`, 'yellow');
+}
+
+const STARTING_BALANCE = 10;
+const DEBIT_AMOUNT = 1;
+const CONCURRENT_DEBITS = 20;
+
+/**
+ * Race CONCURRENT_DEBITS debits against a balance that only covers some of them
+ */
+async function testConcurrentDebits(supabase, ledger, userId) {
+  log('\n=== Test: Concurrent Debits ===', 'cyan');
+
+  const { error: seedError } = await supabase
+    .from('user_balances')
+    .insert({ user_id: userId, usdc_available: STARTING_BALANCE });
+  if (seedError) {
+    logError(`Failed to seed balance: ${seedError.message}`);
+    return false;
+  }
+
+  const results = await Promise.allSettled(
+    Array.from({ length: CONCURRENT_DEBITS }, (_, i) => ledger.applyBalanceChange({
+      user_id: userId,
+      entry_type: 'trade',
+      amount: DEBIT_AMOUNT,
+      direction: 'debit',
+      metadata: { test: 'concurrency', attempt: i }
+    }))
+  );
+
+  const succeeded = results.filter(r => r.status === 'fulfilled');
+  const rejected = results.filter(r => r.status === 'rejected');
+  const unexpected = rejected.filter(r => r.reason.code !== 'insufficient_balance');
+  const expected = Math.floor(STARTING_BALANCE / DEBIT_AMOUNT);
+
+  logInfo(`${succeeded.length} debits succeeded, ${rejected.length} rejected`);
+
+  if (unexpected.length > 0) {
+    logError(`Unexpected error: ${unexpected[0].reason.message}`);
+    return false;
+  }
+  if (succeeded.length !== expected) {
+    logError(`Expected exactly ${expected} debits to succeed, got ${succeeded.length}`);
+    return false;
+  }
+
+  // Every successful debit saw a distinct, non-negative balance
+  const after = succeeded.map(r => r.value.balanceAfter).sort((a, b) => a - b);
+  if (after.some(b => b < 0) || new Set(after).size !== after.length) {
+    logError(`Debits overlapped: balances after ${after.join(', ')}`);
+    return false;
+  }
+
+  const { data: balance } = await supabase
+    .from('user_balances')
+    .select('usdc_available')
+    .eq('user_id', userId)
+    .single();
+  const finalBalance = parseFloat(balance?.usdc_available);
+  if (finalBalance !== STARTING_BALANCE - expected * DEBIT_AMOUNT) {
+    logError(`Final balance should be ${STARTING_BALANCE - expected * DEBIT_AMOUNT}, got ${finalBalance}`);
+    return false;
+  }
+
+  const { count } = await supabase
+    .from('ledger_entries')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+  if (count !== expected) {
+    logError(`Expected ${expected} ledger entries, found ${count}`);
+    return false;
+  }
+
+  logSuccess(`Balance ended at $${finalBalance.toFixed(2)} with ${count} ledger entries`);
+  return true;
+}
+
+/**
+ * A credit and a debit in flight together must both land
+ */
+async function testMixedChanges(supabase, ledger, userId) {
+  log('\n=== Test: Mixed Credits And Debits ===', 'cyan');
+
+  await Promise.all([
+    ledger.applyBalanceChange({ user_id: userId, entry_type: 'deposit', amount: 5, direction: 'credit' }),
+    ledger.applyBalanceChange({ user_id: userId, entry_type: 'deposit', amount: 5, direction: 'credit' }),
+    ledger.applyBalanceChange({ user_id: userId, entry_type: 'trade', amount: 3, direction: 'debit' }).catch(err => err)
+  ]);
+
+  const { data: balance } = await supabase
+    .from('user_balances')
+    .select('usdc_available')
+    .eq('user_id', userId)
+    .single();
+  const finalBalance = parseFloat(balance?.usdc_available);
+
+  // The debit may run before the credits (and be rejected) or after (and succeed)
+  const { data: debits } = await supabase
+    .from('ledger_entries')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('direction', 'debit')
+    .eq('amount', 3);
+  const expected = debits && debits.length > 0 ? 7 : 10;
+
+  if (finalBalance !== expected) {
+    logError(`Expected balance $${expected}, got $${finalBalance}`);
+    return false;
+  }
+
+  logSuccess(`Balance is $${finalBalance.toFixed(2)}`);
+  return true;
+}
+
+/**
+ * Reserve, partly spend and release funds, and cancel an untouched reservation
+ */
+async function testReservationLifecycle(supabase, ledger, userId) {
+  log('\n=== Test: Reservation Lifecycle ===', 'cyan');
+
+  const readBalance = async () => {
+    const { data } = await supabase
+      .from('user_balances')
+      .select('usdc_available, usdc_locked')
+      .eq('user_id', userId)
+      .single();
+    return { available: parseFloat(data.usdc_available), locked: parseFloat(data.usdc_locked) };
+  };
+  const readStatus = async (entryId) => {
+    const { data } = await supabase.from('ledger_entries').select('status').eq('id', entryId).single();
+    return data.status;
+  };
+
+  await supabase.from('user_balances').insert({ user_id: userId, usdc_available: 10, usdc_locked: 0 });
+
+  // Partly filled order: 6 locked, 2 spent, 4 returned
+  const { entryId: orderEntry } = await ledger.reserveFunds({ user_id: userId, entry_type: 'trade', amount: 6 });
+  let balance = await readBalance();
+  if (balance.available !== 4 || balance.locked !== 6) {
+    logError(`After reserving: expected 4 available / 6 locked, got ${balance.available} / ${balance.locked}`);
+    return false;
+  }
+
+  await ledger.consumeReservedFunds(orderEntry, { amount: 2 });
+  const { released, creditEntryId } = await ledger.releaseReservedFunds(orderEntry);
+  balance = await readBalance();
+  if (released !== 4 || !creditEntryId || balance.available !== 8 || balance.locked !== 0) {
+    logError(`After release: expected 8 available / 0 locked, got ${balance.available} / ${balance.locked}`);
+    return false;
+  }
+  if (await readStatus(orderEntry) !== 'completed') {
+    logError('Partly spent reservation should be completed');
+    return false;
+  }
+
+  // Cancelled withdrawal: the whole reservation comes back and the entry is cancelled
+  const { entryId: withdrawalEntry } = await ledger.reserveFunds({ user_id: userId, entry_type: 'withdrawal', amount: 3 });
+  const cancelled = await ledger.releaseReservedFunds(withdrawalEntry, { status: 'cancelled' });
+  balance = await readBalance();
+  if (cancelled.creditEntryId || balance.available !== 8 || balance.locked !== 0) {
+    logError(`After cancel: expected 8 available / 0 locked, got ${balance.available} / ${balance.locked}`);
+    return false;
+  }
+  if (await readStatus(withdrawalEntry) !== 'cancelled') {
+    logError('Untouched reservation should be cancelled');
+    return false;
+  }
+
+  // Releasing again is a no-op
+  const again = await ledger.releaseReservedFunds(withdrawalEntry);
+  if (again.released !== 0 || (await readBalance()).available !== 8) {
+    logError('Second release should not move funds');
+    return false;
+  }
+
+  logSuccess('Funds moved through usdc_locked and back as expected');
+  return true;
+}
+
+async function cleanup(supabase, userId) {
+  await supabase.from('ledger_entries').delete().eq('user_id', userId);
+  await supabase.from('user_balances').delete().eq('user_id', userId);
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Balance Concurrency Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    logWarning('SUPABASE_URL and SUPABASE_SERVICE_KEY not set - skipping');
+    process.exit(0);
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  const ledger = require('./api/lib/ledger');
+  const runId = Date.now();
+  const debitUser = `test-concurrency-${runId}`;
+  const mixedUser = `test-concurrency-mixed-${runId}`;
+  const reserveUser = `test-concurrency-reserve-${runId}`;
+
+  const tests = [];
+  try {
+    tests.push(['Concurrent Debits', await testConcurrentDebits(supabase, ledger, debitUser)]);
+    tests.push(['Mixed Credits And Debits', await testMixedChanges(supabase, ledger, mixedUser)]);
+    tests.push(['Reservation Lifecycle', await testReservationLifecycle(supabase, ledger, reserveUser)]);
+  } finally {
+    await cleanup(supabase, debitUser);
+    await cleanup(supabase, mixedUser);
+    await cleanup(supabase, reserveUser);
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch((error) => {
+    logError(`\nFatal error: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
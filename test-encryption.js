@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+/**
+ * Polygram Encryption Test Script
+ *
+ * Checks the envelope format, that values are bound to their user and column, key IDs and rotation,
+ * that v3 envelopes and legacy AES-CBC values still decrypt, and passphrase-encrypted key exports (pure crypto, no Supabase or network access required).
+ *
+ * Usage:
+ *   node test-encryption.js
+ */
+
+const crypto = require('crypto');
+
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex');
+
+const {
+  encryptSecret,
+  decryptSecret,
+  rewrapSecret,
+  getKeyId,
+  needsReencryption,
+  encryptWithPassphrase,
+  decryptWithPassphrase
+} = require('./api/lib/encryption');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+const SECRET = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+
+// Where the test secret is stored
+const PLACE = { userId: '1001', column: 'polygon_secret_enc' };
+
+// How encryptSecret sealed values before they were bound to their place (v3)
+function v3Encrypt(text, keyHex) {
+  const seal = (key, plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, ciphertext, cipher.getAuthTag()].map(part => part.toString('base64'));
+  };
+  const dataKey = crypto.randomBytes(32);
+  return ['v3', 'default', ...seal(Buffer.from(keyHex, 'hex'), dataKey), ...seal(dataKey, Buffer.from(text, 'utf8'))].join(':');
+}
+
+// How wallet.js encrypted keys before the v2 format
+function legacyEncrypt(text, key) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(key, 'hex'), iv);
+  let encrypted = cipher.update(text, 'utf8', 'hex');
+  encrypted += cipher.final('hex');
+  return iv.toString('hex') + ':' + encrypted;
+}
+
+function testRoundTrip() {
+  log('\n=== Test: Envelope Round Trip ===', 'cyan');
+
+  const first = encryptSecret(SECRET, PLACE);
+  const second = encryptSecret(SECRET, PLACE);
+
+  if (!first.startsWith('v4:default:') || first.split(':').length !== 8) {
+    logError(`Unexpected envelope format: ${first}`);
+    return false;
+  }
+  // Fresh data key and IVs per record
+  if (first.split(':')[3] === second.split(':')[3]) {
+    logError('Two records share a wrapped data key');
+    return false;
+  }
+  if (decryptSecret(first, PLACE) !== SECRET || decryptSecret(second, PLACE) !== SECRET) {
+    logError('Decrypted value does not match');
+    return false;
+  }
+  if (needsReencryption(first)) {
+    logError('Values under the current key should not need re-encryption');
+    return false;
+  }
+
+  logSuccess('Secrets round-trip with a fresh data key per record');
+  return true;
+}
+
+function testTamperDetection() {
+  log('\n=== Test: Tamper Detection ===', 'cyan');
+
+  const stored = encryptSecret(SECRET, PLACE);
+  const withPart = (index, change) => {
+    const parts = stored.split(':');
+    parts[index] = change(Buffer.from(parts[index], 'base64')).toString('base64');
+    return parts.join(':');
+  };
+
+  const rejected = [
+    ['Tampered ciphertext', withPart(6, c => { const copy = Buffer.from(c); copy[0] ^= 0x01; return copy; }), PLACE],
+    ['Truncated tag', withPart(7, t => t.subarray(0, 4)), PLACE],
+    ['Truncated wrap tag', withPart(4, t => t.subarray(0, 4)), PLACE],
+    ['Another user\'s row', stored, { ...PLACE, userId: '1002' }],
+    ['Another column', stored, { ...PLACE, column: 'solana_secret_enc' }]
+  ].filter(([name, value, place]) => {
+    try {
+      decryptSecret(value, place);
+      logError(`${name}: decrypted without error`);
+      return true;
+    } catch (err) {
+      if (err.code !== 'decryption_failed') {
+        logError(`${name}: expected decryption_failed, got ${err.code}`);
+        return true;
+      }
+      return false;
+    }
+  });
+  if (rejected.length > 0) return false;
+
+  try {
+    decryptSecret(stored);
+    logError('Decrypted without saying where the value is stored');
+    return false;
+  } catch (err) {
+    if (err.code !== 'ENCRYPTION_CONTEXT_MISSING') {
+      logError(`Expected ENCRYPTION_CONTEXT_MISSING, got ${err.code}`);
+      return false;
+    }
+  }
+
+  const otherKey = crypto.randomBytes(32).toString('hex');
+  const original = process.env.ENCRYPTION_KEY;
+  process.env.ENCRYPTION_KEY = otherKey;
+  try {
+    decryptSecret(stored, PLACE);
+    logError('Decrypted with the wrong key-encryption key');
+    return false;
+  } catch (err) {
+    // Expected
+  } finally {
+    process.env.ENCRYPTION_KEY = original;
+  }
+
+  logSuccess('Modified ciphertext, short tags, values moved to another row or column and wrong keys are rejected');
+  return true;
+}
+
+function testLegacyFormat() {
+  log('\n=== Test: Older Formats ===', 'cyan');
+
+  const older = [
+    ['Legacy AES-CBC', legacyEncrypt(SECRET, process.env.ENCRYPTION_KEY)],
+    ['v3 envelope', v3Encrypt(SECRET, process.env.ENCRYPTION_KEY)]
+  ];
+
+  for (const [name, stored] of older) {
+    if (!needsReencryption(stored)) {
+      logError(`${name}: should need re-encryption`);
+      return false;
+    }
+    if (decryptSecret(stored, PLACE) !== SECRET) {
+      logError(`${name}: did not decrypt`);
+      return false;
+    }
+
+    // Rotation seals it again, bound to where it is stored
+    const rewrapped = rewrapSecret(stored, PLACE);
+    if (!rewrapped.startsWith('v4:default:') || decryptSecret(rewrapped, PLACE) !== SECRET) {
+      logError(`${name}: rewrapped value should be a v4 envelope, got ${rewrapped.split(':')[0]}`);
+      return false;
+    }
+    try {
+      decryptSecret(rewrapped, { ...PLACE, userId: '1002' });
+      logError(`${name}: rewrapped value decrypted for another user`);
+      return false;
+    } catch (err) {
+      // Expected
+    }
+  }
+
+  logSuccess('Legacy AES-CBC values and v3 envelopes decrypt and are rewritten as bound v4 envelopes');
+  return true;
+}
+
+function testKeyRotation() {
+  log('\n=== Test: Key IDs And Rotation ===', 'cyan');
+
+  const original = process.env.ENCRYPTION_KEY;
+  const stored = encryptSecret(SECRET, PLACE);
+
+  process.env.ENCRYPTION_KEYS = `k2:${crypto.randomBytes(32).toString('hex')}`;
+  try {
+    if (!needsReencryption(stored)) {
+      logError('Values under an older key should need re-encryption');
+      return false;
+    }
+
+    const rewrapped = rewrapSecret(stored, PLACE);
+    if (getKeyId(rewrapped) !== 'k2' || decryptSecret(rewrapped, PLACE) !== SECRET) {
+      logError(`Rewrapped value should be under k2, got ${getKeyId(rewrapped)}`);
+      return false;
+    }
+    // Only the data key is re-wrapped; the sealed secret is untouched
+    if (rewrapped.split(':').slice(5).join(':') !== stored.split(':').slice(5).join(':')) {
+      logError('Rewrapping changed the encrypted secret');
+      return false;
+    }
+    if (getKeyId(encryptSecret(SECRET, PLACE)) !== 'k2') {
+      logError('New values should use the last key in ENCRYPTION_KEYS');
+      return false;
+    }
+
+    // Once the old key is retired, only rewrapped values can be read
+    delete process.env.ENCRYPTION_KEY;
+    if (decryptSecret(rewrapped, PLACE) !== SECRET) {
+      logError('Rewrapped value should not need the retired key');
+      return false;
+    }
+    try {
+      decryptSecret(stored, PLACE);
+      logError('Value under a retired key decrypted');
+      return false;
+    } catch (err) {
+      if (err.code !== 'decryption_failed') {
+        logError(`Expected decryption_failed, got ${err.code}`);
+        return false;
+      }
+    }
+  } finally {
+    process.env.ENCRYPTION_KEY = original;
+    delete process.env.ENCRYPTION_KEYS;
+  }
+
+  logSuccess('Values record their key ID and rotate to the newest key');
+  return true;
+}
+
+function testPassphraseExport() {
+  log('\n=== Test: Passphrase-Encrypted Export ===', 'cyan');
+
+  const passphrase = 'correct horse battery staple';
+  const label = 'polygon:0x90f8bf6a479f320ead074411a4b0e7944ea8c9c1';
+  const exported = encryptWithPassphrase(SECRET, passphrase, label);
+
+  if (JSON.stringify(exported).includes(SECRET.substring(2, 18))) {
+    logError('Export contains the plaintext key');
+    return false;
+  }
+  if (decryptWithPassphrase(JSON.parse(JSON.stringify(exported)), passphrase) !== SECRET) {
+    logError('Export did not decrypt with its passphrase');
+    return false;
+  }
+
+  // Independent of ENCRYPTION_KEY: the user opens it without our keys
+  const original = process.env.ENCRYPTION_KEY;
+  delete process.env.ENCRYPTION_KEY;
+  try {
+    if (decryptWithPassphrase(exported, passphrase) !== SECRET) {
+      logError('Export should not need the server key');
+      return false;
+    }
+  } finally {
+    process.env.ENCRYPTION_KEY = original;
+  }
+
+  const rejected = [
+    ['Wrong passphrase', exported, 'correct horse battery stapler'],
+    ['Relabelled export', { ...exported, label: 'solana:someone-else' }, passphrase]
+  ].filter(([name, value, attempt]) => {
+    try {
+      decryptWithPassphrase(value, attempt);
+      logError(`${name}: decrypted without error`);
+      return true;
+    } catch (err) {
+      if (err.code !== 'decryption_failed') {
+        logError(`${name}: expected decryption_failed, got ${err.code}`);
+        return true;
+      }
+      return false;
+    }
+  });
+  if (rejected.length > 0) return false;
+
+  logSuccess('Exports open with the passphrase only, and their label is authenticated');
+  return true;
+}
+
+function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Encryption Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const tests = [
+    ['Envelope Round Trip', testRoundTrip()],
+    ['Tamper Detection', testTamperDetection()],
+    ['Older Formats', testLegacyFormat()],
+    ['Key IDs And Rotation', testKeyRotation()],
+    ['Passphrase-Encrypted Export', testPassphraseExport()]
+  ];
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
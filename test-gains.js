@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Polygram Realized Gains Test Script
+ *
+ * Checks FIFO and average-cost lot matching for the gains report
+ * (pure calculation, no Supabase or network access required).
+ *
+ * Usage:
+ *   node test-gains.js
+ */
+
+const { computeRealizedGains, gainsToCsv } = require('./api/lib/gains');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+function near(a, b) {
+  return Math.abs(a - b) < 0.000001;
+}
+
+// Two buys of the same token, a partial sell, then the market resolves in the holder's favour
+const EVENTS = [
+  { kind: 'buy', time: '2025-03-01T00:00:00.000Z', token_id: 'T1', market_id: 'M1', shares: 10, cost: 4, ref: 'b1' },
+  { kind: 'buy', time: '2026-02-01T00:00:00.000Z', token_id: 'T1', market_id: 'M1', shares: 10, cost: 6, ref: 'b2' },
+  { kind: 'sell', time: '2026-04-01T00:00:00.000Z', token_id: 'T1', market_id: 'M1', shares: 15, proceeds: 9, ref: 's1' },
+  { kind: 'payout', time: '2026-06-01T00:00:00.000Z', token_id: 'T1', market_id: 'M1', shares: 5, proceeds: 5, ref: 'p1' }
+];
+
+function testFifo() {
+  log('\n=== Test: FIFO Lots ===', 'cyan');
+
+  const report = computeRealizedGains(EVENTS, { method: 'fifo', year: 2026 });
+  const [sell, payout] = report.disposals;
+
+  // Sell: all of lot 1 ($4) + half of lot 2 ($3)
+  if (!near(sell.cost_basis, 7) || sell.lots.length !== 2 || sell.lots[0].ledger_entry_id !== 'b1') {
+    logError(`Sell cost basis should be 7 across two lots, got ${sell.cost_basis}`);
+    return false;
+  }
+  if (sell.lots[0].term !== 'long' || sell.lots[1].term !== 'short') {
+    logError('Lot 1 should be long term and lot 2 short term');
+    return false;
+  }
+  // Payout: the rest of lot 2 ($3)
+  if (!near(payout.cost_basis, 3) || !near(payout.gain, 2)) {
+    logError(`Payout basis/gain should be 3/2, got ${payout.cost_basis}/${payout.gain}`);
+    return false;
+  }
+  if (!near(report.summary.gain, 4)) {
+    logError(`Total gain should be 4, got ${report.summary.gain}`);
+    return false;
+  }
+
+  logSuccess(`FIFO gain $${report.summary.gain.toFixed(2)} over ${report.summary.disposals} disposals`);
+  return true;
+}
+
+function testAverageCost() {
+  log('\n=== Test: Average Cost Lots ===', 'cyan');
+
+  const report = computeRealizedGains(EVENTS, { method: 'average', year: 2026 });
+  const [sell, payout] = report.disposals;
+
+  // Pool of 20 shares for $10: $0.50 each
+  if (!near(sell.cost_basis, 7.5) || !near(payout.cost_basis, 2.5)) {
+    logError(`Expected bases 7.5 / 2.5, got ${sell.cost_basis} / ${payout.cost_basis}`);
+    return false;
+  }
+  if (sell.lots.length !== 2 || !near(sell.lots[0].shares, 7.5)) {
+    logError('Average cost should take the same fraction of each lot');
+    return false;
+  }
+
+  logSuccess(`Average-cost gain $${report.summary.gain.toFixed(2)}`);
+  return true;
+}
+
+function testYearFilterAndFallback() {
+  log('\n=== Test: Year Filter And Unknown Lots ===', 'cyan');
+
+  const events = [
+    { kind: 'sell', time: '2025-12-31T23:00:00.000Z', token_id: 'T2', shares: 4, proceeds: 2, ref: 's0' },
+    ...EVENTS
+  ];
+  const fallbackPrices = new Map([['T2', 0.25]]);
+
+  const previous = computeRealizedGains(events, { method: 'fifo', year: 2025, fallbackPrices });
+  const [orphan] = previous.disposals;
+  if (previous.disposals.length !== 1 || !near(orphan.cost_basis, 1) || orphan.lots[0].term !== 'unknown') {
+    logError('Shares without a lot should use the position average price');
+    return false;
+  }
+
+  const csv = gainsToCsv(computeRealizedGains(EVENTS, { method: 'fifo', year: 2026 }));
+  const lines = csv.trim().split('\r\n');
+  // Header + 2 sell lots + 1 payout lot + total
+  if (lines.length !== 5 || !lines[4].startsWith('Total')) {
+    logError(`Unexpected CSV shape:\n${csv}`);
+    return false;
+  }
+
+  logSuccess('Year filter, fallback basis and CSV rows are correct');
+  return true;
+}
+
+function testCsvFormulas() {
+  log('\n=== Test: Formulas In CSV Cells ===', 'cyan');
+
+  // Outcome names come from market data; a losing sell gives a negative gain
+  const events = [
+    { kind: 'buy', time: '2026-01-01T00:00:00.000Z', token_id: 'T3', market_id: '@M3', outcome: '=HYPERLINK("http://evil.test","Yes")', shares: 10, cost: 6, ref: 'b3' },
+    { kind: 'sell', time: '2026-02-01T00:00:00.000Z', token_id: 'T3', market_id: '@M3', outcome: '=HYPERLINK("http://evil.test","Yes")', shares: 10, proceeds: 4, ref: 's3' }
+  ];
+
+  const csv = gainsToCsv(computeRealizedGains(events, { method: 'fifo', year: 2026 }));
+  const row = csv.split('\r\n')[1];
+  if (!row.includes(`,'@M3,"'=HYPERLINK(""http://evil.test"",""Yes"")",`) || !row.includes(',-2.000000,')) {
+    logError(`Formula cells should start with ' and numbers stay numeric, got:\n${row}`);
+    return false;
+  }
+
+  logSuccess('Cells a spreadsheet would run as formulas are written as text');
+  return true;
+}
+
+function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Realized Gains Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const tests = [
+    ['FIFO Lots', testFifo()],
+    ['Average Cost Lots', testAverageCost()],
+    ['Year Filter And Unknown Lots', testYearFilterAndFallback()],
+    ['Formulas In CSV Cells', testCsvFormulas()]
+  ];
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+/**
+ * Polygram HD Wallet Test Script
+ *
+ * Checks master-seed derivation of custodial Polygon and Solana keys against published test vectors,
+ * that one user's exported key can't reach another's, and the address comparison the recovery
+ * check runs (no Supabase or network access required).
+ *
+ * Usage:
+ *   node test-hd-wallets.js
+ */
+
+const crypto = require('crypto');
+const {
+  polygonPath,
+  hdRootFromMnemonic,
+  deriveEd25519Key,
+  derivePolygonWallet,
+  deriveSolanaKeypair,
+  compareHdWallet
+} = require('./api/lib/hd-wallet');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+// Well-known development mnemonic (Hardhat / Anvil default accounts)
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const root = hdRootFromMnemonic(MNEMONIC);
+
+function testTestVectors() {
+  log('\n=== Test: Derivation Test Vectors ===', 'cyan');
+
+  // SLIP-0010 ed25519 test vector 1
+  const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+  const slip10 = [
+    ["m/0'", '68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3'],
+    ["m/0'/1'", 'b1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2']
+  ];
+  for (const [path, expected] of slip10) {
+    const key = deriveEd25519Key(seed, path).toString('hex');
+    if (key !== expected) {
+      logError(`SLIP-0010 ${path}: expected ${expected}, got ${key}`);
+      return false;
+    }
+  }
+
+  // First Hardhat account (m/44'/60'/0'/0/0)
+  const polygon = derivePolygonWallet(root, 0).address;
+  if (polygon !== '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266') {
+    logError(`Unexpected Polygon address at index 0: ${polygon}`);
+    return false;
+  }
+
+  // Later users get their own account, not the next address of account 0 (Hardhat's second account)
+  const second = derivePolygonWallet(root, 1).address;
+  if (polygonPath(1) !== "m/44'/60'/1'/0/0" || second === '0x70997970C51812dc3A010C7d01b50e0d17dc79C8' ||
+      second !== root.polygon.derivePath("m/44'/60'/1'/0/0").address) {
+    logError(`Index 1 should derive at m/44'/60'/1'/0/0, got ${polygonPath(1)} (${second})`);
+    return false;
+  }
+
+  logSuccess('Polygon (BIP-44) and Solana (SLIP-0010) derivation match published vectors');
+  return true;
+}
+
+function testDeterminism() {
+  log('\n=== Test: Deterministic Per-User Keys ===', 'cyan');
+
+  // Extra whitespace in the stored seed must not change the keys
+  const again = hdRootFromMnemonic(`  ${MNEMONIC.split(' ').join('  ')}\n`);
+  const addresses = new Set();
+  for (const index of [0, 1, 2, 1000]) {
+    const polygon = derivePolygonWallet(root, index).address;
+    const solana = deriveSolanaKeypair(root, index).publicKey.toBase58();
+    if (polygon !== derivePolygonWallet(again, index).address || solana !== deriveSolanaKeypair(again, index).publicKey.toBase58()) {
+      logError(`Index ${index} did not derive the same keys twice`);
+      return false;
+    }
+    addresses.add(polygon).add(solana);
+  }
+  if (addresses.size !== 8) {
+    logError('Different indexes should give different addresses');
+    return false;
+  }
+
+  for (const bad of [-1, 1.5, 2 ** 31]) {
+    try {
+      derivePolygonWallet(root, bad);
+      logError(`Index ${bad} should be rejected`);
+      return false;
+    } catch (err) {
+      if (err.code !== 'hd_index_invalid') {
+        logError(`Expected hd_index_invalid for ${bad}, got ${err.code}`);
+        return false;
+      }
+    }
+  }
+
+  try {
+    hdRootFromMnemonic('test test test test test test test test test test test test');
+    logError('A mnemonic with a bad checksum should be rejected');
+    return false;
+  } catch (err) {
+    if (err.code !== 'hd_seed_invalid') {
+      logError(`Expected hd_seed_invalid, got ${err.code}`);
+      return false;
+    }
+  }
+
+  logSuccess('Each index always derives the same distinct pair of keys');
+  return true;
+}
+
+// secp256k1 group order
+const CURVE_ORDER = BigInt('0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141');
+
+/**
+ * BIP-32: a non-hardened child's private key and its parent's extended public key give away the
+ * parent's private key (and with it every sibling)
+ */
+function recoverParentKey(parentNode, childIndex, childPrivateKey) {
+  const index = Buffer.alloc(4);
+  index.writeUInt32BE(childIndex);
+  const digest = crypto.createHmac('sha512', Buffer.from(parentNode.chainCode.slice(2), 'hex'))
+    .update(Buffer.concat([Buffer.from(parentNode.publicKey.slice(2), 'hex'), index]))
+    .digest();
+  const tweak = BigInt('0x' + digest.subarray(0, 32).toString('hex'));
+  const parentKey = ((BigInt(childPrivateKey) - tweak) % CURVE_ORDER + CURVE_ORDER) % CURVE_ORDER;
+  return '0x' + parentKey.toString(16).padStart(64, '0');
+}
+
+function testExportIsolation() {
+  log('\n=== Test: Exported Keys Stay Isolated ===', 'cyan');
+
+  // With every user under one non-hardened parent (m/44'/60'/0'/0/<index>), user 1's exported key
+  // and that parent's xpub would recover user 2's key
+  const sharedParent = root.polygon.derivePath("m/44'/60'/0'/0");
+  const leaked = recoverParentKey(sharedParent.neuter(), 1, sharedParent.derivePath('1').privateKey);
+  if (leaked !== sharedParent.privateKey) {
+    logError('Parent key recovery should work on a shared non-hardened parent');
+    return false;
+  }
+
+  // Each user's parent is under their own hardened account, so the same attack only reaches that user
+  const exported = derivePolygonWallet(root, 1).privateKey;
+  const ownParent = root.polygon.derivePath("m/44'/60'/1'/0");
+  const recovered = recoverParentKey(ownParent.neuter(), 0, exported);
+  const others = [0, 2, 3].map(index => derivePolygonWallet(root, index).privateKey);
+  if (recovered !== ownParent.privateKey || others.includes(recovered) ||
+      others.some(key => [0, 1, 2].some(child => ownParent.derivePath(String(child)).privateKey === key))) {
+    logError('An exported key should only lead back to its own account');
+    return false;
+  }
+
+  logSuccess("An exported key can't be combined with a parent xpub to reach other users' keys");
+  return true;
+}
+
+function testRecoveryComparison() {
+  log('\n=== Test: Recovery Comparison ===', 'cyan');
+
+  const row = {
+    user_id: '1001',
+    hd_index: 7,
+    polygon_address: derivePolygonWallet(root, 7).address.toLowerCase(),
+    solana_address: deriveSolanaKeypair(root, 7).publicKey.toBase58()
+  };
+
+  if (compareHdWallet(root, row).length !== 0) {
+    logError('Matching wallet reported a mismatch');
+    return false;
+  }
+
+  const mismatches = compareHdWallet(root, { ...row, solana_address: deriveSolanaKeypair(root, 8).publicKey.toBase58() });
+  if (mismatches.length !== 1 || mismatches[0].network !== 'solana' || mismatches[0].expected !== row.solana_address) {
+    logError(`Expected one Solana mismatch, got ${JSON.stringify(mismatches)}`);
+    return false;
+  }
+
+  const otherSeed = hdRootFromMnemonic('abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about');
+  if (compareHdWallet(otherSeed, row).length !== 2) {
+    logError('A different seed should mismatch on both networks');
+    return false;
+  }
+
+  logSuccess('Stored addresses are checked against the seed');
+  return true;
+}
+
+function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram HD Wallet Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const tests = [
+    ['Derivation Test Vectors', testTestVectors()],
+    ['Deterministic Per-User Keys', testDeterminism()],
+    ['Exported Keys Stay Isolated', testExportIsolation()],
+    ['Recovery Comparison', testRecoveryComparison()]
+  ];
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+/**
+ * Polygram Key Export Test Script
+ *
+ * Starts key exports through /api/wallet/export-key against the Supabase stand-in from
+ * test-withdrawals.js, signing TON proofs with wallets from test-ton-proof.js, and checks that an
+ * export only starts with a fresh key_export proof from the wallet the session logged in with
+ * (no Supabase project or network access required).
+ *
+ * Usage:
+ *   node test-key-export.js
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { startStandIn } = require('./test-withdrawals');
+const { APP_DOMAIN, createWallet, signProof } = require('./test-ton-proof');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+let nextUserId = 6001;
+
+/**
+ * A user logged in with `wallet` (a signed login unless signatureVerified is false) and a custodial wallet
+ */
+function seedUser(standIn, { signatureVerified = true } = {}) {
+  const userId = String(nextUserId++);
+  const wallet = createWallet();
+  const sessionToken = jwt.sign(
+    { user_id: userId, ton_address: wallet.address, signature_verified: signatureVerified },
+    process.env.JWT_SECRET,
+    { issuer: 'polygram', audience: 'polygram_app', expiresIn: '1h' }
+  );
+
+  standIn.tables.sessions.push({
+    id: crypto.randomUUID(),
+    user_id: userId,
+    session_token: sessionToken,
+    ton_address: wallet.address,
+    signature_verified: signatureVerified,
+    is_revoked: false,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  });
+  standIn.tables.custody_wallets.push({
+    user_id: userId,
+    ton_address: wallet.address,
+    polygon_address: '0x' + crypto.randomBytes(20).toString('hex'),
+    solana_address: null
+  });
+
+  return { userId, wallet, sessionToken };
+}
+
+/**
+ * A key_export payload from /api/auth/generate-payload
+ */
+async function getPayload(userId, purpose = 'key_export') {
+  const handler = require('./api/auth/generate-payload');
+  const res = await call(handler, { method: 'GET', query: { telegram_user_id: userId, ...(purpose ? { purpose } : {}) } });
+  return res.body.payload;
+}
+
+async function call(handler, { method = 'POST', headers = {}, query = {}, body = undefined }) {
+  const res = {
+    statusCode: null,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+    end() { return this; }
+  };
+  await handler({ method, headers: { origin: APP_DOMAIN, ...headers }, query, body }, res);
+  return res;
+}
+
+// Exports are limited to 3 an hour; the attempts here each get a fresh window
+function startExport(standIn, user, tonProof) {
+  standIn.tables.rate_limits.splice(0);
+  const handler = require('./api/wallet/export-key');
+  return call(handler, {
+    headers: { authorization: `Bearer ${user.sessionToken}` },
+    body: { network: 'polygon', ton_proof: tonProof }
+  });
+}
+
+function expectRefused(name, res, status, error, standIn, user) {
+  const stored = standIn.tables.key_export_requests.filter(r => r.user_id === user.userId && r.status === 'pending');
+  if (res.statusCode !== status || res.body?.error !== error || stored.length > 0) {
+    logError(`${name}: expected ${status} ${error} and no pending export, got ${res.statusCode} ${JSON.stringify(res.body)}`);
+    return false;
+  }
+  return true;
+}
+
+async function testBoundProof(standIn) {
+  log('\n=== Test: Proof From The Session Wallet ===', 'cyan');
+
+  const user = seedUser(standIn);
+  const proof = signProof(user.wallet, await getPayload(user.userId));
+  const res = await startExport(standIn, user, proof);
+
+  const stored = standIn.tables.key_export_requests.find(r => r.user_id === user.userId);
+  if (res.statusCode !== 200 || !stored || stored.status !== 'pending' ||
+      stored.proof_nonce !== proof.payload.nonce || stored.ton_address !== user.wallet.address) {
+    logError(`Expected a pending export bound to the proof, got ${res.statusCode} ${JSON.stringify(res.body)}`);
+    return false;
+  }
+
+  logSuccess('A key_export proof from the session\'s TON wallet starts an export recording its nonce');
+  return true;
+}
+
+async function testWrongBinding(standIn) {
+  log('\n=== Test: Proofs Bound To Something Else ===', 'cyan');
+
+  const user = seedUser(standIn);
+  const other = seedUser(standIn);
+  const results = [];
+
+  // Another wallet, even one that really signed a key_export payload for this user
+  results.push(expectRefused('Another wallet',
+    await startExport(standIn, user, signProof(other.wallet, await getPayload(user.userId))), 401, 'address_mismatch', standIn, user));
+
+  // The session's wallet, but a payload for another user, a login or a withdrawal address
+  results.push(expectRefused('Another user\'s payload',
+    await startExport(standIn, user, signProof(user.wallet, await getPayload(other.userId))), 401, 'user_id_mismatch', standIn, user));
+  results.push(expectRefused('Login payload',
+    await startExport(standIn, user, signProof(user.wallet, await getPayload(user.userId, null))), 401, 'purpose_mismatch', standIn, user));
+  results.push(expectRefused('Withdrawal address payload',
+    await startExport(standIn, user, signProof(user.wallet, await getPayload(user.userId, 'withdrawal_address'))), 401, 'purpose_mismatch', standIn, user));
+
+  if (results.includes(false)) return false;
+
+  logSuccess('Proofs from another wallet, or for another user or purpose, start nothing');
+  return true;
+}
+
+async function testForgedProof(standIn) {
+  log('\n=== Test: Forged Proofs ===', 'cyan');
+
+  const user = seedUser(standIn);
+  const payload = await getPayload(user.userId);
+  const results = [];
+
+  // A payload the client made up, signed by the right wallet
+  results.push(expectRefused('Made-up payload',
+    await startExport(standIn, user, signProof(user.wallet, { ...payload, nonce: crypto.randomBytes(32).toString('base64') })), 401, 'invalid_payload', standIn, user));
+
+  // The right payload and key, but no proof the key owns the wallet
+  results.push(expectRefused('Missing state init',
+    await startExport(standIn, user, { ...signProof(user.wallet, payload), state_init: undefined }), 401, 'missing_state_init', standIn, user));
+
+  // Signed over a different payload than the one sent
+  const signed = signProof(user.wallet, payload);
+  results.push(expectRefused('Signature over another payload',
+    await startExport(standIn, user, { ...signed, payload: await getPayload(user.userId) }), 401, 'invalid_signature', standIn, user));
+
+  if (results.includes(false)) return false;
+
+  logSuccess('Made-up payloads and proofs that don\'t show wallet ownership are refused');
+  return true;
+}
+
+async function testSingleUse(standIn) {
+  log('\n=== Test: Proofs Are Single-Use ===', 'cyan');
+
+  const user = seedUser(standIn);
+  const proof = signProof(user.wallet, await getPayload(user.userId));
+  const first = await startExport(standIn, user, proof);
+  if (first.statusCode !== 200) {
+    logError(`The first export should start, got ${first.statusCode} ${JSON.stringify(first.body)}`);
+    return false;
+  }
+
+  // Cancel it so only the reused nonce stands in the way
+  const handler = require('./api/wallet/export-key');
+  await call(handler, {
+    method: 'DELETE',
+    headers: { authorization: `Bearer ${user.sessionToken}` },
+    body: { request_id: first.body.export_request.id }
+  });
+
+  const replay = await startExport(standIn, user, proof);
+  if (!expectRefused('Replayed proof', replay, 409, 'proof_already_used', standIn, user)) {
+    return false;
+  }
+
+  logSuccess('A proof starts one export only');
+  return true;
+}
+
+async function testUnverifiedSession(standIn) {
+  log('\n=== Test: Unverified Login ===', 'cyan');
+
+  const user = seedUser(standIn, { signatureVerified: false });
+  const res = await startExport(standIn, user, signProof(user.wallet, await getPayload(user.userId)));
+  if (!expectRefused('MVP session', res, 403, 'verified_session_required', standIn, user)) {
+    return false;
+  }
+
+  logSuccess('Sessions opened without a signed login can\'t export keys');
+  return true;
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Key Export Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const standIn = await startStandIn({
+    tables: ['sessions', 'custody_wallets', 'rate_limits', 'key_export_requests'],
+    unique: {
+      key_export_requests: [
+        { name: 'key_export_requests_proof_nonce_idx', columns: ['proof_nonce'] },
+        { name: 'key_export_requests_pending_idx', columns: ['user_id', 'network'], where: row => row.status === 'pending' }
+      ]
+    }
+  });
+  process.env.SUPABASE_URL = standIn.url;
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+  process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+  process.env.APP_DOMAIN = APP_DOMAIN;
+
+  // Refused exports log security events on purpose; keep the output to the results
+  const { warn, error } = console;
+  console.warn = () => {};
+  console.error = () => {};
+
+  const tests = [];
+  try {
+    tests.push(['Proof From The Session Wallet', await testBoundProof(standIn)]);
+    tests.push(['Proofs Bound To Something Else', await testWrongBinding(standIn)]);
+    tests.push(['Forged Proofs', await testForgedProof(standIn)]);
+    tests.push(['Proofs Are Single-Use', await testSingleUse(standIn)]);
+    tests.push(['Unverified Login', await testUnverifiedSession(standIn)]);
+  } finally {
+    console.warn = warn;
+    console.error = error;
+    await standIn.close();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch((error) => {
+    logError(`\nFatal error: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  });
+}
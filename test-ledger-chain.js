@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * Polygram Ledger Hash Chain Test Script
+ *
+ * Tampers with ledger entries and their status history in the Supabase stand-in from
+ * test-withdrawals.js and checks that verifyLedgerChain finds each edit. Rows are chained the way
+ * the triggers in supabase-ledger-hash-chain.sql chain them (no Supabase project or network access required).
+ *
+ * Usage:
+ *   node test-ledger-chain.js
+ */
+
+const crypto = require('crypto');
+const { startStandIn } = require('./test-withdrawals');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+const last = (rows, column) => rows.reduce((top, row) => (!top || row[column] > top[column] ? row : top), null);
+
+/**
+ * ledger_entries_track_changes / record_ledger_entry_change
+ */
+function recordChange(ledger, standIn, entry, oldStatus) {
+  const prev = last(standIn.tables.ledger_entry_changes.filter(c => c.user_id === entry.user_id), 'change_index');
+  const change = {
+    id: crypto.randomUUID(),
+    entry_id: entry.id,
+    user_id: entry.user_id,
+    change_index: (prev?.change_index || 0) + 1,
+    old_status: oldStatus,
+    status: entry.status,
+    trade_id: entry.trade_id,
+    locked_amount: entry.locked_amount,
+    source_tx_hash: entry.source_tx_hash,
+    destination_tx_hash: entry.destination_tx_hash,
+    bridge_tx_hash: entry.bridge_tx_hash,
+    changed_at: new Date().toISOString(),
+    prev_hash: prev?.change_hash || ''
+  };
+  change.change_hash = ledger.hashLedgerChange(change);
+  standIn.tables.ledger_entry_changes.push(change);
+  return change;
+}
+
+/**
+ * ledger_entries_chain (BEFORE INSERT) followed by ledger_entries_track_changes (AFTER INSERT)
+ */
+function insertEntry(ledger, standIn, fields) {
+  const prev = last(standIn.tables.ledger_entries.filter(e => e.user_id === fields.user_id && e.chain_index !== null), 'chain_index');
+  const entry = {
+    id: crypto.randomUUID(),
+    entry_type: 'deposit',
+    direction: 'credit',
+    currency: 'USDC',
+    status: 'completed',
+    deposit_id: null,
+    withdrawal_id: null,
+    trade_id: null,
+    locked_amount: 0,
+    source_tx_hash: null,
+    destination_tx_hash: null,
+    bridge_tx_hash: null,
+    metadata: {},
+    created_at: new Date().toISOString(),
+    ...fields,
+    chain_index: (prev?.chain_index || 0) + 1,
+    prev_hash: prev?.entry_hash || ''
+  };
+  entry.entry_hash = ledger.hashLedgerEntry(entry);
+  standIn.tables.ledger_entries.push(entry);
+  recordChange(ledger, standIn, entry, null);
+  return entry;
+}
+
+// An UPDATE through the API (the change trigger fires)
+function updateEntry(ledger, standIn, entry, fields) {
+  const oldStatus = entry.status;
+  Object.assign(entry, fields);
+  recordChange(ledger, standIn, entry, oldStatus);
+}
+
+/**
+ * A user who deposited $100 and withdrew $40 (reserved, then sent)
+ */
+function seedLedger(ledger, standIn, userId) {
+  const deposit = insertEntry(ledger, standIn, {
+    user_id: userId, amount: 100, balance_before: 0, balance_after: 100, source_tx_hash: 'ton_tx_1'
+  });
+  const withdrawal = insertEntry(ledger, standIn, {
+    user_id: userId, entry_type: 'withdrawal', direction: 'debit', amount: 40, status: 'pending',
+    locked_amount: 40, balance_before: 100, balance_after: 60, withdrawal_id: crypto.randomUUID()
+  });
+  updateEntry(ledger, standIn, withdrawal, { locked_amount: 0, source_tx_hash: '0xpolygon' });
+  updateEntry(ledger, standIn, withdrawal, { status: 'completed', destination_tx_hash: 'ton_payout_1' });
+  return { deposit, withdrawal };
+}
+
+function resetStandIn(standIn) {
+  Object.values(standIn.tables).forEach(rows => rows.splice(0));
+}
+
+function expectBroken(result, reason, description) {
+  if (result.valid || result.broken_link?.reason !== reason) {
+    logError(`${description}: expected ${reason}, got ${JSON.stringify(result)}`);
+    return false;
+  }
+  return true;
+}
+
+async function testIntactChain(ledger, supabase, standIn) {
+  log('\n=== Test: Intact Chain ===', 'cyan');
+  resetStandIn(standIn);
+
+  seedLedger(ledger, standIn, '4001');
+  seedLedger(ledger, standIn, '4002'); // Another user's chain doesn't interfere
+
+  const result = await ledger.verifyLedgerChain(supabase, '4001');
+  const head = last(standIn.tables.ledger_entry_changes.filter(c => c.user_id === '4001'), 'change_index');
+  if (!result.valid || result.entries_checked !== 2 || result.changes_checked !== 4 || result.change_head_hash !== head.change_hash) {
+    logError(`Expected a valid chain of 2 entries and 4 changes, got ${JSON.stringify(result)}`);
+    return false;
+  }
+
+  logSuccess('Entries and their status changes verify end to end');
+  return true;
+}
+
+async function testEditedEntry(ledger, supabase, standIn) {
+  log('\n=== Test: Edited Or Deleted Entries ===', 'cyan');
+  resetStandIn(standIn);
+
+  const { deposit } = seedLedger(ledger, standIn, '4101');
+  deposit.amount = 1000;
+  const edited = await ledger.verifyLedgerChain(supabase, '4101');
+  if (!expectBroken(edited, 'hash_mismatch', 'Edited amount') || edited.broken_link.chain_index !== 1) {
+    return false;
+  }
+
+  // Recomputing the edited row's hash moves the break to the next link
+  deposit.entry_hash = ledger.hashLedgerEntry(deposit);
+  if (!expectBroken(await ledger.verifyLedgerChain(supabase, '4101'), 'prev_hash_mismatch', 'Rehashed entry')) {
+    return false;
+  }
+
+  resetStandIn(standIn);
+  seedLedger(ledger, standIn, '4102');
+  standIn.tables.ledger_entries.splice(standIn.tables.ledger_entries.findIndex(e => e.chain_index === 1), 1);
+  if (!expectBroken(await ledger.verifyLedgerChain(supabase, '4102'), 'missing_entry', 'Deleted entry')) {
+    return false;
+  }
+
+  logSuccess('Edited, rehashed and deleted entries break the chain');
+  return true;
+}
+
+async function testEditedStatus(ledger, supabase, standIn) {
+  log('\n=== Test: Edited Status ===', 'cyan');
+  resetStandIn(standIn);
+
+  // A failed withdrawal quietly marked completed (with the change trigger disabled)
+  const { withdrawal } = seedLedger(ledger, standIn, '4201');
+  updateEntry(ledger, standIn, withdrawal, { status: 'failed' });
+  withdrawal.status = 'completed';
+
+  const result = await ledger.verifyLedgerChain(supabase, '4201');
+  if (!expectBroken(result, 'status_mismatch', 'Status edited outside the history') || result.broken_link.entry_id !== withdrawal.id) {
+    return false;
+  }
+
+  // Same for the other tracked fields
+  withdrawal.status = 'failed';
+  withdrawal.destination_tx_hash = 'ton_payout_forged';
+  if (!expectBroken(await ledger.verifyLedgerChain(supabase, '4201'), 'status_mismatch', 'Tx hash edited outside the history')) {
+    return false;
+  }
+
+  logSuccess('Status and tx hashes edited without a matching change are caught');
+  return true;
+}
+
+async function testEditedHistory(ledger, supabase, standIn) {
+  log('\n=== Test: Edited History ===', 'cyan');
+  resetStandIn(standIn);
+
+  const { withdrawal } = seedLedger(ledger, standIn, '4301');
+  const changes = standIn.tables.ledger_entry_changes.filter(c => c.entry_id === withdrawal.id);
+  const final = last(changes, 'change_index');
+
+  // Rewriting the history to agree with an edited entry
+  withdrawal.status = 'failed';
+  final.status = 'failed';
+  const edited = await ledger.verifyLedgerChain(supabase, '4301');
+  if (!expectBroken(edited, 'change_hash_mismatch', 'Edited change') || edited.broken_link.change_index !== final.change_index) {
+    return false;
+  }
+
+  resetStandIn(standIn);
+  seedLedger(ledger, standIn, '4302');
+  const middle = standIn.tables.ledger_entry_changes.find(c => c.change_index === 2);
+  standIn.tables.ledger_entry_changes.splice(standIn.tables.ledger_entry_changes.indexOf(middle), 1);
+  if (!expectBroken(await ledger.verifyLedgerChain(supabase, '4302'), 'missing_change', 'Deleted change')) {
+    return false;
+  }
+
+  logSuccess('Edited and deleted status history breaks the change chain');
+  return true;
+}
+
+async function testWritesAroundTriggers(ledger, supabase, standIn) {
+  log('\n=== Test: Writes Around The Triggers ===', 'cyan');
+  resetStandIn(standIn);
+
+  seedLedger(ledger, standIn, '4401');
+  standIn.tables.ledger_entries.push({
+    id: crypto.randomUUID(), user_id: '4401', entry_type: 'deposit', direction: 'credit', amount: 500,
+    currency: 'USDC', status: 'completed', chain_index: null, prev_hash: null, entry_hash: null,
+    created_at: new Date().toISOString()
+  });
+  const unchained = await ledger.verifyLedgerChain(supabase, '4401');
+  if (!expectBroken(unchained, 'unchained_entries', 'Unchained entry') || unchained.unchained_entries !== 1) {
+    return false;
+  }
+
+  // Chained like the trigger would, but with no history behind it
+  resetStandIn(standIn);
+  seedLedger(ledger, standIn, '4402');
+  const entry = insertEntry(ledger, standIn, { user_id: '4402', amount: 500, balance_before: 60, balance_after: 560 });
+  standIn.tables.ledger_entry_changes.pop();
+  const result = await ledger.verifyLedgerChain(supabase, '4402');
+  if (!expectBroken(result, 'missing_history', 'Entry without history') || result.broken_link.entry_id !== entry.id) {
+    return false;
+  }
+
+  logSuccess('Entries written without the chain or history triggers are reported');
+  return true;
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Ledger Hash Chain Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const standIn = await startStandIn({ tables: ['ledger_entry_changes'] });
+  process.env.SUPABASE_URL = standIn.url;
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+
+  const { createClient } = require('@supabase/supabase-js');
+  const ledger = require('./api/lib/ledger');
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  const tests = [];
+  try {
+    tests.push(['Intact Chain', await testIntactChain(ledger, supabase, standIn)]);
+    tests.push(['Edited Or Deleted Entries', await testEditedEntry(ledger, supabase, standIn)]);
+    tests.push(['Edited Status', await testEditedStatus(ledger, supabase, standIn)]);
+    tests.push(['Edited History', await testEditedHistory(ledger, supabase, standIn)]);
+    tests.push(['Writes Around The Triggers', await testWritesAroundTriggers(ledger, supabase, standIn)]);
+  } finally {
+    await standIn.close();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch((error) => {
+    logError(`\nFatal error: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * Polygram Settlement Test Script
+ *
+ * Settles positions in a resolved market against the Supabase stand-in from test-withdrawals.js,
+ * with settle_position implemented the way supabase-atomic-settlement.sql does it
+ * (no Supabase project or network access required).
+ *
+ * Usage:
+ *   node test-settlement.js
+ */
+
+const crypto = require('crypto');
+const { startStandIn } = require('./test-withdrawals');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+const MARKET_ID = '501';
+const YES_TOKEN = '1001';
+const NO_TOKEN = '1002';
+
+function raise(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * settle_position from supabase-atomic-settlement.sql
+ * Every check runs before anything is written, which is what the SQL transaction's rollback gives
+ */
+function settlePositionRpc({ p_position_id, p_expected_shares, p_winning_outcome_index }, tables) {
+  const position = tables.positions.find(p => p.id === p_position_id);
+  if (!position) {
+    throw raise('P0002', `position_not_found: ${p_position_id}`);
+  }
+  if (Number(position.shares) !== Number(p_expected_shares) || Number(position.shares) <= 0) {
+    throw raise('P0001', `position_conflict: expected ${p_expected_shares} shares, found ${position.shares}`);
+  }
+  if (tables.payouts.some(p => p.user_id === position.user_id && p.token_id === position.clob_token_id)) {
+    throw raise('23505', 'duplicate key value violates unique constraint "payouts_user_token_idx"');
+  }
+
+  const shares = Number(position.shares);
+  const won = position.outcome_index === p_winning_outcome_index;
+  const amount = won ? shares : 0;
+  const realizedPnl = amount - shares * (Number(position.avg_price) || 0);
+
+  Object.assign(position, { shares: 0, current_value: 0, realized_pnl: (Number(position.realized_pnl) || 0) + realizedPnl });
+
+  const payout = {
+    id: crypto.randomUUID(),
+    user_id: position.user_id,
+    position_id: position.id,
+    market_id: position.market_id,
+    outcome_index: position.outcome_index,
+    token_id: position.clob_token_id,
+    winning_outcome_index: p_winning_outcome_index,
+    shares,
+    avg_price: Number(position.avg_price) || 0,
+    amount,
+    realized_pnl: realizedPnl,
+    status: won ? 'claimed' : 'lost',
+    ledger_entry_id: null,
+    created_at: new Date().toISOString(),
+    claimed_at: won ? new Date().toISOString() : null
+  };
+  tables.payouts.push(payout);
+
+  if (won) {
+    let balance = tables.user_balances.find(b => b.user_id === position.user_id);
+    if (!balance) {
+      balance = { user_id: position.user_id, usdc_available: 0, usdc_locked: 0 };
+      tables.user_balances.push(balance);
+    }
+    const entry = {
+      id: crypto.randomUUID(),
+      user_id: position.user_id,
+      entry_type: 'payout',
+      amount,
+      direction: 'credit',
+      status: 'completed',
+      trade_id: payout.id,
+      balance_before: balance.usdc_available,
+      balance_after: balance.usdc_available + amount
+    };
+    balance.usdc_available += amount;
+    tables.ledger_entries.push(entry);
+    payout.ledger_entry_id = entry.id;
+  }
+
+  return { ...payout };
+}
+
+function seedPosition(standIn, { userId, tokenId, outcomeIndex, shares, avgPrice }) {
+  const position = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    market_id: MARKET_ID,
+    clob_token_id: tokenId,
+    outcome_index: outcomeIndex,
+    shares,
+    avg_price: avgPrice,
+    realized_pnl: 0,
+    created_at: new Date().toISOString()
+  };
+  standIn.tables.positions.push(position);
+  return position;
+}
+
+function resetStandIn(standIn) {
+  Object.values(standIn.tables).forEach(rows => rows.splice(0));
+  // Already resolved on an earlier run, so settlement doesn't ask the Gamma API
+  standIn.tables.markets.push({ id: MARKET_ID, condition_id: '0x' + 'ab'.repeat(32), closed: true, resolved: true, winning_outcome_index: 0 });
+}
+
+const balanceOf = (standIn, userId) => (standIn.tables.user_balances.find(b => b.user_id === userId) || {}).usdc_available || 0;
+
+async function testSettleWinnersAndLosers(settlement, supabase, standIn) {
+  log('\n=== Test: Winners Paid, Losers Zeroed ===', 'cyan');
+  resetStandIn(standIn);
+
+  const winner = seedPosition(standIn, { userId: '2001', tokenId: YES_TOKEN, outcomeIndex: 0, shares: 10, avgPrice: 0.4 });
+  const loser = seedPosition(standIn, { userId: '2002', tokenId: NO_TOKEN, outcomeIndex: 1, shares: 5, avgPrice: 0.6 });
+
+  const summary = await settlement.settleResolvedMarkets(supabase);
+  if (summary.positions_settled !== 2 || summary.payouts_credited !== 1 || summary.total_paid !== 10 || summary.errors.length > 0) {
+    logError(`Unexpected summary ${JSON.stringify(summary)}`);
+    return false;
+  }
+
+  const won = standIn.tables.payouts.find(p => p.position_id === winner.id);
+  const entry = standIn.tables.ledger_entries.find(e => e.id === won?.ledger_entry_id);
+  if (!won || won.status !== 'claimed' || won.amount !== 10 || Math.abs(won.realized_pnl - 6) > 1e-9 || !entry || entry.trade_id !== won.id) {
+    logError(`Winning payout should be claimed with its ledger entry, got ${JSON.stringify(won)}`);
+    return false;
+  }
+  if (balanceOf(standIn, '2001') !== 10 || winner.shares !== 0) {
+    logError(`Winner should be credited $10 and hold no shares, got ${balanceOf(standIn, '2001')} / ${winner.shares}`);
+    return false;
+  }
+
+  const lost = standIn.tables.payouts.find(p => p.position_id === loser.id);
+  if (!lost || lost.status !== 'lost' || lost.amount !== 0 || lost.ledger_entry_id || balanceOf(standIn, '2002') !== 0 || loser.shares !== 0) {
+    logError(`Losing position should be zeroed without a credit, got ${JSON.stringify(lost)}`);
+    return false;
+  }
+
+  logSuccess('Winning shares pay $1 each through a payout ledger entry; losing shares are zeroed');
+  return true;
+}
+
+async function testSettledOnce(settlement, supabase, standIn) {
+  log('\n=== Test: Settled Once ===', 'cyan');
+  resetStandIn(standIn);
+
+  const position = seedPosition(standIn, { userId: '2003', tokenId: YES_TOKEN, outcomeIndex: 0, shares: 8, avgPrice: 0.5 });
+  await settlement.settleResolvedMarkets(supabase);
+
+  // Nothing left to settle
+  const again = await settlement.settleResolvedMarkets(supabase);
+  if (again.positions_settled !== 0 || again.payouts_credited !== 0) {
+    logError(`A second run should settle nothing, got ${JSON.stringify(again)}`);
+    return false;
+  }
+
+  // Shares turning up in the same token again (e.g. a stale write) are refused by the unique key
+  position.shares = 8;
+  const third = await settlement.settleResolvedMarkets(supabase);
+  const payouts = standIn.tables.payouts.filter(p => p.user_id === '2003');
+  if (third.errors.length !== 1 || payouts.length !== 1 || balanceOf(standIn, '2003') !== 8) {
+    logError(`A token should only ever pay out once, got ${payouts.length} payouts and $${balanceOf(standIn, '2003')}`);
+    return false;
+  }
+
+  try {
+    await settlement.settlePosition(supabase, position, 0);
+    logError('Settling the same token twice should throw');
+    return false;
+  } catch (err) {
+    if (err.code !== 'already_settled') {
+      logError(`Expected already_settled, got ${err.code}`);
+      return false;
+    }
+  }
+
+  logSuccess('Each position pays out once, however often settlement runs');
+  return true;
+}
+
+async function testPositionConflict(settlement, supabase, standIn) {
+  log('\n=== Test: Position Moved Mid-Settlement ===', 'cyan');
+  resetStandIn(standIn);
+
+  const position = seedPosition(standIn, { userId: '2004', tokenId: YES_TOKEN, outcomeIndex: 0, shares: 4, avgPrice: 0.25 });
+  const stale = { ...position };
+  position.shares = 6; // A fill landed after settlement read the row
+
+  try {
+    await settlement.settlePosition(supabase, stale, 0);
+    logError('Settling a stale position should throw');
+    return false;
+  } catch (err) {
+    if (err.code !== 'position_conflict') {
+      logError(`Expected position_conflict, got ${err.code}`);
+      return false;
+    }
+  }
+
+  if (standIn.tables.payouts.length !== 0 || position.shares !== 6 || balanceOf(standIn, '2004') !== 0) {
+    logError('Nothing should change when the position moved');
+    return false;
+  }
+
+  const summary = await settlement.settleResolvedMarkets(supabase);
+  if (summary.payouts_credited !== 1 || balanceOf(standIn, '2004') !== 6) {
+    logError(`The next run should settle the current size, got ${JSON.stringify(summary)}`);
+    return false;
+  }
+
+  logSuccess('A position that moved is left alone and settled at its new size on the next run');
+  return true;
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Settlement Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const standIn = await startStandIn({
+    tables: ['positions', 'payouts', 'markets'],
+    rpc: { settle_position: settlePositionRpc }
+  });
+  process.env.SUPABASE_URL = standIn.url;
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+
+  const { createClient } = require('@supabase/supabase-js');
+  const settlement = require('./api/lib/settlement');
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  // Refused settlements log on purpose; keep the output to the results
+  const { warn, error } = console;
+  console.warn = () => {};
+  console.error = () => {};
+
+  const tests = [];
+  try {
+    tests.push(['Winners And Losers', await testSettleWinnersAndLosers(settlement, supabase, standIn)]);
+    tests.push(['Settled Once', await testSettledOnce(settlement, supabase, standIn)]);
+    tests.push(['Position Conflict', await testPositionConflict(settlement, supabase, standIn)]);
+  } finally {
+    console.warn = warn;
+    console.error = error;
+    await standIn.close();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch((error) => {
+    logError(`\nFatal error: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  });
+}
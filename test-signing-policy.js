@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+/**
+ * Polygram Signing Policy Test Script
+ *
+ * Checks which transactions and typed data /api/wallet/sign will sign for a custodial wallet, and that the daily
+ * limits hold for concurrent requests against the Supabase stand-in from test-withdrawals.js, with
+ * record_signing_decision implemented the way supabase-signing-policy.sql does it
+ * (no Supabase project or network access required).
+ *
+ * Usage:
+ *   node test-signing-policy.js
+ */
+
+const crypto = require('crypto');
+const { Interface } = require('ethers/lib/utils');
+const { constants } = require('ethers');
+const { evaluateTransaction, evaluateTypedData, checkSigningPolicy, DENIAL_REASONS } = require('./api/lib/signing-policy');
+const { CLOB_AUTH_DOMAIN, CLOB_AUTH_EIP712_TYPES, CLOB_AUTH_MESSAGE, ORDER_EIP712_TYPES } = require('./api/lib/clob');
+const { startStandIn } = require('./test-withdrawals');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+const USDC = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174';
+const CTF = '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045';
+const EXCHANGE = '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E';
+const STRANGER = '0x1111111111111111111111111111111111111111';
+const OWNER = '0x2222222222222222222222222222222222222222';
+
+const erc20 = new Interface(['function approve(address,uint256)', 'function transfer(address,uint256)']);
+const ctf = new Interface(['function setApprovalForAll(address,bool)']);
+
+const LIMITS = { maxValueWei: '0', maxApprovalUsdc: 1000, dailyTransactions: 3, dailyApprovalUsdc: 1500 };
+const NO_USAGE = { transactions: 0, approvalUsdc: 0 };
+
+function approve(spender, usdc) {
+  return { to: USDC, data: erc20.encodeFunctionData('approve', [spender, usdc * 1e6]) };
+}
+
+function expectDenied(name, transaction, reason, usage = NO_USAGE) {
+  const decision = evaluateTransaction(transaction, { usage, limits: LIMITS });
+  if (decision.allowed || decision.reason !== reason) {
+    logError(`${name}: expected ${reason}, got ${decision.allowed ? 'allowed' : decision.reason}`);
+    return false;
+  }
+  return true;
+}
+
+function testAllowedCalls() {
+  log('\n=== Test: Allowlisted Calls ===', 'cyan');
+
+  const approval = evaluateTransaction(approve(EXCHANGE, 500), { usage: NO_USAGE, limits: LIMITS });
+  if (!approval.allowed || approval.contract !== 'usdc' || approval.approval_usdc !== 500) {
+    logError(`USDC approval of the exchange should be allowed, got ${approval.reason}`);
+    return false;
+  }
+
+  const operator = evaluateTransaction(
+    { to: CTF.toLowerCase(), data: ctf.encodeFunctionData('setApprovalForAll', [EXCHANGE, true]) },
+    { usage: NO_USAGE, limits: LIMITS }
+  );
+  if (!operator.allowed || operator.function !== 'setApprovalForAll(address,bool)') {
+    logError(`CTF operator approval should be allowed, got ${operator.reason}`);
+    return false;
+  }
+
+  logSuccess('Approvals for the exchange are signed');
+  return true;
+}
+
+function testDeniedCalls() {
+  log('\n=== Test: Denied Calls ===', 'cyan');
+
+  const checks = [
+    expectDenied('Raw message', 'hello', DENIAL_REASONS.NOT_A_TRANSACTION),
+    expectDenied('Deployment', { data: '0x6080' }, DENIAL_REASONS.MISSING_TO),
+    expectDenied('Unknown contract', { to: STRANGER, data: '0x' }, DENIAL_REASONS.CONTRACT_NOT_ALLOWED),
+    expectDenied('USDC transfer', { to: USDC, data: erc20.encodeFunctionData('transfer', [STRANGER, 1]) }, DENIAL_REASONS.FUNCTION_NOT_ALLOWED),
+    expectDenied('Approve a stranger', approve(STRANGER, 1), DENIAL_REASONS.ARGUMENT_NOT_ALLOWED),
+    expectDenied('Unlimited approval', { to: USDC, data: erc20.encodeFunctionData('approve', [EXCHANGE, constants.MaxUint256]) }, DENIAL_REASONS.APPROVAL_TOO_HIGH),
+    expectDenied('Sending POL', { ...approve(EXCHANGE, 1), value: '1' }, DENIAL_REASONS.VALUE_TOO_HIGH),
+    expectDenied('Other chain', { ...approve(EXCHANGE, 1), chainId: 1 }, DENIAL_REASONS.WRONG_CHAIN),
+    expectDenied('Truncated calldata', { to: USDC, data: '0x095ea7b3' }, DENIAL_REASONS.INVALID_CALLDATA)
+  ];
+
+  if (checks.includes(false)) return false;
+
+  logSuccess('Transfers, unknown contracts, strangers and uncapped amounts are rejected');
+  return true;
+}
+
+function testDailyLimits() {
+  log('\n=== Test: Daily Limits ===', 'cyan');
+
+  const checks = [
+    expectDenied('Approval total', approve(EXCHANGE, 600), DENIAL_REASONS.DAILY_APPROVAL_LIMIT, { transactions: 1, approvalUsdc: 1000 }),
+    expectDenied('Transaction count', approve(EXCHANGE, 1), DENIAL_REASONS.DAILY_TRANSACTION_LIMIT, { transactions: 3, approvalUsdc: 0 })
+  ];
+
+  if (checks.includes(false)) return false;
+
+  logSuccess('Daily approval and transaction limits are enforced');
+  return true;
+}
+
+function clobAuth(overrides = {}) {
+  return {
+    domain: CLOB_AUTH_DOMAIN,
+    types: CLOB_AUTH_EIP712_TYPES,
+    primaryType: 'ClobAuth',
+    message: { address: OWNER, timestamp: String(Math.floor(Date.now() / 1000)), nonce: 0, message: CLOB_AUTH_MESSAGE, ...overrides }
+  };
+}
+
+// A BUY of 20 shares at 0.50 unless overridden
+function order(overrides = {}) {
+  return {
+    domain: { name: 'Polymarket CTF Exchange', version: '1', chainId: 137, verifyingContract: EXCHANGE },
+    types: ORDER_EIP712_TYPES,
+    primaryType: 'Order',
+    message: {
+      salt: '1', maker: OWNER, signer: OWNER, taker: constants.AddressZero, tokenId: '1',
+      makerAmount: '10000000', takerAmount: '20000000', expiration: '0', nonce: '0',
+      feeRateBps: '0', side: 0, signatureType: 0, ...overrides
+    }
+  };
+}
+
+function testTypedData() {
+  log('\n=== Test: Typed Data ===', 'cyan');
+
+  const auth = evaluateTypedData(clobAuth(), { address: OWNER, usage: NO_USAGE, limits: LIMITS });
+  if (!auth.allowed || auth.contract !== 'clob_auth') {
+    logError(`ClobAuth for the wallet should be allowed, got ${auth.reason}`);
+    return false;
+  }
+  const buy = evaluateTypedData(order(), { address: OWNER, usage: NO_USAGE, limits: LIMITS });
+  const sell = evaluateTypedData(order({ side: 1, makerAmount: '20000000', takerAmount: '10000000' }), { address: OWNER, usage: NO_USAGE, limits: LIMITS });
+  if (!buy.allowed || buy.to !== EXCHANGE || buy.approval_usdc !== 10 || !sell.allowed || sell.approval_usdc !== 20) {
+    logError(`Exchange orders for the wallet should be allowed and count what they can lose, got ${JSON.stringify([buy, sell])}`);
+    return false;
+  }
+
+  const permit = {
+    domain: { name: 'USD Coin (PoS)', version: '1', chainId: 137, verifyingContract: USDC },
+    types: { Permit: [{ name: 'owner', type: 'address' }] },
+    primaryType: 'Permit',
+    message: { owner: OWNER }
+  };
+  const extraTypes = clobAuth();
+  extraTypes.types = { ...CLOB_AUTH_EIP712_TYPES, Extra: [{ name: 'x', type: 'uint256' }] };
+
+  const denied = [
+    ['Missing message', { domain: CLOB_AUTH_DOMAIN, types: CLOB_AUTH_EIP712_TYPES }, DENIAL_REASONS.INVALID_TYPED_DATA],
+    ['USDC permit', permit, DENIAL_REASONS.DOMAIN_NOT_ALLOWED],
+    ['Foreign exchange', { ...order(), domain: { ...order().domain, verifyingContract: STRANGER } }, DENIAL_REASONS.DOMAIN_NOT_ALLOWED],
+    ['Extra types', extraTypes, DENIAL_REASONS.TYPES_NOT_ALLOWED],
+    ['Other primary type', { ...clobAuth(), primaryType: 'Order' }, DENIAL_REASONS.TYPES_NOT_ALLOWED],
+    ['Order for someone else', order({ maker: STRANGER, signer: STRANGER }), DENIAL_REASONS.SIGNER_MISMATCH],
+    ['Private order', order({ taker: STRANGER }), DENIAL_REASONS.FIELD_NOT_ALLOWED],
+    ['Sell at 0.001', order({ side: 1, makerAmount: '20000000', takerAmount: '20000' }), DENIAL_REASONS.ORDER_PRICE_NOT_ALLOWED],
+    ['Order over the cap', order({ makerAmount: '1200000000', takerAmount: '2000000000' }), DENIAL_REASONS.ORDER_TOO_LARGE],
+    ['Orders over the daily total', order({ makerAmount: '600000000', takerAmount: '1000000000' }), DENIAL_REASONS.DAILY_APPROVAL_LIMIT, { transactions: 1, approvalUsdc: 1000 }],
+    ['ClobAuth for someone else', clobAuth({ address: STRANGER }), DENIAL_REASONS.SIGNER_MISMATCH],
+    ['Altered attestation', clobAuth({ message: 'I agree to anything' }), DENIAL_REASONS.FIELD_NOT_ALLOWED],
+    ['Stockpiled attestation', clobAuth({ timestamp: String(Math.floor(Date.now() / 1000) + 86400) }), DENIAL_REASONS.FIELD_NOT_ALLOWED]
+  ].filter(([name, typedData, reason, usage = NO_USAGE]) => {
+    const decision = evaluateTypedData(typedData, { address: OWNER, usage, limits: LIMITS });
+    if (decision.allowed || decision.reason !== reason) {
+      logError(`${name}: expected ${reason}, got ${decision.allowed ? 'allowed' : decision.reason}`);
+      return true;
+    }
+    return false;
+  });
+
+  if (denied.length > 0) return false;
+
+  logSuccess('Only whitelisted typed data for the wallet itself is signed, within the USDC caps');
+  return true;
+}
+
+/**
+ * record_signing_decision from supabase-signing-policy.sql
+ * The stand-in handles one request at a time, which is what the per-user advisory lock gives
+ */
+function recordSigningDecisionRpc(params, tables) {
+  let allowed = params.p_allowed;
+  let reason = params.p_reason;
+
+  if (allowed) {
+    const now = new Date();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+    const today = tables.signing_policy_decisions.filter(d => d.user_id === params.p_user_id && d.allowed && d.created_at >= dayStart);
+    const approvalUsdc = today.reduce((sum, d) => sum + d.approval_usdc, 0);
+
+    if (params.p_approval_usdc > 0 && approvalUsdc + params.p_approval_usdc > params.p_daily_approval_usdc) {
+      allowed = false;
+      reason = 'daily_approval_limit';
+    } else if (today.length + 1 > params.p_daily_transactions) {
+      allowed = false;
+      reason = 'daily_transaction_limit';
+    }
+  }
+
+  const row = {
+    id: crypto.randomUUID(),
+    user_id: params.p_user_id,
+    network: params.p_network,
+    allowed,
+    reason,
+    approval_usdc: params.p_approval_usdc || 0,
+    created_at: new Date().toISOString()
+  };
+  tables.signing_policy_decisions.push(row);
+  return { id: row.id, allowed, reason };
+}
+
+async function testConcurrentRequests() {
+  log('\n=== Test: Concurrent Requests ===', 'cyan');
+
+  const standIn = await startStandIn({
+    tables: ['signing_policy_decisions'],
+    rpc: { record_signing_decision: recordSigningDecisionRpc }
+  });
+  process.env.SIGNING_DAILY_TX_LIMIT = String(LIMITS.dailyTransactions);
+  process.env.SIGNING_DAILY_APPROVAL_USDC = String(LIMITS.dailyApprovalUsdc);
+
+  const { createClient } = require('@supabase/supabase-js');
+  const supabase = createClient(standIn.url, 'test-service-key');
+
+  // Allowed and denied requests are logged as security events; keep the output to the results
+  const { warn } = console;
+  console.warn = () => {};
+
+  let decisions;
+  try {
+    // Five requests read today's (empty) usage at the same time; the limit is three
+    decisions = await Promise.all([1, 2, 3, 4, 5].map(() => checkSigningPolicy(supabase, '7001', 'polygon', approve(EXCHANGE, 1))));
+  } finally {
+    console.warn = warn;
+    await standIn.close();
+  }
+
+  const allowed = decisions.filter(d => d.allowed).length;
+  const overLimit = decisions.filter(d => d.reason === DENIAL_REASONS.DAILY_TRANSACTION_LIMIT).length;
+  const stored = standIn.tables.signing_policy_decisions.filter(d => d.allowed).length;
+  if (allowed !== LIMITS.dailyTransactions || overLimit !== 5 - LIMITS.dailyTransactions || stored !== allowed) {
+    logError(`Expected ${LIMITS.dailyTransactions} allowed, got ${JSON.stringify(decisions.map(d => d.reason || 'allowed'))}`);
+    return false;
+  }
+
+  logSuccess('Concurrent requests can\'t sign more than the daily limit');
+  return true;
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Signing Policy Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const tests = [
+    ['Allowlisted Calls', testAllowedCalls()],
+    ['Denied Calls', testDeniedCalls()],
+    ['Daily Limits', testDailyLimits()],
+    ['Typed Data', testTypedData()],
+    ['Concurrent Requests', await testConcurrentRequests()]
+  ];
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch((error) => {
+    logError(`\nFatal error: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runTests };
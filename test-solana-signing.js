@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+/**
+ * Polygram Solana Signing Test Script
+ *
+ * Builds legacy and versioned Solana transactions locally, runs them through the signing policy
+ * and signs them the way /api/wallet/sign does (no Supabase or network access required).
+ *
+ * Usage:
+ *   node test-solana-signing.js
+ */
+
+const crypto = require('crypto');
+const {
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  ComputeBudgetProgram,
+  Transaction,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction
+} = require('@solana/web3.js');
+const { base58 } = require('ethers/lib/utils');
+const { evaluateSolanaTransaction, DENIAL_REASONS } = require('./api/lib/signing-policy');
+const { signSolanaTransaction } = require('./api/lib/solana');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+const MEMO_PROGRAM = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+const UNKNOWN_PROGRAM = Keypair.generate().publicKey;
+
+const custodial = Keypair.generate();
+const stranger = Keypair.generate();
+const BLOCKHASH = Keypair.generate().publicKey.toBase58();
+
+const LIMITS = { dailyTransactions: 3, solanaMaxLamports: '5000000', solanaMaxPriorityFeeLamports: '100000' };
+const NO_USAGE = { transactions: 0, approvalUsdc: 0 };
+
+function memo(text) {
+  return new TransactionInstruction({ programId: MEMO_PROGRAM, keys: [], data: Buffer.from(text) });
+}
+
+function transfer(lamports, from = custodial.publicKey) {
+  return SystemProgram.transfer({ fromPubkey: from, toPubkey: stranger.publicKey, lamports });
+}
+
+// Unsigned legacy transaction, serialized the way a wallet adapter hands it over
+function legacyTransaction(instructions, feePayer = custodial.publicKey) {
+  const transaction = new Transaction({ feePayer, recentBlockhash: BLOCKHASH }).add(...instructions);
+  return transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64');
+}
+
+function v0Message(instructions, payerKey = custodial.publicKey) {
+  return new TransactionMessage({ payerKey, recentBlockhash: BLOCKHASH, instructions }).compileToV0Message();
+}
+
+function verifyEd25519(publicKey, message, signature) {
+  const key = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: publicKey.toBuffer().toString('base64url') },
+    format: 'jwk'
+  });
+  return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+function evaluate(request) {
+  return evaluateSolanaTransaction(request, { address: custodial.publicKey.toBase58(), usage: NO_USAGE, limits: LIMITS });
+}
+
+function testLegacyTransaction() {
+  log('\n=== Test: Legacy Transaction ===', 'cyan');
+
+  const request = legacyTransaction([
+    ComputeBudgetProgram.setComputeUnitLimit({ units: 200000 }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 10000 }),
+    transfer(1000000),
+    memo('polygram withdrawal')
+  ]);
+
+  const decision = evaluate(request);
+  if (!decision.allowed || decision.value !== '1000000') {
+    logError(`Expected transfer to be allowed, got ${decision.reason}`);
+    return false;
+  }
+  if (decision.function !== 'setComputeUnitLimit,setComputeUnitPrice,transfer,memo') {
+    logError(`Unexpected instructions recorded: ${decision.function}`);
+    return false;
+  }
+
+  const { signed_transaction, signature } = signSolanaTransaction(custodial, decision.solana);
+  const signed = Transaction.from(Buffer.from(signed_transaction, 'base64'));
+  if (!signed.verifySignatures() || !signed.signature.equals(Buffer.from(base58.decode(signature)))) {
+    logError('Signed legacy transaction does not verify');
+    return false;
+  }
+
+  logSuccess(`Legacy transaction signed (${signature.substring(0, 16)}...)`);
+  return true;
+}
+
+function testVersionedMessage() {
+  log('\n=== Test: Versioned Message ===', 'cyan');
+
+  const message = v0Message([memo('hello'), transfer(2500)]);
+  const decision = evaluate({ message: Buffer.from(message.serialize()).toString('base64') });
+  if (!decision.allowed) {
+    logError(`Expected v0 message to be allowed, got ${decision.reason}`);
+    return false;
+  }
+
+  const { signed_transaction } = signSolanaTransaction(custodial, decision.solana);
+  const signed = VersionedTransaction.deserialize(Buffer.from(signed_transaction, 'base64'));
+  if (signed.version !== 0 || !verifyEd25519(custodial.publicKey, signed.message.serialize(), signed.signatures[0])) {
+    logError('Signed v0 transaction does not verify');
+    return false;
+  }
+
+  logSuccess('Versioned message signed and returned as a full transaction');
+  return true;
+}
+
+function testPartiallySigned() {
+  log('\n=== Test: Co-signing ===', 'cyan');
+
+  // A sponsor pays the fees and signs first; the custodial wallet only authorizes its transfer
+  const transaction = new VersionedTransaction(v0Message([transfer(1000)], stranger.publicKey));
+  transaction.sign([stranger]);
+
+  const decision = evaluate(Buffer.from(transaction.serialize()).toString('base64'));
+  if (!decision.allowed) {
+    logError(`Expected co-signing to be allowed, got ${decision.reason}`);
+    return false;
+  }
+
+  const signed = VersionedTransaction.deserialize(Buffer.from(signSolanaTransaction(custodial, decision.solana).signed_transaction, 'base64'));
+  const payload = signed.message.serialize();
+  if (!verifyEd25519(stranger.publicKey, payload, signed.signatures[0]) || !verifyEd25519(custodial.publicKey, payload, signed.signatures[1])) {
+    logError('Both signatures should verify');
+    return false;
+  }
+
+  logSuccess('Existing signatures are kept when co-signing');
+  return true;
+}
+
+function testDenied() {
+  log('\n=== Test: Denied Transactions ===', 'cyan');
+
+  const unknownCall = new TransactionInstruction({
+    programId: UNKNOWN_PROGRAM,
+    keys: [{ pubkey: custodial.publicKey, isSigner: true, isWritable: true }],
+    data: Buffer.from([3, 1, 0, 0, 0, 0, 0, 0, 0])
+  });
+  const assign = SystemProgram.assign({ accountPubkey: custodial.publicKey, programId: UNKNOWN_PROGRAM });
+
+  const cases = [
+    ['Garbage', 'not a transaction!', DENIAL_REASONS.NOT_A_TRANSACTION],
+    ['Raw bytes', { message: Buffer.from('hello').toString('base64') }, DENIAL_REASONS.NOT_A_TRANSACTION],
+    ['Someone else\'s transaction', legacyTransaction([transfer(1, stranger.publicKey)], stranger.publicKey), DENIAL_REASONS.SIGNER_MISMATCH],
+    ['Unknown program', legacyTransaction([unknownCall]), DENIAL_REASONS.CONTRACT_NOT_ALLOWED],
+    ['Assign account', legacyTransaction([assign]), DENIAL_REASONS.FUNCTION_NOT_ALLOWED],
+    ['Large transfer', legacyTransaction([transfer(3000000), transfer(3000000)]), DENIAL_REASONS.VALUE_TOO_HIGH],
+    ['Priority fee', legacyTransaction([ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1000000 }), memo('x')]), DENIAL_REASONS.PRIORITY_FEE_TOO_HIGH]
+  ];
+
+  const failed = cases.filter(([name, request, reason]) => {
+    const decision = evaluate(request);
+    if (decision.allowed || decision.reason !== reason) {
+      logError(`${name}: expected ${reason}, got ${decision.allowed ? 'allowed' : decision.reason}`);
+      return true;
+    }
+    return false;
+  });
+
+  const overLimit = evaluateSolanaTransaction(legacyTransaction([memo('x')]), {
+    address: custodial.publicKey.toBase58(),
+    usage: { transactions: 3, approvalUsdc: 0 },
+    limits: LIMITS
+  });
+  if (overLimit.allowed || overLimit.reason !== DENIAL_REASONS.DAILY_TRANSACTION_LIMIT) {
+    logError(`Daily limit: expected ${DENIAL_REASONS.DAILY_TRANSACTION_LIMIT}, got ${overLimit.reason}`);
+    return false;
+  }
+
+  if (failed.length > 0) return false;
+
+  logSuccess('Unknown programs, other signers, large transfers and fees are rejected');
+  return true;
+}
+
+function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Solana Signing Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const tests = [
+    ['Legacy Transaction', testLegacyTransaction()],
+    ['Versioned Message', testVersionedMessage()],
+    ['Co-signing', testPartiallySigned()],
+    ['Denied Transactions', testDenied()]
+  ];
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * Polygram TON Proof Test Script
+ *
+ * Signs withdrawal address proofs with generated v3R2 wallets and checks that forged ones are
+ * rejected: made-up or altered payloads, another user's payload, keys that don't own the address
+ * (pure crypto, no Supabase or network access required).
+ *
+ * Usage:
+ *   node test-ton-proof.js
+ */
+
+const crypto = require('crypto');
+const { Address, beginCell, contractAddress, storeStateInit, Cell } = require('@ton/core');
+const { keyPairFromSeed, sign } = require('@ton/crypto');
+
+process.env.TON_PROOF_SECRET = process.env.TON_PROOF_SECRET || crypto.randomBytes(32).toString('hex');
+
+const { issueProofPayload, verifyTonProof } = require('./api/lib/ton-proof');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+const APP_DOMAIN = 'polygram.test';
+const USER_ID = '5001';
+
+// Wallet v3R2 contract code (as deployed by TON wallets)
+const WALLET_V3R2_CODE = Cell.fromBase64('te6cckEBAQEAcQAA3v8AIN0gggFMl7ohggEznLqxn3Gw7UTQ0x/THzHXC//jBOCk8mCDCNcYINMf0x/TH/gjE7vyY+1E0NMf0x/T/9FRMrryoVFEuvKiBPkBVBBV+RDyo/gAkyDXSpbTB9QC+wDo0QGkyMsfyx/L/8ntVBC9ba0=');
+
+/**
+ * A fresh v3R2 wallet: its key pair, address and state init (as TON Connect sends walletStateInit)
+ */
+function createWallet(code = WALLET_V3R2_CODE) {
+  const keyPair = keyPairFromSeed(crypto.randomBytes(32));
+  const data = beginCell()
+    .storeUint(0, 32) // seqno
+    .storeUint(698983191, 32) // subwallet_id
+    .storeBuffer(keyPair.publicKey)
+    .endCell();
+  const init = { code, data };
+
+  return {
+    keyPair,
+    address: contractAddress(0, init).toString(),
+    stateInit: beginCell().store(storeStateInit(init)).endCell().toBoc().toString('base64')
+  };
+}
+
+/**
+ * Sign a TON proof the way a wallet does
+ * Message: sha256("ton-proof-item-v2/" + raw address + app domain + timestamp + JSON payload)
+ */
+function signProof(wallet, payload, { address = wallet.address, keyPair = wallet.keyPair, stateInit = wallet.stateInit } = {}) {
+  const timestamp = new Date().toISOString();
+  const message = Buffer.concat([
+    Buffer.from('ton-proof-item-v2/', 'utf-8'),
+    Buffer.from(Address.parse(address).toRawString(), 'utf-8'),
+    Buffer.from(APP_DOMAIN, 'utf-8'),
+    Buffer.from(timestamp, 'utf-8'),
+    Buffer.from(JSON.stringify(payload), 'utf-8')
+  ]);
+  const messageHash = crypto.createHash('sha256').update(message).digest();
+
+  return {
+    ton_address: address,
+    timestamp,
+    payload,
+    signature: sign(messageHash, keyPair.secretKey).toString('base64'),
+    public_key: keyPair.publicKey.toString('base64'),
+    state_init: stateInit
+  };
+}
+
+// The checks /api/withdraw/request runs on an address_proof
+function verifyAddressProof(proof, userId = USER_ID) {
+  return verifyTonProof(proof, {
+    appDomain: APP_DOMAIN,
+    userId,
+    purpose: 'withdrawal_address',
+    maxAgeMs: 10 * 60 * 1000,
+    requireStateInit: true
+  });
+}
+
+async function expectRejected(name, proof, error) {
+  const result = await verifyAddressProof(proof);
+  if (result.valid || result.error !== error) {
+    logError(`${name}: expected ${error}, got ${JSON.stringify(result)}`);
+    return false;
+  }
+  return true;
+}
+
+async function testGenuineProof() {
+  log('\n=== Test: Genuine Address Proof ===', 'cyan');
+
+  const wallet = createWallet();
+  const result = await verifyAddressProof(signProof(wallet, issueProofPayload(USER_ID, 'withdrawal_address')));
+  if (!result.valid) {
+    logError(`A proof signed by the destination wallet should verify, got ${JSON.stringify(result)}`);
+    return false;
+  }
+
+  logSuccess('A payload from generate-payload signed by the destination wallet confirms the address');
+  return true;
+}
+
+async function testForgedPayloads() {
+  log('\n=== Test: Forged Payloads ===', 'cyan');
+
+  const wallet = createWallet();
+  const issued = issueProofPayload(USER_ID, 'withdrawal_address');
+  const { mac, ...unsigned } = issued;
+
+  const results = [
+    // Made up by the client, with no MAC or a guessed one
+    await expectRejected('Payload without a MAC', signProof(wallet, unsigned), 'invalid_payload'),
+    await expectRejected('Payload with a made-up MAC', signProof(wallet, { ...unsigned, mac: crypto.randomBytes(32).toString('hex') }), 'invalid_payload'),
+    // Issued payload with a field changed
+    await expectRejected('Payload for another user', signProof(wallet, { ...issued, telegram_user_id: '5002' }), 'invalid_payload'),
+    await expectRejected('Nonce replaced', signProof(wallet, { ...issued, nonce: crypto.randomBytes(32).toString('base64') }), 'invalid_payload'),
+    await expectRejected('Issue time moved forward', signProof(wallet, { ...issued, timestamp: new Date(Date.now() + 60000).toISOString() }), 'invalid_payload'),
+    // Genuine payloads that are for someone or something else, or too old
+    await expectRejected('Another user\'s payload', signProof(wallet, issueProofPayload('5002', 'withdrawal_address')), 'user_id_mismatch'),
+    await expectRejected('Login payload', signProof(wallet, issueProofPayload(USER_ID)), 'purpose_mismatch'),
+    await expectRejected('Key export payload', signProof(wallet, issueProofPayload(USER_ID, 'key_export')), 'purpose_mismatch')
+  ];
+
+  // Issued 11 minutes ago, signed now
+  const RealDate = Date;
+  global.Date = class extends RealDate {
+    constructor(...args) { super(...(args.length > 0 ? args : [RealDate.now() - 11 * 60 * 1000])); }
+  };
+  const stale = issueProofPayload(USER_ID, 'withdrawal_address');
+  global.Date = RealDate;
+  results.push(await expectRejected('Expired payload', signProof(wallet, stale), 'payload_expired'));
+
+  if (results.includes(false)) return false;
+
+  logSuccess('Payloads the server did not issue, altered ones and ones for another user or purpose are rejected');
+  return true;
+}
+
+async function testForgedOwnership() {
+  log('\n=== Test: Forged Wallet Ownership ===', 'cyan');
+
+  const victim = createWallet();
+  const attacker = createWallet();
+  const payload = () => issueProofPayload(USER_ID, 'withdrawal_address');
+
+  // A contract that stores the key like a wallet but isn't one
+  const lookalike = createWallet(beginCell().storeUint(0xdeadbeef, 32).endCell());
+
+  const results = [
+    // Attacker's key and state init, victim's address
+    await expectRejected('Own state init for another address', signProof(attacker, payload(), { address: victim.address }), 'state_init_mismatch'),
+    // Victim's state init, attacker's key
+    await expectRejected('Another wallet\'s key', signProof(attacker, payload(), { address: victim.address, stateInit: victim.stateInit }), 'public_key_mismatch'),
+    // Everything from the victim except the signature
+    await expectRejected('Signature by another key', {
+      ...signProof(attacker, payload(), { address: victim.address }),
+      public_key: victim.keyPair.publicKey.toString('base64'),
+      state_init: victim.stateInit
+    }, 'invalid_signature'),
+    await expectRejected('Not a wallet contract', signProof(lookalike, payload()), 'unsupported_wallet'),
+    await expectRejected('No state init', { ...signProof(victim, payload()), state_init: undefined }, 'missing_state_init')
+  ];
+
+  if (results.includes(false)) return false;
+
+  logSuccess('Proofs from keys that do not own the destination address are rejected');
+  return true;
+}
+
+async function testSecretRequired() {
+  log('\n=== Test: Secret Required ===', 'cyan');
+
+  const wallet = createWallet();
+  const proof = signProof(wallet, issueProofPayload(USER_ID, 'withdrawal_address'));
+  const secret = process.env.TON_PROOF_SECRET;
+
+  delete process.env.TON_PROOF_SECRET;
+  const issued = issueProofPayload(USER_ID, 'withdrawal_address');
+  const result = await verifyAddressProof(proof);
+
+  // Payloads MACed under a previous secret stop working once it changes
+  process.env.TON_PROOF_SECRET = crypto.randomBytes(32).toString('hex');
+  const rotated = await verifyAddressProof(proof);
+  process.env.TON_PROOF_SECRET = secret;
+
+  if (issued !== null || result.error !== 'proof_not_configured' || rotated.error !== 'invalid_payload') {
+    logError(`Without TON_PROOF_SECRET no payloads should be issued or accepted, got ${JSON.stringify({ issued, result, rotated })}`);
+    return false;
+  }
+
+  logSuccess('Without TON_PROOF_SECRET payloads are neither issued nor accepted');
+  return true;
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram TON Proof Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const tests = [
+    ['Genuine Address Proof', await testGenuineProof()],
+    ['Forged Payloads', await testForgedPayloads()],
+    ['Forged Wallet Ownership', await testForgedOwnership()],
+    ['Secret Required', await testSecretRequired()]
+  ];
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch((error) => {
+    logError(`\nFatal error: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { APP_DOMAIN, createWallet, signProof, runTests };
@@ -0,0 +1,584 @@
+#!/usr/bin/env node
+/**
+ * Polygram Withdrawal Worker Test Script
+ *
+ * Runs withdrawals through the worker's state machine against a local stand-in that serves
+ * the bridge, the TON payout service and the Supabase REST calls the worker makes
+ * (no Supabase project or network access required).
+ *
+ * Usage:
+ *   node test-withdrawals.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Colors for console output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✓ ${message}`, 'green');
+}
+
+function logError(message) {
+  log(`✗ ${message}`, 'red');
+}
+
+// Compare a stored value with a PostgREST filter operand
+function compareValues(stored, operand) {
+  if (stored === null || stored === undefined) return NaN;
+  if (typeof stored === 'number' || /^-?\d+(\.\d+)?$/.test(String(stored))) {
+    return Number(stored) - Number(operand);
+  }
+  const a = Date.parse(stored);
+  const b = Date.parse(operand);
+  if (!isNaN(a) && !isNaN(b)) return a - b;
+  return String(stored).localeCompare(String(operand));
+}
+
+function matchesFilter(row, column, filter) {
+  if (filter.startsWith('not.')) return !matchesFilter(row, column, filter.slice(4));
+  const [op, ...rest] = filter.split('.');
+  const operand = rest.join('.');
+  const value = row[column];
+  switch (op) {
+    case 'eq': return value !== null && value !== undefined && String(value) === operand;
+    case 'neq': return String(value) !== operand;
+    case 'in': return operand.replace(/^\(|\)$/g, '').split(',').includes(String(value));
+    case 'is': return operand === 'null' ? value === null || value === undefined : String(value) === operand;
+    case 'lt': return compareValues(value, operand) < 0;
+    case 'lte': return compareValues(value, operand) <= 0;
+    case 'gt': return compareValues(value, operand) > 0;
+    case 'gte': return compareValues(value, operand) >= 0;
+    default: throw new Error(`Unsupported filter ${filter}`);
+  }
+}
+
+/**
+ * Start the stand-in services
+ * /rest/v1/*: in-memory Supabase tables (`tables`) and the reservation RPCs from
+ *   supabase-funds-reservation.sql and supabase-withdrawal-worker.sql
+ * /bridge/transfers: transfers keyed by reference; `bridge.script[reference]` lists the statuses
+ *   successive polls return (the last one repeats), `bridge.outages` fails that many requests with 503
+ * /ton/payouts: payouts keyed by reference; `ton.outages` fails that many requests with 503
+ * `outages[table]` fails that many requests to a table with 503
+ * Table reads honour eq/in/is/lt/gt filters (and their not. forms), order, offset, limit and count=exact
+ * Other tests add their own tables, and RPCs called as rpc(payload, tables); an RPC that throws
+ * responds 400 with the error's code and message, like a RAISE EXCEPTION. `unique[table]` lists
+ * unique indexes as { name, columns, where(row) } and inserts that break one respond 409 (23505)
+ */
+function startStandIn({ tables: extraTables = [], rpc: extraRpc = {}, unique = {} } = {}) {
+  const tables = { withdrawals: [], bridge_transactions: [], ledger_entries: [], user_balances: [] };
+  extraTables.forEach(name => { tables[name] = []; });
+  const bridge = { transfers: {}, script: {}, outages: 0, requests: 0 };
+  const ton = { payouts: {}, outages: 0, requests: 0 };
+  const outages = {};
+
+  const rpc = {
+    consume_reserved_funds: ({ p_entry_id, p_amount }) => {
+      const entry = tables.ledger_entries.find(e => e.id === p_entry_id);
+      const amount = Math.min(p_amount ?? entry.locked_amount, entry.locked_amount);
+      tables.user_balances.find(b => b.user_id === entry.user_id).usdc_locked -= amount;
+      entry.locked_amount -= amount;
+      return { consumed: amount, locked_remaining: entry.locked_amount };
+    },
+    release_reserved_funds: ({ p_entry_id, p_amount }) => {
+      const entry = tables.ledger_entries.find(e => e.id === p_entry_id);
+      const amount = Math.min(p_amount ?? entry.locked_amount, entry.locked_amount);
+      const balance = tables.user_balances.find(b => b.user_id === entry.user_id);
+      balance.usdc_available += amount;
+      balance.usdc_locked -= amount;
+      entry.locked_amount -= amount;
+      return { released: amount, credit_entry_id: null, locked_remaining: entry.locked_amount };
+    },
+    update_ledger_entry_status: ({ p_entry_id, p_status, p_tx_hash, p_error_message }) => {
+      const entry = tables.ledger_entries.find(e => e.id === p_entry_id);
+      entry.status = p_status;
+      if (p_status === 'completed') {
+        entry.destination_tx_hash = p_tx_hash || entry.destination_tx_hash;
+      } else {
+        entry.source_tx_hash = p_tx_hash || entry.source_tx_hash;
+      }
+      entry.error_message = p_error_message || entry.error_message;
+      return null;
+    }
+  };
+  Object.entries(extraRpc).forEach(([name, fn]) => { rpc[name] = payload => fn(payload, tables); });
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, data, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+      const payload = body ? JSON.parse(body) : {};
+
+      if (url.pathname.startsWith('/bridge/')) {
+        bridge.requests++;
+        if (bridge.outages > 0) {
+          bridge.outages--;
+          return send(503, { error: 'Bridge temporarily unavailable' });
+        }
+        if (req.method === 'POST' && url.pathname === '/bridge/transfers') {
+          if (!bridge.transfers[payload.reference]) {
+            bridge.transfers[payload.reference] = {
+              id: `bt_${Object.keys(bridge.transfers).length + 1}`,
+              reference: payload.reference,
+              amount_usdc: payload.amount_usdc,
+              destination_address: payload.destination_address,
+              source_tx_hash: '0x' + crypto.randomBytes(32).toString('hex'),
+              polls: 0
+            };
+          }
+          const transfer = bridge.transfers[payload.reference];
+          return send(200, { id: transfer.id, status: 'pending', source_tx_hash: transfer.source_tx_hash });
+        }
+        const match = /^\/bridge\/transfers\/(.+)$/.exec(url.pathname);
+        if (req.method === 'GET' && match) {
+          const transfer = Object.values(bridge.transfers).find(t => t.id === decodeURIComponent(match[1]));
+          if (!transfer) return send(404, { error: 'Transfer not found' });
+          const script = bridge.script[transfer.reference] || ['completed'];
+          const status = script[Math.min(transfer.polls++, script.length - 1)];
+          return send(200, {
+            id: transfer.id,
+            status,
+            source_tx_hash: transfer.source_tx_hash,
+            destination_tx_hash: status === 'completed' ? `ton_bridge_${transfer.id}` : null,
+            amount_ton: status === 'completed' ? transfer.amount_usdc / 2.5 : null,
+            error: status === 'failed' ? 'Liquidity unavailable' : null
+          });
+        }
+      }
+
+      if (req.method === 'POST' && url.pathname === '/ton/payouts') {
+        ton.requests++;
+        if (ton.outages > 0) {
+          ton.outages--;
+          return send(503, { error: 'Liteserver timeout' });
+        }
+        if (!ton.payouts[payload.reference]) {
+          ton.payouts[payload.reference] = { ...payload, id: `tp_${Object.keys(ton.payouts).length + 1}` };
+        }
+        const payout = ton.payouts[payload.reference];
+        return send(200, { id: payout.id, status: 'confirmed', tx_hash: `ton_payout_${payout.id}` });
+      }
+
+      const rpcMatch = /^\/rest\/v1\/rpc\/(\w+)$/.exec(url.pathname);
+      if (rpcMatch && rpc[rpcMatch[1]]) {
+        try {
+          return send(200, rpc[rpcMatch[1]](payload));
+        } catch (err) {
+          return send(400, { code: err.code || 'P0001', message: err.message, details: null, hint: null });
+        }
+      }
+
+      const tableMatch = /^\/rest\/v1\/(\w+)$/.exec(url.pathname);
+      if (!tableMatch || !tables[tableMatch[1]]) return send(404, { message: 'Not found' });
+      const table = tables[tableMatch[1]];
+      if (outages[tableMatch[1]] > 0) {
+        outages[tableMatch[1]]--;
+        return send(503, { message: 'Service unavailable' });
+      }
+
+      const reserved = ['select', 'order', 'limit', 'offset', 'columns'];
+      const filters = [...url.searchParams.entries()].filter(([key]) => !reserved.includes(key));
+      if (req.method === 'POST') {
+        for (const row of [].concat(payload)) {
+          const index = (unique[tableMatch[1]] || []).find(({ columns, where = () => true }) => where(row) &&
+            table.some(existing => where(existing) && columns.every(column => String(existing[column]) === String(row[column]))));
+          if (index) {
+            return send(409, { code: '23505', message: `duplicate key value violates unique constraint "${index.name}"`, details: null, hint: null });
+          }
+        }
+      }
+
+      let rows = req.method === 'POST'
+        ? [].concat(payload).map(row => {
+          const created = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row };
+          table.push(created);
+          return created;
+        })
+        : table.filter(row => filters.every(([column, filter]) => matchesFilter(row, column, filter)));
+
+      if (req.method === 'PATCH') {
+        rows.forEach(row => Object.assign(row, payload));
+      }
+
+      const order = url.searchParams.get('order');
+      if (order) {
+        const [column, direction] = order.split('.');
+        rows = [...rows].sort((a, b) => compareValues(a[column], b[column]) * (direction === 'desc' ? -1 : 1));
+      }
+      const total = rows.length;
+      if (url.searchParams.get('offset') || url.searchParams.get('limit')) {
+        const offset = parseInt(url.searchParams.get('offset')) || 0;
+        rows = rows.slice(offset, url.searchParams.get('limit') ? offset + parseInt(url.searchParams.get('limit')) : undefined);
+      }
+      rows = rows.map(row => ({ ...row }));
+
+      if ((req.headers['accept'] || '').includes('vnd.pgrst.object')) {
+        if (rows.length !== 1) {
+          return send(406, { code: 'PGRST116', details: `The result contains ${rows.length} rows`, message: 'JSON object requested, multiple (or no) rows returned' });
+        }
+        return send(200, rows[0]);
+      }
+      const counted = (req.headers['prefer'] || '').includes('count=exact');
+      return send(200, req.method === 'HEAD' ? undefined : rows, counted ? { 'Content-Range': `*/${total}` } : {});
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        tables,
+        bridge,
+        ton,
+        outages,
+        close: () => new Promise((r) => server.close(r))
+      });
+    });
+  });
+}
+
+/**
+ * Add a user with a withdrawal whose funds are already reserved (as /api/withdraw/request leaves it)
+ */
+function seedWithdrawal(standIn, { amount = 10, available = 90, status = 'pending' } = {}) {
+  const userId = String(1000 + standIn.tables.withdrawals.length);
+  const withdrawalId = crypto.randomUUID();
+  const entryId = crypto.randomUUID();
+
+  standIn.tables.user_balances.push({ user_id: userId, usdc_available: available, usdc_locked: amount });
+  standIn.tables.ledger_entries.push({
+    id: entryId,
+    user_id: userId,
+    entry_type: 'withdrawal',
+    amount,
+    locked_amount: amount,
+    status: 'pending',
+    withdrawal_id: withdrawalId,
+    source_tx_hash: null,
+    destination_tx_hash: null,
+    bridge_tx_hash: null
+  });
+  standIn.tables.withdrawals.push({
+    id: withdrawalId,
+    user_id: userId,
+    request_id: `withdraw_${userId}_${Date.now()}`,
+    amount_usdc: amount,
+    ton_destination_address: 'EQD4FPq-PRDieyQKkizFTRtSDyucUIqrj0v_zXJmqaDp6_0t',
+    status,
+    ledger_entry_id: entryId,
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    last_error: null,
+    created_at: new Date().toISOString()
+  });
+
+  return {
+    withdrawal: () => standIn.tables.withdrawals.find(w => w.id === withdrawalId),
+    entry: () => standIn.tables.ledger_entries.find(e => e.id === entryId),
+    balance: () => standIn.tables.user_balances.find(b => b.user_id === userId),
+    bridgeRecord: () => standIn.tables.bridge_transactions.find(b => b.withdrawal_id === withdrawalId),
+    // Pretend the scheduled retry or poll time has come
+    makeDue: () => { standIn.tables.withdrawals.find(w => w.id === withdrawalId).next_attempt_at = new Date(Date.now() - 1000).toISOString(); }
+  };
+}
+
+function resetStandIn(standIn) {
+  Object.values(standIn.tables).forEach(rows => rows.splice(0));
+  Object.assign(standIn.bridge, { transfers: {}, script: {}, outages: 0, requests: 0 });
+  Object.assign(standIn.ton, { payouts: {}, outages: 0, requests: 0 });
+  Object.keys(standIn.outages).forEach(table => delete standIn.outages[table]);
+}
+
+async function testCompleteFlow(withdrawals, supabase, standIn) {
+  log('\n=== Test: Complete Withdrawal ===', 'cyan');
+  resetStandIn(standIn);
+
+  const w = seedWithdrawal(standIn);
+  const review = seedWithdrawal(standIn, { status: 'pending_review' });
+  // A pending row without a reservation must never be bridged
+  const unreserved = seedWithdrawal(standIn);
+  unreserved.withdrawal().ledger_entry_id = null;
+  standIn.bridge.script[w.withdrawal().request_id] = ['pending', 'completed'];
+
+  // First run claims it, starts the bridge transfer and finds it still in flight
+  const first = await withdrawals.processWithdrawals(supabase);
+  if (w.withdrawal().status !== 'bridging' || first.waiting !== 1 || !(Date.parse(w.withdrawal().next_attempt_at) > Date.now())) {
+    logError(`Expected to wait in bridging, got ${w.withdrawal().status} ${JSON.stringify(first)}`);
+    return false;
+  }
+
+  // Nothing is due until the poll interval has passed
+  const idle = await withdrawals.processWithdrawals(supabase);
+  if (idle.checked !== 0) {
+    logError('A withdrawal waiting on the bridge should not be picked up early');
+    return false;
+  }
+
+  w.makeDue();
+  const second = await withdrawals.processWithdrawals(supabase);
+  const withdrawal = w.withdrawal();
+  const transfer = standIn.bridge.transfers[withdrawal.request_id];
+  if (withdrawal.status !== 'completed' || second.completed !== 1) {
+    logError(`Expected completed, got ${withdrawal.status} ${JSON.stringify(second)}`);
+    return false;
+  }
+
+  if (withdrawal.polygon_tx_hash !== transfer.source_tx_hash ||
+      withdrawal.bridge_tx_hash !== `ton_bridge_${transfer.id}` ||
+      withdrawal.ton_tx_hash !== 'ton_payout_tp_1' ||
+      withdrawal.amount_ton !== 4) {
+    logError(`Withdrawal hashes or amount not recorded: ${JSON.stringify(withdrawal)}`);
+    return false;
+  }
+
+  const record = w.bridgeRecord();
+  if (!record || record.status !== 'completed' || record.bridge_transaction_id !== transfer.id ||
+      record.transaction_hash !== transfer.source_tx_hash || record.destination_tx_hash !== withdrawal.bridge_tx_hash) {
+    logError(`Bridge transaction not recorded: ${JSON.stringify(record)}`);
+    return false;
+  }
+
+  const entry = w.entry();
+  if (entry.status !== 'completed' || entry.source_tx_hash !== transfer.source_tx_hash ||
+      entry.bridge_tx_hash !== withdrawal.bridge_tx_hash || entry.destination_tx_hash !== withdrawal.ton_tx_hash) {
+    logError(`Ledger entry hashes not recorded: ${JSON.stringify(entry)}`);
+    return false;
+  }
+
+  if (w.balance().usdc_locked !== 0 || w.balance().usdc_available !== 90) {
+    logError(`Funds should be spent, got ${JSON.stringify(w.balance())}`);
+    return false;
+  }
+
+  if (review.withdrawal().status !== 'pending_review') {
+    logError('A withdrawal pending review should be left alone');
+    return false;
+  }
+
+  if (unreserved.withdrawal().status !== 'pending' || unreserved.bridgeRecord()) {
+    logError('A withdrawal without reserved funds should be left alone');
+    return false;
+  }
+
+  logSuccess('pending -> processing -> bridging -> sending -> completed with every tx hash recorded');
+  return true;
+}
+
+async function testRetryWithBackoff(withdrawals, supabase, standIn) {
+  log('\n=== Test: Retry With Backoff ===', 'cyan');
+  resetStandIn(standIn);
+
+  const w = seedWithdrawal(standIn);
+  standIn.ton.outages = 2;
+
+  const delays = [];
+  for (let run = 1; run <= 2; run++) {
+    const before = Date.now();
+    const summary = await withdrawals.processWithdrawals(supabase);
+    const withdrawal = w.withdrawal();
+    if (withdrawal.status !== 'sending' || withdrawal.attempts !== run || summary.retrying !== 1 || !withdrawal.last_error) {
+      logError(`Run ${run}: expected a retry in sending, got ${JSON.stringify(withdrawal)}`);
+      return false;
+    }
+    delays.push(Date.parse(withdrawal.next_attempt_at) - before);
+    w.makeDue();
+  }
+
+  // WITHDRAWAL_RETRY_BASE_SECONDS=30: 30s, then 60s
+  if (Math.abs(delays[0] - 30000) > 2000 || Math.abs(delays[1] - 60000) > 2000) {
+    logError(`Expected 30s then 60s backoff, got ${delays.join(', ')}ms`);
+    return false;
+  }
+
+  await withdrawals.processWithdrawals(supabase);
+  const withdrawal = w.withdrawal();
+  if (withdrawal.status !== 'completed' || Object.keys(standIn.ton.payouts).length !== 1 || standIn.ton.requests !== 3) {
+    logError(`Expected completion after the outage with a single payout, got ${withdrawal.status}`);
+    return false;
+  }
+
+  logSuccess('Failed steps are retried with exponential backoff without paying twice');
+  return true;
+}
+
+async function testBridgeFailureRefund(withdrawals, supabase, standIn) {
+  log('\n=== Test: Bridge Failure Refund ===', 'cyan');
+  resetStandIn(standIn);
+
+  const w = seedWithdrawal(standIn, { amount: 25, available: 5 });
+  standIn.bridge.script[w.withdrawal().request_id] = ['failed'];
+
+  const summary = await withdrawals.processWithdrawals(supabase);
+  const withdrawal = w.withdrawal();
+  if (withdrawal.status !== 'failed' || summary.failed !== 1 || withdrawal.error_message !== 'Liquidity unavailable') {
+    logError(`Expected failed with the bridge's reason, got ${JSON.stringify(withdrawal)}`);
+    return false;
+  }
+
+  if (w.balance().usdc_available !== 30 || w.balance().usdc_locked !== 0 || w.entry().status !== 'failed') {
+    logError(`Funds should be refunded, got ${JSON.stringify(w.balance())} entry ${w.entry().status}`);
+    return false;
+  }
+
+  if (w.bridgeRecord().status !== 'failed' || Object.keys(standIn.ton.payouts).length !== 0) {
+    logError('Bridge record should be failed and nothing sent on TON');
+    return false;
+  }
+
+  logSuccess('A rejected bridge transfer fails the withdrawal and refunds the user');
+  return true;
+}
+
+async function testRetriesExhausted(withdrawals, supabase, standIn) {
+  log('\n=== Test: Retries Exhausted After Transfer Sent ===', 'cyan');
+  resetStandIn(standIn);
+
+  const w = seedWithdrawal(standIn, { amount: 10, available: 0 });
+  standIn.bridge.outages = 100;
+
+  // WITHDRAWAL_MAX_ATTEMPTS=3
+  for (let run = 1; run <= 3; run++) {
+    await withdrawals.processWithdrawals(supabase);
+    w.makeDue();
+  }
+  standIn.bridge.outages = 0;
+
+  // POST /transfers went out and may have been processed, so nothing is refunded
+  const withdrawal = w.withdrawal();
+  if (withdrawal.status !== 'manual_review' || !/gave up after 3 attempts in processing/.test(withdrawal.last_error || '')) {
+    logError(`Expected manual review after 3 attempts, got ${JSON.stringify(withdrawal)}`);
+    return false;
+  }
+
+  if (w.balance().usdc_available !== 0 || w.balance().usdc_locked !== 10 || w.entry().status !== 'pending') {
+    logError(`Funds should stay reserved, got ${JSON.stringify(w.balance())}`);
+    return false;
+  }
+
+  const requests = standIn.bridge.requests;
+  await withdrawals.processWithdrawals(supabase);
+  if (standIn.bridge.requests !== requests || w.withdrawal().status !== 'manual_review') {
+    logError('Worker should leave manual_review withdrawals alone');
+    return false;
+  }
+
+  logSuccess('A step that keeps failing after a transfer was sent waits for manual review with funds reserved');
+  return true;
+}
+
+async function testRetriesExhaustedBeforeTransfer(withdrawals, supabase, standIn) {
+  log('\n=== Test: Retries Exhausted Before Transfer Sent ===', 'cyan');
+  resetStandIn(standIn);
+
+  const w = seedWithdrawal(standIn, { amount: 10, available: 0 });
+  // Each run fails looking up the bridge record, before POST /transfers
+  standIn.outages.bridge_transactions = 3;
+
+  for (let run = 1; run <= 4; run++) {
+    await withdrawals.processWithdrawals(supabase);
+    w.makeDue();
+  }
+
+  const withdrawal = w.withdrawal();
+  if (withdrawal.status !== 'failed' || !/gave up after 3 attempts/.test(withdrawal.error_message || '')) {
+    logError(`Expected failure after 3 attempts, got ${JSON.stringify(withdrawal)}`);
+    return false;
+  }
+
+  if (standIn.bridge.requests !== 0 || w.bridgeRecord()) {
+    logError('Bridge should never have been called');
+    return false;
+  }
+
+  if (w.balance().usdc_available !== 10 || w.balance().usdc_locked !== 0) {
+    logError(`Funds should be refunded, got ${JSON.stringify(w.balance())}`);
+    return false;
+  }
+
+  logSuccess('A step that keeps failing before anything was sent gives up and refunds the user');
+  return true;
+}
+
+async function runTests() {
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Polygram Withdrawal Worker Tests', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  const standIn = await startStandIn();
+  process.env.SUPABASE_URL = standIn.url;
+  process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+  process.env.BRIDGE_API_URL = `${standIn.url}/bridge`;
+  process.env.TON_PAYOUT_API_URL = `${standIn.url}/ton`;
+  process.env.TON_TREASURY_ADDRESS = 'EQCkR1cGmnsE45N4K0otPl5EnxnRakmGqeJUNua5fkWhales';
+  process.env.WITHDRAWAL_RETRY_BASE_SECONDS = '30';
+  process.env.WITHDRAWAL_MAX_ATTEMPTS = '3';
+
+  const { createClient } = require('@supabase/supabase-js');
+  const withdrawals = require('./api/lib/withdrawals');
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+  // Retries and refunds log on purpose; keep the output to the results
+  const { warn, error } = console;
+  console.warn = () => {};
+  console.error = () => {};
+
+  const tests = [];
+  try {
+    tests.push(['Complete Withdrawal', await testCompleteFlow(withdrawals, supabase, standIn)]);
+    tests.push(['Retry With Backoff', await testRetryWithBackoff(withdrawals, supabase, standIn)]);
+    tests.push(['Bridge Failure Refund', await testBridgeFailureRefund(withdrawals, supabase, standIn)]);
+    tests.push(['Retries Exhausted After Transfer', await testRetriesExhausted(withdrawals, supabase, standIn)]);
+    tests.push(['Retries Exhausted Before Transfer', await testRetriesExhaustedBeforeTransfer(withdrawals, supabase, standIn)]);
+  } finally {
+    console.warn = warn;
+    console.error = error;
+    await standIn.close();
+  }
+
+  log('\n' + '='.repeat(60), 'cyan');
+  log('Test Results Summary', 'cyan');
+  log('='.repeat(60), 'cyan');
+
+  let passed = 0;
+  tests.forEach(([name, result]) => {
+    if (result) {
+      logSuccess(`${name}: PASSED`);
+      passed++;
+    } else {
+      logError(`${name}: FAILED`);
+    }
+  });
+
+  log(`\nResults: ${passed}/${tests.length} tests passed`, passed === tests.length ? 'green' : 'yellow');
+  process.exit(passed === tests.length ? 0 : 1);
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().catch((error) => {
+    logError(`\nFatal error: ${error.message}`);
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { startStandIn, runTests };